@@ -0,0 +1,117 @@
+// Test suite for Amazon Games importer
+import { jest } from '@jest/globals';
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockSearchGameOnServer = jest.fn();
+const mockGetGameDetailsFromServer = jest.fn();
+const mockCreateGameViaAPI = jest.fn();
+const mockUploadExecutableViaAPI = jest.fn();
+const mockGetExistingGameIds = jest.fn();
+
+jest.unstable_mockModule('../importers/common/igdb.js', () => ({
+  searchGameOnServer: mockSearchGameOnServer,
+  getGameDetailsFromServer: mockGetGameDetailsFromServer,
+  createGameViaAPI: mockCreateGameViaAPI,
+  getGameViaAPI: jest.fn(),
+  updateGameViaAPI: jest.fn(),
+  uploadExecutableViaAPI: mockUploadExecutableViaAPI,
+  uploadCoverViaAPI: jest.fn(),
+  uploadBackgroundViaAPI: jest.fn(),
+  findGameByExternalIdOnServer: jest.fn(),
+  uploadIconViaAPI: jest.fn(),
+  uploadLogoViaAPI: jest.fn(),
+  updateAchievementsViaAPI: jest.fn(),
+  createCollectionViaAPI: jest.fn(),
+  updateCollectionGamesViaAPI: jest.fn(),
+  getCollectionsViaAPI: jest.fn().mockResolvedValue([]),
+  getExistingGameIds: mockGetExistingGameIds,
+}));
+
+const modulePromise = import('../importers/amazon/index.js');
+
+describe('Amazon Games Importer', () => {
+  let dataPath;
+
+  beforeEach(() => {
+    dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mhg-amazon-'));
+
+    const products = new Database(path.join(dataPath, 'ProductDetails.sqlite'));
+    products.exec(`
+      CREATE TABLE DbSet (Id TEXT PRIMARY KEY, ProductTitle TEXT, ReleaseDate TEXT);
+      INSERT INTO DbSet VALUES ('amzn1.adg.product.aaa', 'Tomb Raider', '2013-03-05');
+      INSERT INTO DbSet VALUES ('amzn1.adg.product.bbb', 'Fallout 3', NULL);
+    `);
+    products.close();
+
+    const installs = new Database(path.join(dataPath, 'GameInstallInfo.sqlite'));
+    installs.exec(`
+      CREATE TABLE DbSet (Id TEXT PRIMARY KEY, ProductTitle TEXT, Installed INTEGER, InstallDirectory TEXT);
+      INSERT INTO DbSet VALUES ('amzn1.adg.product.aaa', 'Tomb Raider', 1, '${dataPath}');
+      INSERT INTO DbSet VALUES ('amzn1.adg.product.ccc', 'Star Wars: Battlefront', 1, '${path.join(dataPath, 'missing')}');
+      INSERT INTO DbSet VALUES ('amzn1.adg.product.ddd', 'Uninstalled', 0, NULL);
+    `);
+    installs.close();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataPath, { recursive: true, force: true });
+    jest.resetAllMocks();
+  });
+
+  test('should merge owned and installed games keyed by releaseKey', async () => {
+    const { readAmazonGames } = await modulePromise;
+    const games = readAmazonGames(dataPath);
+
+    expect(games.map((game) => game.key)).toEqual([
+      'amazon_amzn1.adg.product.bbb',
+      'amazon_amzn1.adg.product.ccc',
+      'amazon_amzn1.adg.product.aaa',
+    ]);
+    const [fallout, battlefront, tombRaider] = games;
+    expect(tombRaider).toMatchObject({ title: 'Tomb Raider', releaseDate: '2013-03-05' });
+    expect(tombRaider.executables[0].label).toBe('Amazon Games');
+    expect(fs.readFileSync(tombRaider.executables[0].path, 'utf-8')).toContain('amazon-games://play/amzn1.adg.product.aaa');
+    expect(fallout.executables).toEqual([]);
+    expect(battlefront.executables).toEqual([]);
+  });
+
+  test('should work with only GameInstallInfo.sqlite', async () => {
+    fs.rmSync(path.join(dataPath, 'ProductDetails.sqlite'));
+    const { readAmazonGames } = await modulePromise;
+    expect(readAmazonGames(dataPath).map((game) => game.title)).toEqual(['Star Wars: Battlefront', 'Tomb Raider']);
+  });
+
+  test('should fail when no store exists', async () => {
+    const { importFromAmazon } = await modulePromise;
+    await expect(importFromAmazon({ amazonDataPath: path.join(dataPath, 'nope') })).rejects.toThrow('Amazon Games stores');
+  });
+
+  test('should import games with the release date as search hint', async () => {
+    const metadataPath = path.join(dataPath, 'metadata');
+    fs.mkdirSync(metadataPath);
+    mockGetExistingGameIds.mockResolvedValue(new Set());
+    mockSearchGameOnServer.mockImplementation(async (title) => (title === 'Tomb Raider' ? [{ id: 1164, name: 'Tomb Raider' }] : []));
+    mockGetGameDetailsFromServer.mockResolvedValue({ id: 1164, name: 'Tomb Raider' });
+    mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+    mockUploadExecutableViaAPI.mockResolvedValue({ status: 'success' });
+
+    const { importFromAmazon } = await modulePromise;
+    await importFromAmazon({
+      amazonDataPath: dataPath,
+      metadataPath,
+      serverUrl: 'http://localhost:3000',
+      apiToken: 'token',
+      twitchClientId: 'clientId',
+      twitchClientSecret: 'clientSecret',
+    });
+
+    expect(mockSearchGameOnServer).toHaveBeenCalledWith('Tomb Raider', 'http://localhost:3000', 'token', 'clientId', 'clientSecret', Date.UTC(2013, 2, 5) / 1000, null);
+    expect(mockUploadExecutableViaAPI).toHaveBeenCalledWith(1164, expect.any(String), 'Amazon Games', 'http://localhost:3000', 'token');
+
+    const importMap = JSON.parse(fs.readFileSync(path.join(metadataPath, 'importer', 'amazon-releasekey-map.json'), 'utf-8'));
+    expect(Object.keys(importMap)).toEqual(['amazon_amzn1.adg.product.aaa']);
+  });
+});
@@ -0,0 +1,201 @@
+// Test suite for CSV / JSON spreadsheet importer
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockSearchGameOnServer = jest.fn();
+const mockGetGameDetailsFromServer = jest.fn();
+const mockCreateGameViaAPI = jest.fn();
+const mockUpdateGameViaAPI = jest.fn();
+const mockUploadExecutableViaAPI = jest.fn();
+const mockCreateCollectionViaAPI = jest.fn();
+const mockUpdateCollectionGamesViaAPI = jest.fn();
+const mockGetExistingGameIds = jest.fn();
+
+jest.unstable_mockModule('../importers/common/igdb.js', () => ({
+  searchGameOnServer: mockSearchGameOnServer,
+  getGameDetailsFromServer: mockGetGameDetailsFromServer,
+  createGameViaAPI: mockCreateGameViaAPI,
+  getGameViaAPI: jest.fn(),
+  updateGameViaAPI: mockUpdateGameViaAPI,
+  uploadExecutableViaAPI: mockUploadExecutableViaAPI,
+  uploadCoverViaAPI: jest.fn(),
+  uploadBackgroundViaAPI: jest.fn(),
+  findGameByExternalIdOnServer: jest.fn(),
+  uploadIconViaAPI: jest.fn(),
+  uploadLogoViaAPI: jest.fn(),
+  updateAchievementsViaAPI: jest.fn(),
+  createCollectionViaAPI: mockCreateCollectionViaAPI,
+  updateCollectionGamesViaAPI: mockUpdateCollectionGamesViaAPI,
+  getCollectionsViaAPI: jest.fn().mockResolvedValue([]),
+  getExistingGameIds: mockGetExistingGameIds,
+}));
+
+const modulePromise = import('../importers/csv/index.js');
+
+describe('CSV / JSON Importer', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mhg-csv-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.resetAllMocks();
+  });
+
+  describe('parseColumnMapping', () => {
+    test('should parse field=Column pairs and JSON mappings', async () => {
+      const { parseColumnMapping } = await modulePromise;
+      expect(parseColumnMapping('title=Game, release_date=Year,IGDB_ID=IGDB')).toEqual({ title: 'Game', releaseDate: 'Year', igdbId: 'IGDB' });
+      expect(parseColumnMapping('{"tags": "Shelf"}')).toEqual({ tags: 'Shelf' });
+      expect(parseColumnMapping(null)).toEqual({});
+    });
+
+    test('should reject unknown fields and malformed pairs', async () => {
+      const { parseColumnMapping } = await modulePromise;
+      expect(() => parseColumnMapping('platform=System')).toThrow('Unknown column mapping field "platform"');
+      expect(() => parseColumnMapping('title')).toThrow('Invalid column mapping "title"');
+    });
+  });
+
+  describe('resolveColumns', () => {
+    test('should use mapped columns and fall back to matching column names', async () => {
+      const { resolveColumns } = await modulePromise;
+      const records = [{ Game: 'Doom', 'Release Date': '1993', Shelf: 'Shooters', Rating: '5' }];
+      expect(resolveColumns(records, { title: 'game', tags: 'Shelf' })).toEqual({
+        title: 'Game',
+        releaseDate: 'Release Date',
+        rating: 'Rating',
+        tags: 'Shelf',
+      });
+    });
+
+    test('should fail when a mapped column is missing', async () => {
+      const { resolveColumns } = await modulePromise;
+      expect(() => resolveColumns([{ Name: 'Doom' }], { tags: 'Shelf' })).toThrow('Column "Shelf" mapped to tags not found');
+      expect(() => resolveColumns([{ Label: 'Doom' }], {})).toThrow('No title column found');
+    });
+  });
+
+  test('should convert ratings using the rating scale', async () => {
+    const { ratingToStars } = await modulePromise;
+    expect(ratingToStars('4', 5)).toBe(8);
+    expect(ratingToStars('4,5', 5)).toBe(9);
+    expect(ratingToStars(85, 100)).toBe(9);
+    expect(ratingToStars('', 10)).toBeNull();
+    expect(ratingToStars('n/a', 10)).toBeNull();
+  });
+
+  test('should read rows with executables, tags and IGDB ids', async () => {
+    fs.mkdirSync(path.join(tmpDir, 'bin'));
+    fs.writeFileSync(path.join(tmpDir, 'bin', 'doom.exe'), '');
+    fs.writeFileSync(path.join(tmpDir, 'bin', 'quake.sh'), '#!/bin/sh\n');
+    const csvPath = path.join(tmpDir, 'games.csv');
+    fs.writeFileSync(csvPath, [
+      'Game;Year;Score;Shelf;Path;IGDB',
+      'Doom;1993;5;"Shooters, Boxed";bin/doom.exe;',
+      'Quake;1996;;Shooters;bin/quake.sh|bin/missing.exe;333',
+      'Doom;1993;4;;;',
+    ].join('\n'));
+
+    const { readSpreadsheetGames } = await modulePromise;
+    const games = readSpreadsheetGames(csvPath, { columns: 'title=Game,rating=Score,tags=Shelf,executable=Path', ratingScale: 5 });
+
+    expect(games).toHaveLength(2);
+    const [doom, quake] = games;
+    expect(doom).toMatchObject({ key: 'doom_1993', title: 'Doom', igdbId: null, stars: 10, collections: ['Shooters', 'Boxed'] });
+    expect(doom.executables).toHaveLength(1);
+    expect(doom.executables[0].label).toBe('doom');
+    expect(fs.readFileSync(doom.executables[0].path, 'utf-8')).toContain(path.join(tmpDir, 'bin', 'doom.exe'));
+    expect(quake).toMatchObject({ igdbId: '333', stars: null, collections: ['Shooters'] });
+    expect(quake.executables).toEqual([{ path: path.join(tmpDir, 'bin', 'quake.sh'), label: 'quake' }]);
+  });
+
+  test('should write a launch script per executable path for games with the same title', async () => {
+    for (const dir of ['doom1993', 'doom2016']) {
+      fs.mkdirSync(path.join(tmpDir, dir));
+      fs.writeFileSync(path.join(tmpDir, dir, 'doom.exe'), '');
+    }
+    const csvPath = path.join(tmpDir, 'games.csv');
+    fs.writeFileSync(csvPath, [
+      'Title;Release Date;Executable',
+      'Doom;1993;doom1993/doom.exe',
+      'Doom;2016;doom2016/doom.exe',
+      'ドゥーム;;doom1993/doom.exe',
+      'クエイク;;doom2016/doom.exe',
+    ].join('\n'));
+
+    const { readSpreadsheetGames } = await modulePromise;
+    const [doom1993, doom2016, first, second] = readSpreadsheetGames(csvPath, {});
+
+    expect(doom1993.executables[0].path).not.toBe(doom2016.executables[0].path);
+    expect(first.executables[0].path).not.toBe(second.executables[0].path);
+    expect(fs.readFileSync(doom2016.executables[0].path, 'utf-8')).toContain(path.join(tmpDir, 'doom2016', 'doom.exe'));
+  });
+
+  test('should import rows, skipping search for rows with an IGDB id', async () => {
+    const metadataPath = path.join(tmpDir, 'metadata');
+    fs.mkdirSync(metadataPath);
+    const jsonPath = path.join(tmpDir, 'games.json');
+    fs.writeFileSync(jsonPath, JSON.stringify({
+      games: [
+        { name: 'Doom', year: 1993, tags: ['Boxed'] },
+        { name: 'Quake', year: 1996, igdb: 333, tags: 'Boxed' },
+      ],
+    }));
+    mockGetExistingGameIds.mockResolvedValue(new Set());
+    mockSearchGameOnServer.mockResolvedValue([{ id: 111, name: 'Doom' }]);
+    mockGetGameDetailsFromServer.mockImplementation(async (id) => ({ id, name: id === 111 ? 'Doom' : 'Quake' }));
+    mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+    mockCreateCollectionViaAPI.mockResolvedValue({ collection: { id: 5 } });
+    mockUpdateCollectionGamesViaAPI.mockResolvedValue({ status: 'success' });
+
+    const { importFromCsv } = await modulePromise;
+    await importFromCsv({
+      csvPath: jsonPath,
+      metadataPath,
+      serverUrl: 'http://localhost:3000',
+      apiToken: 'token',
+      twitchClientId: 'clientId',
+      twitchClientSecret: 'clientSecret',
+    });
+
+    expect(mockSearchGameOnServer).toHaveBeenCalledTimes(1);
+    expect(mockSearchGameOnServer.mock.calls[0][0]).toBe('Doom');
+    expect(mockGetGameDetailsFromServer).toHaveBeenCalledWith(333, 'http://localhost:3000', 'token', 'clientId', 'clientSecret');
+    expect(mockCreateGameViaAPI).toHaveBeenCalledWith(expect.objectContaining({ igdbId: 333, name: 'Quake' }), 'http://localhost:3000', 'token');
+    expect(mockCreateCollectionViaAPI).toHaveBeenCalledWith('Boxed', '', 'http://localhost:3000', 'token');
+    expect(mockUpdateCollectionGamesViaAPI).toHaveBeenCalledWith(5, [111, 333], 'http://localhost:3000', 'token');
+
+    const importMap = JSON.parse(fs.readFileSync(path.join(metadataPath, 'importer', 'csv-game-map.json'), 'utf-8'));
+    expect(Object.keys(importMap)).toEqual(['doom_1993', 'quake_1996']);
+  });
+
+  test('should send the rating of a game already on the server', async () => {
+    const metadataPath = path.join(tmpDir, 'metadata');
+    fs.mkdirSync(metadataPath);
+    const csvPath = path.join(tmpDir, 'games.csv');
+    fs.writeFileSync(csvPath, ['Title;Rating', 'Doom;8', 'Quake;'].join('\n'));
+    mockGetExistingGameIds.mockResolvedValue(new Set([111, 222]));
+    mockSearchGameOnServer.mockImplementation(async (title) => [{ id: title === 'Doom' ? 111 : 222, name: title }]);
+    mockUpdateGameViaAPI.mockResolvedValue({ status: 'success' });
+
+    const { importFromCsv } = await modulePromise;
+    await importFromCsv({
+      csvPath,
+      metadataPath,
+      serverUrl: 'http://localhost:3000',
+      apiToken: 'token',
+      twitchClientId: 'clientId',
+      twitchClientSecret: 'clientSecret',
+      gamesOnly: true,
+    });
+
+    expect(mockCreateGameViaAPI).not.toHaveBeenCalled();
+    expect(mockUpdateGameViaAPI).toHaveBeenCalledTimes(1);
+    expect(mockUpdateGameViaAPI).toHaveBeenCalledWith(111, { stars: 8 }, 'http://localhost:3000', 'token');
+  });
+});
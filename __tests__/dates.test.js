@@ -0,0 +1,21 @@
+// Test suite for date conversion helpers
+import { toUnixTimestamp, parseReleaseDateInput } from '../importers/common/dates.js';
+
+describe('Dates', () => {
+  describe('toUnixTimestamp', () => {
+    test('should read 4-digit years as January 1st of that year', () => {
+      const year1994 = Date.UTC(1994, 0, 1) / 1000;
+      expect(toUnixTimestamp(1994)).toBe(year1994);
+      expect(toUnixTimestamp('1994')).toBe(year1994);
+      expect(parseReleaseDateInput(1994)).toBe(year1994);
+    });
+
+    test('should read seconds, milliseconds and ISO dates', () => {
+      expect(toUnixTimestamp(1431993600)).toBe(1431993600);
+      expect(toUnixTimestamp(1431993600000)).toBe(1431993600);
+      expect(toUnixTimestamp('2015-05-19')).toBe(1431993600);
+      expect(toUnixTimestamp(new Date('2015-05-19T00:00:00Z'))).toBe(1431993600);
+      expect(toUnixTimestamp('')).toBeNull();
+    });
+  });
+});
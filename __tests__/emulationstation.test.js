@@ -0,0 +1,167 @@
+// Test suite for EmulationStation / ES-DE importer
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockSearchGameOnServer = jest.fn();
+const mockGetGameDetailsFromServer = jest.fn();
+const mockCreateGameViaAPI = jest.fn();
+const mockUploadCoverViaAPI = jest.fn();
+const mockCreateCollectionViaAPI = jest.fn();
+const mockUpdateCollectionGamesViaAPI = jest.fn();
+const mockGetExistingGameIds = jest.fn();
+
+jest.unstable_mockModule('../importers/common/igdb.js', () => ({
+  searchGameOnServer: mockSearchGameOnServer,
+  getGameDetailsFromServer: mockGetGameDetailsFromServer,
+  createGameViaAPI: mockCreateGameViaAPI,
+  getGameViaAPI: jest.fn(),
+  updateGameViaAPI: jest.fn().mockResolvedValue({}),
+  uploadExecutableViaAPI: jest.fn(),
+  uploadCoverViaAPI: mockUploadCoverViaAPI,
+  uploadBackgroundViaAPI: jest.fn(),
+  findGameByExternalIdOnServer: jest.fn(),
+  uploadIconViaAPI: jest.fn(),
+  uploadLogoViaAPI: jest.fn(),
+  updateAchievementsViaAPI: jest.fn(),
+  createCollectionViaAPI: mockCreateCollectionViaAPI,
+  updateCollectionGamesViaAPI: mockUpdateCollectionGamesViaAPI,
+  getCollectionsViaAPI: jest.fn().mockResolvedValue([]),
+  getExistingGameIds: mockGetExistingGameIds,
+}));
+
+const modulePromise = import('../importers/emulationstation/index.js');
+
+const SNES_GAMELIST = `<?xml version="1.0"?>
+<gameList>
+  <game id="1">
+    <path>./Super Metroid (USA).sfc</path>
+    <name>Super Metroid</name>
+    <desc>Samus returns to Zebes &amp; fights Mother Brain.</desc>
+    <image>./images/Super Metroid (USA)-image.png</image>
+    <rating>0.9</rating>
+    <releasedate>19940318T000000</releasedate>
+    <genre>Action / Platform</genre>
+    <favorite>true</favorite>
+    <lastplayed>20240102T101500</lastplayed>
+  </game>
+  <folder>
+    <path>./Multi Disc</path>
+    <name>Multi Disc</name>
+  </folder>
+</gameList>
+`;
+
+const MEGADRIVE_GAMELIST = `<?xml version="1.0"?>
+<gameList>
+  <game>
+    <path>./Sonic The Hedgehog (USA, Europe).md</path>
+  </game>
+</gameList>
+`;
+
+describe('EmulationStation / ES-DE Importer', () => {
+  let rootDir;
+  let gamelistsPath;
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mhg-es-'));
+    gamelistsPath = path.join(rootDir, 'gamelists');
+    fs.mkdirSync(path.join(gamelistsPath, 'snes', 'images'), { recursive: true });
+    fs.mkdirSync(path.join(gamelistsPath, 'megadrive'), { recursive: true });
+    fs.mkdirSync(path.join(gamelistsPath, 'empty'), { recursive: true });
+    fs.writeFileSync(path.join(gamelistsPath, 'snes', 'gamelist.xml'), SNES_GAMELIST);
+    fs.writeFileSync(path.join(gamelistsPath, 'snes', 'images', 'Super Metroid (USA)-image.png'), 'png');
+    fs.writeFileSync(path.join(gamelistsPath, 'megadrive', 'gamelist.xml'), MEGADRIVE_GAMELIST);
+    // ES-DE keeps scraped media next to the gamelists directory
+    const coversDir = path.join(rootDir, 'downloaded_media', 'megadrive', 'covers');
+    fs.mkdirSync(coversDir, { recursive: true });
+    fs.writeFileSync(path.join(coversDir, 'Sonic The Hedgehog (USA, Europe).jpg'), 'jpg');
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+    jest.resetAllMocks();
+  });
+
+  test('should parse EmulationStation dates', async () => {
+    const { parseEsDate } = await modulePromise;
+    expect(parseEsDate('19940318T000000')).toBe(Date.UTC(1994, 2, 18) / 1000);
+    expect(parseEsDate('20240102T101500')).toBe(Date.UTC(2024, 0, 2, 10, 15) / 1000);
+    expect(parseEsDate('19940000')).toBe(Date.UTC(1994, 0, 1) / 1000);
+    expect(parseEsDate('')).toBeNull();
+    expect(parseEsDate('not-a-date')).toBeNull();
+  });
+
+  test('should read metadata, box art and system collections from every gamelist', async () => {
+    const { readEmulationStationGames } = await modulePromise;
+    const games = readEmulationStationGames(gamelistsPath);
+
+    expect(games).toHaveLength(2);
+    const [sonic, metroid] = games;
+
+    expect(metroid).toMatchObject({
+      key: 'snes/Super Metroid (USA).sfc',
+      title: 'Super Metroid',
+      platform: 'snes',
+      releaseDate: Date.UTC(1994, 2, 18) / 1000,
+      stars: 9,
+      summary: 'Samus returns to Zebes & fights Mother Brain.',
+      genres: ['Action', 'Platform'],
+      coverPath: path.join(gamelistsPath, 'snes', 'images', 'Super Metroid (USA)-image.png'),
+      collections: ['snes', 'Favorites'],
+    });
+
+    expect(sonic).toMatchObject({
+      title: 'Sonic The Hedgehog (USA, Europe)',
+      platform: 'megadrive',
+      stars: null,
+      summary: null,
+      genres: [],
+      coverPath: path.join(rootDir, 'downloaded_media', 'megadrive', 'covers', 'Sonic The Hedgehog (USA, Europe).jpg'),
+      collections: ['megadrive'],
+    });
+  });
+
+  test('should read a single system directory', async () => {
+    const { readEmulationStationGames } = await modulePromise;
+    const games = readEmulationStationGames(path.join(gamelistsPath, 'snes'));
+    expect(games.map((game) => game.key)).toEqual(['snes/Super Metroid (USA).sfc']);
+  });
+
+  test('should search with the system as platform hint, keep curated metadata and upload box art', async () => {
+    const metadataPath = path.join(rootDir, 'metadata');
+    fs.mkdirSync(metadataPath);
+    mockGetExistingGameIds.mockResolvedValue(new Set());
+    mockSearchGameOnServer.mockImplementation(async (title) => (title === 'Super Metroid' ? [{ id: 1103, name: 'Super Metroid' }] : []));
+    mockGetGameDetailsFromServer.mockResolvedValue({ id: 1103, name: 'Super Metroid', summary: '', genres: null });
+    mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+    mockUploadCoverViaAPI.mockResolvedValue({ status: 'success' });
+    mockCreateCollectionViaAPI.mockResolvedValue({ collection: { id: 3 } });
+    mockUpdateCollectionGamesViaAPI.mockResolvedValue({ status: 'success' });
+
+    const { importFromEmulationStation } = await modulePromise;
+    await importFromEmulationStation({
+      esGamelistsPath: gamelistsPath,
+      metadataPath,
+      serverUrl: 'http://localhost:3000',
+      apiToken: 'token',
+      twitchClientId: 'clientId',
+      twitchClientSecret: 'clientSecret',
+    });
+
+    expect(mockSearchGameOnServer).toHaveBeenCalledWith('Super Metroid', 'http://localhost:3000', 'token', 'clientId', 'clientSecret', Date.UTC(1994, 2, 18) / 1000, 'snes');
+    expect(mockCreateGameViaAPI).toHaveBeenCalledWith(expect.objectContaining({
+      igdbId: 1103,
+      stars: 9,
+      summary: 'Samus returns to Zebes & fights Mother Brain.',
+      genres: ['Action', 'Platform'],
+    }), 'http://localhost:3000', 'token');
+    expect(mockUploadCoverViaAPI).toHaveBeenCalledWith(1103, path.join(gamelistsPath, 'snes', 'images', 'Super Metroid (USA)-image.png'), 'http://localhost:3000', 'token');
+    expect(mockCreateCollectionViaAPI).toHaveBeenCalledWith('snes', '', 'http://localhost:3000', 'token');
+    expect(mockCreateCollectionViaAPI).toHaveBeenCalledWith('Favorites', '', 'http://localhost:3000', 'token');
+    // "megadrive" only holds an unmatched game
+    expect(mockCreateCollectionViaAPI).toHaveBeenCalledTimes(2);
+  });
+});
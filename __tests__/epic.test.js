@@ -0,0 +1,124 @@
+// Test suite for Epic Games Launcher importer
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockSearchGameOnServer = jest.fn();
+const mockGetGameDetailsFromServer = jest.fn();
+const mockCreateGameViaAPI = jest.fn();
+const mockUploadExecutableViaAPI = jest.fn();
+const mockGetExistingGameIds = jest.fn();
+
+jest.unstable_mockModule('../importers/common/igdb.js', () => ({
+  searchGameOnServer: mockSearchGameOnServer,
+  getGameDetailsFromServer: mockGetGameDetailsFromServer,
+  createGameViaAPI: mockCreateGameViaAPI,
+  getGameViaAPI: jest.fn(),
+  updateGameViaAPI: jest.fn(),
+  uploadExecutableViaAPI: mockUploadExecutableViaAPI,
+  uploadCoverViaAPI: jest.fn(),
+  uploadBackgroundViaAPI: jest.fn(),
+  findGameByExternalIdOnServer: jest.fn(),
+  uploadIconViaAPI: jest.fn(),
+  uploadLogoViaAPI: jest.fn(),
+  updateAchievementsViaAPI: jest.fn(),
+  createCollectionViaAPI: jest.fn(),
+  updateCollectionGamesViaAPI: jest.fn(),
+  getCollectionsViaAPI: jest.fn().mockResolvedValue([]),
+  getExistingGameIds: mockGetExistingGameIds,
+}));
+
+const modulePromise = import('../importers/epic/index.js');
+
+function writeManifest(dir, name, manifest) {
+  fs.writeFileSync(path.join(dir, `${name}.item`), JSON.stringify(manifest));
+}
+
+describe('Epic Games Launcher Importer', () => {
+  let manifestsPath;
+
+  beforeEach(() => {
+    manifestsPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mhg-epic-'));
+    writeManifest(manifestsPath, 'A1', {
+      DisplayName: 'Control',
+      AppName: 'Sugar',
+      MainGameAppName: 'Sugar',
+      CatalogNamespace: 'calluna',
+      CatalogItemId: 'c0ffee',
+      InstallLocation: manifestsPath,
+      AppCategories: ['public', 'games', 'applications'],
+    });
+    writeManifest(manifestsPath, 'A2', {
+      DisplayName: 'Control - AWE',
+      AppName: 'SugarDLC',
+      MainGameAppName: 'Sugar',
+      AppCategories: ['public', 'addons'],
+    });
+    writeManifest(manifestsPath, 'A3', {
+      DisplayName: 'Unreal Engine',
+      AppName: 'UE_5.3',
+      MainGameAppName: 'UE_5.3',
+      AppCategories: ['engines'],
+    });
+    writeManifest(manifestsPath, 'A4', {
+      DisplayName: 'Celeste',
+      AppName: 'Salt',
+      MainGameAppName: 'Salt',
+      InstallLocation: path.join(manifestsPath, 'missing'),
+      AppCategories: ['games'],
+    });
+    writeManifest(manifestsPath, 'A5', { DisplayName: 'Half Downloaded', AppName: 'Half', bIsIncompleteInstall: true });
+    fs.writeFileSync(path.join(manifestsPath, 'broken.item'), '{');
+  });
+
+  afterEach(() => {
+    fs.rmSync(manifestsPath, { recursive: true, force: true });
+    jest.resetAllMocks();
+  });
+
+  test('should build the launcher URL', async () => {
+    const { buildEpicLaunchUrl } = await modulePromise;
+    expect(buildEpicLaunchUrl({ CatalogNamespace: 'calluna', CatalogItemId: 'c0ffee', AppName: 'Sugar' }))
+      .toBe('com.epicgames.launcher://apps/calluna%3Ac0ffee%3ASugar?action=launch&silent=true');
+  });
+
+  test('should read installed games keyed by releaseKey, skipping DLC, engines and incomplete installs', async () => {
+    const { readEpicGames } = await modulePromise;
+    const games = readEpicGames(manifestsPath);
+
+    expect(games.map((game) => game.key)).toEqual(['epic_Sugar', 'epic_Salt']);
+    const [control, celeste] = games;
+    expect(control).toMatchObject({ title: 'Control', releaseDate: null });
+    expect(control.executables[0].label).toBe('Epic Games');
+    expect(fs.readFileSync(control.executables[0].path, 'utf-8')).toContain('com.epicgames.launcher://apps/calluna%3Ac0ffee%3ASugar');
+    expect(celeste.executables).toEqual([]);
+  });
+
+  test('should import games and upload launch scripts', async () => {
+    const metadataPath = path.join(manifestsPath, 'metadata');
+    fs.mkdirSync(metadataPath);
+    mockGetExistingGameIds.mockResolvedValue(new Set());
+    mockSearchGameOnServer.mockImplementation(async (title) => [{ id: title === 'Control' ? 1 : 2, name: title }]);
+    mockGetGameDetailsFromServer.mockImplementation(async (id) => ({ id, name: id === 1 ? 'Control' : 'Celeste' }));
+    mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+    mockUploadExecutableViaAPI.mockResolvedValue({ status: 'success' });
+
+    const { importFromEpic } = await modulePromise;
+    await importFromEpic({
+      epicManifestsPath: manifestsPath,
+      metadataPath,
+      serverUrl: 'http://localhost:3000',
+      apiToken: 'token',
+      twitchClientId: 'clientId',
+      twitchClientSecret: 'clientSecret',
+    });
+
+    expect(mockCreateGameViaAPI).toHaveBeenCalledTimes(2);
+    expect(mockUploadExecutableViaAPI).toHaveBeenCalledTimes(1);
+    expect(mockUploadExecutableViaAPI).toHaveBeenCalledWith(1, expect.stringContaining('epic_Sugar'), 'Epic Games', 'http://localhost:3000', 'token');
+
+    const importMap = JSON.parse(fs.readFileSync(path.join(metadataPath, 'importer', 'epic-releasekey-map.json'), 'utf-8'));
+    expect(importMap.epic_Sugar.igdbId).toBe(1);
+  });
+});
@@ -1,8 +1,12 @@
 // Test suite for GOG Galaxy importer
 import { jest } from '@jest/globals';
 import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
 
 const mockSearchGameOnServer = jest.fn();
+const mockFindGameByExternalIdOnServer = jest.fn(async () => []);
 const mockGetGameDetailsFromServer = jest.fn();
 const mockCreateGameViaAPI = jest.fn();
 const mockGetGameViaAPI = jest.fn();
@@ -10,11 +14,17 @@ const mockUpdateGameViaAPI = jest.fn();
 const mockUploadExecutableViaAPI = jest.fn();
 const mockUploadCoverViaAPI = jest.fn();
 const mockUploadBackgroundViaAPI = jest.fn();
+const mockUploadIconViaAPI = jest.fn();
+const mockUploadLogoViaAPI = jest.fn();
+const mockUpdateAchievementsViaAPI = jest.fn();
 const mockCreateCollectionViaAPI = jest.fn();
 const mockUpdateCollectionGamesViaAPI = jest.fn();
 const mockGetCollectionsViaAPI = jest.fn();
 const mockGetExistingGameIds = jest.fn();
 let mockDbRows = [];
+// Rows for queries reading other tables (sqlite_master, GameTimes, ...), by table name.
+// A function receives the SQL, for tables read by several queries.
+let mockDbTables = {};
 
 jest.unstable_mockModule('../importers/common/igdb.js', () => ({
   searchGameOnServer: mockSearchGameOnServer,
@@ -25,16 +35,43 @@ jest.unstable_mockModule('../importers/common/igdb.js', () => ({
   uploadExecutableViaAPI: mockUploadExecutableViaAPI,
   uploadCoverViaAPI: mockUploadCoverViaAPI,
   uploadBackgroundViaAPI: mockUploadBackgroundViaAPI,
+  findGameByExternalIdOnServer: mockFindGameByExternalIdOnServer,
+  uploadIconViaAPI: mockUploadIconViaAPI,
+  uploadLogoViaAPI: mockUploadLogoViaAPI,
+  updateAchievementsViaAPI: mockUpdateAchievementsViaAPI,
   createCollectionViaAPI: mockCreateCollectionViaAPI,
   updateCollectionGamesViaAPI: mockUpdateCollectionGamesViaAPI,
   getCollectionsViaAPI: mockGetCollectionsViaAPI,
   getExistingGameIds: mockGetExistingGameIds,
 }));
 
+// Tables and columns every Galaxy database has (checked up front by the importer);
+// tests add other tables through mockDbTables.sqlite_master and their columns through mockDbTables.pragma_table_info
+const MOCK_GALAXY_SCHEMA = {
+  GamePieces: ['releaseKey', 'gamePieceTypeId', 'value'],
+  LibraryReleases: ['releaseKey'],
+  PlayTasks: ['id', 'gameReleaseKey'],
+  PlayTaskLaunchParameters: ['playTaskId', 'executablePath', 'label'],
+  UserReleaseTags: ['releaseKey', 'tag'],
+};
+let mockGalaxySchema = MOCK_GALAXY_SCHEMA;
+
 class MockDatabase {
-  prepare() {
+  prepare(sql) {
+    const table = Object.keys(mockDbTables).find((name) => new RegExp(`FROM\\s+${name}\\b`).test(sql));
+    const pragmaTable = /pragma_table_info\('(\w+)'\)/.exec(sql)?.[1];
     return {
-      all: () => mockDbRows,
+      all: () => {
+        if (/FROM\s+sqlite_master\b/.test(sql)) {
+          return [...Object.keys(mockGalaxySchema).map((name) => ({ name })), ...(mockDbTables.sqlite_master || [])];
+        }
+        if (mockGalaxySchema[pragmaTable]) {
+          return mockGalaxySchema[pragmaTable].map((name) => ({ name }));
+        }
+        if (!table) return mockDbRows;
+        const rows = mockDbTables[table];
+        return typeof rows === 'function' ? rows(sql) : rows;
+      },
     };
   }
   close() {}
@@ -929,4 +966,1408 @@ describe('GOG Galaxy Importer', () => {
       writeSpy.mockRestore();
     });
   });
+
+  describe('Play statistics', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      mockDbTables = {};
+      mockUpdateGameViaAPI.mockReset();
+      mockUploadExecutableViaAPI.mockReset();
+      mockGetExistingGameIds.mockReset();
+    });
+
+    test('should send GameTimes minutes and LastPlayedDates timestamp for imported games', async () => {
+      mockGetExistingGameIds.mockResolvedValue(new Set());
+      const releaseKey = 'gog_1207658924';
+      const metadataPath = '/tmp/metadata';
+      const importMapPath = `${metadataPath}/importer/gog-galaxy-releasekey-map.json`;
+
+      mockDbRows = [
+        { releaseKey, title: 'Test Game', executablePath: null, label: null, myRating: null, releaseDate: null },
+      ];
+      mockDbTables = {
+        sqlite_master: [{ name: 'GameTimes' }, { name: 'LastPlayedDates' }],
+        GameTimes: [{ releaseKey, minutesInGame: 95 }, { releaseKey: 'gog_other', minutesInGame: 0 }],
+        LastPlayedDates: [{ releaseKey, lastPlayedDate: '2024-03-01 20:15:00' }],
+      };
+
+      jest.spyOn(fs, 'existsSync').mockImplementation((p) => p === '/tmp/db' || p === metadataPath || p === importMapPath);
+      jest.spyOn(fs, 'readFileSync').mockImplementation((p) => (
+        p === importMapPath ? JSON.stringify({ [releaseKey]: { igdbId: 999, title: 'Test Game' } }) : ''
+      ));
+      jest.spyOn(fs, 'mkdirSync').mockImplementation(() => {});
+      jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {});
+
+      const { importFromGOGGalaxy } = await modulePromise;
+      await importFromGOGGalaxy({
+        galaxyDbPath: '/tmp/db',
+        galaxyImagesPath: '/tmp/images',
+        metadataPath,
+        serverUrl: 'http://localhost:3000',
+        apiToken: 'token',
+        twitchClientId: 'clientId',
+        twitchClientSecret: 'clientSecret',
+        gamesOnly: true,
+        upload: true,
+      });
+
+      expect(mockUpdateGameViaAPI).toHaveBeenCalledWith(
+        999,
+        { playtime: 95, lastPlayed: Date.UTC(2024, 2, 1, 20, 15) / 1000 },
+        'http://localhost:3000',
+        'token'
+      );
+    });
+
+    test('should not send play statistics when the tables are missing', async () => {
+      mockGetExistingGameIds.mockResolvedValue(new Set());
+      const metadataPath = '/tmp/metadata';
+      const importMapPath = `${metadataPath}/importer/gog-galaxy-releasekey-map.json`;
+      mockDbRows = [
+        { releaseKey: 'gog_1', title: 'Test Game', executablePath: null, label: null, myRating: null, releaseDate: null },
+      ];
+      mockDbTables = { sqlite_master: [{ name: 'GamePieces' }] };
+
+      jest.spyOn(fs, 'existsSync').mockImplementation((p) => p === '/tmp/db' || p === metadataPath || p === importMapPath);
+      jest.spyOn(fs, 'readFileSync').mockImplementation((p) => (
+        p === importMapPath ? JSON.stringify({ gog_1: { igdbId: 999, title: 'Test Game' } }) : ''
+      ));
+      jest.spyOn(fs, 'mkdirSync').mockImplementation(() => {});
+      jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {});
+
+      const { importFromGOGGalaxy } = await modulePromise;
+      await importFromGOGGalaxy({
+        galaxyDbPath: '/tmp/db',
+        galaxyImagesPath: '/tmp/images',
+        metadataPath,
+        serverUrl: 'http://localhost:3000',
+        apiToken: 'token',
+        twitchClientId: 'clientId',
+        twitchClientSecret: 'clientSecret',
+        gamesOnly: true,
+        upload: true,
+      });
+
+      expect(mockUpdateGameViaAPI).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Achievements', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      mockDbTables = {};
+      mockUpdateAchievementsViaAPI.mockReset();
+      mockUploadExecutableViaAPI.mockReset();
+      mockGetExistingGameIds.mockReset();
+    });
+
+    test('should upload locked and unlocked achievements after the executables', async () => {
+      mockGetExistingGameIds.mockResolvedValue(new Set());
+      mockUpdateAchievementsViaAPI.mockResolvedValue({ status: 'success' });
+      const releaseKey = 'gog_1207658924';
+      const metadataPath = '/tmp/metadata';
+      const importMapPath = `${metadataPath}/importer/gog-galaxy-releasekey-map.json`;
+
+      mockDbRows = [
+        { releaseKey, title: 'Test Game', executablePath: null, label: null, myRating: null, releaseDate: null },
+      ];
+      mockDbTables = {
+        sqlite_master: [{ name: 'Achievements' }, { name: 'UserAchievements' }],
+        pragma_table_info: [{ name: 'id' }, { name: 'releaseKey' }, { name: 'achievementKey' }, { name: 'name' }, { name: 'description' }],
+        Achievements: [
+          { releaseKey, achievementKey: 'first_blood', name: 'First Blood', description: 'Win a fight', unlockTime: '2024-03-01 20:15:00' },
+          { releaseKey, achievementKey: 'pacifist', name: 'Pacifist', description: null, unlockTime: null },
+        ],
+      };
+
+      jest.spyOn(fs, 'existsSync').mockImplementation((p) => p === '/tmp/db' || p === metadataPath || p === importMapPath);
+      jest.spyOn(fs, 'readFileSync').mockImplementation((p) => (
+        p === importMapPath ? JSON.stringify({ [releaseKey]: { igdbId: 999, title: 'Test Game' } }) : ''
+      ));
+      jest.spyOn(fs, 'mkdirSync').mockImplementation(() => {});
+      jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {});
+
+      const { importFromGOGGalaxy } = await modulePromise;
+      await importFromGOGGalaxy({
+        galaxyDbPath: '/tmp/db',
+        galaxyImagesPath: '/tmp/images',
+        metadataPath,
+        serverUrl: 'http://localhost:3000',
+        apiToken: 'token',
+        twitchClientId: 'clientId',
+        twitchClientSecret: 'clientSecret',
+        gamesOnly: true,
+        upload: true,
+      });
+
+      expect(mockUpdateAchievementsViaAPI).toHaveBeenCalledWith(
+        999,
+        [
+          { key: 'first_blood', name: 'First Blood', description: 'Win a fight', unlocked: true, unlockedAt: Date.UTC(2024, 2, 1, 20, 15) / 1000 },
+          { key: 'pacifist', name: 'Pacifist', description: '', unlocked: false, unlockedAt: null },
+        ],
+        'http://localhost:3000',
+        'token'
+      );
+    });
+
+    test('should not fail the import when the achievements upload fails', async () => {
+      mockUpdateAchievementsViaAPI.mockRejectedValue(new Error('HTTP 404'));
+      jest.spyOn(fs, 'existsSync').mockReturnValue(false);
+
+      const { importGame } = await modulePromise;
+      const result = await importGame(
+        'Test Game', 'gog_1', [], '/tmp/metadata', '/tmp/images', 'http://localhost:3000', 'token', 'clientId', 'clientSecret',
+        null, null, null,
+        { igdbId: 999, skipSearch: true, skipCreate: true, skipIgdbFetch: true, achievements: [{ key: 'a', name: 'A', description: '', unlocked: true, unlockedAt: 1 }] }
+      );
+
+      expect(mockUpdateAchievementsViaAPI).toHaveBeenCalledTimes(1);
+      expect(result.gameId).toBe(999);
+    });
+  });
+
+  describe('Hidden, installed and favourite games', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      mockDbTables = {};
+      mockSearchGameOnServer.mockReset();
+      mockGetGameDetailsFromServer.mockReset();
+      mockCreateGameViaAPI.mockReset();
+      mockCreateCollectionViaAPI.mockReset();
+      mockUpdateCollectionGamesViaAPI.mockReset();
+      mockGetCollectionsViaAPI.mockReset();
+      mockGetExistingGameIds.mockReset();
+    });
+
+    test('should skip hidden and uninstalled games and create a Favorites collection', async () => {
+      const metadataPath = '/tmp/metadata';
+      const ids = { Hidden: 1, Installed: 2, 'External Installed': 3, 'Not Installed': 4 };
+      mockDbRows = [
+        { releaseKey: 'gog_1', title: 'Hidden', executablePath: null, label: null, myRating: null, releaseDate: null },
+        { releaseKey: 'gog_2', title: 'Installed', executablePath: null, label: null, myRating: null, releaseDate: null },
+        { releaseKey: 'steam_3', title: 'External Installed', executablePath: null, label: null, myRating: null, releaseDate: null },
+        { releaseKey: 'gog_4', title: 'Not Installed', executablePath: null, label: null, myRating: null, releaseDate: null },
+      ];
+      mockDbTables = {
+        sqlite_master: [
+          { name: 'UserReleaseProperties' },
+          { name: 'UserReleaseTags' },
+          { name: 'InstalledProducts' },
+          { name: 'InstalledExternalProducts' },
+          { name: 'Platforms' },
+        ],
+        pragma_table_info: [{ name: 'releaseKey' }, { name: 'isHidden' }, { name: 'isFavorite' }],
+        UserReleaseProperties: (sql) => (sql.includes('isHidden')
+          ? [{ releaseKey: 'gog_1' }]
+          : [{ releaseKey: 'gog_1' }, { releaseKey: 'gog_2' }]),
+        UserReleaseTags: [],
+        InstalledProducts: [{ releaseKey: 'gog_1' }, { releaseKey: 'gog_2' }],
+        InstalledExternalProducts: [{ releaseKey: 'steam_3' }],
+      };
+
+      mockGetExistingGameIds.mockResolvedValue(new Set());
+      mockSearchGameOnServer.mockImplementation(async (title) => [{ id: ids[title], name: title }]);
+      mockGetGameDetailsFromServer.mockImplementation(async (id) => ({ id, name: Object.keys(ids).find((title) => ids[title] === id) }));
+      mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+      mockGetCollectionsViaAPI.mockResolvedValue([]);
+      mockCreateCollectionViaAPI.mockResolvedValue({ collection: { id: 'favorites' } });
+      mockUpdateCollectionGamesViaAPI.mockResolvedValue({ status: 'success' });
+
+      jest.spyOn(fs, 'existsSync').mockImplementation((p) => p === '/tmp/db' || p === metadataPath);
+      jest.spyOn(fs, 'mkdirSync').mockImplementation(() => {});
+      jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {});
+
+      const { importFromGOGGalaxy } = await modulePromise;
+      await importFromGOGGalaxy({
+        galaxyDbPath: '/tmp/db',
+        galaxyImagesPath: '/tmp/images',
+        metadataPath,
+        serverUrl: 'http://localhost:3000',
+        apiToken: 'token',
+        twitchClientId: 'clientId',
+        twitchClientSecret: 'clientSecret',
+        excludeGogHidden: true,
+        gogInstalledOnly: true,
+        gogFavoritesCollection: true,
+      });
+
+      expect(mockCreateGameViaAPI.mock.calls.map((call) => call[0].igdbId)).toEqual([2, 3]);
+      expect(mockCreateCollectionViaAPI).toHaveBeenCalledTimes(1);
+      expect(mockCreateCollectionViaAPI).toHaveBeenCalledWith('Favorites', '', 'http://localhost:3000', 'token');
+      expect(mockUpdateCollectionGamesViaAPI).toHaveBeenCalledWith('favorites', [2], 'http://localhost:3000', 'token');
+    });
+
+    test('should fail when installed-only is requested without installed-products tables', async () => {
+      const metadataPath = '/tmp/metadata';
+      mockDbRows = [];
+      mockDbTables = { sqlite_master: [{ name: 'GamePieces' }] };
+      jest.spyOn(fs, 'existsSync').mockImplementation((p) => p === '/tmp/db' || p === metadataPath);
+      jest.spyOn(fs, 'mkdirSync').mockImplementation(() => {});
+      jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {});
+
+      const { importFromGOGGalaxy } = await modulePromise;
+      await expect(importFromGOGGalaxy({
+        galaxyDbPath: '/tmp/db',
+        galaxyImagesPath: '/tmp/images',
+        metadataPath,
+        serverUrl: 'http://localhost:3000',
+        apiToken: 'token',
+        twitchClientId: 'clientId',
+        twitchClientSecret: 'clientSecret',
+        gogInstalledOnly: true,
+      })).rejects.toThrow('InstalledProducts');
+    });
+  });
+
+  describe('Platform filters', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      mockDbTables = {};
+      mockSearchGameOnServer.mockReset();
+      mockGetGameDetailsFromServer.mockReset();
+      mockCreateGameViaAPI.mockReset();
+      mockCreateCollectionViaAPI.mockReset();
+      mockUpdateCollectionGamesViaAPI.mockReset();
+      mockGetCollectionsViaAPI.mockReset();
+      mockGetExistingGameIds.mockReset();
+    });
+
+    test('should read the platform from the releaseKey prefix', async () => {
+      const { getReleasePlatform, parsePlatformList } = await modulePromise;
+      expect(getReleasePlatform('gog_1207658924')).toBe('gog');
+      expect(getReleasePlatform('battlenet_s2')).toBe('battlenet');
+      expect(getReleasePlatform('noprefix')).toBeNull();
+      expect([...parsePlatformList('GOG, epic_;steam')]).toEqual(['gog', 'epic', 'steam']);
+      expect(parsePlatformList('')).toBeNull();
+    });
+
+    test('should import only included platforms, record the platform and create store collections', async () => {
+      const metadataPath = '/tmp/metadata';
+      const ids = { 'GOG Game': 1, 'Steam Game': 2, 'Epic Game': 3 };
+      mockDbRows = [
+        { releaseKey: 'gog_1', title: 'GOG Game', executablePath: null, label: null, myRating: null, releaseDate: '1500000000' },
+        { releaseKey: 'steam_2', title: 'Steam Game', executablePath: null, label: null, myRating: null, releaseDate: null },
+        { releaseKey: 'epic_3', title: 'Epic Game', executablePath: null, label: null, myRating: null, releaseDate: null },
+      ];
+      mockDbTables = { UserReleaseTags: [{ tag: 'RPG', releaseKey: 'steam_2', releaseDate: null }] };
+
+      mockGetExistingGameIds.mockResolvedValue(new Set());
+      mockSearchGameOnServer.mockImplementation(async (title) => [{ id: ids[title], name: title }]);
+      mockGetGameDetailsFromServer.mockImplementation(async (id) => ({ id, name: Object.keys(ids).find((title) => ids[title] === id) }));
+      mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+      mockGetCollectionsViaAPI.mockResolvedValue([]);
+      mockCreateCollectionViaAPI.mockImplementation(async (title) => ({ collection: { id: title } }));
+      mockUpdateCollectionGamesViaAPI.mockResolvedValue({ status: 'success' });
+
+      jest.spyOn(fs, 'existsSync').mockImplementation((p) => p === '/tmp/db' || p === metadataPath);
+      jest.spyOn(fs, 'mkdirSync').mockImplementation(() => {});
+      const writeSpy = jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {});
+
+      const { importFromGOGGalaxy } = await modulePromise;
+      await importFromGOGGalaxy({
+        galaxyDbPath: '/tmp/db',
+        galaxyImagesPath: '/tmp/images',
+        metadataPath,
+        serverUrl: 'http://localhost:3000',
+        apiToken: 'token',
+        twitchClientId: 'clientId',
+        twitchClientSecret: 'clientSecret',
+        gogIncludePlatforms: 'gog,epic',
+        gogPlatformCollections: true,
+      });
+
+      expect(mockCreateGameViaAPI.mock.calls.map((call) => call[0].igdbId)).toEqual([1, 3]);
+      expect(mockCreateCollectionViaAPI.mock.calls.map((call) => call[0])).toEqual(['Epic Games', 'GOG']);
+      expect(mockUpdateCollectionGamesViaAPI).toHaveBeenCalledWith('GOG', [1], 'http://localhost:3000', 'token');
+      expect(mockUpdateCollectionGamesViaAPI).toHaveBeenCalledWith('Epic Games', [3], 'http://localhost:3000', 'token');
+
+      const mapWrite = writeSpy.mock.calls.find((call) => String(call[0]).endsWith('gog-galaxy-releasekey-map.json'));
+      const written = JSON.parse(mapWrite[1]);
+      expect(written.gog_1.platform).toBe('gog');
+      expect(written.epic_3.platform).toBe('epic');
+      expect(written.steam_2).toBeUndefined();
+    });
+
+    test('should apply LIMIT to the games left by the platform filters', async () => {
+      const ids = { 'GOG Game': 1, 'Epic Game': 3, 'Other GOG Game': 4 };
+      mockDbRows = [
+        { releaseKey: 'steam_2', title: 'Steam Game', executablePath: null, label: null, myRating: null, releaseDate: null },
+        { releaseKey: 'gog_1', title: 'GOG Game', executablePath: null, label: null, myRating: null, releaseDate: null },
+        { releaseKey: 'epic_3', title: 'Epic Game', executablePath: null, label: null, myRating: null, releaseDate: null },
+        { releaseKey: 'gog_4', title: 'Other GOG Game', executablePath: null, label: null, myRating: null, releaseDate: null },
+      ];
+      mockGetExistingGameIds.mockResolvedValue(new Set());
+      mockSearchGameOnServer.mockImplementation(async (title) => [{ id: ids[title], name: title }]);
+      mockGetGameDetailsFromServer.mockImplementation(async (id) => ({ id, name: Object.keys(ids).find((title) => ids[title] === id) }));
+      mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+
+      jest.spyOn(fs, 'existsSync').mockImplementation((p) => p === '/tmp/db' || p === '/tmp/metadata');
+      jest.spyOn(fs, 'mkdirSync').mockImplementation(() => {});
+      jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {});
+
+      const { importFromGOGGalaxy } = await modulePromise;
+      await importFromGOGGalaxy({
+        galaxyDbPath: '/tmp/db',
+        galaxyImagesPath: '/tmp/images',
+        metadataPath: '/tmp/metadata',
+        serverUrl: 'http://localhost:3000',
+        apiToken: 'token',
+        twitchClientId: 'clientId',
+        twitchClientSecret: 'clientSecret',
+        gamesOnly: true,
+        limit: 2,
+        gogIncludePlatforms: 'gog,epic',
+      });
+
+      expect(mockCreateGameViaAPI.mock.calls.map((call) => call[0].igdbId)).toEqual([1, 3]);
+    });
+  });
+
+  describe('Linked releases', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      mockDbTables = {};
+      mockSearchGameOnServer.mockReset();
+      mockGetGameDetailsFromServer.mockReset();
+      mockCreateGameViaAPI.mockReset();
+      mockUploadExecutableViaAPI.mockReset();
+      mockGetExistingGameIds.mockReset();
+    });
+
+    test('should import a game owned on GOG and Steam once with both executables', async () => {
+      const metadataPath = '/tmp/metadata';
+      mockDbRows = [
+        { releaseKey: 'steam_292030', title: 'The Witcher 3', executablePath: '/tmp/steam-witcher.sh', label: 'Steam', myRating: 5, releaseDate: null },
+        { releaseKey: 'gog_1207664663', title: 'The Witcher 3: Wild Hunt', executablePath: '/tmp/gog-witcher.sh', label: 'GOG', myRating: null, releaseDate: '1431993600' },
+        { releaseKey: 'gog_1', title: 'Other Game', executablePath: null, label: null, myRating: null, releaseDate: null },
+      ];
+      mockDbTables = {
+        sqlite_master: [{ name: 'GamePieces' }, { name: 'GamePieceTypes' }],
+        GamePieces: (sql) => {
+          if (sql.includes('allGameReleases')) {
+            return [{ releaseKey: 'gog_1207664663', value: JSON.stringify({ releases: ['gog_1207664663', 'steam_292030'] }) }];
+          }
+          return sql.includes('gpt.type IN') ? [] : mockDbRows;
+        },
+      };
+
+      mockGetExistingGameIds.mockResolvedValue(new Set());
+      mockSearchGameOnServer.mockImplementation(async (title) => (title === 'Other Game' ? [{ id: 7, name: title }] : [{ id: 1942, name: 'The Witcher 3: Wild Hunt' }]));
+      mockGetGameDetailsFromServer.mockImplementation(async (id) => ({ id, name: id === 7 ? 'Other Game' : 'The Witcher 3: Wild Hunt' }));
+      mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+      mockUploadExecutableViaAPI.mockResolvedValue({ status: 'success' });
+
+      jest.spyOn(fs, 'existsSync').mockImplementation((p) => ['/tmp/db', metadataPath, '/tmp/steam-witcher.sh', '/tmp/gog-witcher.sh'].includes(p));
+      jest.spyOn(fs, 'mkdirSync').mockImplementation(() => {});
+      const writeSpy = jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {});
+
+      const { importFromGOGGalaxy } = await modulePromise;
+      await importFromGOGGalaxy({
+        galaxyDbPath: '/tmp/db',
+        galaxyImagesPath: '/tmp/images',
+        metadataPath,
+        serverUrl: 'http://localhost:3000',
+        apiToken: 'token',
+        twitchClientId: 'clientId',
+        twitchClientSecret: 'clientSecret',
+        gamesOnly: true,
+      });
+
+      expect(mockCreateGameViaAPI.mock.calls.map((call) => call[0].igdbId)).toEqual([1942, 7]);
+      expect(mockCreateGameViaAPI.mock.calls[0][0].stars).toBe(10);
+      expect(mockUploadExecutableViaAPI.mock.calls.map((call) => [call[0], call[2]])).toEqual([[1942, 'GOG'], [1942, 'Steam']]);
+
+      const mapWrite = writeSpy.mock.calls.find((call) => String(call[0]).endsWith('gog-galaxy-releasekey-map.json'));
+      const written = JSON.parse(mapWrite[1]);
+      expect(written.gog_1207664663).toMatchObject({ igdbId: 1942, platform: 'gog' });
+      expect(written.steam_292030).toMatchObject({ igdbId: 1942, platform: 'steam' });
+    });
+  });
+
+  describe('Database schema', () => {
+    const config = {
+      galaxyDbPath: '/tmp/db',
+      galaxyImagesPath: '/tmp/images',
+      metadataPath: '/tmp/metadata',
+      serverUrl: 'http://localhost:3000',
+      apiToken: 'token',
+      twitchClientId: 'clientId',
+      twitchClientSecret: 'clientSecret',
+      gamesOnly: true,
+    };
+
+    beforeEach(() => {
+      mockGetExistingGameIds.mockResolvedValue(new Set());
+      mockSearchGameOnServer.mockResolvedValue([]);
+      jest.spyOn(fs, 'existsSync').mockImplementation((p) => p === '/tmp/db' || p === '/tmp/metadata');
+      jest.spyOn(fs, 'mkdirSync').mockImplementation(() => {});
+      jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      mockDbTables = {};
+      mockGalaxySchema = MOCK_GALAXY_SCHEMA;
+      mockSearchGameOnServer.mockReset();
+      mockGetExistingGameIds.mockReset();
+    });
+
+    test('should fail up front when a required table or column is missing', async () => {
+      const { PlayTaskLaunchParameters, ...schema } = MOCK_GALAXY_SCHEMA;
+      mockGalaxySchema = { ...schema, PlayTasks: ['id'] };
+
+      const { importFromGOGGalaxy } = await modulePromise;
+      await expect(importFromGOGGalaxy(config)).rejects.toThrow(
+        'Unsupported GOG Galaxy database schema, missing: PlayTasks.gameReleaseKey, PlayTaskLaunchParameters'
+      );
+      expect(mockSearchGameOnServer).not.toHaveBeenCalled();
+    });
+
+    test('should resolve rating and release date piece types by name', async () => {
+      const queries = [];
+      mockDbRows = [
+        { releaseKey: 'gog_1', title: 'Test Game', executablePath: null, label: null, myRating: 4, releaseDate: null },
+      ];
+      mockDbTables = {
+        sqlite_master: [{ name: 'GamePieceTypes' }],
+        GamePieceTypes: [{ id: 7, type: 'myRating' }, { id: 9, type: 'originalMeta' }, { id: 3, type: 'meta' }, { id: 1, type: 'title' }],
+        GamePieces: (sql) => {
+          queries.push(sql);
+          return sql.includes('gpt.type') ? [] : mockDbRows;
+        },
+      };
+
+      const { importFromGOGGalaxy } = await modulePromise;
+      await importFromGOGGalaxy(config);
+
+      const gamesQuery = queries.find((sql) => sql.includes('$.myRating'));
+      expect(gamesQuery).toContain('gpRating.gamePieceTypeId IN (7)');
+      expect(gamesQuery).toContain('gpDate.gamePieceTypeId IN (9, 3)');
+      expect(gamesQuery).not.toMatch(/\b(82|102)\b/);
+    });
+
+    test('should warn when a piece type is missing and keep importing', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const queries = [];
+      mockDbRows = [
+        { releaseKey: 'gog_1', title: 'Test Game', executablePath: null, label: null, myRating: null, releaseDate: null },
+      ];
+      mockDbTables = {
+        sqlite_master: [{ name: 'GamePieceTypes' }],
+        GamePieceTypes: [{ id: 3, type: 'meta' }],
+        GamePieces: (sql) => {
+          queries.push(sql);
+          return sql.includes('gpt.type') ? [] : mockDbRows;
+        },
+      };
+
+      const { importFromGOGGalaxy } = await modulePromise;
+      await importFromGOGGalaxy(config);
+
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('No myRating piece type in GamePieceTypes, ratings will not be imported'));
+      expect(queries.find((sql) => sql.includes('$.myRating'))).toContain('AND 0');
+      expect(mockSearchGameOnServer).toHaveBeenCalled();
+    });
+  });
+
+  describe('Webcache images', () => {
+    let galaxyPath;
+
+    beforeEach(() => {
+      galaxyPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mhg-galaxy-'));
+      const cacheDir = path.join(galaxyPath, 'webcache', '12345', 'gog', '1207658924');
+      fs.mkdirSync(cacheDir, { recursive: true });
+      fs.writeFileSync(path.join(cacheDir, 'aaa111_glx_vertical_cover.webp'), '');
+      fs.writeFileSync(path.join(cacheDir, 'bbb222_glx_square_icon_v2.png'), '');
+      fs.writeFileSync(path.join(cacheDir, 'ccc333_glx_logo.webp'), '');
+      mockGetExistingGameIds.mockResolvedValue(new Set());
+      mockSearchGameOnServer.mockResolvedValue([{ id: 5, name: 'Test Game' }]);
+      mockGetGameDetailsFromServer.mockResolvedValue({ id: 5, name: 'Test Game' });
+      mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+      mockUploadCoverViaAPI.mockResolvedValue({ status: 'success' });
+      mockUploadIconViaAPI.mockResolvedValue({ status: 'success' });
+      mockUploadLogoViaAPI.mockResolvedValue({ status: 'success' });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      fs.rmSync(galaxyPath, { recursive: true, force: true });
+      mockDbTables = {};
+      mockSearchGameOnServer.mockReset();
+      mockGetGameDetailsFromServer.mockReset();
+      mockCreateGameViaAPI.mockReset();
+      mockUploadCoverViaAPI.mockReset();
+      mockUploadBackgroundViaAPI.mockReset();
+      mockUploadIconViaAPI.mockReset();
+      mockUploadLogoViaAPI.mockReset();
+      mockGetExistingGameIds.mockReset();
+    });
+
+    test('should upload cover, square icon and logo from the webcache files of the images pieces', async () => {
+      const webcachePath = path.join(galaxyPath, 'webcache');
+      const releaseKey = 'gog_1207658924';
+      mockDbRows = [
+        { releaseKey, title: 'Test Game', executablePath: null, label: null, myRating: null, releaseDate: null },
+      ];
+      mockDbTables = {
+        sqlite_master: [{ name: 'GamePieceTypes' }],
+        GamePieces: (sql) => {
+          if (!sql.includes('gpt.type IN')) return sql.includes('gpt.type') ? [] : mockDbRows;
+          return [
+            { releaseKey, type: 'images', value: JSON.stringify({ squareIcon: 'https://images.gog-statics.com/bbb222_glx_square_icon_v2.webp' }) },
+            { releaseKey, type: 'originalImages', value: JSON.stringify({
+              verticalCover: 'https://images.gog-statics.com/aaa111_glx_vertical_cover.webp?namespace=gamesdb',
+              background: 'https://images.gog-statics.com/not_cached.webp',
+              squareIcon: 'https://images.gog-statics.com/old_icon.webp',
+              logo: 'https://images.gog-statics.com/ccc333_glx_logo.webp',
+            }) },
+          ];
+        },
+      };
+      const existsSync = fs.existsSync;
+      jest.spyOn(fs, 'existsSync').mockImplementation((p) => (
+        p === '/tmp/db' || p === '/tmp/metadata' || (String(p).startsWith(galaxyPath) && existsSync(p))
+      ));
+      jest.spyOn(fs, 'mkdirSync').mockImplementation(() => {});
+      jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {});
+
+      const { importFromGOGGalaxy } = await modulePromise;
+      await importFromGOGGalaxy({
+        galaxyDbPath: '/tmp/db',
+        galaxyImagesPath: '/tmp/images',
+        galaxyWebcachePath: webcachePath,
+        metadataPath: '/tmp/metadata',
+        serverUrl: 'http://localhost:3000',
+        apiToken: 'token',
+        twitchClientId: 'clientId',
+        twitchClientSecret: 'clientSecret',
+        gamesOnly: true,
+      });
+
+      const cacheDir = path.join(webcachePath, '12345', 'gog', '1207658924');
+      expect(mockUploadCoverViaAPI).toHaveBeenCalledWith(5, path.join(cacheDir, 'aaa111_glx_vertical_cover.webp'), 'http://localhost:3000', 'token');
+      expect(mockUploadIconViaAPI).toHaveBeenCalledWith(5, path.join(cacheDir, 'bbb222_glx_square_icon_v2.png'), 'http://localhost:3000', 'token');
+      expect(mockUploadLogoViaAPI).toHaveBeenCalledWith(5, path.join(cacheDir, 'ccc333_glx_logo.webp'), 'http://localhost:3000', 'token');
+      expect(mockUploadBackgroundViaAPI).not.toHaveBeenCalled();
+    });
+
+    test('should prefer the Images folder over the webcache', async () => {
+      const imagesPath = path.join(galaxyPath, 'Images');
+      fs.mkdirSync(imagesPath);
+      fs.writeFileSync(path.join(imagesPath, 'gog_1_cover.jpg'), '');
+
+      const { importGame } = await modulePromise;
+      await importGame(
+        'Test Game', 'gog_1', [], '/tmp/metadata', imagesPath, 'http://localhost:3000', 'token', 'clientId', 'clientSecret',
+        null, null, null,
+        { igdbId: 5, skipSearch: true, skipCreate: true, skipIgdbFetch: true, webcacheImages: { cover: path.join(galaxyPath, 'missing.webp') } }
+      );
+
+      expect(mockUploadCoverViaAPI).toHaveBeenCalledWith(5, path.join(imagesPath, 'gog_1_cover.jpg'), 'http://localhost:3000', 'token');
+    });
+  });
+
+  describe('Galaxy storage discovery', () => {
+    const originalWinePrefix = process.env.WINEPREFIX;
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mhg-galaxy-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      if (originalWinePrefix === undefined) delete process.env.WINEPREFIX;
+      else process.env.WINEPREFIX = originalWinePrefix;
+    });
+
+    test('should pick the first candidate containing galaxy-2.0.db', async () => {
+      const { findGalaxyStoragePath, getGalaxyPaths } = await modulePromise;
+      const empty = path.join(tmpDir, 'empty');
+      const storage = path.join(tmpDir, 'storage');
+      fs.mkdirSync(storage);
+      fs.writeFileSync(path.join(storage, 'galaxy-2.0.db'), '');
+
+      expect(findGalaxyStoragePath([empty, storage])).toEqual({ storagePath: storage, found: true, candidates: [empty, storage] });
+      expect(findGalaxyStoragePath([empty])).toMatchObject({ storagePath: empty, found: false });
+      expect(getGalaxyPaths(storage)).toEqual({
+        galaxyDbPath: path.join(storage, 'galaxy-2.0.db'),
+        galaxyImagesPath: path.join(storage, 'GalaxyClient', 'Images'),
+        galaxyWebcachePath: path.join(tmpDir, 'webcache'),
+      });
+    });
+
+    test('should probe $WINEPREFIX first on Linux', async () => {
+      if (process.platform !== 'linux') return;
+      process.env.WINEPREFIX = tmpDir;
+      const { getGalaxyStorageCandidates } = await modulePromise;
+      expect(getGalaxyStorageCandidates()[0]).toBe(path.join(tmpDir, 'drive_c', 'ProgramData', 'GOG.com', 'Galaxy', 'storage'));
+    });
+  });
+
+  describe('DLCs', () => {
+    const config = {
+      galaxyDbPath: '/tmp/db',
+      galaxyImagesPath: '/tmp/images',
+      metadataPath: '/tmp/metadata',
+      serverUrl: 'http://localhost:3000',
+      apiToken: 'token',
+      twitchClientId: 'clientId',
+      twitchClientSecret: 'clientSecret',
+      gamesOnly: true,
+    };
+
+    beforeEach(() => {
+      const ids = { 'Test Game': 1, 'Test Game: Hearts of Stone': 2 };
+      mockGetExistingGameIds.mockResolvedValue(new Set());
+      mockSearchGameOnServer.mockImplementation(async (title) => (ids[title] ? [{ id: ids[title], name: title }] : []));
+      mockGetGameDetailsFromServer.mockImplementation(async (id) => ({ id, name: Object.keys(ids).find((title) => ids[title] === id) }));
+      mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+      mockUpdateGameViaAPI.mockResolvedValue({ status: 'success' });
+      jest.spyOn(fs, 'existsSync').mockImplementation((p) => p === '/tmp/db' || p === '/tmp/metadata');
+      jest.spyOn(fs, 'mkdirSync').mockImplementation(() => {});
+      jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      mockDbTables = {};
+      mockSearchGameOnServer.mockReset();
+      mockGetGameDetailsFromServer.mockReset();
+      mockCreateGameViaAPI.mockReset();
+      mockUpdateGameViaAPI.mockReset();
+      mockGetExistingGameIds.mockReset();
+    });
+
+    test('should attach add-ons to their base game by title with GOG_DLC_TITLES', async () => {
+      mockDbRows = [
+        { releaseKey: 'gog_1', title: 'Test Game', executablePath: null, label: null, myRating: null, releaseDate: null },
+        { releaseKey: 'gog_2', title: 'Test Game - Original Soundtrack', executablePath: null, label: null, myRating: null, releaseDate: null },
+        { releaseKey: 'gog_3', title: 'Missing Game Artbook', executablePath: null, label: null, myRating: null, releaseDate: null },
+      ];
+      mockDbTables = { sqlite_master: [{ name: 'GamePieces' }] };
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const { importFromGOGGalaxy } = await modulePromise;
+      await importFromGOGGalaxy({ ...config, gogDlcTitles: true });
+
+      const searchedTitles = mockSearchGameOnServer.mock.calls.map((call) => call[0]);
+      expect(searchedTitles).not.toContain('Test Game - Original Soundtrack');
+      // No base game: imported as a game instead of dropped
+      expect(searchedTitles).toContain('Missing Game Artbook');
+      expect(mockCreateGameViaAPI).toHaveBeenCalledTimes(1);
+      expect(mockUpdateGameViaAPI).toHaveBeenCalledWith(
+        1,
+        { dlcs: [{ releaseKey: 'gog_2', title: 'Test Game - Original Soundtrack' }] },
+        'http://localhost:3000',
+        'token'
+      );
+    });
+
+    test('should import add-on looking titles as games by default', async () => {
+      mockDbRows = [
+        { releaseKey: 'gog_1', title: 'Test Game', executablePath: null, label: null, myRating: null, releaseDate: null },
+        { releaseKey: 'gog_2', title: 'DLC Quest', executablePath: null, label: null, myRating: null, releaseDate: null },
+        { releaseKey: 'gog_3', title: 'Test Game - Original Soundtrack', executablePath: null, label: null, myRating: null, releaseDate: null },
+      ];
+      mockDbTables = { sqlite_master: [{ name: 'GamePieces' }] };
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const { importFromGOGGalaxy } = await modulePromise;
+      await importFromGOGGalaxy(config);
+
+      const searchedTitles = mockSearchGameOnServer.mock.calls.map((call) => call[0]);
+      expect(searchedTitles).toEqual(expect.arrayContaining(['Test Game', 'DLC Quest', 'Test Game - Original Soundtrack']));
+      expect(mockUpdateGameViaAPI).not.toHaveBeenCalledWith(1, expect.objectContaining({ dlcs: expect.anything() }), expect.anything(), expect.anything());
+    });
+
+    test('should import DLCs from the dlcs piece after their base game in igdb mode', async () => {
+      mockDbRows = [
+        { releaseKey: 'gog_2', title: 'Test Game: Hearts of Stone', executablePath: null, label: null, myRating: null, releaseDate: null },
+        { releaseKey: 'gog_1', title: 'Test Game', executablePath: null, label: null, myRating: null, releaseDate: null },
+      ];
+      mockDbTables = {
+        sqlite_master: [{ name: 'GamePieces' }, { name: 'GamePieceTypes' }],
+        GamePieces: (sql) => {
+          if (sql.includes("'dlcs'")) return [{ releaseKey: 'gog_1', value: JSON.stringify({ dlcs: ['gog_2'] }) }];
+          if (sql.includes('gpt.type')) return [];
+          return mockDbRows;
+        },
+      };
+
+      const { importFromGOGGalaxy } = await modulePromise;
+      await importFromGOGGalaxy({ ...config, gogDlcMode: 'igdb' });
+
+      expect(mockCreateGameViaAPI).toHaveBeenCalledTimes(2);
+      expect(mockCreateGameViaAPI.mock.calls[0][0]).toMatchObject({ igdbId: 1 });
+      expect(mockCreateGameViaAPI.mock.calls[0][0].parentGameId).toBeUndefined();
+      expect(mockCreateGameViaAPI.mock.calls[1][0]).toMatchObject({ igdbId: 2, parentGameId: 1 });
+    });
+
+    test('should link a DLC already on the server to its base game in igdb mode', async () => {
+      mockDbRows = [
+        { releaseKey: 'gog_1', title: 'Test Game', executablePath: null, label: null, myRating: null, releaseDate: null },
+        { releaseKey: 'gog_2', title: 'Test Game: Hearts of Stone', executablePath: null, label: null, myRating: null, releaseDate: null },
+      ];
+      mockDbTables = {
+        sqlite_master: [{ name: 'GamePieces' }, { name: 'GamePieceTypes' }],
+        GamePieces: (sql) => {
+          if (sql.includes("'dlcs'")) return [{ releaseKey: 'gog_1', value: JSON.stringify({ dlcs: ['gog_2'] }) }];
+          if (sql.includes('gpt.type')) return [];
+          return mockDbRows;
+        },
+      };
+      mockGetExistingGameIds.mockResolvedValue(new Set([2]));
+      mockGetGameViaAPI.mockResolvedValue({ id: 2, title: 'Test Game: Hearts of Stone' });
+
+      const { importFromGOGGalaxy } = await modulePromise;
+      await importFromGOGGalaxy({ ...config, gogDlcMode: 'igdb' });
+      mockGetGameViaAPI.mockReset();
+
+      expect(mockCreateGameViaAPI).toHaveBeenCalledTimes(1);
+      expect(mockUpdateGameViaAPI).toHaveBeenCalledWith(2, expect.objectContaining({ parentGameId: 1 }), 'http://localhost:3000', 'token');
+    });
+
+    test('should reject an unknown DLC mode', async () => {
+      const { importFromGOGGalaxy } = await modulePromise;
+      await expect(importFromGOGGalaxy({ ...config, gogDlcMode: 'standalone' })).rejects.toThrow('GOG_DLC_MODE');
+    });
+  });
+
+  describe('GOG Galaxy metadata fallback', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      mockDbTables = {};
+      mockSearchGameOnServer.mockReset();
+      mockGetGameDetailsFromServer.mockReset();
+      mockCreateGameViaAPI.mockReset();
+      mockGetExistingGameIds.mockReset();
+    });
+
+    test('should fill gameData from GamePieces when the IGDB details fetch fails', async () => {
+      const metadataPath = '/tmp/metadata';
+      mockDbRows = [
+        { releaseKey: 'gog_42', title: 'Obscure Game', executablePath: null, label: null, myRating: null, releaseDate: null },
+      ];
+      mockDbTables = {
+        sqlite_master: [{ name: 'GamePieces' }, { name: 'GamePieceTypes' }],
+        GamePieces: (sql) => (sql.includes('gpt.type IN')
+          ? [
+              { releaseKey: 'gog_42', type: 'summary', value: JSON.stringify({ summary: 'Edited summary' }) },
+              { releaseKey: 'gog_42', type: 'originalSummary', value: JSON.stringify({ summary: 'Original summary' }) },
+              { releaseKey: 'gog_42', type: 'originalMeta', value: JSON.stringify({
+                genres: ['Adventure', { name: 'Puzzle' }],
+                themes: ['Fantasy'],
+                developers: ['Tiny Studio'],
+                publishers: [],
+                criticsScore: 81.6,
+              }) },
+            ]
+          : mockDbRows),
+      };
+
+      mockGetExistingGameIds.mockResolvedValue(new Set());
+      mockSearchGameOnServer.mockResolvedValue([{ id: 5, name: 'Obscure Game' }]);
+      mockGetGameDetailsFromServer.mockRejectedValue(new Error('500 - IGDB unavailable'));
+      mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+
+      jest.spyOn(fs, 'existsSync').mockImplementation((p) => p === '/tmp/db' || p === metadataPath);
+      jest.spyOn(fs, 'mkdirSync').mockImplementation(() => {});
+      jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {});
+
+      const { importFromGOGGalaxy } = await modulePromise;
+      await importFromGOGGalaxy({
+        galaxyDbPath: '/tmp/db',
+        galaxyImagesPath: '/tmp/images',
+        metadataPath,
+        serverUrl: 'http://localhost:3000',
+        apiToken: 'token',
+        twitchClientId: 'clientId',
+        twitchClientSecret: 'clientSecret',
+        gamesOnly: true,
+      });
+
+      expect(mockCreateGameViaAPI).toHaveBeenCalledTimes(1);
+      expect(mockCreateGameViaAPI.mock.calls[0][0]).toMatchObject({
+        name: 'Obscure Game',
+        summary: 'Edited summary',
+        genres: ['Adventure', 'Puzzle'],
+        themes: ['Fantasy'],
+        developers: ['Tiny Studio'],
+        publishers: null,
+        criticRating: 82,
+      });
+    });
+
+    test('should keep IGDB values when present', async () => {
+      mockSearchGameOnServer.mockResolvedValue([{ id: 5, name: 'Obscure Game' }]);
+      mockGetGameDetailsFromServer.mockResolvedValue({ id: 5, name: 'Obscure Game', summary: 'IGDB summary', genres: [] });
+      mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+      jest.spyOn(fs, 'existsSync').mockReturnValue(false);
+
+      const { importGame } = await modulePromise;
+      await importGame(
+        'Obscure Game', 'gog_42', [], '/tmp/metadata', '/tmp/images', 'http://localhost:3000', 'token', 'clientId', 'clientSecret',
+        null, null, null,
+        { gogMetadata: { summary: 'GOG summary', genres: ['Adventure'], criticsScore: 70 } }
+      );
+
+      expect(mockCreateGameViaAPI.mock.calls[0][0]).toMatchObject({ summary: 'IGDB summary', genres: ['Adventure'], criticRating: 70 });
+    });
+  });
+
+  describe('Match scoring', () => {
+    const importArgs = ['/tmp/metadata', '/tmp/images', 'http://localhost:3000', 'token', 'clientId', 'clientSecret'];
+
+    beforeEach(() => {
+      mockGetGameDetailsFromServer.mockResolvedValue(null);
+      mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+      jest.spyOn(fs, 'existsSync').mockReturnValue(false);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      mockSearchGameOnServer.mockReset();
+      mockGetGameDetailsFromServer.mockReset();
+      mockCreateGameViaAPI.mockReset();
+    });
+
+    test('should prefer the release closest to the GOG date among same-title results', async () => {
+      mockSearchGameOnServer.mockResolvedValue([
+        { id: 1, name: 'System Shock', releaseDateFull: { timestamp: 780969600 } },
+        { id: 2, name: 'System Shock', releaseDateFull: { timestamp: 1685059200 } },
+      ]);
+
+      const { importGame } = await modulePromise;
+      const result = await importGame('System Shock', 'gog_1', [], ...importArgs, null, null, 1685059200);
+
+      expect(result.gameId).toBe(2);
+    });
+
+    test('should skip a bundle whose title is not similar enough', async () => {
+      mockSearchGameOnServer.mockResolvedValue([{ id: 9, name: 'Mass Effect Trilogy' }]);
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const { importGame } = await modulePromise;
+      const result = await importGame('Mass Effect', 'gog_2', [], ...importArgs);
+
+      expect(result).toMatchObject({ unmatched: true, titles: ['Mass Effect'] });
+      expect(mockCreateGameViaAPI).not.toHaveBeenCalled();
+      expect(warnSpy.mock.calls.flat().join('\n')).toContain('No confident match (best: Mass Effect Trilogy (ID: 9');
+    });
+
+    test('should accept the bundle with a lower matchThreshold', async () => {
+      mockSearchGameOnServer.mockResolvedValue([{ id: 9, name: 'Mass Effect Trilogy' }]);
+
+      const { importGame } = await modulePromise;
+      const result = await importGame('Mass Effect', 'gog_2', [], ...importArgs, null, null, null, { matchThreshold: 0.5 });
+
+      expect(result.gameId).toBe(9);
+    });
+
+    test('should search without edition suffixes and match normalised titles', async () => {
+      mockSearchGameOnServer.mockResolvedValue([
+        { id: 3, name: 'The Witcher 3: Wild Hunt - Blood and Wine' },
+        { id: 4, name: 'The Witcher 3: Wild Hunt' },
+      ]);
+
+      const { importGame } = await modulePromise;
+      const result = await importGame('The Witcher\u00ae 3: Wild Hunt - Game of the Year Edition', 'gog_3', [], ...importArgs);
+
+      expect(mockSearchGameOnServer.mock.calls[0][0]).toBe('The Witcher 3: Wild Hunt');
+      expect(result.gameId).toBe(4);
+    });
+
+    test('should treat roman numerals, digits and diacritics as equal', async () => {
+      mockSearchGameOnServer.mockResolvedValue([{ id: 7, name: 'Final Fantasy VII' }]);
+
+      const { importGame } = await modulePromise;
+      const result = await importGame('Final Fantasy 7', 'gog_4', [], ...importArgs);
+      expect(result.gameId).toBe(7);
+
+      mockSearchGameOnServer.mockResolvedValue([{ id: 8, name: 'Pok\u00e9mon Puzzle League' }]);
+      const accented = await importGame('Pokemon Puzzle League', 'gog_5', [], ...importArgs);
+      expect(accented.gameId).toBe(8);
+    });
+  });
+
+  describe('Match review', () => {
+    const importArgs = ['/tmp/metadata', '/tmp/images', 'http://localhost:3000', 'token', 'clientId', 'clientSecret'];
+    const doomResults = [
+      { id: 1, name: 'Doom', releaseDateFull: { timestamp: 755222400 } },
+      { id: 2, name: 'DOOM', releaseDateFull: { timestamp: 1463097600 } },
+    ];
+
+    beforeEach(() => {
+      mockGetGameDetailsFromServer.mockResolvedValue(null);
+      mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      mockSearchGameOnServer.mockReset();
+      mockGetGameDetailsFromServer.mockReset();
+      mockCreateGameViaAPI.mockReset();
+      mockGetExistingGameIds.mockReset();
+    });
+
+    test('should ask about results with close confidence and use the picked game', async () => {
+      jest.spyOn(fs, 'existsSync').mockReturnValue(false);
+      mockSearchGameOnServer.mockResolvedValue(doomResults);
+      const review = jest.fn().mockResolvedValue({ action: 'pick', candidate: doomResults[1] });
+
+      const { importGame } = await modulePromise;
+      const result = await importGame('Doom', 'gog_1', [], ...importArgs, null, null, null, { matchReviewer: { review } });
+
+      expect(review).toHaveBeenCalledTimes(1);
+      expect(review.mock.calls[0][0].ranked.map((scored) => scored.candidate.id)).toEqual([1, 2]);
+      expect(result).toMatchObject({ gameId: 2, reviewed: true });
+    });
+
+    test('should not ask when the best result is clearly ahead', async () => {
+      jest.spyOn(fs, 'existsSync').mockReturnValue(false);
+      mockSearchGameOnServer.mockResolvedValue(doomResults);
+      const review = jest.fn();
+
+      const { importGame } = await modulePromise;
+      const result = await importGame('Doom', 'gog_1', [], ...importArgs, null, null, 1463097600, { matchReviewer: { review } });
+
+      expect(review).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ gameId: 2, reviewed: false });
+    });
+
+    test('should search again with the title given in review, then use an IGDB ID', async () => {
+      jest.spyOn(fs, 'existsSync').mockReturnValue(false);
+      mockSearchGameOnServer.mockImplementation(async (title) => (title === 'Obscure' ? [] : [{ id: 3, name: 'Something Else' }]));
+      const review = jest.fn()
+        .mockResolvedValueOnce({ action: 'search', title: 'Other Title' })
+        .mockResolvedValueOnce({ action: 'id', igdbId: 42 });
+
+      const { importGame } = await modulePromise;
+      const result = await importGame('Obscure', 'gog_1', [], ...importArgs, null, null, null, { matchReviewer: { review } });
+
+      expect(mockSearchGameOnServer.mock.calls.map((call) => call[0])).toEqual(['Obscure', 'Other Title']);
+      expect(review.mock.calls[0][0].ranked).toEqual([]);
+      expect(review.mock.calls[1][0].ranked[0].candidate.id).toBe(3);
+      expect(result).toMatchObject({ gameId: 42, reviewed: true });
+    });
+
+    test('should save skipped games in the import map and skip them on later runs', async () => {
+      const metadataPath = '/tmp/metadata';
+      const importMapPath = `${metadataPath}/importer/gog-galaxy-releasekey-map.json`;
+      mockDbRows = [
+        { releaseKey: 'gog_7', title: 'Doom', executablePath: null, label: null, myRating: null, releaseDate: null },
+      ];
+      let savedMap = null;
+      mockGetExistingGameIds.mockResolvedValue(new Set());
+      mockSearchGameOnServer.mockResolvedValue(doomResults);
+      jest.spyOn(fs, 'existsSync').mockImplementation((p) => p === '/tmp/db' || p === metadataPath || (p === importMapPath && savedMap != null));
+      jest.spyOn(fs, 'readFileSync').mockImplementation((p) => (p === importMapPath ? savedMap : ''));
+      jest.spyOn(fs, 'mkdirSync').mockImplementation(() => {});
+      jest.spyOn(fs, 'writeFileSync').mockImplementation((p, data) => {
+        if (p === importMapPath) savedMap = data;
+      });
+      const review = jest.fn().mockResolvedValue({ action: 'skip' });
+      const config = {
+        galaxyDbPath: '/tmp/db',
+        galaxyImagesPath: '/tmp/images',
+        metadataPath,
+        serverUrl: 'http://localhost:3000',
+        apiToken: 'token',
+        twitchClientId: 'clientId',
+        twitchClientSecret: 'clientSecret',
+        gamesOnly: true,
+        matchReviewer: { review },
+      };
+
+      const { importFromGOGGalaxy } = await modulePromise;
+      await importFromGOGGalaxy(config);
+
+      expect(mockCreateGameViaAPI).not.toHaveBeenCalled();
+      expect(JSON.parse(savedMap).gog_7).toMatchObject({ igdbId: null, skipped: true, title: 'Doom' });
+
+      await importFromGOGGalaxy(config);
+      expect(review).toHaveBeenCalledTimes(1);
+      expect(mockSearchGameOnServer).toHaveBeenCalledTimes(1);
+    });
+
+    test('should read decisions from the terminal', async () => {
+      const { createMatchReviewer } = await import('../importers/common/matchReview.js');
+      const input = new PassThrough();
+      const output = new PassThrough();
+      const answers = ['7', '2', 's Doom 2016'];
+      let shown = '';
+      output.on('data', (chunk) => {
+        shown += chunk;
+        // Answer each prompt once it is shown
+        if (String(chunk).endsWith('Enter skip: ')) input.write(`${answers.shift()}\n`);
+      });
+      const reviewer = createMatchReviewer({ input, output });
+      const ranked = [
+        { candidate: { id: 1, name: 'Doom', releaseDateFull: { timestamp: 755222400 }, platforms: ['PC (Microsoft Windows)'] }, confidence: 0.9 },
+        { candidate: { id: 2, name: 'DOOM', releaseDateFull: { timestamp: 1463097600 } }, confidence: 0.89 },
+      ];
+
+      await expect(reviewer.review({ title: 'Doom', ranked })).resolves.toEqual({ action: 'pick', candidate: ranked[1].candidate });
+      await expect(reviewer.review({ title: 'Doom', ranked })).resolves.toEqual({ action: 'search', title: 'Doom 2016' });
+      reviewer.close();
+
+      expect(shown).toContain('1) Doom (ID: 1, confidence 0.90) [1993, PC (Microsoft Windows)]');
+      expect(shown).toContain('Invalid choice');
+    });
+
+    test('should stop asking when the input is closed', async () => {
+      const { createMatchReviewer } = await import('../importers/common/matchReview.js');
+      const input = new PassThrough();
+      const output = new PassThrough();
+      output.on('data', (chunk) => {
+        // Ctrl-D at the prompt
+        if (String(chunk).endsWith('Enter skip: ')) input.end();
+      });
+      const reviewer = createMatchReviewer({ input, output });
+      const ranked = [{ candidate: { id: 1, name: 'Doom' }, confidence: 0.5 }];
+
+      await expect(reviewer.review({ title: 'Doom', ranked })).resolves.toEqual({ action: 'closed' });
+      await expect(reviewer.review({ title: 'Doom', ranked })).resolves.toEqual({ action: 'closed' });
+      reviewer.close();
+    });
+
+    test('should import without a decision once the review input is closed', async () => {
+      jest.spyOn(fs, 'existsSync').mockReturnValue(false);
+      mockSearchGameOnServer.mockResolvedValue(doomResults);
+      const review = jest.fn().mockResolvedValue({ action: 'closed' });
+
+      const { importGame } = await modulePromise;
+      const result = await importGame('Doom', 'gog_1', [], ...importArgs, null, null, null, { matchReviewer: { review } });
+
+      expect(result).toMatchObject({ gameId: 1, reviewed: false });
+      expect(result.skipped).toBeFalsy();
+    });
+  });
+
+  describe('Overrides', () => {
+    const metadataPath = '/tmp/metadata';
+    const importMapPath = `${metadataPath}/importer/gog-galaxy-releasekey-map.json`;
+    const overridesPath = `${metadataPath}/importer/overrides.json`;
+    const config = {
+      galaxyDbPath: '/tmp/db',
+      galaxyImagesPath: '/tmp/images',
+      metadataPath,
+      serverUrl: 'http://localhost:3000',
+      apiToken: 'token',
+      twitchClientId: 'clientId',
+      twitchClientSecret: 'clientSecret',
+      gamesOnly: true,
+    };
+    let files;
+
+    beforeEach(() => {
+      files = {};
+      mockDbRows = [
+        { releaseKey: 'gog_1', title: 'The Witcher 3: Wild Hunt - Game of the Year Edition', executablePath: null, label: null, myRating: null, releaseDate: null },
+        { releaseKey: 'gog_2', title: 'Wild Hunt Sampler', executablePath: null, label: null, myRating: null, releaseDate: null },
+      ];
+      mockGetExistingGameIds.mockResolvedValue(new Set());
+      mockGetGameDetailsFromServer.mockResolvedValue(null);
+      mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+      mockSearchGameOnServer.mockResolvedValue([{ id: 99, name: 'The Witcher 3: Wild Hunt' }]);
+      jest.spyOn(fs, 'existsSync').mockImplementation((p) => p === '/tmp/db' || p === metadataPath || files[p] != null);
+      jest.spyOn(fs, 'readFileSync').mockImplementation((p) => files[p] ?? '');
+      jest.spyOn(fs, 'mkdirSync').mockImplementation(() => {});
+      jest.spyOn(fs, 'writeFileSync').mockImplementation((p, data) => {
+        files[p] = data;
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      mockSearchGameOnServer.mockReset();
+      mockGetGameDetailsFromServer.mockReset();
+      mockCreateGameViaAPI.mockReset();
+      mockGetExistingGameIds.mockReset();
+    });
+
+    test('should ignore releaseKeys and pin titles without searching', async () => {
+      files[overridesPath] = JSON.stringify({
+        releaseKeys: { gog_2: { ignore: true } },
+        titles: { 'The Witcher 3: Wild Hunt': { igdbId: 1942 } },
+      });
+
+      const { importFromGOGGalaxy } = await modulePromise;
+      await importFromGOGGalaxy(config);
+
+      expect(mockSearchGameOnServer).not.toHaveBeenCalled();
+      expect(mockCreateGameViaAPI).toHaveBeenCalledTimes(1);
+      const written = JSON.parse(files[importMapPath]);
+      expect(written.gog_1.igdbId).toBe(1942);
+      expect(written.gog_2).toBeUndefined();
+    });
+
+    test('should search with the title from overrides', async () => {
+      mockDbRows = [mockDbRows[1]];
+      files[overridesPath] = JSON.stringify({ releaseKeys: { gog_2: { searchTitle: 'The Witcher 3: Wild Hunt' } } });
+
+      const { importFromGOGGalaxy } = await modulePromise;
+      await importFromGOGGalaxy(config);
+
+      expect(mockSearchGameOnServer.mock.calls[0][0]).toBe('The Witcher 3: Wild Hunt');
+      expect(JSON.parse(files[importMapPath]).gog_2.igdbId).toBe(99);
+    });
+
+    test('should import again when a pin changes the IGDB ID of an imported releaseKey', async () => {
+      mockDbRows = [mockDbRows[0]];
+      files[importMapPath] = JSON.stringify({ gog_1: { igdbId: 99, title: 'The Witcher 3: Wild Hunt' }, gog_3: { igdbId: 5 } });
+      files[overridesPath] = JSON.stringify({ releaseKeys: { gog_1: { igdbId: 1942 }, gog_3: { igdbId: 5 } } });
+
+      const { importFromGOGGalaxy } = await modulePromise;
+      await importFromGOGGalaxy(config);
+
+      expect(mockCreateGameViaAPI).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(files[importMapPath]).gog_1.igdbId).toBe(1942);
+    });
+
+    test('should reject an invalid overrides file', async () => {
+      files[overridesPath] = JSON.stringify({ releaseKeys: { gog_1: { igdbId: 'abc' } } });
+
+      const { importFromGOGGalaxy } = await modulePromise;
+      await expect(importFromGOGGalaxy(config)).rejects.toThrow('Invalid overrides file /tmp/metadata/importer/overrides.json: releaseKeys.gog_1: igdbId must be a positive integer');
+      expect(mockSearchGameOnServer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Unmatched queue', () => {
+    const metadataPath = '/tmp/metadata';
+    const importMapPath = `${metadataPath}/importer/gog-galaxy-releasekey-map.json`;
+    const queuePath = `${metadataPath}/importer/unmatched.json`;
+    const config = {
+      galaxyDbPath: '/tmp/db',
+      galaxyImagesPath: '/tmp/images',
+      metadataPath,
+      serverUrl: 'http://localhost:3000',
+      apiToken: 'token',
+      twitchClientId: 'clientId',
+      twitchClientSecret: 'clientSecret',
+      gamesOnly: true,
+    };
+    let files;
+
+    beforeEach(() => {
+      files = {};
+      mockDbRows = [
+        { releaseKey: 'gog_1', title: 'The Witcher 3: Wild Hunt', executablePath: null, label: null, myRating: null, releaseDate: null },
+        { releaseKey: 'gog_2', title: 'Wild Hunt Sampler', executablePath: null, label: null, myRating: null, releaseDate: null },
+      ];
+      mockGetExistingGameIds.mockResolvedValue(new Set());
+      mockGetGameDetailsFromServer.mockResolvedValue(null);
+      mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+      mockSearchGameOnServer.mockImplementation(async (title) => (
+        title === 'The Witcher 3: Wild Hunt' ? [{ id: 99, name: 'The Witcher 3: Wild Hunt' }] : []
+      ));
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(fs, 'existsSync').mockImplementation((p) => p === '/tmp/db' || p === metadataPath || files[p] != null);
+      jest.spyOn(fs, 'readFileSync').mockImplementation((p) => files[p] ?? '');
+      jest.spyOn(fs, 'mkdirSync').mockImplementation(() => {});
+      jest.spyOn(fs, 'writeFileSync').mockImplementation((p, data) => {
+        files[p] = data;
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      mockSearchGameOnServer.mockReset();
+      mockGetGameDetailsFromServer.mockReset();
+      mockCreateGameViaAPI.mockReset();
+      mockGetExistingGameIds.mockReset();
+    });
+
+    test('should queue games without a match and skip them on the next run', async () => {
+      const { importFromGOGGalaxy } = await modulePromise;
+      await importFromGOGGalaxy(config);
+
+      expect(JSON.parse(files[queuePath])).toEqual([{
+        source: 'gog-galaxy',
+        key: 'gog_2',
+        titles: ['Wild Hunt Sampler'],
+        releaseDate: null,
+        reason: 'Game not found with any title',
+        date: expect.any(String),
+      }]);
+      expect(JSON.parse(files[importMapPath]).gog_2).toBeUndefined();
+
+      const searchCount = mockSearchGameOnServer.mock.calls.length;
+      await importFromGOGGalaxy(config);
+      expect(mockSearchGameOnServer).toHaveBeenCalledTimes(searchCount);
+    });
+
+    test('should import only the answered games in resolve mode', async () => {
+      files[queuePath] = JSON.stringify([
+        { source: 'gog-galaxy', key: 'gog_2', titles: ['Wild Hunt Sampler'], releaseDate: null, reason: 'Game not found with any title', date: '2026-10-01T00:00:00.000Z' },
+        { source: 'gog-galaxy', key: 'gog_9', titles: ['Removed Game'], releaseDate: null, reason: 'Game not found with any title', date: '2026-10-01T00:00:00.000Z' },
+        { source: 'steam', key: '220', titles: ['Half-Life 2'], releaseDate: null, reason: 'Game not found with any title', date: '2026-10-01T00:00:00.000Z' },
+      ]);
+      const promptResolutions = jest.fn(async () => new Map([['gog_2', { searchTitle: 'The Witcher 3: Wild Hunt' }]]));
+
+      const { importFromGOGGalaxy } = await modulePromise;
+      await importFromGOGGalaxy({ ...config, resolve: true, promptResolutions });
+
+      expect(promptResolutions).toHaveBeenCalledWith([expect.objectContaining({ key: 'gog_2' })]);
+      expect(mockSearchGameOnServer.mock.calls[0][0]).toBe('The Witcher 3: Wild Hunt');
+      expect(mockCreateGameViaAPI).toHaveBeenCalledTimes(1);
+      const written = JSON.parse(files[importMapPath]);
+      expect(written.gog_2.igdbId).toBe(99);
+      expect(written.gog_1).toBeUndefined();
+      expect(JSON.parse(files[queuePath]).map((entry) => entry.key)).toEqual(['220']);
+    });
+
+    test('should keep queued releaseKeys attached to a base game in resolve mode', async () => {
+      files[queuePath] = JSON.stringify([
+        { source: 'gog-galaxy', key: 'gog_2', titles: ['Wild Hunt Sampler'], releaseDate: null, reason: 'Game not found with any title', date: '2026-10-01T00:00:00.000Z' },
+      ]);
+      mockDbTables = {
+        sqlite_master: [{ name: 'GamePieces' }, { name: 'GamePieceTypes' }],
+        GamePieces: (sql) => {
+          if (sql.includes("'dlcs'")) return [{ releaseKey: 'gog_1', value: JSON.stringify({ dlcs: ['gog_2'] }) }];
+          if (sql.includes('gpt.type')) return [];
+          return mockDbRows;
+        },
+      };
+      const promptResolutions = jest.fn(async () => new Map());
+
+      const { importFromGOGGalaxy } = await modulePromise;
+      await importFromGOGGalaxy({ ...config, resolve: true, promptResolutions });
+      mockDbTables = {};
+
+      expect(JSON.parse(files[queuePath] ?? '[]').map((entry) => entry.key)).toEqual(['gog_2']);
+    });
+
+    test('should read IGDB IDs and titles from the terminal', async () => {
+      const { promptResolutions } = await import('../importers/common/unmatched.js');
+      const input = new PassThrough();
+      const output = new PassThrough();
+      const answers = ['1942', '"1942"', ''];
+      let shown = '';
+      output.on('data', (chunk) => {
+        shown += chunk;
+        // Answer each prompt once it is shown
+        if (String(chunk).endsWith('Enter to keep in queue: ')) input.write(`${answers.shift()}\n`);
+      });
+      const entry = { source: 'gog-galaxy', titles: ['Wild Hunt Sampler'], releaseDate: '2015-05-19', reason: 'Game not found with any title', date: '2026-10-01T00:00:00.000Z' };
+      const entries = [{ ...entry, key: 'gog_2' }, { ...entry, key: 'gog_3' }, { ...entry, key: 'gog_4' }];
+
+      const resolutions = await promptResolutions(entries, { input, output });
+
+      expect(resolutions).toEqual(new Map([['gog_2', { igdbId: 1942 }], ['gog_3', { searchTitle: '1942' }]]));
+      expect(shown).toContain('[1/3] "Wild Hunt Sampler" (gog_2, released 2015-05-19)');
+    });
+
+    test('should keep the remaining games queued when the input is closed', async () => {
+      const { promptResolutions } = await import('../importers/common/unmatched.js');
+      const input = new PassThrough();
+      const output = new PassThrough();
+      const answers = ['1942'];
+      output.on('data', (chunk) => {
+        if (!String(chunk).endsWith('Enter to keep in queue: ')) return;
+        // Ctrl-D after the first answer
+        if (answers.length > 0) input.write(`${answers.shift()}\n`);
+        else input.end();
+      });
+      const entry = { source: 'gog-galaxy', titles: ['Wild Hunt Sampler'], reason: 'Game not found with any title', date: '2026-10-01T00:00:00.000Z' };
+      const entries = [{ ...entry, key: 'gog_2' }, { ...entry, key: 'gog_3' }, { ...entry, key: 'gog_4' }];
+
+      const resolutions = await promptResolutions(entries, { input, output });
+
+      expect(resolutions).toEqual(new Map([['gog_2', { igdbId: 1942 }]]));
+    });
+  });
+
+  describe('External ID lookup', () => {
+    const importArgs = ['/tmp/metadata', '/tmp/images', 'http://localhost:3000', 'token', 'clientId', 'clientSecret'];
+
+    beforeEach(() => {
+      mockGetGameDetailsFromServer.mockResolvedValue(null);
+      mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+      mockSearchGameOnServer.mockResolvedValue([{ id: 5, name: 'Baldur\'s Gate' }]);
+      mockFindGameByExternalIdOnServer.mockClear();
+      jest.spyOn(fs, 'existsSync').mockReturnValue(false);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      mockSearchGameOnServer.mockReset();
+      mockGetGameDetailsFromServer.mockReset();
+      mockCreateGameViaAPI.mockReset();
+      mockFindGameByExternalIdOnServer.mockReset();
+      mockFindGameByExternalIdOnServer.mockImplementation(async () => []);
+    });
+
+    test('should match by the GOG product ID without searching', async () => {
+      mockFindGameByExternalIdOnServer.mockResolvedValue([{ id: 76, name: 'Baldur\'s Gate: Enhanced Edition' }]);
+
+      const { importGame } = await modulePromise;
+      const result = await importGame('Baldur\'s Gate', 'gog_1207658691', [], ...importArgs);
+
+      expect(mockFindGameByExternalIdOnServer.mock.calls[0].slice(0, 2)).toEqual(['gog', '1207658691']);
+      expect(mockSearchGameOnServer).not.toHaveBeenCalled();
+      expect(result.gameId).toBe(76);
+    });
+
+    test('should try linked releaseKeys in order and skip platforms without external IDs', async () => {
+      mockFindGameByExternalIdOnServer.mockImplementation(async (source) => (source === 'steam' ? [{ id: 77, name: 'Baldur\'s Gate' }] : []));
+
+      const { importGame } = await modulePromise;
+      const result = await importGame('Baldur\'s Gate', 'gog_1', [], ...importArgs, null, null, null, {
+        releaseKeys: ['gog_1', 'xboxone_2', 'steam_228280'],
+      });
+
+      expect(mockFindGameByExternalIdOnServer.mock.calls.map((call) => call.slice(0, 2))).toEqual([['gog', '1'], ['steam', '228280']]);
+      expect(result.gameId).toBe(77);
+    });
+
+    test('should fall back to title search when the lookup finds nothing or fails', async () => {
+      mockFindGameByExternalIdOnServer.mockRejectedValue(new Error('Server error (502): Bad Gateway'));
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const { importGame } = await modulePromise;
+      const result = await importGame('Baldur\'s Gate', 'gog_1207658691', [], ...importArgs);
+
+      expect(warnSpy.mock.calls.flat().join('\n')).toContain('External ID lookup failed for gog_1207658691');
+      expect(mockSearchGameOnServer).toHaveBeenCalled();
+      expect(result.gameId).toBe(5);
+    });
+
+    test('should stop looking up external IDs once the server has no endpoint for them', async () => {
+      mockFindGameByExternalIdOnServer.mockResolvedValue(null);
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const externalIdLookup = { available: true };
+
+      const { importGame } = await modulePromise;
+      await importGame('Baldur\'s Gate', 'gog_1', [], ...importArgs, null, null, null, { releaseKeys: ['gog_1', 'steam_228280'], externalIdLookup });
+      const result = await importGame('Baldur\'s Gate', 'gog_2', [], ...importArgs, null, null, null, { externalIdLookup });
+
+      expect(mockFindGameByExternalIdOnServer).toHaveBeenCalledTimes(1);
+      expect(warnSpy.mock.calls.flat().filter((message) => String(message).includes('no external ID lookup'))).toHaveLength(1);
+      expect(result.gameId).toBe(5);
+    });
+
+    test('should reject an external ID match whose title does not match', async () => {
+      mockFindGameByExternalIdOnServer.mockResolvedValue([{ id: 9, name: 'Icewind Dale' }]);
+      const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      const { importGame } = await modulePromise;
+      const result = await importGame('Baldur\'s Gate', 'gog_1207658691', [], ...importArgs);
+
+      expect(logSpy.mock.calls.flat().join('\n')).toContain('External ID match rejected for gog ID 1207658691: Icewind Dale (ID: 9');
+      expect(mockSearchGameOnServer).toHaveBeenCalled();
+      expect(result.gameId).toBe(5);
+    });
+
+    test('should search instead when overrides force a search title', async () => {
+      const { importGame } = await modulePromise;
+      const result = await importGame('BG', 'gog_1207658691', [], ...importArgs, null, null, null, { searchTitle: 'Baldur\'s Gate' });
+
+      expect(mockFindGameByExternalIdOnServer).not.toHaveBeenCalled();
+      expect(result.gameId).toBe(5);
+    });
+  });
 });
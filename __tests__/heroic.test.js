@@ -0,0 +1,133 @@
+// Test suite for Heroic Games Launcher importer
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockSearchGameOnServer = jest.fn();
+const mockGetGameDetailsFromServer = jest.fn();
+const mockCreateGameViaAPI = jest.fn();
+const mockUploadExecutableViaAPI = jest.fn();
+const mockUploadCoverViaAPI = jest.fn();
+const mockGetExistingGameIds = jest.fn();
+
+jest.unstable_mockModule('../importers/common/igdb.js', () => ({
+  searchGameOnServer: mockSearchGameOnServer,
+  getGameDetailsFromServer: mockGetGameDetailsFromServer,
+  createGameViaAPI: mockCreateGameViaAPI,
+  getGameViaAPI: jest.fn(),
+  updateGameViaAPI: jest.fn(),
+  uploadExecutableViaAPI: mockUploadExecutableViaAPI,
+  uploadCoverViaAPI: mockUploadCoverViaAPI,
+  uploadBackgroundViaAPI: jest.fn(),
+  findGameByExternalIdOnServer: jest.fn(),
+  uploadIconViaAPI: jest.fn(),
+  uploadLogoViaAPI: jest.fn(),
+  updateAchievementsViaAPI: jest.fn(),
+  createCollectionViaAPI: jest.fn(),
+  updateCollectionGamesViaAPI: jest.fn(),
+  getCollectionsViaAPI: jest.fn().mockResolvedValue([]),
+  getExistingGameIds: mockGetExistingGameIds,
+}));
+
+const modulePromise = import('../importers/heroic/index.js');
+
+function writeJson(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data));
+}
+
+describe('Heroic Games Launcher Importer', () => {
+  let heroicPath;
+
+  beforeEach(() => {
+    heroicPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mhg-heroic-'));
+    writeJson(path.join(heroicPath, 'store_cache', 'legendary_library.json'), {
+      library: [
+        { app_name: 'Fortnite', title: 'Fortnite', is_installed: false, art_cover: 'https://cdn.example/fortnite.jpg' },
+        { app_name: 'Sugar', title: 'Control', is_installed: false },
+        { app_name: 'SugarDLC', title: 'Control - AWE', install: { is_dlc: true } },
+      ],
+    });
+    writeJson(path.join(heroicPath, 'legendaryConfig', 'legendary', 'installed.json'), {
+      Sugar: { app_name: 'Sugar', install_path: '/games/Control' },
+    });
+    writeJson(path.join(heroicPath, 'gog_store', 'library.json'), {
+      games: [{ app_name: '1207658691', title: 'Unreal Tournament 2004' }],
+    });
+    writeJson(path.join(heroicPath, 'gog_store', 'installed.json'), {
+      installed: [{ appName: '1207658691', install_path: '/games/UT2004', platform: 'windows' }],
+    });
+    writeJson(path.join(heroicPath, 'store_cache', 'nile_library.json'), {
+      library: [{ app_name: 'amzn1.adg.product.1', title: 'Tomb Raider', is_installed: true }],
+    });
+    writeJson(path.join(heroicPath, 'GamesConfig', 'Sugar.json'), {
+      Sugar: { launcherArgs: '-dx12 -skipintro', winePrefix: '/prefixes/Control' },
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(heroicPath, { recursive: true, force: true });
+    jest.resetAllMocks();
+  });
+
+  test('should read every runner library and skip DLCs', async () => {
+    const { readHeroicGames } = await modulePromise;
+    const games = readHeroicGames(heroicPath);
+    expect(games.map((g) => g.key)).toEqual([
+      'legendary_Fortnite',
+      'legendary_Sugar',
+      'gog_1207658691',
+      'nile_amzn1.adg.product.1',
+    ]);
+  });
+
+  test('should generate launch scripts only for installed games', async () => {
+    const { readHeroicGames } = await modulePromise;
+    const games = Object.fromEntries(readHeroicGames(heroicPath).map((g) => [g.key, g]));
+    expect(games.legendary_Fortnite.executables).toEqual([]);
+    expect(games.legendary_Sugar.executables).toHaveLength(1);
+    expect(games.gog_1207658691.executables).toHaveLength(1);
+    expect(games['nile_amzn1.adg.product.1'].executables).toHaveLength(1);
+
+    const script = fs.readFileSync(games.legendary_Sugar.executables[0].path, 'utf-8');
+    expect(script).toContain('heroic://launch?appName=Sugar&runner=legendary&arg=-dx12&arg=-skipintro');
+  });
+
+  test('should use the cached cover when present', async () => {
+    const hash = crypto.createHash('sha256').update('https://cdn.example/fortnite.jpg').digest('hex');
+    fs.mkdirSync(path.join(heroicPath, 'images-cache'));
+    fs.writeFileSync(path.join(heroicPath, 'images-cache', hash), '');
+
+    const { readHeroicGames } = await modulePromise;
+    const [fortnite] = readHeroicGames(heroicPath);
+    expect(fortnite.coverPath).toBe(path.join(heroicPath, 'images-cache', hash));
+  });
+
+  test('should import games and save the map keyed by runner and app name', async () => {
+    const metadataPath = path.join(heroicPath, 'metadata');
+    fs.mkdirSync(metadataPath);
+    mockGetExistingGameIds.mockResolvedValue(new Set());
+    mockSearchGameOnServer.mockImplementation(async (title) => (title === 'Control' ? [{ id: 5, name: 'Control' }] : []));
+    mockGetGameDetailsFromServer.mockResolvedValue({ id: 5, name: 'Control' });
+    mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+    mockUploadExecutableViaAPI.mockResolvedValue({ status: 'success' });
+
+    const { importFromHeroic } = await modulePromise;
+    await importFromHeroic({
+      heroicPath,
+      metadataPath,
+      serverUrl: 'http://localhost:3000',
+      apiToken: 'token',
+      twitchClientId: 'clientId',
+      twitchClientSecret: 'clientSecret',
+      search: 'control',
+    });
+
+    expect(mockCreateGameViaAPI).toHaveBeenCalledTimes(1);
+    expect(mockUploadExecutableViaAPI).toHaveBeenCalledWith(5, expect.stringContaining('legendary_Sugar'), 'Heroic', 'http://localhost:3000', 'token');
+    const written = JSON.parse(fs.readFileSync(path.join(metadataPath, 'importer', 'heroic-appname-map.json'), 'utf-8'));
+    expect(written).toEqual({ legendary_Sugar: expect.objectContaining({ igdbId: 5, title: 'Control' }) });
+  });
+});
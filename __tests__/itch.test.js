@@ -0,0 +1,156 @@
+// Test suite for itch.io importer
+import { jest } from '@jest/globals';
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockSearchGameOnServer = jest.fn();
+const mockGetGameDetailsFromServer = jest.fn();
+const mockCreateGameViaAPI = jest.fn();
+const mockUpdateGameViaAPI = jest.fn();
+const mockUploadExecutableViaAPI = jest.fn();
+const mockCreateCollectionViaAPI = jest.fn();
+const mockUpdateCollectionGamesViaAPI = jest.fn();
+const mockGetExistingGameIds = jest.fn();
+
+jest.unstable_mockModule('../importers/common/igdb.js', () => ({
+  searchGameOnServer: mockSearchGameOnServer,
+  getGameDetailsFromServer: mockGetGameDetailsFromServer,
+  createGameViaAPI: mockCreateGameViaAPI,
+  getGameViaAPI: jest.fn(),
+  updateGameViaAPI: mockUpdateGameViaAPI,
+  uploadExecutableViaAPI: mockUploadExecutableViaAPI,
+  uploadCoverViaAPI: jest.fn(),
+  uploadBackgroundViaAPI: jest.fn(),
+  findGameByExternalIdOnServer: jest.fn(),
+  uploadIconViaAPI: jest.fn(),
+  uploadLogoViaAPI: jest.fn(),
+  updateAchievementsViaAPI: jest.fn(),
+  createCollectionViaAPI: mockCreateCollectionViaAPI,
+  updateCollectionGamesViaAPI: mockUpdateCollectionGamesViaAPI,
+  getCollectionsViaAPI: jest.fn().mockResolvedValue([]),
+  getExistingGameIds: mockGetExistingGameIds,
+}));
+
+const modulePromise = import('../importers/itch/index.js');
+
+describe('itch.io Importer', () => {
+  let dataDir;
+  let dbPath;
+  let installPath;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mhg-itch-'));
+    dbPath = path.join(dataDir, 'butler.db');
+    installPath = path.join(dataDir, 'apps', 'celeste');
+    fs.mkdirSync(installPath, { recursive: true });
+    fs.writeFileSync(path.join(installPath, 'Celeste'), '');
+    fs.writeFileSync(path.join(installPath, 'Celeste.exe'), '');
+
+    const verdict = JSON.stringify({
+      basePath: installPath,
+      candidates: [
+        { path: 'Celeste.exe', flavor: 'windows' },
+        { path: 'Celeste', flavor: 'linux' },
+      ],
+    });
+    const brokenVerdict = JSON.stringify({ basePath: path.join(dataDir, 'apps', 'gone'), candidates: [{ path: 'gone', flavor: 'linux' }] });
+
+    const db = new Database(dbPath);
+    db.exec(`
+      CREATE TABLE games (id INTEGER PRIMARY KEY, title TEXT, classification TEXT, published_at DATETIME);
+      CREATE TABLE caves (id TEXT PRIMARY KEY, game_id INTEGER, verdict TEXT, install_location_id TEXT, install_folder_name TEXT, custom_install_folder TEXT, installed_at DATETIME, last_touched_at DATETIME, seconds_run INTEGER);
+      CREATE TABLE install_locations (id TEXT PRIMARY KEY, path TEXT);
+      CREATE TABLE download_keys (id INTEGER PRIMARY KEY, game_id INTEGER);
+      CREATE TABLE collections (id INTEGER PRIMARY KEY, title TEXT);
+      CREATE TABLE collection_games (collection_id INTEGER, game_id INTEGER, position INTEGER);
+      INSERT INTO games VALUES (1, 'Celeste', 'game', '2018-01-25 00:00:00+00:00');
+      INSERT INTO games VALUES (2, 'Owlboy', 'game', NULL);
+      INSERT INTO games VALUES (3, 'Pixel Font Pack', 'assets', NULL);
+      INSERT INTO games VALUES (4, 'Not Owned', 'game', NULL);
+      INSERT INTO games VALUES (5, 'Uninstalled Folder', 'game', NULL);
+      INSERT INTO install_locations VALUES ('loc', '${path.join(dataDir, 'apps')}');
+      INSERT INTO caves VALUES ('cave-1', 1, '${verdict}', 'loc', 'celeste', NULL, '2024-01-01 00:00:00+00:00', '2024-02-01 20:00:00+00:00', 5400);
+      INSERT INTO caves VALUES ('cave-5', 5, '${brokenVerdict}', 'loc', 'gone', NULL, '2024-01-02 00:00:00+00:00', NULL, 0);
+      INSERT INTO download_keys VALUES (10, 2), (11, 3);
+      INSERT INTO collections VALUES (7, 'Platformers');
+      INSERT INTO collection_games VALUES (7, 2, 2), (7, 1, 1);
+    `);
+    db.close();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    jest.resetAllMocks();
+  });
+
+  test('should pick the launch candidate for the platform', async () => {
+    const { readButlerDatabase, getCaveLaunchTarget, getCaveInstallPath } = await modulePromise;
+    const { caves } = readButlerDatabase(dbPath);
+    const cave = caves.find((c) => c.id === 'cave-1');
+
+    expect(getCaveLaunchTarget(cave, 'linux')).toEqual({ installPath, target: path.join(installPath, 'Celeste'), flavor: 'linux' });
+    expect(getCaveLaunchTarget(cave, 'win32').target).toBe(path.join(installPath, 'Celeste.exe'));
+    expect(getCaveLaunchTarget(cave, 'darwin')).toBeNull();
+    expect(getCaveInstallPath({ verdict: null, install_location_path: '/itch/apps', install_folder_name: 'owlboy' })).toBe(path.join('/itch/apps', 'owlboy'));
+  });
+
+  test('should read owned and installed games with caves, play stats and collections', async () => {
+    const { readItchGames } = await modulePromise;
+    const games = readItchGames(dbPath, 'linux');
+
+    expect(games.map((game) => game.title)).toEqual(['Celeste', 'Owlboy', 'Uninstalled Folder']);
+    const [celeste, owlboy, uninstalled] = games;
+
+    expect(celeste).toMatchObject({
+      key: '1',
+      releaseDate: '2018-01-25 00:00:00+00:00',
+      playtimeMinutes: 90,
+      lastPlayed: '2024-02-01 20:00:00+00:00',
+      collections: ['Platformers'],
+    });
+    expect(celeste.executables).toHaveLength(1);
+    expect(celeste.executables[0].label).toBe('itch.io');
+    expect(fs.readFileSync(celeste.executables[0].path, 'utf-8')).toContain(`exec '${path.join(installPath, 'Celeste')}'`);
+
+    expect(owlboy).toMatchObject({ executables: [], collections: ['Platformers'], playtimeMinutes: null });
+    expect(uninstalled.executables).toEqual([]);
+  });
+
+  test('should import games, send play stats and create collections', async () => {
+    const metadataPath = path.join(dataDir, 'metadata');
+    fs.mkdirSync(metadataPath);
+    mockGetExistingGameIds.mockResolvedValue(new Set());
+    mockSearchGameOnServer.mockImplementation(async (title) => {
+      if (title === 'Celeste') return [{ id: 10, name: 'Celeste' }];
+      if (title === 'Owlboy') return [{ id: 20, name: 'Owlboy' }];
+      return [];
+    });
+    mockGetGameDetailsFromServer.mockImplementation(async (id) => ({ id, name: id === 10 ? 'Celeste' : 'Owlboy' }));
+    mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+    mockUpdateGameViaAPI.mockResolvedValue({ status: 'success' });
+    mockUploadExecutableViaAPI.mockResolvedValue({ status: 'success' });
+    mockCreateCollectionViaAPI.mockResolvedValue({ collection: { id: 3 } });
+    mockUpdateCollectionGamesViaAPI.mockResolvedValue({ status: 'success' });
+
+    const { importFromItch } = await modulePromise;
+    await importFromItch({
+      butlerDbPath: dbPath,
+      metadataPath,
+      serverUrl: 'http://localhost:3000',
+      apiToken: 'token',
+      twitchClientId: 'clientId',
+      twitchClientSecret: 'clientSecret',
+    });
+
+    expect(mockSearchGameOnServer).toHaveBeenCalledWith('Celeste', 'http://localhost:3000', 'token', 'clientId', 'clientSecret', Date.UTC(2018, 0, 25) / 1000, null);
+    expect(mockCreateGameViaAPI).toHaveBeenCalledTimes(2);
+    expect(mockUpdateGameViaAPI).toHaveBeenCalledWith(10, { playtime: 90, lastPlayed: Date.UTC(2024, 1, 1, 20) / 1000 }, 'http://localhost:3000', 'token');
+    expect(mockCreateCollectionViaAPI).toHaveBeenCalledWith('Platformers', '', 'http://localhost:3000', 'token');
+    expect(mockUpdateCollectionGamesViaAPI).toHaveBeenCalledWith(3, [10, 20], 'http://localhost:3000', 'token');
+
+    const importMap = JSON.parse(fs.readFileSync(path.join(metadataPath, 'importer', 'itch-game-map.json'), 'utf-8'));
+    expect(Object.keys(importMap)).toEqual(['1', '2']);
+  });
+});
@@ -0,0 +1,197 @@
+// Test suite for LaunchBox importer
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockSearchGameOnServer = jest.fn();
+const mockGetGameDetailsFromServer = jest.fn();
+const mockCreateGameViaAPI = jest.fn();
+const mockUploadExecutableViaAPI = jest.fn();
+const mockCreateCollectionViaAPI = jest.fn();
+const mockUpdateCollectionGamesViaAPI = jest.fn();
+const mockGetExistingGameIds = jest.fn();
+
+jest.unstable_mockModule('../importers/common/igdb.js', () => ({
+  searchGameOnServer: mockSearchGameOnServer,
+  getGameDetailsFromServer: mockGetGameDetailsFromServer,
+  createGameViaAPI: mockCreateGameViaAPI,
+  getGameViaAPI: jest.fn(),
+  updateGameViaAPI: jest.fn(),
+  uploadExecutableViaAPI: mockUploadExecutableViaAPI,
+  uploadCoverViaAPI: jest.fn(),
+  uploadBackgroundViaAPI: jest.fn(),
+  findGameByExternalIdOnServer: jest.fn(),
+  uploadIconViaAPI: jest.fn(),
+  uploadLogoViaAPI: jest.fn(),
+  updateAchievementsViaAPI: jest.fn(),
+  createCollectionViaAPI: mockCreateCollectionViaAPI,
+  updateCollectionGamesViaAPI: mockUpdateCollectionGamesViaAPI,
+  getCollectionsViaAPI: jest.fn().mockResolvedValue([]),
+  getExistingGameIds: mockGetExistingGameIds,
+}));
+
+const modulePromise = import('../importers/launchbox/index.js');
+
+const PLATFORM_XML = `<?xml version="1.0" standalone="yes"?>
+<LaunchBox>
+  <Game>
+    <ID>11111111-aaaa</ID>
+    <Title>Hollow Knight</Title>
+    <Platform>Windows</Platform>
+    <ReleaseDate>2017-02-24T00:00:00+01:00</ReleaseDate>
+    <StarRating>4</StarRating>
+    <PlayTime>5400</PlayTime>
+    <LastPlayedDate>2024-01-02T10:00:00+00:00</LastPlayedDate>
+    <ApplicationPath>Games\\Hollow Knight\\hollow_knight.exe</ApplicationPath>
+    <Genre>Action; Platform</Genre>
+    <Favorite>true</Favorite>
+  </Game>
+  <Game>
+    <ID>22222222-bbbb</ID>
+    <Title>Portal 2</Title>
+    <Platform>Windows</Platform>
+    <ApplicationPath>steam://rungameid/620</ApplicationPath>
+    <Favorite>false</Favorite>
+  </Game>
+  <Game>
+    <ID>33333333-cccc</ID>
+    <Title>Celeste</Title>
+    <Platform>Windows</Platform>
+    <ApplicationPath>Games\\Missing\\celeste.exe</ApplicationPath>
+  </Game>
+</LaunchBox>`;
+
+const EMULATED_XML = `<?xml version="1.0" standalone="yes"?>
+<LaunchBox>
+  <Game>
+    <ID>44444444-dddd</ID>
+    <Title>Super Metroid</Title>
+    <Platform>Super Nintendo Entertainment System</Platform>
+    <Emulator>e1</Emulator>
+    <ApplicationPath>..\\Roms\\snes\\Super Metroid.sfc</ApplicationPath>
+  </Game>
+</LaunchBox>`;
+
+const PLAYLIST_XML = `<?xml version="1.0" standalone="yes"?>
+<LaunchBox>
+  <Playlist>
+    <Name>Weekend Backlog</Name>
+  </Playlist>
+  <PlaylistGame>
+    <GameId>11111111-aaaa</GameId>
+    <ManualOrder>2</ManualOrder>
+  </PlaylistGame>
+  <PlaylistGame>
+    <GameId>22222222-bbbb</GameId>
+    <ManualOrder>1</ManualOrder>
+  </PlaylistGame>
+  <PlaylistGame>
+    <GameId>unknown-game</GameId>
+    <ManualOrder>0</ManualOrder>
+  </PlaylistGame>
+</LaunchBox>`;
+
+const AUTO_PLAYLIST_XML = `<?xml version="1.0" standalone="yes"?>
+<LaunchBox>
+  <Playlist>
+    <Name>All Metroidvanias</Name>
+  </Playlist>
+  <PlaylistFilter>
+    <FieldKey>Genre</FieldKey>
+    <Value>Metroidvania</Value>
+  </PlaylistFilter>
+</LaunchBox>`;
+
+describe('LaunchBox Importer', () => {
+  let launchboxPath;
+
+  beforeEach(() => {
+    launchboxPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mhg-launchbox-'));
+    fs.mkdirSync(path.join(launchboxPath, 'Data', 'Platforms'), { recursive: true });
+    fs.mkdirSync(path.join(launchboxPath, 'Data', 'Playlists'), { recursive: true });
+    fs.mkdirSync(path.join(launchboxPath, 'Games', 'Hollow Knight'), { recursive: true });
+    fs.writeFileSync(path.join(launchboxPath, 'Games', 'Hollow Knight', 'hollow_knight.exe'), '');
+    fs.writeFileSync(path.join(launchboxPath, 'Data', 'Platforms', 'Windows.xml'), PLATFORM_XML);
+    fs.writeFileSync(path.join(launchboxPath, 'Data', 'Platforms', 'Super Nintendo Entertainment System.xml'), EMULATED_XML);
+    fs.writeFileSync(path.join(launchboxPath, 'Data', 'Playlists', 'Weekend Backlog.xml'), PLAYLIST_XML);
+    fs.writeFileSync(path.join(launchboxPath, 'Data', 'Playlists', 'All Metroidvanias.xml'), AUTO_PLAYLIST_XML);
+  });
+
+  afterEach(() => {
+    fs.rmSync(launchboxPath, { recursive: true, force: true });
+    jest.resetAllMocks();
+  });
+
+  test('should map platform games onto source games', async () => {
+    const { readLaunchBoxGames } = await modulePromise;
+    const games = readLaunchBoxGames(launchboxPath);
+
+    expect(games.map((game) => game.key)).toEqual(['44444444-dddd', '11111111-aaaa', '22222222-bbbb', '33333333-cccc']);
+    const [metroid, hollowKnight, portal, celeste] = games;
+    expect(hollowKnight).toMatchObject({
+      title: 'Hollow Knight',
+      platform: 'Windows',
+      releaseDate: '2017-02-24T00:00:00+01:00',
+      stars: 8,
+      playtimeMinutes: 90,
+      lastPlayed: '2024-01-02T10:00:00+00:00',
+      genres: ['Action', 'Platform'],
+      collections: ['Favorites'],
+    });
+    const hollowKnightScript = fs.readFileSync(hollowKnight.executables[0].path, 'utf-8');
+    expect(hollowKnightScript).toContain(path.join(launchboxPath, 'Games', 'Hollow Knight', 'hollow_knight.exe'));
+    expect(fs.readFileSync(portal.executables[0].path, 'utf-8')).toContain('steam://rungameid/620');
+    expect(portal.collections).toEqual([]);
+    expect(celeste.executables).toEqual([]);
+    expect(metroid.executables).toEqual([]);
+  });
+
+  test('should read playlists in manual order and skip auto-populated ones', async () => {
+    const { readLaunchBoxPlaylists } = await modulePromise;
+    const playlists = readLaunchBoxPlaylists(launchboxPath);
+
+    expect([...playlists.keys()]).toEqual(['Weekend Backlog']);
+    expect(playlists.get('Weekend Backlog')).toEqual(['unknown-game', '22222222-bbbb', '11111111-aaaa']);
+  });
+
+  test('should fail without Data/Platforms', async () => {
+    const { importFromLaunchBox } = await modulePromise;
+    await expect(importFromLaunchBox({ launchboxPath: path.join(launchboxPath, 'nope') })).rejects.toThrow('Data/Platforms');
+  });
+
+  test('should import games and turn playlists and favorites into collections', async () => {
+    const metadataPath = path.join(launchboxPath, 'metadata');
+    fs.mkdirSync(metadataPath);
+    const ids = { 'Hollow Knight': 14593, 'Portal 2': 72, Celeste: 26226, 'Super Metroid': 1103 };
+    mockGetExistingGameIds.mockResolvedValue(new Set());
+    mockSearchGameOnServer.mockImplementation(async (title) => [{ id: ids[title], name: title }]);
+    mockGetGameDetailsFromServer.mockImplementation(async (id) => ({ id, name: Object.keys(ids).find((title) => ids[title] === id) }));
+    mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+    mockUploadExecutableViaAPI.mockResolvedValue({ status: 'success' });
+    mockCreateCollectionViaAPI.mockImplementation(async (title) => ({ collection: { id: title === 'Favorites' ? 'fav' : 'backlog' } }));
+    mockUpdateCollectionGamesViaAPI.mockResolvedValue({ status: 'success' });
+
+    const { importFromLaunchBox } = await modulePromise;
+    await importFromLaunchBox({
+      launchboxPath,
+      metadataPath,
+      serverUrl: 'http://localhost:3000',
+      apiToken: 'token',
+      twitchClientId: 'clientId',
+      twitchClientSecret: 'clientSecret',
+    });
+
+    expect(mockSearchGameOnServer).toHaveBeenCalledWith(
+      'Super Metroid', 'http://localhost:3000', 'token', 'clientId', 'clientSecret', null, 'Super Nintendo Entertainment System',
+    );
+    expect(mockCreateGameViaAPI).toHaveBeenCalledTimes(4);
+    expect(mockUploadExecutableViaAPI).toHaveBeenCalledTimes(2);
+    expect(mockCreateCollectionViaAPI.mock.calls.map((call) => call[0])).toEqual(['Weekend Backlog', 'Favorites']);
+    expect(mockUpdateCollectionGamesViaAPI).toHaveBeenCalledWith('backlog', [72, 14593], 'http://localhost:3000', 'token');
+    expect(mockUpdateCollectionGamesViaAPI).toHaveBeenCalledWith('fav', [14593], 'http://localhost:3000', 'token');
+
+    const importMap = JSON.parse(fs.readFileSync(path.join(metadataPath, 'importer', 'launchbox-game-map.json'), 'utf-8'));
+    expect(importMap['11111111-aaaa'].igdbId).toBe(14593);
+  });
+});
@@ -0,0 +1,144 @@
+// Test suite for Lutris importer
+import { jest } from '@jest/globals';
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockSearchGameOnServer = jest.fn();
+const mockGetGameDetailsFromServer = jest.fn();
+const mockCreateGameViaAPI = jest.fn();
+const mockUpdateGameViaAPI = jest.fn();
+const mockUploadExecutableViaAPI = jest.fn();
+const mockCreateCollectionViaAPI = jest.fn();
+const mockUpdateCollectionGamesViaAPI = jest.fn();
+const mockGetCollectionsViaAPI = jest.fn();
+const mockGetExistingGameIds = jest.fn();
+
+jest.unstable_mockModule('../importers/common/igdb.js', () => ({
+  searchGameOnServer: mockSearchGameOnServer,
+  getGameDetailsFromServer: mockGetGameDetailsFromServer,
+  createGameViaAPI: mockCreateGameViaAPI,
+  getGameViaAPI: jest.fn(),
+  updateGameViaAPI: mockUpdateGameViaAPI,
+  uploadExecutableViaAPI: mockUploadExecutableViaAPI,
+  uploadCoverViaAPI: jest.fn(),
+  uploadBackgroundViaAPI: jest.fn(),
+  findGameByExternalIdOnServer: jest.fn(),
+  uploadIconViaAPI: jest.fn(),
+  uploadLogoViaAPI: jest.fn(),
+  updateAchievementsViaAPI: jest.fn(),
+  createCollectionViaAPI: mockCreateCollectionViaAPI,
+  updateCollectionGamesViaAPI: mockUpdateCollectionGamesViaAPI,
+  getCollectionsViaAPI: mockGetCollectionsViaAPI,
+  getExistingGameIds: mockGetExistingGameIds,
+}));
+
+const modulePromise = import('../importers/lutris/index.js');
+
+describe('Lutris Importer', () => {
+  let dataDir;
+  let dbPath;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mhg-lutris-'));
+    dbPath = path.join(dataDir, 'pga.db');
+    const db = new Database(dbPath);
+    db.exec(`
+      CREATE TABLE games (id INTEGER PRIMARY KEY, name TEXT, slug TEXT, runner TEXT, installed INTEGER, year INTEGER, configpath TEXT, playtime REAL, lastplayed INTEGER);
+      CREATE TABLE categories (id INTEGER PRIMARY KEY, name TEXT);
+      CREATE TABLE games_categories (game_id INTEGER, category_id INTEGER);
+      INSERT INTO games VALUES (1, 'Celeste', 'celeste', 'linux', 1, 2018, 'celeste-1', 2.5, 1700000000);
+      INSERT INTO games VALUES (2, 'Diablo II', 'diablo-ii', 'wine', 0, 2000, 'diablo-ii-2', NULL, NULL);
+      INSERT INTO categories VALUES (1, 'favorite'), (2, '.hidden'), (3, 'Platformers');
+      INSERT INTO games_categories VALUES (1, 1), (1, 3), (2, 2);
+    `);
+    db.close();
+
+    const gamesDir = path.join(dataDir, 'games');
+    fs.mkdirSync(gamesDir);
+    fs.writeFileSync(path.join(gamesDir, 'celeste-1.yml'), `game:\n  exe: ${dbPath}\nlinux: {}\nsystem:\n  disable_runtime: true\n`);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    jest.resetAllMocks();
+  });
+
+  test('should read runner, exe and prefix from the YAML config', async () => {
+    const { readGameConfig } = await modulePromise;
+    expect(readGameConfig([path.join(dataDir, 'games')], 'celeste-1')).toEqual({ runner: 'linux', exe: dbPath, prefix: null });
+    expect(readGameConfig([path.join(dataDir, 'games')], 'missing')).toBeNull();
+  });
+
+  test('should map categories to collections', async () => {
+    const { categoriesToCollections } = await modulePromise;
+    expect(categoriesToCollections(['favorite', '.hidden', 'RPG'])).toEqual(['Favorites', 'RPG']);
+  });
+
+  test('should read games with playtime, last played and categories', async () => {
+    const { readLutrisGames } = await modulePromise;
+    const [celeste, diablo] = readLutrisGames(dbPath);
+
+    expect(celeste.key).toBe('1');
+    expect(celeste.playtimeMinutes).toBe(150);
+    expect(celeste.lastPlayed).toBe(1700000000);
+    expect(celeste.collections).toEqual(['Platformers', 'Favorites']);
+    expect(celeste.executables).toHaveLength(1);
+    expect(celeste.executables[0].label).toBe('Lutris (linux)');
+    expect(fs.readFileSync(celeste.executables[0].path, 'utf-8')).toContain("lutris 'lutris:rungameid/1'");
+
+    expect(diablo.executables).toEqual([]);
+    expect(diablo.collections).toEqual([]);
+    expect(new Date(diablo.releaseDate * 1000).getFullYear()).toBe(2000);
+  });
+
+  test('should keep rows sharing a slug apart', async () => {
+    const db = new Database(dbPath);
+    db.exec("INSERT INTO games VALUES (3, 'Celeste', 'celeste', 'steam', 1, 2018, 'celeste-3', NULL, NULL)");
+    db.close();
+    fs.writeFileSync(path.join(dataDir, 'games', 'celeste-3.yml'), 'game:\n  appid: 504230\nsteam: {}\n');
+
+    const { readLutrisGames } = await modulePromise;
+    const [linux, steam] = readLutrisGames(dbPath).filter((game) => game.title === 'Celeste');
+
+    expect([linux.key, steam.key]).toEqual(['1', '3']);
+    expect(linux.executables[0].path).not.toBe(steam.executables[0].path);
+    expect(fs.readFileSync(linux.executables[0].path, 'utf-8')).toContain('lutris:rungameid/1');
+    expect(fs.readFileSync(steam.executables[0].path, 'utf-8')).toContain('lutris:rungameid/3');
+  });
+
+  test('should import games, send play stats and create collections', async () => {
+    const metadataPath = path.join(dataDir, 'metadata');
+    fs.mkdirSync(metadataPath);
+    mockGetExistingGameIds.mockResolvedValue(new Set());
+    mockSearchGameOnServer.mockImplementation(async (title) => (
+      title === 'Celeste' ? [{ id: 10, name: 'Celeste' }] : [{ id: 20, name: 'Diablo II' }]
+    ));
+    mockGetGameDetailsFromServer.mockImplementation(async (id) => ({ id, name: id === 10 ? 'Celeste' : 'Diablo II' }));
+    mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+    mockUpdateGameViaAPI.mockResolvedValue({ status: 'success' });
+    mockUploadExecutableViaAPI.mockResolvedValue({ status: 'success' });
+    mockGetCollectionsViaAPI.mockResolvedValue([{ title: 'platformers' }]);
+    mockCreateCollectionViaAPI.mockResolvedValue({ collection: { id: 77 } });
+    mockUpdateCollectionGamesViaAPI.mockResolvedValue({ status: 'success' });
+
+    const { importFromLutris } = await modulePromise;
+    await importFromLutris({
+      lutrisDbPath: dbPath,
+      metadataPath,
+      serverUrl: 'http://localhost:3000',
+      apiToken: 'token',
+      twitchClientId: 'clientId',
+      twitchClientSecret: 'clientSecret',
+    });
+
+    expect(mockCreateGameViaAPI).toHaveBeenCalledTimes(2);
+    expect(mockUpdateGameViaAPI).toHaveBeenCalledTimes(1);
+    expect(mockUpdateGameViaAPI).toHaveBeenCalledWith(10, { playtime: 150, lastPlayed: 1700000000 }, 'http://localhost:3000', 'token');
+    // "Platformers" already exists on the server
+    expect(mockCreateCollectionViaAPI).toHaveBeenCalledTimes(1);
+    expect(mockCreateCollectionViaAPI).toHaveBeenCalledWith('Favorites', '', 'http://localhost:3000', 'token');
+    expect(mockUpdateCollectionGamesViaAPI).toHaveBeenCalledWith(77, [10], 'http://localhost:3000', 'token');
+  });
+});
@@ -0,0 +1,59 @@
+// Test suite for title matching and match confidence scoring
+import { normalizeTitle, titleSimilarity, rankCandidates, parseMatchThreshold, DEFAULT_MATCH_THRESHOLD } from '../importers/common/matching.js';
+
+describe('Title matching', () => {
+  describe('normalizeTitle', () => {
+    test('should drop trademark signs, punctuation, a leading "The" and edition suffixes', () => {
+      expect(normalizeTitle('The Witcher® 3: Wild Hunt - Game of the Year Edition')).toBe('witcher 3 wild hunt');
+      expect(normalizeTitle('Baldur\'s Gate II: Enhanced Edition')).toBe('baldur s gate 2');
+      expect(normalizeTitle('Rock & Roll Racing™')).toBe('rock and roll racing');
+    });
+
+    test('should drop diacritics but keep letters of every script', () => {
+      expect(normalizeTitle('Pokémon')).toBe('pokemon');
+      expect(normalizeTitle('Ведьмак 3')).toBe('ведьмак 3');
+      expect(normalizeTitle('ファイナルファンタジー VII')).toBe('ファイナルファンタジー 7');
+      expect(normalizeTitle('Γκρινιάρης')).toBe('γκρινιαρης');
+    });
+  });
+
+  describe('titleSimilarity', () => {
+    test('should match non-Latin titles', () => {
+      expect(titleSimilarity('Ведьмак', 'Ведьмак')).toBe(1);
+      expect(titleSimilarity('ゼルダの伝説', 'マリオカート')).toBeLessThan(DEFAULT_MATCH_THRESHOLD);
+    });
+
+    test('should treat different sequel numbers as different games', () => {
+      expect(titleSimilarity('Fallout 3', 'Fallout 4')).toBe(0);
+      expect(titleSimilarity('Halo 2', 'Halo 3')).toBe(0);
+      expect(titleSimilarity('Baldur\'s Gate', 'Baldur\'s Gate II')).toBe(0);
+      expect(titleSimilarity('Left 4 Dead 2', 'Left 4 Dead')).toBe(0);
+    });
+
+    test('should keep matching numbered titles with subtitles and years', () => {
+      expect(titleSimilarity('Fallout 3', 'Fallout 3: Game of the Year Edition')).toBe(1);
+      expect(titleSimilarity('Baldur\'s Gate 2', 'Baldur\'s Gate II: Shadows of Amn')).toBeGreaterThan(0);
+      expect(titleSimilarity('Doom (1993)', 'Doom')).toBeGreaterThan(0);
+    });
+  });
+
+  describe('rankCandidates', () => {
+    test('should rank the release date closest candidate first among equal titles', () => {
+      const ranked = rankCandidates([
+        { id: 1, name: 'Doom', releaseDateFull: { timestamp: 1463097600 } },
+        { id: 2, name: 'Doom', releaseDateFull: { timestamp: 755222400 } },
+        { id: 3, name: 'Doom II' },
+      ], { titles: ['DOOM'], releaseDate: 755222400 });
+
+      expect(ranked.map((scored) => scored.candidate.id)).toEqual([2, 1, 3]);
+      expect(ranked[0].confidence).toBe(1);
+      expect(ranked[2].confidence).toBe(0);
+    });
+  });
+
+  test('should parse match thresholds between 0 and 1', () => {
+    expect(parseMatchThreshold(undefined)).toBe(DEFAULT_MATCH_THRESHOLD);
+    expect(parseMatchThreshold('0.9')).toBe(0.9);
+    expect(() => parseMatchThreshold('2')).toThrow('Invalid MATCH_THRESHOLD: 2');
+  });
+});
@@ -0,0 +1,139 @@
+// Test suite for Playnite importer
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockSearchGameOnServer = jest.fn();
+const mockGetGameDetailsFromServer = jest.fn();
+const mockCreateGameViaAPI = jest.fn();
+const mockUpdateGameViaAPI = jest.fn();
+const mockGetExistingGameIds = jest.fn();
+
+jest.unstable_mockModule('../importers/common/igdb.js', () => ({
+  searchGameOnServer: mockSearchGameOnServer,
+  getGameDetailsFromServer: mockGetGameDetailsFromServer,
+  createGameViaAPI: mockCreateGameViaAPI,
+  getGameViaAPI: jest.fn(),
+  updateGameViaAPI: mockUpdateGameViaAPI,
+  uploadExecutableViaAPI: jest.fn().mockResolvedValue({}),
+  uploadCoverViaAPI: jest.fn(),
+  uploadBackgroundViaAPI: jest.fn(),
+  findGameByExternalIdOnServer: jest.fn(),
+  uploadIconViaAPI: jest.fn(),
+  uploadLogoViaAPI: jest.fn(),
+  updateAchievementsViaAPI: jest.fn(),
+  createCollectionViaAPI: jest.fn().mockResolvedValue({ collection: { id: 1 } }),
+  updateCollectionGamesViaAPI: jest.fn().mockResolvedValue({}),
+  getCollectionsViaAPI: jest.fn().mockResolvedValue([]),
+  getExistingGameIds: mockGetExistingGameIds,
+}));
+
+const modulePromise = import('../importers/playnite/index.js');
+
+describe('Playnite Importer', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mhg-playnite-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  describe('playniteRecordToGame', () => {
+    test('should map Playnite JSON fields onto a source game', async () => {
+      const { playniteRecordToGame } = await modulePromise;
+      const game = playniteRecordToGame({
+        Id: '1f2e3d4c',
+        Name: ' The Witcher 3 ',
+        ReleaseDate: { ReleaseDate: '2015-05-19T00:00:00' },
+        UserScore: 95,
+        Categories: [{ Name: 'RPG' }],
+        Tags: [{ Name: 'Backlog' }, { Name: 'RPG' }],
+        Playtime: 7200,
+        LastActivity: '2024-01-02T10:00:00Z',
+        InstallDirectory: 'D:\\Games\\The Witcher 3',
+        Favorite: true,
+      });
+
+      expect(game.key).toBe('1f2e3d4c');
+      expect(game.title).toBe('The Witcher 3');
+      expect(new Date(game.releaseDate * 1000).toISOString().slice(0, 10)).toBe('2015-05-19');
+      expect(game.stars).toBe(10);
+      expect(game.collections).toEqual(['RPG', 'Backlog', 'Favorites']);
+      expect(game.playtimeMinutes).toBe(120);
+      expect(game.lastPlayed).toBe('2024-01-02T10:00:00Z');
+      expect(game.executables).toHaveLength(1);
+      expect(fs.readFileSync(game.executables[0].path, 'utf-8')).toContain('playnite://playnite/start/1f2e3d4c');
+    });
+
+    test('should not create a launch script for games that are not installed', async () => {
+      const { playniteRecordToGame } = await modulePromise;
+      const game = playniteRecordToGame({ Id: 'abc', Name: 'Portal', InstallDirectory: '', UserScore: '' });
+      expect(game.executables).toEqual([]);
+      expect(game.stars).toBeNull();
+      expect(game.collections).toEqual([]);
+    });
+
+    test('should parse year-only and { Year, Month, Day } release dates', async () => {
+      const { parsePlayniteReleaseDate } = await modulePromise;
+      expect(new Date(parsePlayniteReleaseDate('1998') * 1000).getUTCFullYear()).toBe(1998);
+      expect(new Date(parsePlayniteReleaseDate({ Year: 2004, Month: 11, Day: 16 }) * 1000).toISOString().slice(0, 10)).toBe('2004-11-16');
+      expect(parsePlayniteReleaseDate(null)).toBeNull();
+    });
+  });
+
+  describe('readPlayniteGames', () => {
+    test('should read a CSV export with quoted list fields', async () => {
+      const exportPath = path.join(tmpDir, 'library.csv');
+      fs.writeFileSync(exportPath, [
+        'Name,ReleaseDate,UserScore,Categories,Tags,Playtime,InstallDirectory,Id',
+        '"Half-Life 2",2004-11-16,90,"Shooter, Classics",,3600,,hl2',
+        '"Baldur\'s Gate ""Enhanced""",1998-12-21,,RPG,Backlog,,C:\\Games\\BG,bg1',
+      ].join('\r\n'));
+
+      const { readPlayniteGames } = await modulePromise;
+      const games = readPlayniteGames(exportPath);
+      expect(games).toHaveLength(2);
+      expect(games[0]).toMatchObject({ key: 'hl2', title: 'Half-Life 2', stars: 9, collections: ['Shooter', 'Classics'], playtimeMinutes: 60 });
+      expect(games[1]).toMatchObject({ key: 'bg1', title: 'Baldur\'s Gate "Enhanced"', stars: null, collections: ['RPG', 'Backlog'] });
+      expect(games[1].executables).toHaveLength(1);
+    });
+
+    test('should read a JSON export wrapped in a Games object and skip duplicates', async () => {
+      const exportPath = path.join(tmpDir, 'library.json');
+      fs.writeFileSync(exportPath, JSON.stringify({ Games: [{ Id: 'a', Name: 'Celeste' }, { Id: 'a', Name: 'Celeste' }, { Id: 'b' }] }));
+
+      const { readPlayniteGames } = await modulePromise;
+      expect(readPlayniteGames(exportPath).map((g) => g.title)).toEqual(['Celeste']);
+    });
+  });
+
+  test('should import games with stars from UserScore and send playtime', async () => {
+    const exportPath = path.join(tmpDir, 'library.json');
+    const metadataPath = path.join(tmpDir, 'metadata');
+    fs.mkdirSync(metadataPath);
+    fs.writeFileSync(exportPath, JSON.stringify([{ Id: 'a', Name: 'Celeste', UserScore: 80, Playtime: 600 }]));
+    mockGetExistingGameIds.mockResolvedValue(new Set());
+    mockSearchGameOnServer.mockResolvedValue([{ id: 42, name: 'Celeste' }]);
+    mockGetGameDetailsFromServer.mockResolvedValue({ id: 42, name: 'Celeste' });
+    mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+    mockUpdateGameViaAPI.mockResolvedValue({ status: 'success' });
+
+    const { importFromPlaynite } = await modulePromise;
+    await importFromPlaynite({
+      playniteExportPath: exportPath,
+      metadataPath,
+      serverUrl: 'http://localhost:3000',
+      apiToken: 'token',
+      twitchClientId: 'clientId',
+      twitchClientSecret: 'clientSecret',
+    });
+
+    expect(mockCreateGameViaAPI).toHaveBeenCalledWith(expect.objectContaining({ igdbId: 42, stars: 8 }), 'http://localhost:3000', 'token');
+    expect(mockUpdateGameViaAPI).toHaveBeenCalledWith(42, { playtime: 10 }, 'http://localhost:3000', 'token');
+  });
+});
@@ -0,0 +1,155 @@
+// Test suite for RetroArch importer
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockSearchGameOnServer = jest.fn();
+const mockGetGameDetailsFromServer = jest.fn();
+const mockCreateGameViaAPI = jest.fn();
+const mockUploadExecutableViaAPI = jest.fn();
+const mockCreateCollectionViaAPI = jest.fn();
+const mockUpdateCollectionGamesViaAPI = jest.fn();
+const mockGetExistingGameIds = jest.fn();
+
+jest.unstable_mockModule('../importers/common/igdb.js', () => ({
+  searchGameOnServer: mockSearchGameOnServer,
+  getGameDetailsFromServer: mockGetGameDetailsFromServer,
+  createGameViaAPI: mockCreateGameViaAPI,
+  getGameViaAPI: jest.fn(),
+  updateGameViaAPI: jest.fn(),
+  uploadExecutableViaAPI: mockUploadExecutableViaAPI,
+  uploadCoverViaAPI: jest.fn(),
+  uploadBackgroundViaAPI: jest.fn(),
+  findGameByExternalIdOnServer: jest.fn(),
+  uploadIconViaAPI: jest.fn(),
+  uploadLogoViaAPI: jest.fn(),
+  updateAchievementsViaAPI: jest.fn(),
+  createCollectionViaAPI: mockCreateCollectionViaAPI,
+  updateCollectionGamesViaAPI: mockUpdateCollectionGamesViaAPI,
+  getCollectionsViaAPI: jest.fn().mockResolvedValue([]),
+  getExistingGameIds: mockGetExistingGameIds,
+}));
+
+const modulePromise = import('../importers/retroarch/index.js');
+
+const SNES = 'Nintendo - Super Nintendo Entertainment System';
+
+function writePlaylist(dir, name, playlist) {
+  fs.writeFileSync(path.join(dir, `${name}.lpl`), JSON.stringify({ version: '1.5', ...playlist }));
+}
+
+describe('RetroArch Importer', () => {
+  let playlistsPath;
+
+  beforeEach(() => {
+    playlistsPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mhg-retroarch-'));
+    writePlaylist(playlistsPath, SNES, {
+      default_core_path: '/cores/snes9x_libretro.so',
+      default_core_name: 'Snes9x',
+      items: [
+        { path: '/roms/snes/Super Metroid (Japan, USA) (En,Ja).sfc', label: 'Super Metroid (Japan, USA) (En,Ja)', core_path: 'DETECT', core_name: 'DETECT', db_name: `${SNES}.lpl` },
+        { path: '/roms/snes/Chrono Trigger (USA).zip#Chrono Trigger (USA).sfc', label: 'Chrono Trigger (USA) [!]', core_path: '/cores/bsnes_libretro.so', core_name: 'bsnes', db_name: `${SNES}.lpl` },
+      ],
+    });
+    writePlaylist(playlistsPath, 'Unsorted', {
+      items: [{ path: '/roms/misc/homebrew.bin', label: '', core_path: 'DETECT', core_name: 'DETECT' }],
+    });
+    writePlaylist(playlistsPath, 'content_favorites', {
+      items: [{ path: '/roms/snes/Super Metroid (Japan, USA) (En,Ja).sfc', label: 'Super Metroid', core_path: 'DETECT', db_name: `${SNES}.lpl` }],
+    });
+    writePlaylist(playlistsPath, 'content_history', {
+      items: [{ path: '/roms/snes/Other.sfc', label: 'Other' }],
+    });
+    fs.writeFileSync(path.join(playlistsPath, 'Legacy.lpl'), '/roms/old.nes\nOld Game\nDETECT\nDETECT\n0|crc\nNintendo - NES.lpl\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(playlistsPath, { recursive: true, force: true });
+    jest.resetAllMocks();
+  });
+
+  test('should strip No-Intro tags from titles', async () => {
+    const { cleanRomTitle, platformFromDbName } = await modulePromise;
+    expect(cleanRomTitle('Super Metroid (Japan, USA) (En,Ja)')).toBe('Super Metroid');
+    expect(cleanRomTitle('Chrono Trigger (USA) [!]')).toBe('Chrono Trigger');
+    expect(platformFromDbName(`${SNES}.lpl`)).toBe(SNES);
+    expect(platformFromDbName('')).toBeNull();
+  });
+
+  test('should read playlist entries with cores, platform hints and collections', async () => {
+    const { readRetroArchGames } = await modulePromise;
+    const games = readRetroArchGames(playlistsPath, { retroarchCommand: 'retroarch' });
+
+    expect(games.map((game) => game.title)).toEqual(['Super Metroid', 'Chrono Trigger', 'homebrew']);
+    const [metroid, chrono, homebrew] = games;
+
+    expect(metroid.platform).toBe(SNES);
+    expect(metroid.collections).toEqual([SNES, 'Favorites']);
+    expect(metroid.executables[0].label).toBe('RetroArch (Snes9x)');
+    expect(fs.readFileSync(metroid.executables[0].path, 'utf-8'))
+      .toContain("retroarch -L '/cores/snes9x_libretro.so' '/roms/snes/Super Metroid (Japan, USA) (En,Ja).sfc'");
+
+    expect(chrono.key).toBe('/roms/snes/Chrono Trigger (USA).zip');
+    expect(chrono.executables[0].label).toBe('RetroArch (bsnes)');
+    expect(fs.readFileSync(chrono.executables[0].path, 'utf-8')).toContain("-L '/cores/bsnes_libretro.so' '/roms/snes/Chrono Trigger (USA).zip'");
+
+    expect(homebrew.platform).toBe('Unsorted');
+    expect(homebrew.executables).toEqual([]);
+  });
+
+  test('should write one launch script per ROM path', async () => {
+    writePlaylist(playlistsPath, 'Game Boy', {
+      default_core_path: '/cores/gambatte_libretro.so',
+      items: [
+        { path: '/roms/gb/usa/Tetris.gb', label: 'Tetris (USA)' },
+        { path: '/roms/gb/eu/Tetris.gb', label: 'Tetris (Europe)' },
+        { path: '/roms/gb/\u30c6\u30c8\u30ea\u30b9.gb', label: 'Tetris (Japan)' },
+        { path: '/roms/gb/\u30d1\u30ba\u30eb\u30ba.gb', label: 'Puzzle (Japan)' },
+      ],
+    });
+
+    const { readRetroArchGames } = await modulePromise;
+    const games = readRetroArchGames(playlistsPath, { retroarchCommand: 'retroarch' })
+      .filter((game) => game.key.startsWith('/roms/gb/'));
+
+    const scriptPaths = games.map((game) => game.executables[0].path);
+    expect(new Set(scriptPaths).size).toBe(4);
+    games.forEach((game, index) => {
+      expect(fs.readFileSync(scriptPaths[index], 'utf-8')).toContain(`'${game.key}'`);
+    });
+  });
+
+  test('should search with the platform hint and create one collection per playlist', async () => {
+    const metadataPath = path.join(playlistsPath, 'metadata');
+    fs.mkdirSync(metadataPath);
+    mockGetExistingGameIds.mockResolvedValue(new Set());
+    mockSearchGameOnServer.mockImplementation(async (title) => {
+      if (title === 'Super Metroid') return [{ id: 1103, name: 'Super Metroid' }];
+      if (title === 'Chrono Trigger') return [{ id: 20, name: 'Chrono Trigger' }];
+      return [];
+    });
+    mockGetGameDetailsFromServer.mockImplementation(async (id) => ({ id, name: `Game ${id}` }));
+    mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+    mockUploadExecutableViaAPI.mockResolvedValue({ status: 'success' });
+    mockCreateCollectionViaAPI.mockImplementation(async (title) => ({ collection: { id: title === SNES ? 1 : 2 } }));
+    mockUpdateCollectionGamesViaAPI.mockResolvedValue({ status: 'success' });
+
+    const { importFromRetroArch } = await modulePromise;
+    await importFromRetroArch({
+      retroarchPlaylistsPath: playlistsPath,
+      metadataPath,
+      serverUrl: 'http://localhost:3000',
+      apiToken: 'token',
+      twitchClientId: 'clientId',
+      twitchClientSecret: 'clientSecret',
+    });
+
+    expect(mockSearchGameOnServer).toHaveBeenCalledWith('Super Metroid', 'http://localhost:3000', 'token', 'clientId', 'clientSecret', null, SNES);
+    expect(mockUploadExecutableViaAPI).toHaveBeenCalledTimes(2);
+    expect(mockUpdateCollectionGamesViaAPI).toHaveBeenCalledWith(1, [1103, 20], 'http://localhost:3000', 'token');
+    expect(mockUpdateCollectionGamesViaAPI).toHaveBeenCalledWith(2, [1103], 'http://localhost:3000', 'token');
+    // "Unsorted" only holds an unmatched ROM
+    expect(mockCreateCollectionViaAPI).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,250 @@
+// Test suite for Steam importer
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockSearchGameOnServer = jest.fn();
+const mockGetGameDetailsFromServer = jest.fn();
+const mockCreateGameViaAPI = jest.fn();
+const mockUploadExecutableViaAPI = jest.fn();
+const mockUploadCoverViaAPI = jest.fn();
+const mockUploadBackgroundViaAPI = jest.fn();
+const mockCreateCollectionViaAPI = jest.fn();
+const mockUpdateCollectionGamesViaAPI = jest.fn();
+const mockGetCollectionsViaAPI = jest.fn();
+const mockGetExistingGameIds = jest.fn();
+
+jest.unstable_mockModule('../importers/common/igdb.js', () => ({
+  searchGameOnServer: mockSearchGameOnServer,
+  getGameDetailsFromServer: mockGetGameDetailsFromServer,
+  createGameViaAPI: mockCreateGameViaAPI,
+  getGameViaAPI: jest.fn(),
+  updateGameViaAPI: jest.fn(),
+  uploadExecutableViaAPI: mockUploadExecutableViaAPI,
+  uploadCoverViaAPI: mockUploadCoverViaAPI,
+  uploadBackgroundViaAPI: mockUploadBackgroundViaAPI,
+  findGameByExternalIdOnServer: jest.fn(),
+  uploadIconViaAPI: jest.fn(),
+  uploadLogoViaAPI: jest.fn(),
+  updateAchievementsViaAPI: jest.fn(),
+  createCollectionViaAPI: mockCreateCollectionViaAPI,
+  updateCollectionGamesViaAPI: mockUpdateCollectionGamesViaAPI,
+  getCollectionsViaAPI: mockGetCollectionsViaAPI,
+  getExistingGameIds: mockGetExistingGameIds,
+}));
+
+const modulePromise = import('../importers/steam/index.js');
+const vdfPromise = import('../importers/steam/vdf.js');
+
+function writeManifest(libraryPath, appid, name) {
+  const steamapps = path.join(libraryPath, 'steamapps');
+  fs.mkdirSync(steamapps, { recursive: true });
+  fs.writeFileSync(
+    path.join(steamapps, `appmanifest_${appid}.acf`),
+    `"AppState"\n{\n\t"appid"\t\t"${appid}"\n\t"name"\t\t"${name}"\n\t"installdir"\t\t"${name}"\n}\n`
+  );
+}
+
+describe('Steam Importer', () => {
+  let tmpDir;
+  let steamPath;
+  let secondLibrary;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mhg-steam-'));
+    steamPath = path.join(tmpDir, 'Steam');
+    secondLibrary = path.join(tmpDir, 'SteamLibrary');
+    fs.mkdirSync(path.join(steamPath, 'steamapps'), { recursive: true });
+    fs.writeFileSync(
+      path.join(steamPath, 'steamapps', 'libraryfolders.vdf'),
+      `"libraryfolders"\n{\n\t"0"\n\t{\n\t\t"path"\t\t"${steamPath}"\n\t}\n\t"1"\n\t{\n\t\t"path"\t\t"${secondLibrary}"\n\t\t"apps"\n\t\t{\n\t\t\t"220"\t\t"123"\n\t\t}\n\t}\n}\n`
+    );
+    writeManifest(steamPath, '400', 'Portal');
+    writeManifest(steamPath, '228980', 'Steamworks Common Redistributables');
+    writeManifest(secondLibrary, '220', 'Half-Life 2');
+    writeManifest(secondLibrary, '1493710', 'Proton Experimental');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.resetAllMocks();
+  });
+
+  describe('parseVdf', () => {
+    test('should parse nested objects and escaped strings', async () => {
+      const { parseVdf } = await vdfPromise;
+      const parsed = parseVdf('"root"\n{\n  // comment\n  "path" "C:\\\\Games\\\\Steam"\n  "child" { "key" "va\\"lue" }\n}\n');
+      expect(parsed.root.path).toBe('C:\\Games\\Steam');
+      expect(parsed.root.child.key).toBe('va"lue');
+    });
+
+    test('should look up keys case-insensitively', async () => {
+      const { parseVdf, getVdfValue } = await vdfPromise;
+      const parsed = parseVdf('"AppState" { "appid" "10" }');
+      expect(getVdfValue(parsed, 'appstate').appid).toBe('10');
+    });
+  });
+
+  describe('getLibraryFolders', () => {
+    test('should include the Steam directory and every library folder once', async () => {
+      const { getLibraryFolders } = await modulePromise;
+      expect(getLibraryFolders(steamPath)).toEqual([steamPath, secondLibrary]);
+    });
+
+    test('should support the legacy libraryfolders format', async () => {
+      fs.writeFileSync(
+        path.join(steamPath, 'steamapps', 'libraryfolders.vdf'),
+        `"LibraryFolders"\n{\n\t"TimeNextStatsReport"\t\t"1"\n\t"1"\t\t"${secondLibrary}"\n}\n`
+      );
+      const { getLibraryFolders } = await modulePromise;
+      expect(getLibraryFolders(steamPath)).toEqual([steamPath, secondLibrary]);
+    });
+  });
+
+  describe('readSteamGames', () => {
+    test('should list installed games from all libraries and skip Steam tools', async () => {
+      const { readSteamGames } = await modulePromise;
+      const games = readSteamGames(steamPath);
+      expect(games.map((g) => g.key)).toEqual(['220', '400']);
+      expect(games[0].title).toBe('Half-Life 2');
+      expect(games[0].executables).toHaveLength(1);
+      expect(fs.readFileSync(games[0].executables[0].path, 'utf-8')).toContain('steam://rungameid/220');
+    });
+
+    test('should pick cover and background from the library cache', async () => {
+      const cacheDir = path.join(steamPath, 'appcache', 'librarycache');
+      fs.mkdirSync(path.join(cacheDir, '400'), { recursive: true });
+      fs.writeFileSync(path.join(cacheDir, '220_library_600x900.jpg'), '');
+      fs.writeFileSync(path.join(cacheDir, '400', 'library_hero.jpg'), '');
+
+      const { readSteamGames } = await modulePromise;
+      const [halfLife, portal] = readSteamGames(steamPath);
+      expect(halfLife.coverPath).toBe(path.join(cacheDir, '220_library_600x900.jpg'));
+      expect(halfLife.backgroundPath).toBeNull();
+      expect(portal.backgroundPath).toBe(path.join(cacheDir, '400', 'library_hero.jpg'));
+    });
+  });
+
+  describe('importFromSteam', () => {
+    test('should create games and save the appid map', async () => {
+      const metadataPath = path.join(tmpDir, 'metadata');
+      fs.mkdirSync(metadataPath);
+      mockGetExistingGameIds.mockResolvedValue(new Set());
+      mockSearchGameOnServer.mockImplementation(async (title) => (
+        title === 'Portal' ? [{ id: 71, name: 'Portal' }] : [{ id: 72, name: 'Half-Life 2' }]
+      ));
+      mockGetGameDetailsFromServer.mockImplementation(async (id) => ({ id, name: id === 71 ? 'Portal' : 'Half-Life 2' }));
+      mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+      mockUploadExecutableViaAPI.mockResolvedValue({ status: 'success' });
+
+      const { importFromSteam } = await modulePromise;
+      await importFromSteam({
+        steamPath,
+        metadataPath,
+        serverUrl: 'http://localhost:3000',
+        apiToken: 'token',
+        twitchClientId: 'clientId',
+        twitchClientSecret: 'clientSecret',
+      });
+
+      expect(mockCreateGameViaAPI).toHaveBeenCalledTimes(2);
+      expect(mockUploadExecutableViaAPI).toHaveBeenCalledWith(72, expect.stringContaining('steam_220'), 'Steam', 'http://localhost:3000', 'token');
+      const written = JSON.parse(fs.readFileSync(path.join(metadataPath, 'importer', 'steam-appid-map.json'), 'utf-8'));
+      expect(written['220'].igdbId).toBe(72);
+      expect(written['400'].igdbId).toBe(71);
+    });
+
+    test('should link to the best match even when it is already on the server', async () => {
+      const metadataPath = path.join(tmpDir, 'metadata');
+      fs.mkdirSync(metadataPath);
+      mockGetExistingGameIds.mockResolvedValue(new Set([71]));
+      mockSearchGameOnServer.mockImplementation(async (title) => (
+        title === 'Portal' ? [{ id: 71, name: 'Portal' }, { id: 73, name: 'Portal' }] : [{ id: 72, name: 'Half-Life 2' }]
+      ));
+      mockGetGameDetailsFromServer.mockImplementation(async (id) => ({ id, name: 'Half-Life 2' }));
+      mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+      mockUploadExecutableViaAPI.mockResolvedValue({ status: 'success' });
+
+      const { importFromSteam } = await modulePromise;
+      await importFromSteam({
+        steamPath,
+        metadataPath,
+        serverUrl: 'http://localhost:3000',
+        apiToken: 'token',
+        twitchClientId: 'clientId',
+        twitchClientSecret: 'clientSecret',
+      });
+
+      expect(mockCreateGameViaAPI).toHaveBeenCalledTimes(1);
+      expect(mockCreateGameViaAPI.mock.calls[0][0].igdbId).toBe(72);
+      expect(mockUploadExecutableViaAPI).toHaveBeenCalledWith(71, expect.stringContaining('steam_400'), 'Steam', 'http://localhost:3000', 'token');
+      const written = JSON.parse(fs.readFileSync(path.join(metadataPath, 'importer', 'steam-appid-map.json'), 'utf-8'));
+      expect(written['400'].igdbId).toBe(71);
+    });
+
+    test('should skip appids already in the map', async () => {
+      const metadataPath = path.join(tmpDir, 'metadata');
+      fs.mkdirSync(path.join(metadataPath, 'importer'), { recursive: true });
+      fs.writeFileSync(
+        path.join(metadataPath, 'importer', 'steam-appid-map.json'),
+        JSON.stringify({ 220: { igdbId: 72 }, 400: { igdbId: 71 } })
+      );
+      mockGetExistingGameIds.mockResolvedValue(new Set([71, 72]));
+
+      const { importFromSteam } = await modulePromise;
+      await importFromSteam({
+        steamPath,
+        metadataPath,
+        serverUrl: 'http://localhost:3000',
+        apiToken: 'token',
+        twitchClientId: 'clientId',
+        twitchClientSecret: 'clientSecret',
+      });
+
+      expect(mockSearchGameOnServer).not.toHaveBeenCalled();
+      expect(mockCreateGameViaAPI).not.toHaveBeenCalled();
+    });
+
+    test('should queue appids without a match and import them with resolve', async () => {
+      const metadataPath = path.join(tmpDir, 'metadata');
+      fs.mkdirSync(metadataPath);
+      const queuePath = path.join(metadataPath, 'importer', 'unmatched.json');
+      mockGetExistingGameIds.mockResolvedValue(new Set());
+      mockSearchGameOnServer.mockImplementation(async (title) => (title === 'Portal' ? [{ id: 71, name: 'Portal' }] : []));
+      mockGetGameDetailsFromServer.mockImplementation(async (id) => ({ id, name: id === 71 ? 'Portal' : 'Half-Life 2' }));
+      mockCreateGameViaAPI.mockResolvedValue({ status: 'success' });
+      mockUploadExecutableViaAPI.mockResolvedValue({ status: 'success' });
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const config = {
+        steamPath,
+        metadataPath,
+        serverUrl: 'http://localhost:3000',
+        apiToken: 'token',
+        twitchClientId: 'clientId',
+        twitchClientSecret: 'clientSecret',
+      };
+
+      const { importFromSteam } = await modulePromise;
+      await importFromSteam(config);
+
+      expect(JSON.parse(fs.readFileSync(queuePath, 'utf-8'))).toEqual([
+        expect.objectContaining({ source: 'steam', key: '220', titles: ['Half-Life 2'], reason: 'Game not found with any title' }),
+      ]);
+
+      const promptResolutions = jest.fn(async () => new Map([['220', { igdbId: 72 }]]));
+      await importFromSteam({ ...config, resolve: true, promptResolutions });
+
+      expect(promptResolutions).toHaveBeenCalledWith([expect.objectContaining({ key: '220' })]);
+      expect(mockCreateGameViaAPI).toHaveBeenCalledTimes(2);
+      const written = JSON.parse(fs.readFileSync(path.join(metadataPath, 'importer', 'steam-appid-map.json'), 'utf-8'));
+      expect(written['220'].igdbId).toBe(72);
+      expect(JSON.parse(fs.readFileSync(queuePath, 'utf-8'))).toEqual([]);
+    });
+
+    test('should fail when the Steam directory does not exist', async () => {
+      const { importFromSteam } = await modulePromise;
+      await expect(importFromSteam({ steamPath: path.join(tmpDir, 'missing') })).rejects.toThrow('Steam directory not found');
+    });
+  });
+});
@@ -3,11 +3,22 @@
 // Main entry point for all importers
 
 import path from 'path';
-import os from 'os';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
-import { importFromGOGGalaxy } from './importers/gog-galaxy/index.js';
+import { importFromGOGGalaxy, findGalaxyStoragePath, getGalaxyPaths } from './importers/gog-galaxy/index.js';
+import { importFromSteam, getDefaultSteamPath } from './importers/steam/index.js';
+import { importFromHeroic, getDefaultHeroicConfigPath } from './importers/heroic/index.js';
+import { importFromLutris, getDefaultLutrisDbPath } from './importers/lutris/index.js';
+import { importFromPlaynite } from './importers/playnite/index.js';
+import { importFromCsv } from './importers/csv/index.js';
+import { importFromRetroArch, getDefaultRetroArchPlaylistsPath } from './importers/retroarch/index.js';
+import { importFromEmulationStation, getDefaultGamelistsPath } from './importers/emulationstation/index.js';
+import { importFromItch, getDefaultButlerDbPath } from './importers/itch/index.js';
+import { importFromEpic, getDefaultEpicManifestsPath } from './importers/epic/index.js';
+import { importFromAmazon, getDefaultAmazonDataPath } from './importers/amazon/index.js';
+import { importFromLaunchBox } from './importers/launchbox/index.js';
+import { parseMatchThreshold } from './importers/common/matching.js';
 
 // Load .env file if it exists
 dotenv.config();
@@ -21,7 +32,73 @@ const importers = {
     name: 'GOG Galaxy',
     handler: importFromGOGGalaxy,
     requiredEnv: ['SERVER_URL', 'TWITCH_CLIENT_ID', 'TWITCH_CLIENT_SECRET'],
-    optionalEnv: ['GALAXY_DB_PATH', 'GALAXY_IMAGES_PATH', 'LIMIT'],
+    optionalEnv: ['GALAXY_STORAGE_PATH', 'GALAXY_DB_PATH', 'GALAXY_IMAGES_PATH', 'GALAXY_WEBCACHE_PATH', 'GOG_EXCLUDE_HIDDEN', 'GOG_INSTALLED_ONLY', 'GOG_FAVORITES_COLLECTION', 'GOG_INCLUDE_PLATFORMS', 'GOG_EXCLUDE_PLATFORMS', 'GOG_PLATFORM_COLLECTIONS', 'GOG_DLC_MODE', 'GOG_DLC_TITLES', 'LIMIT', 'MATCH_THRESHOLD', 'INTERACTIVE'],
+  },
+  'steam': {
+    name: 'Steam',
+    handler: importFromSteam,
+    requiredEnv: ['SERVER_URL', 'TWITCH_CLIENT_ID', 'TWITCH_CLIENT_SECRET'],
+    optionalEnv: ['STEAM_PATH', 'LIMIT', 'MATCH_THRESHOLD', 'INTERACTIVE'],
+  },
+  'heroic': {
+    name: 'Heroic Games Launcher',
+    handler: importFromHeroic,
+    requiredEnv: ['SERVER_URL', 'TWITCH_CLIENT_ID', 'TWITCH_CLIENT_SECRET'],
+    optionalEnv: ['HEROIC_CONFIG_PATH', 'LIMIT', 'MATCH_THRESHOLD', 'INTERACTIVE'],
+  },
+  'lutris': {
+    name: 'Lutris',
+    handler: importFromLutris,
+    requiredEnv: ['SERVER_URL', 'TWITCH_CLIENT_ID', 'TWITCH_CLIENT_SECRET'],
+    optionalEnv: ['LUTRIS_DB_PATH', 'LIMIT', 'MATCH_THRESHOLD', 'INTERACTIVE'],
+  },
+  'playnite': {
+    name: 'Playnite',
+    handler: importFromPlaynite,
+    requiredEnv: ['SERVER_URL', 'TWITCH_CLIENT_ID', 'TWITCH_CLIENT_SECRET', 'PLAYNITE_EXPORT_PATH'],
+    optionalEnv: ['LIMIT', 'MATCH_THRESHOLD', 'INTERACTIVE'],
+  },
+  'csv': {
+    name: 'CSV / JSON spreadsheet',
+    handler: importFromCsv,
+    requiredEnv: ['SERVER_URL', 'TWITCH_CLIENT_ID', 'TWITCH_CLIENT_SECRET', 'CSV_PATH'],
+    optionalEnv: ['CSV_COLUMNS', 'CSV_RATING_SCALE', 'LIMIT', 'MATCH_THRESHOLD', 'INTERACTIVE'],
+  },
+  'retroarch': {
+    name: 'RetroArch',
+    handler: importFromRetroArch,
+    requiredEnv: ['SERVER_URL', 'TWITCH_CLIENT_ID', 'TWITCH_CLIENT_SECRET'],
+    optionalEnv: ['RETROARCH_PLAYLISTS_PATH', 'RETROARCH_COMMAND', 'LIMIT', 'MATCH_THRESHOLD', 'INTERACTIVE'],
+  },
+  'emulationstation': {
+    name: 'EmulationStation / ES-DE',
+    handler: importFromEmulationStation,
+    requiredEnv: ['SERVER_URL', 'TWITCH_CLIENT_ID', 'TWITCH_CLIENT_SECRET'],
+    optionalEnv: ['ES_GAMELISTS_PATH', 'ES_ROMS_PATH', 'LIMIT', 'MATCH_THRESHOLD', 'INTERACTIVE'],
+  },
+  'itch': {
+    name: 'itch.io',
+    handler: importFromItch,
+    requiredEnv: ['SERVER_URL', 'TWITCH_CLIENT_ID', 'TWITCH_CLIENT_SECRET'],
+    optionalEnv: ['ITCH_DB_PATH', 'LIMIT', 'MATCH_THRESHOLD', 'INTERACTIVE'],
+  },
+  'epic': {
+    name: 'Epic Games Launcher',
+    handler: importFromEpic,
+    requiredEnv: ['SERVER_URL', 'TWITCH_CLIENT_ID', 'TWITCH_CLIENT_SECRET'],
+    optionalEnv: ['EPIC_MANIFESTS_PATH', 'LIMIT', 'MATCH_THRESHOLD', 'INTERACTIVE'],
+  },
+  'amazon': {
+    name: 'Amazon Games',
+    handler: importFromAmazon,
+    requiredEnv: ['SERVER_URL', 'TWITCH_CLIENT_ID', 'TWITCH_CLIENT_SECRET'],
+    optionalEnv: ['AMAZON_GAMES_DATA_PATH', 'LIMIT', 'MATCH_THRESHOLD', 'INTERACTIVE'],
+  },
+  'launchbox': {
+    name: 'LaunchBox',
+    handler: importFromLaunchBox,
+    requiredEnv: ['SERVER_URL', 'TWITCH_CLIENT_ID', 'TWITCH_CLIENT_SECRET', 'LAUNCHBOX_PATH'],
+    optionalEnv: ['LIMIT', 'MATCH_THRESHOLD', 'INTERACTIVE'],
   },
 };
 
@@ -29,6 +106,7 @@ function printUsage() {
   console.log('MyHomeGames Importer');
   console.log('');
   console.log('Usage: node cli.js <importer> [options]');
+  console.log('       node cli.js resolve <importer> [options]   Match and import the games queued in unmatched.json');
   console.log('');
   console.log('Available importers:');
   for (const [key, importer] of Object.entries(importers)) {
@@ -40,12 +118,31 @@ function printUsage() {
   console.log('  --search <term>            Filter games by title (case-insensitive)');
   console.log('  --games-only               Import only games (skip collections)');
   console.log('  --collections-only         Import only collections (skip games)');
+  console.log('  --match-threshold <0-1>    Minimum confidence to accept an IGDB match (default 0.75)');
+  console.log('  --interactive              Review ambiguous matches on the terminal (pick, IGDB ID, search again, skip)');
   console.log('');
   console.log('Examples:');
   console.log('  node cli.js gog-galaxy --metadata-path /path/to/metadata');
   console.log('  node cli.js gog-galaxy --metadata-path /path/to/metadata --search "Game Title"');
   console.log('  node cli.js gog-galaxy --metadata-path /path/to/metadata --games-only');
   console.log('  node cli.js gog-galaxy --metadata-path /path/to/metadata --collections-only');
+  console.log('  node cli.js gog-galaxy --metadata-path /path/to/metadata --exclude-gog-hidden --gog-installed-only --gog-favorites-collection');
+  console.log('  node cli.js gog-galaxy --metadata-path /path/to/metadata --gog-include-platforms gog,epic --gog-platform-collections');
+  console.log('  node cli.js gog-galaxy --metadata-path /path/to/metadata --gog-dlc-mode igdb');
+  console.log('  node cli.js gog-galaxy --metadata-path /path/to/metadata --interactive --match-threshold 0.85');
+  console.log('  node cli.js resolve gog-galaxy --metadata-path /path/to/metadata');
+  console.log('  node cli.js gog-galaxy --metadata-path /path/to/metadata --galaxy-storage-path /mnt/backup/GOG.com/Galaxy/storage');
+  console.log('  node cli.js steam --metadata-path /path/to/metadata --steam-path /path/to/Steam');
+  console.log('  node cli.js heroic --metadata-path /path/to/metadata --heroic-config-path ~/.config/heroic');
+  console.log('  node cli.js lutris --metadata-path /path/to/metadata --lutris-db-path ~/.local/share/lutris/pga.db');
+  console.log('  node cli.js playnite --metadata-path /path/to/metadata --playnite-export-path /path/to/library.json');
+  console.log('  node cli.js csv --metadata-path /path/to/metadata --csv-path /path/to/games.csv --columns "title=Game,releaseDate=Year,tags=Shelves"');
+  console.log('  node cli.js retroarch --metadata-path /path/to/metadata --retroarch-playlists-path ~/.config/retroarch/playlists');
+  console.log('  node cli.js emulationstation --metadata-path /path/to/metadata --es-gamelists-path /userdata/roms');
+  console.log('  node cli.js itch --metadata-path /path/to/metadata --itch-db-path ~/.config/itch/db/butler.db');
+  console.log('  node cli.js epic --metadata-path /path/to/metadata --epic-manifests-path /path/to/Manifests');
+  console.log('  node cli.js amazon --metadata-path /path/to/metadata --amazon-games-data-path /path/to/Sql');
+  console.log('  node cli.js launchbox --metadata-path /path/to/metadata --launchbox-path /path/to/LaunchBox');
   console.log('  METADATA_PATH=/path/to/metadata SERVER_URL=http://localhost:3000 TWITCH_CLIENT_ID=xxx TWITCH_CLIENT_SECRET=xxx node cli.js gog-galaxy');
   console.log('  METADATA_PATH=/path/to/metadata SEARCH="Game Title" node cli.js gog-galaxy');
   console.log('');
@@ -107,6 +204,64 @@ function loadTokenFromTokensFile(metadataPath) {
   }
 }
 
+/**
+ * Fill server, authentication and import-mode options shared by all importers.
+ * Exits when a required value is missing.
+ * @param {Object} config - Config being built for the importer
+ * @param {Object} options - Parsed command-line options
+ * @param {Object} importer - Entry from the importers registry
+ */
+function applyServerConfig(config, options, importer) {
+  config.serverUrl = process.env.SERVER_URL || options.server_url || 'http://localhost:3000';
+
+  // Load API_TOKEN from tokens.json (never from .env)
+  config.apiToken = null;
+  if (config.metadataPath) {
+    const tokenFromFile = loadTokenFromTokensFile(config.metadataPath);
+    if (tokenFromFile) {
+      config.apiToken = tokenFromFile;
+      console.log('[INFO] Using API_TOKEN from tokens.json');
+    }
+  }
+
+  config.twitchClientId = process.env.TWITCH_CLIENT_ID || options.twitch_client_id;
+  config.twitchClientSecret = process.env.TWITCH_CLIENT_SECRET || options.twitch_client_secret;
+
+  config.limit = process.env.LIMIT ? parseInt(process.env.LIMIT, 10) : (options.limit ? parseInt(options.limit, 10) : null);
+  config.search = process.env.SEARCH || options.search || null;
+  const uploadEnv = process.env.UPLOAD ? process.env.UPLOAD.toLowerCase() : null;
+  config.upload = uploadEnv === 'true' || uploadEnv === 'yes' || options.upload === true || false;
+  config.gamesOnly = process.env.GAMES_ONLY === 'true' || options.games_only === true || options.gamesOnly === true || false;
+  config.collectionsOnly = process.env.COLLECTIONS_ONLY === 'true' || options.collections_only === true || options.collectionsOnly === true || false;
+  config.interactive = process.env.INTERACTIVE === 'true' || options.interactive === true || false;
+  if (config.interactive && !process.stdin.isTTY) {
+    console.error('Error: INTERACTIVE / --interactive needs a terminal on standard input');
+    process.exit(1);
+  }
+  try {
+    config.matchThreshold = parseMatchThreshold(process.env.MATCH_THRESHOLD || options.match_threshold);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  // Check required environment variables
+  if (!config.serverUrl) {
+    console.error(`Error: SERVER_URL environment variable is required for ${importer.name} importer`);
+    process.exit(1);
+  }
+
+  if (!config.apiToken) {
+    console.error('Error: API_TOKEN not found in tokens.json. Please login via the web interface first.');
+    process.exit(1);
+  }
+
+  if (!config.twitchClientId || !config.twitchClientSecret) {
+    console.error(`Error: TWITCH_CLIENT_ID and TWITCH_CLIENT_SECRET environment variables are required for ${importer.name} importer`);
+    process.exit(1);
+  }
+}
+
 async function main() {
   const args = process.argv.slice(2);
   
@@ -115,7 +270,10 @@ async function main() {
     process.exit(0);
   }
   
-  const importerName = args[0];
+  // `resolve <importer>` imports only the games of the importer's unmatched games queue
+  const resolve = args[0] === 'resolve';
+  const commandArgs = resolve ? args.slice(1) : args;
+  const importerName = commandArgs[0];
   const importer = importers[importerName];
   
   if (!importer) {
@@ -132,7 +290,12 @@ async function main() {
   const config = {};
   
   // Common configuration
-  config.metadataPath = process.env.METADATA_PATH || options.metadata_path || process.argv[3];
+  config.metadataPath = process.env.METADATA_PATH || options.metadata_path || commandArgs[1];
+  config.resolve = resolve;
+  if (resolve && !process.stdin.isTTY) {
+    console.error('Error: resolve needs a terminal on standard input');
+    process.exit(1);
+  }
   
   if (!config.metadataPath) {
     console.error('Error: METADATA_PATH environment variable, --metadata-path option, or path argument is required');
@@ -143,58 +306,78 @@ async function main() {
   
   // Importer-specific configuration
   if (importerName === 'gog-galaxy') {
-    const homeDir = os.homedir();
-    
-    config.galaxyDbPath = process.env.GALAXY_DB_PATH || options.galaxy_db_path || path.join(
-      homeDir,
-      'Library/Application Support/GOG Galaxy/Storage/galaxy-2.0.db'
-    );
-    
-    config.galaxyImagesPath = process.env.GALAXY_IMAGES_PATH || options.galaxy_images_path || path.join(
-      homeDir,
-      'Library/Application Support/GOG Galaxy/Storage/GalaxyClient/Images'
-    );
-    
-    config.serverUrl = process.env.SERVER_URL || options.server_url || 'http://localhost:3000';
-    
-    // Load API_TOKEN from tokens.json (never from .env)
-    config.apiToken = null;
-    if (config.metadataPath) {
-      const tokenFromFile = loadTokenFromTokensFile(config.metadataPath);
-      if (tokenFromFile) {
-        config.apiToken = tokenFromFile;
-        console.log('[INFO] Using API_TOKEN from tokens.json');
+    const galaxyDbPath = process.env.GALAXY_DB_PATH || options.galaxy_db_path || null;
+    const galaxyImagesPath = process.env.GALAXY_IMAGES_PATH || options.galaxy_images_path || null;
+    let galaxyStoragePath = process.env.GALAXY_STORAGE_PATH || options.galaxy_storage_path || null;
+    if (!galaxyStoragePath && !(galaxyDbPath && galaxyImagesPath)) {
+      // Probe the platform's Galaxy locations (ProgramData on Windows, Wine / Proton prefixes on Linux)
+      const discovery = findGalaxyStoragePath();
+      galaxyStoragePath = discovery.storagePath;
+      if (discovery.found) {
+        console.log(`Detected GOG Galaxy storage: ${galaxyStoragePath}`);
+      } else if (!galaxyDbPath) {
+        console.warn(`GOG Galaxy database not found, searched: ${discovery.candidates.join(', ')}`);
       }
     }
+    const defaultPaths = galaxyStoragePath ? getGalaxyPaths(galaxyStoragePath) : {};
+    config.galaxyDbPath = galaxyDbPath || defaultPaths.galaxyDbPath;
+    config.galaxyImagesPath = galaxyImagesPath || defaultPaths.galaxyImagesPath;
+    config.galaxyWebcachePath = process.env.GALAXY_WEBCACHE_PATH || options.galaxy_webcache_path
+      || defaultPaths.galaxyWebcachePath
+      || path.join(path.dirname(path.dirname(config.galaxyDbPath)), 'webcache');
     
-    config.twitchClientId = process.env.TWITCH_CLIENT_ID || options.twitch_client_id;
-    config.twitchClientSecret = process.env.TWITCH_CLIENT_SECRET || options.twitch_client_secret;
-    
-    config.limit = process.env.LIMIT ? parseInt(process.env.LIMIT, 10) : (options.limit ? parseInt(options.limit, 10) : null);
-    config.search = process.env.SEARCH || options.search || null;
-    const uploadEnv = process.env.UPLOAD ? process.env.UPLOAD.toLowerCase() : null;
-    config.upload = uploadEnv === 'true' || uploadEnv === 'yes' || options.upload === true || false;
-    config.gamesOnly = process.env.GAMES_ONLY === 'true' || options.games_only === true || options.gamesOnly === true || false;
-    config.collectionsOnly = process.env.COLLECTIONS_ONLY === 'true' || options.collections_only === true || options.collectionsOnly === true || false;
     config.excludeGogNoReleaseDate = process.env.GOG_EXCLUDE_NO_RELEASE_DATE === 'true' || options.exclude_gog_no_release_date === true || false;
-    
-    // Check required environment variables
-    if (!config.serverUrl) {
-      console.error('Error: SERVER_URL environment variable is required for GOG Galaxy importer');
+    config.excludeGogHidden = process.env.GOG_EXCLUDE_HIDDEN === 'true' || options.exclude_gog_hidden === true || false;
+    config.gogInstalledOnly = process.env.GOG_INSTALLED_ONLY === 'true' || options.gog_installed_only === true || false;
+    config.gogFavoritesCollection = process.env.GOG_FAVORITES_COLLECTION === 'true' || options.gog_favorites_collection === true || false;
+    config.gogIncludePlatforms = process.env.GOG_INCLUDE_PLATFORMS || options.gog_include_platforms || null;
+    config.gogExcludePlatforms = process.env.GOG_EXCLUDE_PLATFORMS || options.gog_exclude_platforms || null;
+    config.gogPlatformCollections = process.env.GOG_PLATFORM_COLLECTIONS === 'true' || options.gog_platform_collections === true || false;
+    config.gogDlcMode = process.env.GOG_DLC_MODE || options.gog_dlc_mode || 'attach';
+    config.gogDlcTitles = process.env.GOG_DLC_TITLES === 'true' || options.gog_dlc_titles === true || false;
+  } else if (importerName === 'steam') {
+    config.steamPath = process.env.STEAM_PATH || options.steam_path || getDefaultSteamPath();
+  } else if (importerName === 'heroic') {
+    config.heroicPath = process.env.HEROIC_CONFIG_PATH || options.heroic_config_path || getDefaultHeroicConfigPath();
+  } else if (importerName === 'lutris') {
+    config.lutrisDbPath = process.env.LUTRIS_DB_PATH || options.lutris_db_path || getDefaultLutrisDbPath();
+  } else if (importerName === 'playnite') {
+    config.playniteExportPath = process.env.PLAYNITE_EXPORT_PATH || options.playnite_export_path;
+    if (!config.playniteExportPath) {
+      console.error('Error: PLAYNITE_EXPORT_PATH environment variable or --playnite-export-path option is required for Playnite importer');
       process.exit(1);
     }
-    
-    if (!config.apiToken) {
-      console.error('Error: API_TOKEN not found in tokens.json. Please login via the web interface first.');
+  } else if (importerName === 'csv') {
+    config.csvPath = process.env.CSV_PATH || options.csv_path;
+    if (!config.csvPath) {
+      console.error('Error: CSV_PATH environment variable or --csv-path option is required for CSV importer');
       process.exit(1);
     }
-    
-    if (!config.twitchClientId || !config.twitchClientSecret) {
-      console.error('Error: TWITCH_CLIENT_ID and TWITCH_CLIENT_SECRET environment variables are required for GOG Galaxy importer');
+    config.csvColumns = process.env.CSV_COLUMNS || options.columns || null;
+    const ratingScale = process.env.CSV_RATING_SCALE || options.rating_scale;
+    config.csvRatingScale = ratingScale ? parseFloat(ratingScale) : null;
+  } else if (importerName === 'retroarch') {
+    config.retroarchPlaylistsPath = process.env.RETROARCH_PLAYLISTS_PATH || options.retroarch_playlists_path || getDefaultRetroArchPlaylistsPath();
+    config.retroarchCommand = process.env.RETROARCH_COMMAND || options.retroarch_command || null;
+  } else if (importerName === 'emulationstation') {
+    config.esGamelistsPath = process.env.ES_GAMELISTS_PATH || options.es_gamelists_path || getDefaultGamelistsPath();
+    config.esRomsPath = process.env.ES_ROMS_PATH || options.es_roms_path || null;
+  } else if (importerName === 'itch') {
+    config.butlerDbPath = process.env.ITCH_DB_PATH || options.itch_db_path || getDefaultButlerDbPath();
+  } else if (importerName === 'epic') {
+    config.epicManifestsPath = process.env.EPIC_MANIFESTS_PATH || options.epic_manifests_path || getDefaultEpicManifestsPath();
+  } else if (importerName === 'amazon') {
+    config.amazonDataPath = process.env.AMAZON_GAMES_DATA_PATH || options.amazon_games_data_path || getDefaultAmazonDataPath();
+  } else if (importerName === 'launchbox') {
+    config.launchboxPath = process.env.LAUNCHBOX_PATH || options.launchbox_path;
+    if (!config.launchboxPath) {
+      console.error('Error: LAUNCHBOX_PATH environment variable or --launchbox-path option is required for LaunchBox importer');
       process.exit(1);
     }
   }
   
+  applyServerConfig(config, options, importer);
+  
   // Run the importer
   try {
     await importer.handler(config);
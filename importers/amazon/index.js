@@ -0,0 +1,112 @@
+// Amazon Games Importer
+// Reads the Amazon Games app SQLite stores (GameInstallInfo.sqlite, ProductDetails.sqlite)
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as reportLogger from '../common/reportLogger.js';
+import { runSourceImport } from '../common/gameImport.js';
+import { writeLaunchScript, openUrlCommand } from '../common/launchScripts.js';
+
+const IMPORT_MAP_FILENAME = 'amazon-releasekey-map.json';
+const INSTALL_INFO_FILENAME = 'GameInstallInfo.sqlite';
+const PRODUCT_DETAILS_FILENAME = 'ProductDetails.sqlite';
+const STORE_TABLE = 'DbSet';
+
+// Same releaseKey prefix as GOG Galaxy uses for Amazon games
+const RELEASE_KEY_PREFIX = 'amazon_';
+
+/**
+ * Default directory holding the Amazon Games SQLite stores
+ * @returns {string}
+ */
+export function getDefaultAmazonDataPath() {
+  const localAppData = process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local');
+  return path.join(localAppData, 'Amazon Games', 'Data', 'Games', 'Sql');
+}
+
+/**
+ * Read all rows of the DbSet table of an Amazon Games store (empty when the file or table is missing)
+ * @param {string} dbPath - Path to the .sqlite file
+ * @returns {Array<Object>}
+ */
+export function readAmazonStore(dbPath) {
+  if (!fs.existsSync(dbPath)) return [];
+  const db = new Database(dbPath, { readonly: true });
+  try {
+    const table = db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`).get(STORE_TABLE);
+    if (!table) {
+      reportLogger.warn(`  Warning: No ${STORE_TABLE} table in ${dbPath}`);
+      return [];
+    }
+    return db.prepare(`SELECT * FROM ${STORE_TABLE}`).all();
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Read the stores as source games for runSourceImport, keyed by releaseKey (amazon_<product id>).
+ * Products from ProductDetails.sqlite are the owned library; GameInstallInfo.sqlite adds installed games and their folders.
+ * @param {string} amazonDataPath - Directory holding the .sqlite stores
+ * @returns {Array<import('../common/gameImport.js').SourceGame>}
+ */
+export function readAmazonGames(amazonDataPath) {
+  const products = readAmazonStore(path.join(amazonDataPath, PRODUCT_DETAILS_FILENAME));
+  const installs = readAmazonStore(path.join(amazonDataPath, INSTALL_INFO_FILENAME));
+
+  const gamesByReleaseKey = new Map();
+  const getEntry = (id, title) => {
+    const releaseKey = `${RELEASE_KEY_PREFIX}${id}`;
+    if (!gamesByReleaseKey.has(releaseKey)) {
+      gamesByReleaseKey.set(releaseKey, { key: releaseKey, title: String(title).trim(), releaseDate: null, executables: [] });
+    }
+    return gamesByReleaseKey.get(releaseKey);
+  };
+
+  for (const product of products) {
+    const title = product.ProductTitle || product.Title;
+    if (!product.Id || !title) continue;
+    const game = getEntry(product.Id, title);
+    game.releaseDate = product.ReleaseDate || null;
+  }
+
+  for (const install of installs) {
+    if (!install.Id || !install.ProductTitle || !install.Installed) continue;
+    const game = getEntry(install.Id, install.ProductTitle);
+    if (install.InstallDirectory && !fs.existsSync(install.InstallDirectory)) {
+      reportLogger.warn(`  Warning: ${game.title}: ${install.InstallDirectory} does not exist, skipping launch script`);
+      continue;
+    }
+    const scriptPath = writeLaunchScript('amazon', game.key, [openUrlCommand(`amazon-games://play/${install.Id}`)]);
+    game.executables = [{ path: scriptPath, label: 'Amazon Games' }];
+  }
+
+  const games = [...gamesByReleaseKey.values()].sort((a, b) => a.title.localeCompare(b.title));
+  reportLogger.log(`Found ${games.length} Amazon game(s) (${products.length} product(s), ${installs.length} install record(s))`);
+  return games;
+}
+
+/**
+ * Main Amazon Games import function
+ */
+export async function importFromAmazon(config) {
+  const { amazonDataPath } = config;
+
+  const hasStore = amazonDataPath && [INSTALL_INFO_FILENAME, PRODUCT_DETAILS_FILENAME]
+    .some((file) => fs.existsSync(path.join(amazonDataPath, file)));
+  if (!hasStore) {
+    throw new Error(`Amazon Games stores (${INSTALL_INFO_FILENAME}, ${PRODUCT_DETAILS_FILENAME}) not found in: ${amazonDataPath}`);
+  }
+
+  await runSourceImport(config, {
+    name: 'Amazon Games',
+    id: 'amazon',
+    mapFilename: IMPORT_MAP_FILENAME,
+    loadGames: () => {
+      reportLogger.log(`Amazon Games data: ${amazonDataPath}`);
+      return readAmazonGames(amazonDataPath);
+    },
+  });
+}
@@ -0,0 +1,93 @@
+// Common CSV utilities (RFC 4180 quoting, header row, delimiter auto-detection)
+
+/**
+ * Guess the delimiter from the header line: the most frequent of , ; or tab outside quotes
+ */
+function detectDelimiter(text) {
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  let inQuotes = false;
+  for (const ch of text) {
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (ch === '\n' || ch === '\r')) break;
+    else if (!inQuotes && ch in counts) counts[ch]++;
+  }
+  const [delimiter, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return count > 0 ? delimiter : ',';
+}
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV content
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>}
+ */
+function parseRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((value) => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ * @param {string} text - CSV content (a UTF-8 BOM is ignored)
+ * @param {Object} options
+ * @param {string} [options.delimiter] - Field delimiter (auto-detected from the header when omitted)
+ * @returns {Array<Object<string, string>>}
+ */
+export function parseCsv(text, options = {}) {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const delimiter = options.delimiter || detectDelimiter(content);
+  const [header, ...rows] = parseRows(content, delimiter);
+  if (!header) return [];
+  const columns = header.map((name) => name.trim());
+  return rows.map((fields) => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = fields[index] !== undefined ? fields[index].trim() : '';
+    });
+    return record;
+  });
+}
+
+/**
+ * Split a list cell ("Action, RPG" or "Action|RPG") into trimmed values
+ * @param {string|Array<string>|null} value
+ * @returns {Array<string>}
+ */
+export function splitListField(value) {
+  if (Array.isArray(value)) return value.map((v) => String(v).trim()).filter(Boolean);
+  if (value === null || value === undefined) return [];
+  return String(value).split(/[,;|]/).map((v) => v.trim()).filter(Boolean);
+}
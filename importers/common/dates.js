@@ -0,0 +1,79 @@
+// Common date utilities shared by importers
+
+/**
+ * Format timestamp for log output: "value (YYYY-MM-DD)" or "year (year)" or "null"
+ */
+export function formatTimestampForLog(value) {
+  if (value === null || value === undefined || value === '') return 'null';
+  const raw = typeof value === 'number' ? value : parseInt(String(value), 10);
+  if (Number.isNaN(raw)) return String(value);
+  // Year-only (4 digits) - common from IGDB releaseDate
+  if (raw >= 1000 && raw <= 9999 && String(raw).length <= 4) {
+    return `${raw} (year)`;
+  }
+  return `${raw} (${new Date(raw * 1000).toISOString().split('T')[0]})`;
+}
+
+/**
+ * Format release date for the import map: "YYYY-MM-DD", "YYYY" or null
+ */
+export function formatReleaseDateForMap(releaseDate) {
+  if (releaseDate === null || releaseDate === undefined) return null;
+
+  const raw = typeof releaseDate === 'string' ? releaseDate.trim() : releaseDate;
+  if (typeof raw === 'string' && raw.includes('-')) {
+    return raw;
+  }
+
+  const numericValue = typeof raw === 'number' ? raw : parseInt(raw, 10);
+  if (Number.isNaN(numericValue)) {
+    return String(raw);
+  }
+
+  if (String(numericValue).length <= 4) {
+    return String(numericValue);
+  }
+
+  return new Date(numericValue * 1000).toISOString().split('T')[0];
+}
+
+/**
+ * Convert a date value to a Unix timestamp in seconds.
+ * Accepts Unix seconds/milliseconds (number or numeric string), 4-digit years, "YYYY-MM-DD" / ISO strings and Date objects.
+ * @param {number|string|Date|null} value
+ * @returns {number|null}
+ */
+export function toUnixTimestamp(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) {
+    const ms = value.getTime();
+    return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+  }
+  if (typeof value === 'number') {
+    if (Number.isNaN(value) || value <= 0) return null;
+    // A bare year (e.g. 1994 from JSON sources), not seconds after the epoch
+    if (Number.isInteger(value) && value >= 1000 && value <= 9999) return parseReleaseDateInput(value);
+    return value < 10000000000 ? Math.floor(value) : Math.floor(value / 1000);
+  }
+  const str = String(value).trim();
+  if (/^\d+$/.test(str)) {
+    return toUnixTimestamp(parseInt(str, 10));
+  }
+  const ms = Date.parse(str);
+  return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+/**
+ * Parse a release date typed by a user or exported by a launcher: a 4-digit year (January 1st, UTC)
+ * or anything accepted by toUnixTimestamp
+ * @param {number|string|Date|null} value
+ * @returns {number|null} - Unix timestamp in seconds
+ */
+export function parseReleaseDateInput(value) {
+  if (value === null || value === undefined) return null;
+  const str = String(value).trim();
+  if (/^\d{4}$/.test(str)) {
+    return Math.floor(Date.UTC(Number(str), 0, 1) / 1000);
+  }
+  return toUnixTimestamp(value instanceof Date ? value : str);
+}
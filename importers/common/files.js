@@ -41,3 +41,13 @@ export function writeJsonFile(filePath, data) {
   ensureDirectoryExists(path.dirname(filePath));
   fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf-8');
 }
+
+/**
+ * Read JSON file, returning fallback when the file does not exist
+ */
+export function readJsonFile(filePath, fallback = null) {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
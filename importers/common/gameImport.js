@@ -0,0 +1,617 @@
+// Common game import pipeline used by launcher importers
+// Each importer reads its own source and hands a list of source games to runSourceImport
+
+import fs from 'fs';
+import path from 'path';
+import { getGameDetailsFromServer, createGameViaAPI, updateGameViaAPI, uploadExecutableViaAPI, uploadCoverViaAPI, uploadBackgroundViaAPI, createCollectionViaAPI, updateCollectionGamesViaAPI, getCollectionsViaAPI, getExistingGameIds } from './igdb.js';
+import * as reportLogger from './reportLogger.js';
+import { loadImportMap, saveImportMap } from './importMap.js';
+import { searchConfidentMatches } from './search.js';
+import { DEFAULT_MATCH_THRESHOLD, formatMatch, titleSimilarity } from './matching.js';
+import { createMatchReviewer } from './matchReview.js';
+import { loadUnmatchedQueue, saveUnmatchedQueue, queueUnmatched, dequeueUnmatched, isUnmatched, getUnmatched, resolveUnmatchedGames } from './unmatched.js';
+import { formatTimestampForLog, formatReleaseDateForMap, toUnixTimestamp } from './dates.js';
+
+/**
+ * A game read from a launcher library
+ * @typedef {Object} SourceGame
+ * @property {string} key - Unique key in the source (e.g. Steam appid), used as import map key
+ * @property {string} title - Title shown in the source
+ * @property {Array<string>} [titles] - Titles to try when searching (defaults to [title])
+ * @property {number|string|null} [igdbId] - IGDB ID given by the source (skips search, the game is still created)
+ * @property {number|string|null} [releaseDate] - Release date (Unix timestamp in seconds, or "YYYY-MM-DD")
+ * @property {string|null} [platform] - Platform hint for the search (e.g. RetroArch db_name)
+ * @property {number|null} [stars] - User rating on the 0-10 scale
+ * @property {string|null} [summary] - Description, used when IGDB has none
+ * @property {Array<string>|null} [genres] - Genres, used when IGDB has none
+ * @property {Array<{path: string, label: string|null}>} [executables] - Launch scripts to upload
+ * @property {string|null} [coverPath] - Local cover image
+ * @property {string|null} [backgroundPath] - Local background image
+ * @property {Array<string>} [collections] - Collection titles the game belongs to
+ * @property {number|null} [playtimeMinutes] - Total time played in minutes
+ * @property {number|string|null} [lastPlayed] - Last played date (Unix timestamp in seconds, or ISO date)
+ */
+
+/**
+ * Build the POST /games/add-from-igdb payload from IGDB details, with source data as fallback
+ * @param {number} gameId - IGDB game ID
+ * @param {Object} igdbGame - Search result ({ id, name })
+ * @param {Object|null} fullGameData - Result of getGameDetailsFromServer (null if not fetched)
+ * @param {{ releaseDate?: number|null, stars?: number|null, summary?: string|null, genres?: Array<string>|null }} fallback - Source data
+ * @returns {Object}
+ */
+export function buildGameData(gameId, igdbGame, fullGameData, fallback = {}) {
+  const igdbReleaseDateFull = fullGameData?.releaseDateFull?.timestamp || null;
+  const igdbReleaseDate = fullGameData?.releaseDate || null;
+  const releaseDate = igdbReleaseDateFull || igdbReleaseDate || fallback.releaseDate || null;
+  return {
+    igdbId: gameId,
+    name: fullGameData?.name || igdbGame.name,
+    summary: fullGameData?.summary || fallback.summary || '',
+    cover: fullGameData?.cover || null,
+    background: fullGameData?.background || null,
+    releaseDate: releaseDate,
+    genres: fullGameData?.genres || fallback.genres || null,
+    criticRating: fullGameData?.criticRating !== null && fullGameData?.criticRating !== undefined ? fullGameData.criticRating : null,
+    userRating: fullGameData?.userRating !== null && fullGameData?.userRating !== undefined ? fullGameData.userRating : null,
+    stars: fallback.stars ?? null,
+    themes: fullGameData?.themes || null,
+    platforms: fullGameData?.platforms || null,
+    gameModes: fullGameData?.gameModes || null,
+    playerPerspectives: fullGameData?.playerPerspectives || null,
+    websites: fullGameData?.websites || null,
+    ageRatings: fullGameData?.ageRatings || null,
+    developers: fullGameData?.developers || null,
+    publishers: fullGameData?.publishers || null,
+    franchise: fullGameData?.franchise || null,
+    collection: fullGameData?.collection || null,
+    screenshots: fullGameData?.screenshots || null,
+    videos: fullGameData?.videos || null,
+    gameEngines: fullGameData?.gameEngines || null,
+    keywords: fullGameData?.keywords || null,
+    alternativeNames: fullGameData?.alternativeNames || null,
+    similarGames: fullGameData?.similarGames || null,
+  };
+}
+
+/**
+ * Upload executables that exist on disk. Labels lose their .sh / .bat extension.
+ * @param {number} gameId - IGDB game ID
+ * @param {Array<{path: string, label: string|null}>} executables
+ * @param {string} serverUrl - MyHomeGames server URL
+ * @param {string} apiToken - API token
+ * @returns {Promise<number>} - Number of uploaded executables
+ */
+export async function uploadGameExecutables(gameId, executables, serverUrl, apiToken) {
+  let executableCount = 0;
+  for (const exec of executables || []) {
+    if (!exec.path || !fs.existsSync(exec.path)) continue;
+
+    // Clean label: remove .sh or .bat extension if present
+    let label = exec.label || 'script';
+    if (label.endsWith('.bat')) {
+      label = label.slice(0, -4); // Remove last 4 characters (.bat)
+    } else if (label.endsWith('.sh')) {
+      label = label.slice(0, -3); // Remove last 3 characters (.sh)
+    }
+
+    try {
+      await uploadExecutableViaAPI(gameId, exec.path, label, serverUrl, apiToken);
+      reportLogger.log(`  Uploaded executable: ${path.basename(exec.path)} (label: ${label})`);
+      executableCount++;
+    } catch (error) {
+      reportLogger.warn(`  Warning: Failed to upload executable ${exec.path}: ${error.message}`);
+    }
+  }
+
+  reportLogger.log(`  Uploaded ${executableCount} executable(s)`);
+  return executableCount;
+}
+
+/**
+ * Upload local cover and background images when they exist
+ * @param {number} gameId - IGDB game ID
+ * @param {{ coverPath?: string|null, backgroundPath?: string|null }} images
+ * @param {string} serverUrl - MyHomeGames server URL
+ * @param {string} apiToken - API token
+ */
+export async function uploadGameImages(gameId, images, serverUrl, apiToken) {
+  const { coverPath = null, backgroundPath = null } = images || {};
+  if (coverPath && fs.existsSync(coverPath)) {
+    try {
+      await uploadCoverViaAPI(gameId, coverPath, serverUrl, apiToken);
+      reportLogger.log(`  Uploaded cover: ${path.basename(coverPath)}`);
+    } catch (error) {
+      reportLogger.warn(`  Warning: Failed to upload cover: ${error.message}`);
+    }
+  }
+  if (backgroundPath && fs.existsSync(backgroundPath)) {
+    try {
+      await uploadBackgroundViaAPI(gameId, backgroundPath, serverUrl, apiToken);
+      reportLogger.log(`  Uploaded background: ${path.basename(backgroundPath)}`);
+    } catch (error) {
+      reportLogger.warn(`  Warning: Failed to upload background: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Build the PUT /games/:gameId payload for play statistics (empty when the source has none)
+ * @param {{ playtimeMinutes?: number|null, lastPlayed?: number|string|null }} game
+ * @returns {{ playtime?: number, lastPlayed?: number }}
+ */
+export function buildPlayStatsUpdate(game) {
+  const updates = {};
+  const minutes = Number(game.playtimeMinutes);
+  if (game.playtimeMinutes != null && !Number.isNaN(minutes) && minutes > 0) {
+    updates.playtime = Math.round(minutes);
+  }
+  const lastPlayed = toUnixTimestamp(game.lastPlayed);
+  if (lastPlayed != null) {
+    updates.lastPlayed = lastPlayed;
+  }
+  return updates;
+}
+
+/**
+ * Upload play statistics (total playtime, last played) via PUT /games/:gameId when the source has any
+ * @param {number|string} gameId - Game ID (IGDB ID)
+ * @param {{ playtimeMinutes?: number|null, lastPlayed?: number|string|null }} game
+ * @param {string} serverUrl - MyHomeGames server URL
+ * @param {string} apiToken - API token
+ */
+export async function uploadPlayStats(gameId, game, serverUrl, apiToken) {
+  const playStats = buildPlayStatsUpdate(game);
+  if (Object.keys(playStats).length === 0) return;
+  try {
+    await updateGameViaAPI(gameId, playStats, serverUrl, apiToken);
+    reportLogger.log(`  Updated play stats via API (${Object.keys(playStats).join(', ')})`);
+  } catch (error) {
+    reportLogger.warn(`  Warning: Failed to update play stats: ${error.message}`);
+  }
+}
+
+/**
+ * Import a single source game: search on server, create via API, upload executables and images
+ * @param {SourceGame} game - Game read from the source
+ * @param {Object} context
+ * @param {string} context.serverUrl - MyHomeGames server URL
+ * @param {string} context.apiToken - API token
+ * @param {string} context.twitchClientId - Twitch Client ID
+ * @param {string} context.twitchClientSecret - Twitch Client Secret
+ * @param {Set<number>} [context.existingGameIds] - IGDB IDs already on the server
+ * @param {number|string|null} [context.igdbId] - Known IGDB ID (skips search, creation and details fetch)
+ * @param {number} [context.matchThreshold] - Minimum confidence to accept an IGDB search result (see matching.js)
+ * @param {Object|null} [context.matchReviewer] - Asks the user about ambiguous results (see matchReview.js)
+ * @returns {Promise<Object>} - { gameId, igdbId, title, releaseDate, stars, reviewed }, { skipped: true } if the user
+ *   skipped the game in match review, or { unmatched: true, titles, reason } if no match was accepted
+ */
+export async function importSourceGame(game, context) {
+  const {
+    serverUrl,
+    apiToken,
+    twitchClientId,
+    twitchClientSecret,
+    existingGameIds = new Set(),
+    igdbId: knownIgdbId = null,
+    matchThreshold = DEFAULT_MATCH_THRESHOLD,
+    matchReviewer = null,
+  } = context;
+  const titlesToTry = game.titles && game.titles.length > 0 ? game.titles : [game.title];
+  const primaryTitle = titlesToTry[0];
+  const releaseDateForSearch = toUnixTimestamp(game.releaseDate);
+
+  let igdbGame = null;
+  let gameId = null;
+  let reviewed = false;
+  let alreadyOnServer = false;
+  if (knownIgdbId) {
+    gameId = Number(knownIgdbId);
+    if (Number.isNaN(gameId)) {
+      gameId = knownIgdbId;
+    }
+    reportLogger.log(`  Skipping IGDB name search (UPLOAD=true). Using IGDB ID: ${gameId}`);
+    igdbGame = { id: gameId, name: primaryTitle };
+  } else if (game.igdbId) {
+    gameId = Number(game.igdbId);
+    if (Number.isNaN(gameId)) {
+      gameId = game.igdbId;
+    }
+    reportLogger.log(`  Skipping IGDB name search. Using IGDB ID from source: ${gameId}`);
+    igdbGame = { id: gameId, name: primaryTitle };
+  } else {
+    reportLogger.log(`  Searching on MyHomeGames server...`);
+    const search = await searchConfidentMatches(titlesToTry, releaseDateForSearch, serverUrl, apiToken, twitchClientId, twitchClientSecret, { platform: game.platform || null, threshold: matchThreshold, reviewer: matchReviewer });
+    const { matches: igdbGames, best } = search;
+    reviewed = search.reviewed;
+    if (search.skipped) {
+      return { skipped: true };
+    }
+    if (igdbGames.length === 0) {
+      const reason = best ? `No confident match (best: ${formatMatch(best)}, threshold ${matchThreshold})` : 'Game not found with any title';
+      reportLogger.warn(`  Warning: ${reason}, skipping: "${titlesToTry.join('", "')}"`);
+      return { unmatched: true, titles: titlesToTry, reason };
+    }
+
+    // The best match wins even when it is already on the server (the same game from another store).
+    // Only a top result whose title does not match on its own gives way to the next one not on the server.
+    igdbGame = igdbGames[0];
+    const topTitleSimilarity = Math.max(...titlesToTry.map((title) => titleSimilarity(title, igdbGame.name)));
+    if (existingGameIds.has(Number(igdbGame.id)) && topTitleSimilarity < matchThreshold) {
+      igdbGame = igdbGames.find((igdb) => !existingGameIds.has(Number(igdb.id))) || igdbGame;
+    }
+    alreadyOnServer = existingGameIds.has(Number(igdbGame.id));
+    gameId = igdbGame.id;
+    reportLogger.log(`  Found: ${igdbGame.name} (ID: ${gameId})`);
+  }
+
+  let fullGameData = null;
+  if (knownIgdbId) {
+    reportLogger.log(`  UPLOAD=true -> skipping IGDB details fetch and game creation`);
+  } else if (alreadyOnServer) {
+    reportLogger.log(`  Already on server, linking without creating (ID: ${gameId})`);
+    // The source rating still applies to the game on the server
+    if (game.stars != null) {
+      await updateGameViaAPI(gameId, { stars: game.stars }, serverUrl, apiToken);
+      reportLogger.log(`  Updated existing game via API (stars)`);
+    }
+  } else {
+    reportLogger.log(`  Fetching full game details...`);
+    try {
+      fullGameData = await getGameDetailsFromServer(gameId, serverUrl, apiToken, twitchClientId, twitchClientSecret);
+    } catch (error) {
+      reportLogger.warn(`  Warning: Failed to fetch full game details: ${error.message}`);
+    }
+
+    const gameData = buildGameData(gameId, igdbGame, fullGameData, {
+      releaseDate: releaseDateForSearch,
+      stars: game.stars ?? null,
+      summary: game.summary || null,
+      genres: game.genres && game.genres.length > 0 ? game.genres : null,
+    });
+    reportLogger.log(`  Release date (final for gameData): ${formatTimestampForLog(gameData.releaseDate)}`);
+
+    reportLogger.log(`  Creating game via API...`);
+    try {
+      await createGameViaAPI(gameData, serverUrl, apiToken);
+      reportLogger.log(`  Created game via API`);
+    } catch (error) {
+      // If game already exists (409), that's fine, continue
+      if (error.message.includes('409') || error.message.includes('already exists')) {
+        reportLogger.log(`  Game already exists, skipping creation`);
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  await uploadGameExecutables(gameId, game.executables, serverUrl, apiToken);
+  await uploadGameImages(gameId, { coverPath: game.coverPath, backgroundPath: game.backgroundPath }, serverUrl, apiToken);
+
+  await uploadPlayStats(gameId, game, serverUrl, apiToken);
+
+  const releaseDate = fullGameData?.releaseDateFull?.timestamp || fullGameData?.releaseDate || releaseDateForSearch;
+  return {
+    gameId: gameId,
+    igdbId: gameId,
+    title: fullGameData?.name || igdbGame.name,
+    releaseDate: formatReleaseDateForMap(releaseDate),
+    stars: game.stars ?? null,
+    reviewed,
+  };
+}
+
+/**
+ * Create collections via API from collection title -> IGDB IDs.
+ * Existing collections (by title, case-insensitive) and empty collections are skipped.
+ * @param {Map<string, Array<number>>} collections - Collection title -> ordered IGDB IDs
+ * @param {string} serverUrl - MyHomeGames server URL
+ * @param {string} apiToken - API token
+ * @returns {Promise<number>} - Number of created collections
+ */
+export async function importCollectionsViaAPI(collections, serverUrl, apiToken) {
+  reportLogger.log('\n=== Importing Collections ===');
+
+  const existingCollections = new Set();
+  try {
+    const existing = await getCollectionsViaAPI(serverUrl, apiToken);
+    for (const collection of existing) {
+      if (collection.title) {
+        existingCollections.add(collection.title.toLowerCase());
+      }
+    }
+  } catch (error) {
+    reportLogger.warn(`  Warning: Failed to get existing collections: ${error.message}`);
+  }
+
+  let importedCount = 0;
+  for (const [title, gameIds] of collections) {
+    if (existingCollections.has(title.toLowerCase())) {
+      reportLogger.log(`  Skipping existing collection: ${title}`);
+      continue;
+    }
+
+    const uniqueGameIds = [...new Set(gameIds.map((id) => Number(id)).filter((id) => !Number.isNaN(id)))];
+    if (uniqueGameIds.length === 0) {
+      reportLogger.log(`  Skipping empty collection: ${title}`);
+      continue;
+    }
+
+    try {
+      const response = await createCollectionViaAPI(title, '', serverUrl, apiToken);
+      const collectionId = response.collection?.id;
+      if (collectionId) {
+        await updateCollectionGamesViaAPI(collectionId, uniqueGameIds, serverUrl, apiToken);
+      }
+      reportLogger.log(`  Created collection: ${title} (ID: ${collectionId}, ${uniqueGameIds.length} games)`);
+      importedCount++;
+    } catch (error) {
+      // If collection already exists (409), that's fine, skip it
+      if (error.message.includes('409') || error.message.includes('already exists')) {
+        reportLogger.log(`  Skipping existing collection: ${title}`);
+      } else {
+        reportLogger.warn(`  Warning: Failed to create collection ${title}: ${error.message}`);
+      }
+    }
+  }
+
+  reportLogger.log(`\nImported ${importedCount} collections`);
+  return importedCount;
+}
+
+/**
+ * Collection title -> source keys from game.collections, in game order
+ * @param {Array<SourceGame>} games
+ * @returns {Map<string, Array<string>>}
+ */
+function collectionKeysFromGames(games) {
+  const collectionKeys = new Map();
+  for (const game of games) {
+    for (const collectionTitle of game.collections || []) {
+      if (!collectionTitle) continue;
+      if (!collectionKeys.has(collectionTitle)) {
+        collectionKeys.set(collectionTitle, []);
+      }
+      collectionKeys.get(collectionTitle).push(game.key);
+    }
+  }
+  return collectionKeys;
+}
+
+/**
+ * Run an import for a launcher source: games through importSourceGame, then collections.
+ * The source key -> IGDB ID map is persisted in METADATA_PATH/importer/<source.mapFilename>; games without a match
+ * are queued in METADATA_PATH/importer/unmatched.json and skipped until matched with resolve: true (`node cli.js resolve <importer>`).
+ * @param {Object} config - CLI config (metadataPath, serverUrl, apiToken, twitchClientId, twitchClientSecret, limit, search, upload, gamesOnly, collectionsOnly,
+ *   matchThreshold, interactive, resolve), matchReviewer to review ambiguous matches with a custom reviewer,
+ *   promptResolutions to ask for the resolve decisions another way (see unmatched.js)
+ * @param {Object} source
+ * @param {string} source.id - Importer name in the CLI (e.g. "steam"), used in the unmatched games queue
+ * @param {string} source.name - Display name (e.g. "Steam")
+ * @param {string} source.mapFilename - Import map filename
+ * @param {function(): Promise<Array<SourceGame>>|Array<SourceGame>} source.loadGames - Reads the source library
+ * @param {function(Array<SourceGame>): Promise<Map<string, Array<string>>>|Map<string, Array<string>>} [source.loadCollections] - Ordered
+ *   collection title -> source keys, for sources where collections have their own order (defaults to game.collections in game order)
+ */
+export async function runSourceImport(config, source) {
+  const {
+    metadataPath,
+    serverUrl,
+    apiToken,
+    twitchClientId,
+    twitchClientSecret,
+    limit,
+    search,
+    upload = false,
+    gamesOnly = false,
+    collectionsOnly = false,
+    matchThreshold = DEFAULT_MATCH_THRESHOLD,
+    interactive = false,
+    resolve = false,
+  } = config;
+
+  reportLogger.log(`=== ${source.name} Importer ===\n`);
+  reportLogger.log(`MyHomeGames Metadata: ${metadataPath}`);
+  reportLogger.log(`Match threshold: ${matchThreshold}\n`);
+  if (interactive) {
+    reportLogger.log('Reviewing ambiguous matches interactively (INTERACTIVE=true)\n');
+  }
+
+  if (!fs.existsSync(metadataPath)) {
+    throw new Error(`Metadata path does not exist: ${metadataPath}`);
+  }
+
+  reportLogger.init(metadataPath);
+
+  if (!serverUrl) {
+    throw new Error('SERVER_URL is required (e.g., http://localhost:3000)');
+  }
+
+  if (!apiToken) {
+    throw new Error('API_TOKEN is required for server authentication');
+  }
+
+  if (!twitchClientId || !twitchClientSecret) {
+    throw new Error('TWITCH_CLIENT_ID and TWITCH_CLIENT_SECRET are required for IGDB search');
+  }
+
+  const { importMapPath, importMap, existed: importMapExists } = loadImportMap(metadataPath, source.mapFilename);
+  if (importMapExists) {
+    reportLogger.log(`Loaded ${importMap.size} imported games from: ${importMapPath}`);
+  } else {
+    reportLogger.log(`No existing import map found. Will create: ${importMapPath}`);
+  }
+
+  const { queuePath, queue: unmatchedQueue } = loadUnmatchedQueue(metadataPath);
+  const queuedCount = getUnmatched(unmatchedQueue, source.id).length;
+  if (queuedCount > 0 && !resolve) {
+    reportLogger.log(`${queuedCount} unmatched game(s) in ${queuePath}, skipped until matched with: node cli.js resolve ${source.id}`);
+  }
+  let unmatchedQueueDirty = false;
+
+  // INTERACTIVE=true asks on the terminal about ambiguous matches; callers may pass their own matchReviewer
+  const matchReviewer = config.matchReviewer || (interactive ? createMatchReviewer() : null);
+
+  try {
+    reportLogger.log('\n=== Reading Library ===');
+    let games = await source.loadGames();
+    if (resolve) {
+      const { resolutions, removed } = await resolveUnmatchedGames(
+        unmatchedQueue, source.id, new Set(games.map((game) => game.key)), { prompt: config.promptResolutions }
+      );
+      if (removed > 0) unmatchedQueueDirty = true;
+      games = games
+        .filter((game) => resolutions.has(game.key))
+        .map((game) => {
+          const resolution = resolutions.get(game.key);
+          return resolution.igdbId ? { ...game, igdbId: resolution.igdbId } : { ...game, titles: [resolution.searchTitle] };
+        });
+    }
+    if (search) {
+      reportLogger.log(`Filtering by search term: "${search}"`);
+      const needle = String(search).toLowerCase();
+      games = games.filter((game) => (game.titles || [game.title]).some((title) => String(title).toLowerCase().includes(needle)));
+    }
+    if (limit) {
+      games = games.slice(0, limit);
+    }
+    reportLogger.log(`Found ${games.length} games to import\n`);
+
+    if (!collectionsOnly || resolve) {
+      let existingGameIds = new Set();
+      try {
+        existingGameIds = await getExistingGameIds(serverUrl, apiToken);
+        reportLogger.log(`Loaded ${existingGameIds.size} existing game ID(s) from server`);
+      } catch (err) {
+        reportLogger.warn(`Could not fetch existing game IDs: ${err.message} (IGDB results will not be filtered)`);
+      }
+
+      reportLogger.log(`=== Importing Games (${games.length} games) ===`);
+      let successCount = 0;
+      let skipCount = 0;
+      let importMapDirty = false;
+
+      for (let i = 0; i < games.length; i++) {
+        const game = games[i];
+        const progress = `[${i + 1}/${games.length}]`;
+        reportLogger.log(`${progress} Processing game: ${game.title}`);
+
+        if (!resolve && isUnmatched(unmatchedQueue, source.id, game.key)) {
+          reportLogger.log(`  Skipping unmatched key (match it with: node cli.js resolve ${source.id}): ${game.key}`);
+          skipCount++;
+          continue;
+        }
+        const existingEntry = importMap.get(game.key);
+        if (existingEntry?.skipped) {
+          reportLogger.log(`  Skipping key skipped in match review: ${game.key}`);
+          skipCount++;
+          continue;
+        }
+        const existingIgdbId = existingEntry?.igdbId || null;
+        const shouldForceUpload = upload && !!existingIgdbId;
+        if (existingIgdbId && !shouldForceUpload) {
+          reportLogger.log(`  Skipping already imported key: ${game.key} (IGDB ID: ${existingIgdbId})`);
+          skipCount++;
+          continue;
+        }
+        if (shouldForceUpload) {
+          reportLogger.log(`  UPLOAD=true -> reimporting key: ${game.key} (IGDB ID: ${existingIgdbId})`);
+        }
+
+        try {
+          const result = await importSourceGame(game, {
+            serverUrl,
+            apiToken,
+            twitchClientId,
+            twitchClientSecret,
+            existingGameIds,
+            igdbId: shouldForceUpload ? existingIgdbId : null,
+            matchThreshold,
+            matchReviewer,
+          });
+          if (result.unmatched) {
+            queueUnmatched(unmatchedQueue, { source: source.id, key: game.key, titles: result.titles, releaseDate: game.releaseDate, reason: result.reason });
+            unmatchedQueueDirty = true;
+          } else if (dequeueUnmatched(unmatchedQueue, source.id, game.key)) {
+            reportLogger.log('  Removed from the unmatched queue');
+            unmatchedQueueDirty = true;
+          }
+          if (result.skipped) {
+            // Remember the decision so the game is not asked about again
+            importMap.set(game.key, { igdbId: null, title: game.title, skipped: true });
+            importMapDirty = true;
+          }
+          if (result.unmatched || result.skipped) {
+            skipCount++;
+            continue;
+          }
+          successCount++;
+          const idToAdd = Number(result.igdbId);
+          if (!Number.isNaN(idToAdd)) existingGameIds.add(idToAdd);
+          const previous = existingEntry || {};
+          importMap.set(game.key, {
+            igdbId: result.igdbId,
+            title: previous.title || game.title || result.title || null,
+            releaseDate: previous.releaseDate ?? result.releaseDate ?? null,
+            stars: previous.stars ?? result.stars ?? null,
+            ...(result.reviewed ? { reviewed: true } : {}),
+          });
+          importMapDirty = true;
+        } catch (error) {
+          reportLogger.error(`  ${progress} Error importing ${game.title}:`, error.message);
+          skipCount++;
+        }
+      }
+
+      if (importMapDirty) {
+        try {
+          saveImportMap(importMapPath, importMap);
+          reportLogger.log(`Saved import map: ${importMapPath}`);
+        } catch (error) {
+          reportLogger.warn(`Warning: Failed to save import map: ${error.message}`);
+        }
+      }
+      if (unmatchedQueueDirty) {
+        try {
+          saveUnmatchedQueue(queuePath, unmatchedQueue);
+          reportLogger.log(`Saved unmatched games queue: ${queuePath}`);
+        } catch (error) {
+          reportLogger.warn(`Warning: Failed to save unmatched games queue: ${error.message}`);
+        }
+      }
+
+      reportLogger.log(`\n=== Import Summary ===`);
+      reportLogger.log(`Successfully imported: ${successCount}`);
+      reportLogger.log(`Skipped: ${skipCount}`);
+    } else {
+      reportLogger.log('\n=== Skipping Games (--collections-only mode) ===');
+    }
+
+    if (resolve) {
+      reportLogger.log('\n=== Skipping Collections (resolve mode) ===');
+    } else if (!gamesOnly) {
+      const collectionKeys = source.loadCollections
+        ? await source.loadCollections(games)
+        : collectionKeysFromGames(games);
+      const loadedKeys = new Set(games.map((game) => game.key));
+      const collections = new Map();
+      for (const [collectionTitle, keys] of collectionKeys) {
+        if (!collectionTitle) continue;
+        collections.set(collectionTitle, keys
+          .filter((key) => loadedKeys.has(key))
+          .map((key) => importMap.get(key)?.igdbId)
+          .filter(Boolean));
+      }
+      if (collections.size > 0) {
+        await importCollectionsViaAPI(collections, serverUrl, apiToken);
+      }
+    } else {
+      reportLogger.log('\n=== Skipping Collections (--games-only mode) ===');
+    }
+  } finally {
+    if (matchReviewer && !config.matchReviewer) matchReviewer.close();
+    reportLogger.close();
+  }
+
+  reportLogger.log('\n=== Import Complete ===');
+}
@@ -135,9 +135,10 @@ export async function getExistingGameIds(serverUrl, apiToken) {
  * @param {string} twitchClientId - Twitch Client ID (for IGDB)
  * @param {string} twitchClientSecret - Twitch Client Secret (for IGDB)
  * @param {number|string|null} releaseDate - Optional full release date: Unix timestamp (seconds) or "YYYY-MM-DD", used to sort by closest match
+ * @param {string|null} platform - Optional platform hint (e.g. "Nintendo - Super Nintendo Entertainment System") to narrow results
  * @returns {Promise<Array<Object>>} - Array of game objects with id and name (and releaseDateFull when from server), sorted by closest date first if releaseDate was passed
  */
-export async function searchGameOnServer(title, serverUrl, apiToken, twitchClientId, twitchClientSecret, releaseDate = null) {
+export async function searchGameOnServer(title, serverUrl, apiToken, twitchClientId, twitchClientSecret, releaseDate = null, platform = null) {
   return new Promise((resolve, reject) => {
     try {
       const url = new URL(`${serverUrl}/igdb/search`);
@@ -157,6 +158,9 @@ export async function searchGameOnServer(title, serverUrl, apiToken, twitchClien
         }
         if (ts != null && ts > 0) url.searchParams.set('releaseDate', String(ts));
       }
+      if (platform) {
+        url.searchParams.set('platform', platform);
+      }
 
       const isHttps = url.protocol === 'https:';
       const httpModule = isHttps ? https : http;
@@ -192,11 +196,13 @@ export async function searchGameOnServer(title, serverUrl, apiToken, twitchClien
 
             const response = JSON.parse(data);
             if (response.games && response.games.length > 0) {
-              // Return games with id, name, and releaseDateFull (for client-side sort by date when needed)
+              // Return games with id, name, releaseDateFull (for client-side sort by date when needed)
+              // and platforms (shown when reviewing ambiguous matches)
               resolve(response.games.map(game => ({
                 id: game.id,
                 name: game.name,
                 releaseDateFull: game.releaseDateFull || null,
+                platforms: game.platforms || null,
               })));
             } else {
               resolve([]);
@@ -218,6 +224,39 @@ export async function searchGameOnServer(title, serverUrl, apiToken, twitchClien
   });
 }
 
+/**
+ * Find IGDB games by external store ID via MyHomeGames server (GET /igdb/external)
+ * @param {string} source - Store: 'gog' (product ID), 'steam' (appid) or 'epic'
+ * @param {string} uid - ID of the game in that store
+ * @param {string} serverUrl - MyHomeGames server URL
+ * @param {string} apiToken - API token for authentication
+ * @param {string} twitchClientId - Twitch Client ID (for IGDB)
+ * @param {string} twitchClientSecret - Twitch Client Secret (for IGDB)
+ * @returns {Promise<Array<Object>|null>} - Games with id, name, releaseDateFull and platforms (empty when IGDB does not know the ID),
+ *   null when the server has no external ID endpoint
+ */
+export async function findGameByExternalIdOnServer(source, uid, serverUrl, apiToken, twitchClientId, twitchClientSecret) {
+  const url = new URL(`${serverUrl}/igdb/external`);
+  url.searchParams.set('source', source);
+  url.searchParams.set('uid', uid);
+  url.searchParams.set('clientId', twitchClientId);
+  url.searchParams.set('clientSecret', twitchClientSecret);
+  let response;
+  try {
+    response = await makeHttpRequest('GET', url.toString(), apiToken);
+  } catch (error) {
+    if (error.statusCode !== 404) throw error;
+    // A JSON error comes from the endpoint (unknown ID); without one the route itself is missing
+    return error.serverError ? [] : null;
+  }
+  return (response.games || []).map(game => ({
+    id: game.id,
+    name: game.name,
+    releaseDateFull: game.releaseDateFull || null,
+    platforms: game.platforms || null,
+  }));
+}
+
 /**
  * Make HTTP request (JSON body)
  * @param {string} method - HTTP method (GET, POST, PUT, etc.)
@@ -257,8 +296,17 @@ function makeHttpRequest(method, urlString, apiToken, body = null) {
         res.on('end', () => {
           try {
             if (res.statusCode < 200 || res.statusCode >= 300) {
-              const error = data ? JSON.parse(data) : { error: res.statusMessage };
-              reject(new Error(`Server error (${res.statusCode}): ${error.error || res.statusMessage}`));
+              // Routes the server does not have answer with an HTML page instead of a JSON error
+              let serverError = null;
+              try {
+                serverError = data ? JSON.parse(data).error || null : null;
+              } catch {
+                // Not JSON: keep the status message
+              }
+              const error = new Error(`Server error (${res.statusCode}): ${serverError || res.statusMessage}`);
+              error.statusCode = res.statusCode;
+              error.serverError = serverError;
+              reject(error);
               return;
             }
 
@@ -368,7 +416,7 @@ export async function getGameViaAPI(gameId, serverUrl, apiToken) {
 /**
  * Update game fields via API (PUT /games/:gameId)
  * @param {number} gameId - IGDB game ID
- * @param {Object} updates - Allowed fields: title, summary, year, month, day, stars, genre, themes, platforms, gameEngines, gameModes, playerPerspectives, developers, publishers, executables, showTitle
+ * @param {Object} updates - Allowed fields: title, summary, year, month, day, stars, genre, themes, platforms, gameEngines, gameModes, playerPerspectives, developers, publishers, executables, showTitle, playtime (minutes), lastPlayed (Unix timestamp in seconds)
  * @param {string} serverUrl - MyHomeGames server URL
  * @param {string} apiToken - API token
  * @returns {Promise<Object>} - Response with updated game
@@ -442,6 +490,52 @@ export async function uploadBackgroundViaAPI(gameId, filePath, serverUrl, apiTok
   return makeMultipartRequest('POST', url, apiToken, formDataFields);
 }
 
+/**
+ * Upload square icon image via API
+ * @param {number} gameId - Game ID
+ * @param {string} filePath - Path to icon image file
+ * @param {string} serverUrl - MyHomeGames server URL
+ * @param {string} apiToken - API token
+ * @returns {Promise<Object>} - Response data
+ */
+export async function uploadIconViaAPI(gameId, filePath, serverUrl, apiToken) {
+  const url = `${serverUrl}/games/${gameId}/upload-icon`;
+  const formDataFields = {
+    file: fs.createReadStream(filePath),
+  };
+  return makeMultipartRequest('POST', url, apiToken, formDataFields);
+}
+
+/**
+ * Upload logo image via API
+ * @param {number} gameId - Game ID
+ * @param {string} filePath - Path to logo image file
+ * @param {string} serverUrl - MyHomeGames server URL
+ * @param {string} apiToken - API token
+ * @returns {Promise<Object>} - Response data
+ */
+export async function uploadLogoViaAPI(gameId, filePath, serverUrl, apiToken) {
+  const url = `${serverUrl}/games/${gameId}/upload-logo`;
+  const formDataFields = {
+    file: fs.createReadStream(filePath),
+  };
+  return makeMultipartRequest('POST', url, apiToken, formDataFields);
+}
+
+/**
+ * Replace the achievements of a game via API (PUT /games/:gameId/achievements)
+ * @param {number} gameId - Game ID
+ * @param {Array<{key: string, name: string, description: string, unlocked: boolean, unlockedAt: number|null}>} achievements -
+ *   All achievements of the game, unlockedAt as Unix timestamp in seconds
+ * @param {string} serverUrl - MyHomeGames server URL
+ * @param {string} apiToken - API token
+ * @returns {Promise<Object>} - Response data
+ */
+export async function updateAchievementsViaAPI(gameId, achievements, serverUrl, apiToken) {
+  const url = `${serverUrl}/games/${gameId}/achievements`;
+  return makeHttpRequest('PUT', url, apiToken, { achievements });
+}
+
 /**
  * Create collection via API
  * @param {string} title - Collection title
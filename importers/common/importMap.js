@@ -0,0 +1,71 @@
+// Import map utilities: persist source key -> IGDB ID mappings in METADATA_PATH/importer
+
+import fs from 'fs';
+import path from 'path';
+import * as reportLogger from './reportLogger.js';
+
+export const IMPORTER_DIRNAME = 'importer';
+
+/**
+ * Load an import map (source key -> { igdbId, title, releaseDate, stars }, plus reviewed: true for games
+ * matched in match review and { igdbId: null, skipped: true } for games skipped there)
+ * @param {string} metadataPath - Path to MyHomeGames metadata directory
+ * @param {string} filename - Map filename inside METADATA_PATH/importer (e.g. gog-galaxy-releasekey-map.json)
+ * @returns {{ importMapPath: string, importMap: Map<string, Object>, existed: boolean }}
+ */
+export function loadImportMap(metadataPath, filename) {
+  const importDirPath = path.join(metadataPath, IMPORTER_DIRNAME);
+  const importMapPath = path.join(importDirPath, filename);
+  if (!fs.existsSync(importMapPath)) {
+    return { importMapPath, importMap: new Map(), existed: false };
+  }
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(importMapPath, 'utf-8'));
+    const importMap = new Map();
+    if (raw && typeof raw === 'object') {
+      for (const [key, entry] of Object.entries(raw)) {
+        if (!key) continue;
+        if (entry && typeof entry === 'object') {
+          importMap.set(key, entry);
+        } else {
+          importMap.set(key, { igdbId: entry });
+        }
+      }
+    }
+    return { importMapPath, importMap, existed: true };
+  } catch (error) {
+    reportLogger.warn(`Warning: Failed to read import map at ${importMapPath}: ${error.message}`);
+    return { importMapPath, importMap: new Map(), existed: true };
+  }
+}
+
+/**
+ * Save an import map as JSON
+ * @param {string} importMapPath - Full path to the map file
+ * @param {Map<string, Object>} importMap
+ */
+export function saveImportMap(importMapPath, importMap) {
+  const importDirPath = path.dirname(importMapPath);
+  fs.mkdirSync(importDirPath, { recursive: true });
+  const data = Object.fromEntries(importMap);
+  fs.writeFileSync(importMapPath, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Build source key -> IGDB ID map from an import map (entries skipped in match review are left out)
+ * @param {Map<string, Object>} importMap
+ * @returns {Map<string, number|string>}
+ */
+export function buildKeyIdMap(importMap) {
+  const map = new Map();
+  for (const [key, entry] of importMap) {
+    if (entry && entry.skipped) continue;
+    if (entry && entry.igdbId) {
+      map.set(key, entry.igdbId);
+    } else if (entry) {
+      map.set(key, entry);
+    }
+  }
+  return map;
+}
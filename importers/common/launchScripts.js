@@ -0,0 +1,73 @@
+// Launch script utilities: generate script.sh / script.bat files for games that have no launcher script on disk
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ensureDirectoryExists } from './files.js';
+
+/**
+ * Sanitize executable name for filesystem (same logic as server)
+ */
+export function sanitizeExecutableName(name) {
+  if (!name || typeof name !== 'string') return '';
+  return name.replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+/**
+ * Quote a single argument for the target shell
+ * @param {string} arg - Argument to quote
+ * @param {string} platform - Target platform (process.platform values)
+ * @returns {string}
+ */
+export function quoteShellArg(arg, platform = process.platform) {
+  const value = String(arg);
+  if (platform === 'win32') {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Command that opens a URL (e.g. steam://rungameid/220) with the OS default handler
+ * @param {string} url - URL to open
+ * @param {string} platform - Target platform (process.platform values)
+ * @returns {string}
+ */
+export function openUrlCommand(url, platform = process.platform) {
+  if (platform === 'win32') return `start "" ${quoteShellArg(url, platform)}`;
+  if (platform === 'darwin') return `open ${quoteShellArg(url, platform)}`;
+  return `xdg-open ${quoteShellArg(url, platform)}`;
+}
+
+/**
+ * Directory where generated launch scripts are written before upload
+ * @param {string} importerKey - Importer key (e.g. "steam")
+ * @returns {string}
+ */
+export function getLaunchScriptDir(importerKey) {
+  return path.join(os.tmpdir(), 'myhomegames-importer', importerKey);
+}
+
+/**
+ * Write a launch script for a game
+ * @param {string} importerKey - Importer key, used for the output directory
+ * @param {string} name - Script name (sanitized, extension added for the platform)
+ * @param {Array<string>} commands - Command lines to run
+ * @param {string} platform - Target platform (process.platform values)
+ * @returns {string} - Path to the written script
+ */
+export function writeLaunchScript(importerKey, name, commands, platform = process.platform) {
+  const dir = getLaunchScriptDir(importerKey);
+  ensureDirectoryExists(dir);
+  const isWindows = platform === 'win32';
+  const filename = `${sanitizeExecutableName(name) || 'script'}${isWindows ? '.bat' : '.sh'}`;
+  const scriptPath = path.join(dir, filename);
+  const content = isWindows
+    ? ['@echo off', ...commands].join('\r\n') + '\r\n'
+    : ['#!/bin/sh', ...commands].join('\n') + '\n';
+  fs.writeFileSync(scriptPath, content, 'utf-8');
+  if (!isWindows) {
+    fs.chmodSync(scriptPath, 0o755);
+  }
+  return scriptPath;
+}
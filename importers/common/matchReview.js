@@ -0,0 +1,136 @@
+// Interactive review of ambiguous IGDB matches (INTERACTIVE=true)
+
+import readline from 'readline/promises';
+import { formatMatch } from './matching.js';
+
+// Top candidates closer than this in confidence are ambiguous
+export const REVIEW_CONFIDENCE_MARGIN = 0.05;
+
+/**
+ * True if a scored search result list needs a decision: no result, no confident result,
+ * or two different games at the top with almost the same confidence
+ * @param {Array<Object>} ranked - Scored results, best first (see rankCandidates)
+ * @param {number} threshold - Match threshold
+ * @returns {boolean}
+ */
+export function needsReview(ranked, threshold) {
+  if (!ranked || ranked.length === 0) return true;
+  if (ranked[0].confidence < threshold) return true;
+  return ranked.length > 1
+    && ranked[1].candidate.id !== ranked[0].candidate.id
+    && ranked[0].confidence - ranked[1].confidence < REVIEW_CONFIDENCE_MARGIN;
+}
+
+/**
+ * Year and platforms of an IGDB search result, e.g. "1998, PC, Mac"
+ * @param {Object} candidate - IGDB search result
+ * @returns {string}
+ */
+function formatCandidateDetails(candidate) {
+  const details = [];
+  const timestamp = candidate.releaseDateFull?.timestamp;
+  if (timestamp != null) {
+    details.push(String(new Date(Number(timestamp) * 1000).getUTCFullYear()));
+  } else if (candidate.releaseDate) {
+    details.push(String(candidate.releaseDate));
+  }
+  for (const platform of candidate.platforms || []) {
+    const name = typeof platform === 'string' ? platform : platform?.name;
+    if (name) details.push(name);
+  }
+  return details.join(', ');
+}
+
+/**
+ * Parse an answer to the review prompt
+ * @param {string} answer - "<n>" to pick a result, "i <id>" for an IGDB ID, "s <title>" to search again, empty or "k" to skip
+ * @param {number} candidateCount - Number of results shown
+ * @returns {Object|null} - Decision (see createMatchReviewer), null if the answer is invalid
+ */
+export function parseReviewAnswer(answer, candidateCount) {
+  const text = String(answer || '').trim();
+  if (text === '' || /^(k|skip)$/i.test(text)) return { action: 'skip' };
+  if (/^\d+$/.test(text)) {
+    const index = parseInt(text, 10);
+    return index >= 1 && index <= candidateCount ? { action: 'pick', index: index - 1 } : null;
+  }
+  const idMatch = text.match(/^i\s+(\d+)$/i);
+  if (idMatch) return { action: 'id', igdbId: Number(idMatch[1]) };
+  const searchMatch = text.match(/^s\s+(.+)$/i);
+  if (searchMatch) return { action: 'search', title: searchMatch[1].trim() };
+  return null;
+}
+
+/**
+ * Ask a question, resolving to null instead of waiting forever when the input ends (Ctrl-D, closed pipe)
+ * @param {readline.Interface} rl
+ * @param {string} query
+ * @returns {Promise<string|null>}
+ */
+export function askQuestion(rl, query) {
+  return new Promise((resolve) => {
+    const onClose = () => resolve(null);
+    rl.once('close', onClose);
+    rl.question(query).then(
+      (answer) => {
+        rl.off('close', onClose);
+        resolve(answer);
+      },
+      () => {
+        rl.off('close', onClose);
+        resolve(null);
+      }
+    );
+  });
+}
+
+/**
+ * Create a reviewer that asks on the terminal which IGDB result a game is.
+ * The readline interface is opened on the first question; call close() when done.
+ * Once the input ends, this and every later review resolve to { action: 'closed' } without asking.
+ * @param {Object} [streams]
+ * @param {NodeJS.ReadableStream} [streams.input] - Defaults to process.stdin
+ * @param {NodeJS.WritableStream} [streams.output] - Defaults to process.stdout
+ * @returns {{ review: function(Object): Promise<Object>, close: function(): void }}
+ *   review({ title, ranked }) resolves to { action: 'pick', candidate } | { action: 'id', igdbId }
+ *   | { action: 'search', title } | { action: 'skip' } | { action: 'closed' }
+ */
+export function createMatchReviewer({ input = process.stdin, output = process.stdout } = {}) {
+  let rl = null;
+  let inputClosed = false;
+
+  async function review({ title, ranked }) {
+    if (inputClosed) return { action: 'closed' };
+    if (!rl) rl = readline.createInterface({ input, output });
+    output.write(`\n  Review match for "${title}":\n`);
+    if (ranked.length === 0) {
+      output.write('    No results\n');
+    }
+    ranked.forEach((scored, index) => {
+      const details = formatCandidateDetails(scored.candidate);
+      output.write(`    ${index + 1}) ${formatMatch(scored)}${details ? ` [${details}]` : ''}\n`);
+    });
+    for (;;) {
+      const choices = ranked.length > 0 ? `1-${ranked.length} pick, ` : '';
+      const answer = await askQuestion(rl, `  ${choices}i <id> IGDB ID, s <title> search again, Enter skip: `);
+      if (answer === null) {
+        inputClosed = true;
+        output.write('\n  Input closed, no more reviews\n');
+        return { action: 'closed' };
+      }
+      const decision = parseReviewAnswer(answer, ranked.length);
+      if (!decision) {
+        output.write('    Invalid choice\n');
+        continue;
+      }
+      return decision.action === 'pick' ? { action: 'pick', candidate: ranked[decision.index].candidate } : decision;
+    }
+  }
+
+  function close() {
+    if (rl) rl.close();
+    rl = null;
+  }
+
+  return { review, close };
+}
@@ -0,0 +1,194 @@
+// Title matching: normalisation and confidence scoring of IGDB search results
+
+export const DEFAULT_MATCH_THRESHOLD = 0.75;
+
+// Weight of the release date distance in the confidence (title similarity gets the rest)
+const DATE_WEIGHT = 0.2;
+// Release dates this many years apart (or more) score 0
+const MAX_DATE_DISTANCE_YEARS = 5;
+const SECONDS_PER_YEAR = 365.25 * 24 * 60 * 60;
+
+// Store edition suffixes that name the same game on IGDB (remasters and remakes are kept: they are separate games)
+const EDITION_PATTERNS = [
+  /\bgame of the year(\s+edition)?\b/g,
+  /\bgoty(\s+edition)?\b/g,
+  /\b(definitive|complete|deluxe|digital deluxe|enhanced|ultimate|gold|special|anniversary|collector s|premium|standard)\s+edition\b/g,
+  /\bdirector s cut\b/g,
+];
+
+const ROMAN_NUMERALS = {
+  ii: 2, iii: 3, iv: 4, vi: 6, vii: 7, viii: 8, ix: 9,
+  xi: 11, xii: 12, xiii: 13, xiv: 14, xv: 15, xvi: 16, xvii: 17, xviii: 18, xix: 19, xx: 20,
+};
+// Single-letter numerals are also words ("I Am Bread", "X-COM"): only converted as the last word
+const TRAILING_ROMAN_NUMERALS = { i: 1, v: 5, x: 10 };
+// Numbers from here on are years ("Doom (1993)"), left to the release date score
+const MIN_YEAR_NUMBER = 1900;
+
+/**
+ * Normalise a title for comparison: lowercase, without Latin diacritics, trademark signs,
+ * punctuation, a leading "The" and edition suffixes; roman numerals become digits.
+ * Letters and digits of every script are kept (Cyrillic, Greek, CJK, ...).
+ * @param {string} title
+ * @returns {string}
+ */
+export function normalizeTitle(title) {
+  let normalized = String(title || '')
+    .replace(/[\u2122\u00ae\u00a9]/g, '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+    .trim();
+  for (const pattern of EDITION_PATTERNS) {
+    normalized = normalized.replace(pattern, ' ');
+  }
+  const words = normalized.split(/\s+/).filter(Boolean);
+  if (words.length > 1 && words[0] === 'the') words.shift();
+  return words
+    .map((word, index) => {
+      if (ROMAN_NUMERALS[word]) return String(ROMAN_NUMERALS[word]);
+      if (index === words.length - 1 && index > 0 && TRAILING_ROMAN_NUMERALS[word]) return String(TRAILING_ROMAN_NUMERALS[word]);
+      return word;
+    })
+    .join(' ');
+}
+
+/**
+ * Title for searching IGDB: trademark signs and edition suffixes removed, otherwise unchanged
+ * @param {string} title
+ * @returns {string}
+ */
+export function cleanSearchTitle(title) {
+  const cleaned = String(title || '')
+    .replace(/[\u2122\u00ae\u00a9]/g, '')
+    .replace(/[\s:-]*\b(game of the year|goty|definitive|complete|deluxe|digital deluxe|enhanced|ultimate|gold|special|anniversary|collector'?s|premium|standard)\s+edition\b/gi, '')
+    .replace(/[\s:-]*\bgoty\b/gi, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return cleaned || String(title || '').trim();
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function numberTokens(normalized) {
+  return normalized.split(' ').filter((word) => /^\d+$/.test(word)).map(Number);
+}
+
+/**
+ * True if a normalised title ends with a sequel number the other title does not have
+ * ("fallout 3" / "fallout 4", "baldur s gate" / "baldur s gate 2"). Years are ignored.
+ * @param {string} left - Normalised title
+ * @param {string} right - Normalised title
+ * @returns {boolean}
+ */
+function sequelNumbersDiffer(left, right) {
+  const conflicts = (title, other) => {
+    const last = title.split(' ').pop();
+    if (!/^\d+$/.test(last) || Number(last) >= MIN_YEAR_NUMBER) return false;
+    return !numberTokens(other).includes(Number(last));
+  };
+  return conflicts(left, right) || conflicts(right, left);
+}
+
+/**
+ * Similarity of two titles after normalisation, from 0 (different) to 1 (same).
+ * Titles with different sequel numbers are different games and score 0.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function titleSimilarity(a, b) {
+  const left = normalizeTitle(a);
+  const right = normalizeTitle(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  if (sequelNumbersDiffer(left, right)) return 0;
+  return 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+}
+
+/**
+ * Release date of an IGDB search result as Unix timestamp in seconds (a bare year is 1 January)
+ * @param {Object} candidate - IGDB search result
+ * @returns {number|null}
+ */
+function candidateTimestamp(candidate) {
+  const timestamp = candidate?.releaseDateFull?.timestamp;
+  if (timestamp != null && !Number.isNaN(Number(timestamp))) return Number(timestamp);
+  const releaseDate = Number(candidate?.releaseDate);
+  if (!releaseDate || Number.isNaN(releaseDate)) return null;
+  return releaseDate <= 9999 ? Date.UTC(releaseDate, 0, 1) / 1000 : releaseDate;
+}
+
+/**
+ * Score an IGDB search result against the source game: best title similarity over the source titles,
+ * and release date closeness when both dates are known
+ * @param {Object} candidate - IGDB search result ({ id, name, releaseDateFull?, releaseDate? })
+ * @param {Object} source
+ * @param {Array<string>} source.titles - Source titles
+ * @param {number|null} [source.releaseDate] - Source release date (Unix timestamp in seconds)
+ * @returns {{ candidate: Object, similarity: number, dateScore: number|null, confidence: number }}
+ */
+export function scoreCandidate(candidate, { titles, releaseDate = null }) {
+  const similarity = Math.max(0, ...titles.map((title) => titleSimilarity(title, candidate?.name)));
+  const candidateDate = candidateTimestamp(candidate);
+  let dateScore = null;
+  if (releaseDate != null && candidateDate != null) {
+    const years = Math.abs(candidateDate - releaseDate) / SECONDS_PER_YEAR;
+    dateScore = Math.max(0, 1 - years / MAX_DATE_DISTANCE_YEARS);
+  }
+  const confidence = dateScore == null ? similarity : similarity * (1 - DATE_WEIGHT) + dateScore * DATE_WEIGHT;
+  return { candidate, similarity, dateScore, confidence };
+}
+
+/**
+ * Score and sort IGDB search results, best match first (ties keep the server order)
+ * @param {Array<Object>} candidates - IGDB search results
+ * @param {Object} source - See scoreCandidate
+ * @returns {Array<{ candidate: Object, similarity: number, dateScore: number|null, confidence: number }>}
+ */
+export function rankCandidates(candidates, source) {
+  return (candidates || [])
+    .map((candidate, index) => ({ ...scoreCandidate(candidate, source), index }))
+    .sort((a, b) => b.confidence - a.confidence || a.index - b.index)
+    .map(({ index, ...scored }) => scored);
+}
+
+/**
+ * Format a scored candidate for logs
+ * @param {{ candidate: Object, confidence: number }} scored
+ * @returns {string}
+ */
+export function formatMatch(scored) {
+  return `${scored.candidate.name} (ID: ${scored.candidate.id}, confidence ${scored.confidence.toFixed(2)})`;
+}
+
+/**
+ * Parse a match threshold option (0-1), DEFAULT_MATCH_THRESHOLD when not set
+ * @param {string|number|null|undefined} value
+ * @returns {number}
+ */
+export function parseMatchThreshold(value) {
+  if (value == null || value === '') return DEFAULT_MATCH_THRESHOLD;
+  const threshold = Number(value);
+  if (Number.isNaN(threshold) || threshold < 0 || threshold > 1) {
+    throw new Error(`Invalid MATCH_THRESHOLD: ${value} (expected a number between 0 and 1)`);
+  }
+  return threshold;
+}
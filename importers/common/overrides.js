@@ -0,0 +1,91 @@
+// Manual overrides: METADATA_PATH/importer/overrides.json pins games to IGDB IDs, forces search titles or ignores them
+
+import fs from 'fs';
+import path from 'path';
+import { IMPORTER_DIRNAME } from './importMap.js';
+import { normalizeTitle } from './matching.js';
+
+export const OVERRIDES_FILENAME = 'overrides.json';
+
+const OVERRIDE_FIELDS = ['igdbId', 'searchTitle', 'ignore'];
+
+/**
+ * Validate one override entry
+ * @param {*} entry - Raw entry from the file
+ * @param {string} label - Entry name for error messages
+ * @returns {{ igdbId: number|null, searchTitle: string|null, ignore: boolean }}
+ */
+function parseOverrideEntry(entry, label) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error(`${label}: expected an object with ${OVERRIDE_FIELDS.join(', ')}`);
+  }
+  const unknown = Object.keys(entry).filter((field) => !OVERRIDE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`${label}: unknown field(s) ${unknown.join(', ')} (expected ${OVERRIDE_FIELDS.join(', ')})`);
+  }
+  const igdbId = entry.igdbId != null ? Number(entry.igdbId) : null;
+  if (igdbId != null && (!Number.isInteger(igdbId) || igdbId <= 0)) {
+    throw new Error(`${label}: igdbId must be a positive integer`);
+  }
+  if (entry.searchTitle != null && (typeof entry.searchTitle !== 'string' || !entry.searchTitle.trim())) {
+    throw new Error(`${label}: searchTitle must be a non-empty string`);
+  }
+  if (entry.ignore != null && typeof entry.ignore !== 'boolean') {
+    throw new Error(`${label}: ignore must be true or false`);
+  }
+  return {
+    igdbId,
+    searchTitle: entry.searchTitle ? entry.searchTitle.trim() : null,
+    ignore: entry.ignore === true,
+  };
+}
+
+/**
+ * Load METADATA_PATH/importer/overrides.json:
+ * { "releaseKeys": { "<releaseKey>": { igdbId?, searchTitle?, ignore? } }, "titles": { "<title>": { ... } } }
+ * Titles are compared after normalisation (see normalizeTitle).
+ * @param {string} metadataPath - Path to MyHomeGames metadata directory
+ * @returns {{ overridesPath: string, overrides: { releaseKeys: Map<string, Object>, titles: Map<string, Object> }, existed: boolean }}
+ */
+export function loadOverrides(metadataPath) {
+  const overridesPath = path.join(metadataPath, IMPORTER_DIRNAME, OVERRIDES_FILENAME);
+  const overrides = { releaseKeys: new Map(), titles: new Map() };
+  if (!fs.existsSync(overridesPath)) {
+    return { overridesPath, overrides, existed: false };
+  }
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(overridesPath, 'utf-8'));
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error('expected an object with "releaseKeys" and / or "titles"');
+    }
+    for (const [releaseKey, entry] of Object.entries(raw.releaseKeys || {})) {
+      overrides.releaseKeys.set(releaseKey, { ...parseOverrideEntry(entry, `releaseKeys.${releaseKey}`), source: `releaseKey ${releaseKey}` });
+    }
+    for (const [title, entry] of Object.entries(raw.titles || {})) {
+      overrides.titles.set(normalizeTitle(title), { ...parseOverrideEntry(entry, `titles.${title}`), source: `title "${title}"` });
+    }
+  } catch (error) {
+    throw new Error(`Invalid overrides file ${overridesPath}: ${error.message}`);
+  }
+  return { overridesPath, overrides, existed: true };
+}
+
+/**
+ * Override for a game: by releaseKey first (in the given order), then by title
+ * @param {{ releaseKeys: Map<string, Object>, titles: Map<string, Object> }} overrides - From loadOverrides
+ * @param {Array<string>} releaseKeys - releaseKeys of the game (linked releases included)
+ * @param {Array<string>} titles - Titles of the game
+ * @returns {{ igdbId: number|null, searchTitle: string|null, ignore: boolean, source: string }|null}
+ */
+export function findOverride(overrides, releaseKeys, titles) {
+  for (const releaseKey of releaseKeys) {
+    const override = overrides.releaseKeys.get(releaseKey);
+    if (override) return override;
+  }
+  for (const title of titles) {
+    const override = overrides.titles.get(normalizeTitle(title));
+    if (override) return override;
+  }
+  return null;
+}
@@ -0,0 +1,122 @@
+// Common search utilities built on top of the MyHomeGames server IGDB search
+
+import { searchGameOnServer } from './igdb.js';
+import * as reportLogger from './reportLogger.js';
+import { DEFAULT_MATCH_THRESHOLD, cleanSearchTitle, rankCandidates, formatMatch } from './matching.js';
+import { needsReview } from './matchReview.js';
+
+/**
+ * Search IGDB by title (edition suffixes and trademark signs removed), reducing by one word at a time if no results.
+ * When results are found, server already sorts by release date (closest first).
+ * @param {string|null} platform - Optional platform hint forwarded to searchGameOnServer
+ * @returns {{ igdbGames: Array|null, usedTitle: string|null }}
+ */
+export async function searchGameWithReducingTitle(title, releaseDateForSearch, serverUrl, apiToken, twitchClientId, twitchClientSecret, platform = null) {
+  let searchTitle = cleanSearchTitle(title);
+  while (searchTitle) {
+    let igdbGames = await searchGameOnServer(searchTitle, serverUrl, apiToken, twitchClientId, twitchClientSecret, releaseDateForSearch, platform);
+    if (igdbGames && igdbGames.length > 0) {
+      if (releaseDateForSearch != null && releaseDateForSearch !== '') {
+        const ts = typeof releaseDateForSearch === 'number' ? releaseDateForSearch : parseInt(String(releaseDateForSearch), 10);
+        const targetTs = !Number.isNaN(ts) && ts > 0 ? (ts < 10000000000 ? ts : Math.floor(ts / 1000)) : null;
+        if (targetTs != null) {
+          igdbGames = [...igdbGames].sort((a, b) => {
+            const aTs = a.releaseDateFull?.timestamp;
+            const bTs = b.releaseDateFull?.timestamp;
+            const aDist = aTs != null ? Math.abs(aTs - targetTs) : Infinity;
+            const bDist = bTs != null ? Math.abs(bTs - targetTs) : Infinity;
+            if (aDist !== bDist) return aDist - bDist;
+            if (aTs != null && bTs != null) return aTs - bTs;
+            return (aTs != null ? 0 : 1) - (bTs != null ? 0 : 1);
+          });
+        }
+      }
+      return { igdbGames, usedTitle: searchTitle };
+    }
+    const words = searchTitle.split(/\s+/);
+    if (words.length <= 1) break;
+    words.pop();
+    const nextTitle = words.join(' ');
+    if (nextTitle) {
+      reportLogger.log(`    No results, trying shorter: "${nextTitle}"`);
+      searchTitle = nextTitle;
+    } else {
+      break;
+    }
+  }
+  return { igdbGames: [], usedTitle: null };
+}
+
+/**
+ * Search IGDB with each title in turn and score the results against all titles and the release date.
+ * Stops at the first title giving results at or above the match threshold.
+ * With a reviewer (see matchReview.js), ambiguous results are shown to the user, who picks the game,
+ * gives its IGDB ID, searches again with another title or skips it. Once the reviewer's input is closed, the
+ * results are used as without a reviewer.
+ * @param {Array<string>} titles - Titles to try, in order
+ * @param {Object} [options]
+ * @param {string|null} [options.platform] - Platform hint forwarded to searchGameOnServer
+ * @param {number} [options.threshold] - Minimum confidence to accept a result (0-1)
+ * @param {Object|null} [options.reviewer] - Match reviewer from createMatchReviewer
+ * @returns {Promise<{ matches: Array<Object>, ranked: Array<Object>, best: Object|null, usedTitle: string|null, reviewed: boolean, skipped: boolean }>}
+ *   matches: accepted results, best first; ranked: scored results of the title used (see rankCandidates);
+ *   best: best scored result seen, for logs; reviewed: the user decided; skipped: the user skipped the game
+ */
+export async function searchConfidentMatches(titles, releaseDateForSearch, serverUrl, apiToken, twitchClientId, twitchClientSecret, { platform = null, threshold = DEFAULT_MATCH_THRESHOLD, reviewer = null } = {}) {
+  let searchTitles = titles;
+  for (;;) {
+    const result = await searchTitlesForMatches(searchTitles, releaseDateForSearch, serverUrl, apiToken, twitchClientId, twitchClientSecret, platform, threshold);
+    if (!reviewer || !needsReview(result.ranked, threshold)) {
+      return { ...result, reviewed: false, skipped: false };
+    }
+
+    const decision = await reviewer.review({ title: titles[0], ranked: result.ranked });
+    if (decision.action === 'closed') {
+      // No answer (input closed): keep the automatic result so the game is not saved as skipped
+      return { ...result, reviewed: false, skipped: false };
+    }
+    if (decision.action === 'search') {
+      reportLogger.log(`    Review: searching again with "${decision.title}"`);
+      searchTitles = [decision.title];
+      continue;
+    }
+    if (decision.action === 'pick') {
+      reportLogger.log(`    Review: picked ${decision.candidate.name} (ID: ${decision.candidate.id})`);
+      return { ...result, matches: [decision.candidate], reviewed: true, skipped: false };
+    }
+    if (decision.action === 'id') {
+      reportLogger.log(`    Review: using IGDB ID ${decision.igdbId}`);
+      return { ...result, matches: [{ id: decision.igdbId, name: titles[0] }], reviewed: true, skipped: false };
+    }
+    reportLogger.log('    Review: skipped');
+    return { ...result, matches: [], reviewed: true, skipped: true };
+  }
+}
+
+async function searchTitlesForMatches(titles, releaseDateForSearch, serverUrl, apiToken, twitchClientId, twitchClientSecret, platform, threshold) {
+  let best = null;
+  let bestRanked = [];
+  for (const title of titles) {
+    if (titles.length > 1) {
+      reportLogger.log(`    Trying title: "${title}"`);
+    }
+    const { igdbGames, usedTitle } = await searchGameWithReducingTitle(title, releaseDateForSearch, serverUrl, apiToken, twitchClientId, twitchClientSecret, platform);
+    if (!igdbGames || igdbGames.length === 0) continue;
+
+    const ranked = rankCandidates(igdbGames, { titles, releaseDate: releaseDateForSearch });
+    reportLogger.log(`    Best match: ${formatMatch(ranked[0])}`);
+    if (!best || ranked[0].confidence > best.confidence) {
+      best = ranked[0];
+      bestRanked = ranked;
+    }
+    const matches = ranked.filter((scored) => scored.confidence >= threshold).map((scored) => scored.candidate);
+    if (matches.length > 0) {
+      if (titles.length > 1) {
+        reportLogger.log(`    Found results with title: "${usedTitle}"`);
+      }
+      return { matches, ranked, best: ranked[0], usedTitle };
+    }
+    reportLogger.log(`    No result above match threshold ${threshold} for "${title}"`);
+  }
+  return { matches: [], ranked: bestRanked, best, usedTitle: null };
+}
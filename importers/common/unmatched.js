@@ -0,0 +1,185 @@
+// Unmatched games queue: games no IGDB match was found for, kept in METADATA_PATH/importer/unmatched.json
+// until they are matched with `node cli.js resolve <importer>`
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline/promises';
+import { IMPORTER_DIRNAME } from './importMap.js';
+import { formatReleaseDateForMap } from './dates.js';
+import { askQuestion } from './matchReview.js';
+import * as reportLogger from './reportLogger.js';
+
+export const UNMATCHED_FILENAME = 'unmatched.json';
+
+function queueKey(source, key) {
+  return `${source}:${key}`;
+}
+
+/**
+ * Load the unmatched games queue
+ * @param {string} metadataPath - Path to MyHomeGames metadata directory
+ * @returns {{ queuePath: string, queue: Map<string, Object> }} - queue: "<source>:<key>" -> entry
+ *   ({ source, key, titles, releaseDate, reason, date })
+ */
+export function loadUnmatchedQueue(metadataPath) {
+  const queuePath = path.join(metadataPath, IMPORTER_DIRNAME, UNMATCHED_FILENAME);
+  const queue = new Map();
+  if (!fs.existsSync(queuePath)) {
+    return { queuePath, queue };
+  }
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(queuePath, 'utf-8'));
+    for (const entry of Array.isArray(raw) ? raw : []) {
+      if (entry && entry.source && entry.key) {
+        queue.set(queueKey(entry.source, entry.key), entry);
+      }
+    }
+  } catch (error) {
+    reportLogger.warn(`Warning: Failed to read unmatched games queue at ${queuePath}: ${error.message}`);
+  }
+  return { queuePath, queue };
+}
+
+/**
+ * Save the unmatched games queue as a JSON array, grouped by source
+ * @param {string} queuePath - Full path to the queue file
+ * @param {Map<string, Object>} queue
+ */
+export function saveUnmatchedQueue(queuePath, queue) {
+  fs.mkdirSync(path.dirname(queuePath), { recursive: true });
+  const entries = [...queue.values()].sort((a, b) => a.source.localeCompare(b.source));
+  fs.writeFileSync(queuePath, JSON.stringify(entries, null, 2));
+}
+
+/**
+ * Add (or refresh) an unmatched game
+ * @param {Map<string, Object>} queue
+ * @param {Object} entry
+ * @param {string} entry.source - Importer name (e.g. "gog-galaxy")
+ * @param {string} entry.key - Key in the source (releaseKey, appid, ...)
+ * @param {Array<string>} entry.titles - Titles tried
+ * @param {number|string|null} [entry.releaseDate] - Release date from the source (Unix timestamp in seconds or "YYYY-MM-DD"),
+ *   stored as "YYYY-MM-DD"
+ * @param {string} entry.reason - Why no match was accepted
+ */
+export function queueUnmatched(queue, { source, key, titles, releaseDate = null, reason }) {
+  queue.set(queueKey(source, key), {
+    source,
+    key,
+    titles,
+    releaseDate: formatReleaseDateForMap(releaseDate),
+    reason,
+    date: new Date().toISOString(),
+  });
+}
+
+/**
+ * Remove a game from the queue
+ * @param {Map<string, Object>} queue
+ * @param {string} source
+ * @param {string} key
+ * @returns {boolean} - True if the game was queued
+ */
+export function dequeueUnmatched(queue, source, key) {
+  return queue.delete(queueKey(source, key));
+}
+
+/**
+ * True if a game is waiting in the queue
+ * @param {Map<string, Object>} queue
+ * @param {string} source
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isUnmatched(queue, source, key) {
+  return queue.has(queueKey(source, key));
+}
+
+/**
+ * Queued games of a source
+ * @param {Map<string, Object>} queue
+ * @param {string} source
+ * @returns {Array<Object>}
+ */
+export function getUnmatched(queue, source) {
+  return [...queue.values()].filter((entry) => entry.source === source);
+}
+
+/**
+ * Parse an answer to the resolve prompt: digits are an IGDB ID, other text a title to search
+ * (quote a title made of digits, e.g. "1942"), empty keeps the game in the queue
+ * @param {string} answer
+ * @returns {{ igdbId: number }|{ searchTitle: string }|null}
+ */
+export function parseResolution(answer) {
+  const text = String(answer || '').trim();
+  if (!text) return null;
+  if (/^\d+$/.test(text)) return { igdbId: Number(text) };
+  const quoted = text.match(/^"(.+)"$/);
+  return { searchTitle: quoted ? quoted[1].trim() : text };
+}
+
+/**
+ * List queued games on the terminal and ask for an IGDB ID or another title for each.
+ * When the input is closed, the games not answered yet stay in the queue.
+ * @param {Array<Object>} entries - Queued games (see getUnmatched)
+ * @param {Object} [streams]
+ * @param {NodeJS.ReadableStream} [streams.input] - Defaults to process.stdin
+ * @param {NodeJS.WritableStream} [streams.output] - Defaults to process.stdout
+ * @returns {Promise<Map<string, { igdbId: number }|{ searchTitle: string }>>} - Source key -> resolution
+ */
+export async function promptResolutions(entries, { input = process.stdin, output = process.stdout } = {}) {
+  const resolutions = new Map();
+  const rl = readline.createInterface({ input, output });
+  try {
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      const released = entry.releaseDate ? `, released ${entry.releaseDate}` : '';
+      output.write(`\n[${i + 1}/${entries.length}] "${entry.titles.join('", "')}" (${entry.key}${released})\n`);
+      output.write(`  ${entry.reason} (last tried ${entry.date})\n`);
+      const answer = await askQuestion(rl, '  IGDB ID or title to search, Enter to keep in queue: ');
+      // Input closed (Ctrl-D): keep the remaining games in the queue
+      if (answer === null) break;
+      const resolution = parseResolution(answer);
+      if (resolution) resolutions.set(entry.key, resolution);
+    }
+  } finally {
+    rl.close();
+  }
+  return resolutions;
+}
+
+/**
+ * Ask how to match the queued games of a source that are still in its library.
+ * Queued games no longer in the library are removed from the queue.
+ * @param {Map<string, Object>} queue
+ * @param {string} source - Importer name
+ * @param {Set<string>} libraryKeys - Keys of the games in the source library
+ * @param {Object} [options]
+ * @param {function(Array<Object>): Promise<Map<string, Object>>} [options.prompt] - Defaults to promptResolutions
+ * @param {boolean} [options.prune] - Remove games missing from libraryKeys (false when the library was filtered)
+ * @returns {Promise<{ resolutions: Map<string, { igdbId: number }|{ searchTitle: string }>, removed: number }>}
+ */
+export async function resolveUnmatchedGames(queue, source, libraryKeys, { prompt = promptResolutions, prune = true } = {}) {
+  const entries = [];
+  let removed = 0;
+  for (const entry of getUnmatched(queue, source)) {
+    if (libraryKeys.has(entry.key)) {
+      entries.push(entry);
+    } else if (prune) {
+      dequeueUnmatched(queue, source, entry.key);
+      removed++;
+      reportLogger.log(`  ${entry.key} is no longer in the library, removed from the unmatched queue`);
+    }
+  }
+  if (entries.length === 0) {
+    reportLogger.log('No unmatched games to resolve');
+    return { resolutions: new Map(), removed };
+  }
+
+  reportLogger.log(`\n=== Resolving ${entries.length} unmatched game(s) ===`);
+  const resolutions = await prompt(entries);
+  reportLogger.log(`\n${resolutions.size} game(s) to import, ${entries.length - resolutions.size} kept in the queue`);
+  return { resolutions, removed };
+}
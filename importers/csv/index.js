@@ -0,0 +1,254 @@
+// CSV / JSON Importer
+// Reads a user-maintained spreadsheet (CSV export or JSON array) and imports games and collections
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import * as reportLogger from '../common/reportLogger.js';
+import { parseCsv, splitListField } from '../common/csv.js';
+import { parseReleaseDateInput } from '../common/dates.js';
+import { runSourceImport } from '../common/gameImport.js';
+import { writeLaunchScript, quoteShellArg } from '../common/launchScripts.js';
+
+const IMPORT_MAP_FILENAME = 'csv-game-map.json';
+const SCRIPT_EXTENSIONS = ['.sh', '.bat', '.cmd'];
+
+// Columns looked up (case-insensitive, ignoring spaces, "_" and "-") when a field is not mapped explicitly
+const DEFAULT_COLUMNS = {
+  title: ['title', 'name', 'game'],
+  releaseDate: ['releasedate', 'release', 'released', 'year'],
+  rating: ['rating', 'stars', 'score'],
+  tags: ['tags', 'collections', 'collection', 'categories'],
+  executable: ['executable', 'executablepath', 'exe', 'path'],
+  igdbId: ['igdbid', 'igdb'],
+};
+
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[\s_-]/g, '');
+}
+
+/**
+ * Parse the column mapping option.
+ * Accepts an object, a JSON object string or "field=Column,field=Column" (e.g. "title=Game,tags=Shelves").
+ * @param {Object|string|null} value - Mapping option
+ * @returns {Object<string, string>} - Field -> column name
+ */
+export function parseColumnMapping(value) {
+  if (!value) return {};
+  let entries;
+  if (typeof value === 'object') {
+    entries = Object.entries(value);
+  } else if (String(value).trim().startsWith('{')) {
+    entries = Object.entries(JSON.parse(value));
+  } else {
+    entries = String(value).split(',').map((pair) => {
+      const separator = pair.indexOf('=');
+      if (separator === -1) {
+        throw new Error(`Invalid column mapping "${pair.trim()}" (expected field=Column)`);
+      }
+      return [pair.slice(0, separator), pair.slice(separator + 1)];
+    });
+  }
+
+  const fieldsByName = new Map(Object.keys(DEFAULT_COLUMNS).map((field) => [normalizeName(field), field]));
+  const mapping = {};
+  for (const [name, column] of entries) {
+    const field = fieldsByName.get(normalizeName(name));
+    if (!field) {
+      throw new Error(`Unknown column mapping field "${String(name).trim()}" (expected one of: ${Object.keys(DEFAULT_COLUMNS).join(', ')})`);
+    }
+    if (column !== null && column !== undefined && String(column).trim() !== '') {
+      mapping[field] = String(column).trim();
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Resolve the column used for each field from the mapping and the columns present in the file
+ * @param {Array<Object>} records - Rows read from the file
+ * @param {Object<string, string>} mapping - Result of parseColumnMapping
+ * @returns {Object<string, string>} - Field -> actual column name (fields without a column are omitted)
+ */
+export function resolveColumns(records, mapping) {
+  const columns = new Map();
+  for (const record of records) {
+    for (const key of Object.keys(record)) {
+      if (!columns.has(normalizeName(key))) {
+        columns.set(normalizeName(key), key);
+      }
+    }
+  }
+
+  const resolved = {};
+  for (const [field, candidates] of Object.entries(DEFAULT_COLUMNS)) {
+    if (mapping[field]) {
+      const column = columns.get(normalizeName(mapping[field]));
+      if (!column) {
+        throw new Error(`Column "${mapping[field]}" mapped to ${field} not found (available columns: ${[...columns.values()].join(', ')})`);
+      }
+      resolved[field] = column;
+      continue;
+    }
+    const candidate = candidates.find((name) => columns.has(name));
+    if (candidate) {
+      resolved[field] = columns.get(candidate);
+    }
+  }
+
+  if (!resolved.title) {
+    throw new Error('No title column found. Map it with title=<Column>');
+  }
+  return resolved;
+}
+
+/**
+ * Read the spreadsheet into raw records
+ * @param {string} filePath - CSV file, or JSON (array, or object with a games array)
+ * @returns {Array<Object>}
+ */
+export function readSpreadsheet(filePath) {
+  const content = fs.readFileSync(filePath, 'utf-8');
+  if (path.extname(filePath).toLowerCase() !== '.json') {
+    return parseCsv(content);
+  }
+  const parsed = JSON.parse(content.replace(/^\uFEFF/, ''));
+  if (Array.isArray(parsed)) return parsed;
+  const gamesKey = parsed && Object.keys(parsed).find((key) => key.toLowerCase() === 'games');
+  if (!gamesKey || !Array.isArray(parsed[gamesKey])) {
+    throw new Error(`No games array found in ${filePath}`);
+  }
+  return parsed[gamesKey];
+}
+
+/**
+ * Convert a rating to stars (0-10)
+ * @param {string|number|null} value - Rating cell
+ * @param {number} ratingScale - Maximum value of the spreadsheet rating (e.g. 5 or 100)
+ * @returns {number|null}
+ */
+export function ratingToStars(value, ratingScale = 10) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const rating = Number(String(value).trim().replace(',', '.'));
+  if (Number.isNaN(rating) || !ratingScale) return null;
+  return Math.min(10, Math.max(0, Math.round((rating / ratingScale) * 10)));
+}
+
+/**
+ * Build the executables for an executable cell. Scripts (.sh / .bat / .cmd) are uploaded as-is,
+ * other files get a generated launch script. Several paths can be separated with "|".
+ * @param {string|null} value - Executable cell
+ * @param {string} baseDir - Directory relative paths are resolved against (the spreadsheet's directory)
+ * @param {string} name - Game title, used for the generated script name
+ * @returns {Array<{path: string, label: string}>}
+ */
+export function buildExecutables(value, baseDir, name) {
+  const executables = [];
+  const paths = Array.isArray(value) ? value : String(value ?? '').split('|');
+  for (const rawPath of paths.map((p) => String(p).trim()).filter(Boolean)) {
+    const execPath = path.resolve(baseDir, rawPath);
+    if (!fs.existsSync(execPath)) {
+      reportLogger.warn(`  Warning: ${name}: executable ${execPath} does not exist, skipping`);
+      continue;
+    }
+    const extension = path.extname(execPath);
+    const label = path.basename(execPath, extension);
+    if (SCRIPT_EXTENSIONS.includes(extension.toLowerCase())) {
+      executables.push({ path: execPath, label });
+      continue;
+    }
+    const workingDir = path.dirname(execPath);
+    const commands = process.platform === 'win32'
+      ? [`cd /d ${quoteShellArg(workingDir)}`, `start "" ${quoteShellArg(execPath)}`]
+      : [`cd ${quoteShellArg(workingDir)} && exec ${quoteShellArg(execPath)}`];
+    // Same title and file name in other folders (or titles sanitized to the same string) need their own script
+    const pathHash = crypto.createHash('sha256').update(execPath).digest('hex').slice(0, 8);
+    const scriptPath = writeLaunchScript('csv', `${name}_${label}_${pathHash}`, commands);
+    executables.push({ path: scriptPath, label });
+  }
+  return executables;
+}
+
+/**
+ * Map a spreadsheet row to a source game
+ * @param {Object} record - Row from the file
+ * @param {Object<string, string>} columns - Result of resolveColumns
+ * @param {Object} options
+ * @param {string} options.baseDir - Directory of the spreadsheet
+ * @param {number} [options.ratingScale] - Maximum rating value
+ * @returns {import('../common/gameImport.js').SourceGame|null}
+ */
+export function recordToGame(record, columns, options) {
+  const value = (field) => (columns[field] ? record[columns[field]] : undefined);
+  const name = value('title');
+  if (name === null || name === undefined || String(name).trim() === '') return null;
+  const title = String(name).trim();
+
+  const releaseDate = parseReleaseDateInput(value('releaseDate'));
+  const releaseYear = releaseDate ? new Date(releaseDate * 1000).getUTCFullYear() : null;
+  const igdbId = value('igdbId');
+
+  return {
+    key: releaseYear ? `${title.toLowerCase()}_${releaseYear}` : title.toLowerCase(),
+    title,
+    igdbId: igdbId !== null && igdbId !== undefined && String(igdbId).trim() !== '' ? String(igdbId).trim() : null,
+    releaseDate,
+    stars: ratingToStars(value('rating'), options.ratingScale),
+    executables: buildExecutables(value('executable'), options.baseDir, title),
+    collections: [...new Set(splitListField(value('tags')))],
+  };
+}
+
+/**
+ * Read a spreadsheet as source games for runSourceImport
+ * @param {string} filePath - CSV or JSON file
+ * @param {Object} options
+ * @param {Object|string|null} [options.columns] - Column mapping (see parseColumnMapping)
+ * @param {number} [options.ratingScale] - Maximum rating value (default 10)
+ * @returns {Array<import('../common/gameImport.js').SourceGame>}
+ */
+export function readSpreadsheetGames(filePath, options = {}) {
+  const records = readSpreadsheet(filePath);
+  const columns = resolveColumns(records, parseColumnMapping(options.columns));
+  reportLogger.log(`Columns: ${Object.entries(columns).map(([field, column]) => `${field}=${column}`).join(', ')}`);
+
+  const gameOptions = {
+    baseDir: path.dirname(path.resolve(filePath)),
+    ratingScale: options.ratingScale || 10,
+  };
+  const games = [];
+  const seenKeys = new Set();
+  for (const record of records) {
+    const game = recordToGame(record, columns, gameOptions);
+    if (!game) continue;
+    if (seenKeys.has(game.key)) {
+      reportLogger.warn(`  Warning: Duplicate row for "${game.title}", skipping`);
+      continue;
+    }
+    seenKeys.add(game.key);
+    games.push(game);
+  }
+  reportLogger.log(`Found ${games.length} game(s) in ${path.basename(filePath)}`);
+  return games;
+}
+
+/**
+ * Main CSV / JSON import function
+ */
+export async function importFromCsv(config) {
+  const { csvPath, csvColumns = null, csvRatingScale = null } = config;
+
+  if (!csvPath || !fs.existsSync(csvPath)) {
+    throw new Error(`Spreadsheet not found: ${csvPath}`);
+  }
+
+  await runSourceImport(config, {
+    name: 'CSV / JSON',
+    id: 'csv',
+    mapFilename: IMPORT_MAP_FILENAME,
+    loadGames: () => {
+      reportLogger.log(`Spreadsheet: ${csvPath}`);
+      return readSpreadsheetGames(csvPath, { columns: csvColumns, ratingScale: csvRatingScale });
+    },
+  });
+}
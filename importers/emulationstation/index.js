@@ -0,0 +1,172 @@
+// EmulationStation / ES-DE Importer
+// Reads gamelist.xml files (one per system folder) and imports games with their curated metadata and box art
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { XMLParser } from 'fast-xml-parser';
+import * as reportLogger from '../common/reportLogger.js';
+import { splitListField } from '../common/csv.js';
+import { runSourceImport } from '../common/gameImport.js';
+
+const IMPORT_MAP_FILENAME = 'emulationstation-game-map.json';
+const GAMELIST_FILENAME = 'gamelist.xml';
+const FAVORITES_COLLECTION_TITLE = 'Favorites';
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+
+/**
+ * Default gamelists directory: ES-DE, then EmulationStation / RetroPie, then Batocera (gamelists next to the ROMs)
+ * @returns {string}
+ */
+export function getDefaultGamelistsPath() {
+  const homeDir = os.homedir();
+  const candidates = [
+    path.join(homeDir, 'ES-DE/gamelists'),
+    path.join(homeDir, '.emulationstation/gamelists'),
+    '/userdata/roms',
+  ];
+  return candidates.find((candidate) => fs.existsSync(candidate)) || candidates[0];
+}
+
+/**
+ * Parse an EmulationStation date ("19930101T000000")
+ * @param {string|null} value
+ * @returns {number|null} - Unix timestamp in seconds
+ */
+export function parseEsDate(value) {
+  const match = String(value ?? '').trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2}))?/);
+  if (!match) return null;
+  const [year, month, day, hours, minutes, seconds] = match.slice(1).map((part) => Number(part || 0));
+  if (!year) return null;
+  return Math.floor(Date.UTC(year, Math.max(month, 1) - 1, Math.max(day, 1), hours, minutes, seconds) / 1000);
+}
+
+/**
+ * Resolve a gamelist path: "./x" relative to the system's ROM directory, "~/x" relative to the home directory
+ */
+function resolveGamelistPath(value, romsDir) {
+  const str = String(value ?? '').trim();
+  if (!str) return null;
+  if (str.startsWith('~/')) return path.join(os.homedir(), str.slice(2));
+  return path.resolve(romsDir, str);
+}
+
+/**
+ * Read a gamelist.xml file
+ * @param {string} gamelistPath - Path to gamelist.xml
+ * @returns {Array<Object>} - <game> entries
+ */
+export function readGamelist(gamelistPath) {
+  const parser = new XMLParser({
+    ignoreAttributes: true,
+    parseTagValue: false,
+    isArray: (name) => name === 'game',
+  });
+  const parsed = parser.parse(fs.readFileSync(gamelistPath, 'utf-8'));
+  return parsed?.gameList?.game || [];
+}
+
+/**
+ * Find the systems (folders holding a gamelist.xml) under the gamelists directory.
+ * A directory that holds a gamelist.xml itself is a single system.
+ * @param {string} gamelistsPath - Gamelists directory
+ * @returns {Array<{ system: string, gamelistPath: string }>}
+ */
+export function findSystems(gamelistsPath) {
+  if (fs.existsSync(path.join(gamelistsPath, GAMELIST_FILENAME))) {
+    return [{ system: path.basename(path.resolve(gamelistsPath)), gamelistPath: path.join(gamelistsPath, GAMELIST_FILENAME) }];
+  }
+  return fs.readdirSync(gamelistsPath, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && fs.existsSync(path.join(gamelistsPath, entry.name, GAMELIST_FILENAME)))
+    .map((entry) => ({ system: entry.name, gamelistPath: path.join(gamelistsPath, entry.name, GAMELIST_FILENAME) }))
+    .sort((a, b) => a.system.localeCompare(b.system));
+}
+
+/**
+ * Box art for an entry: <image>, or the ES-DE downloaded_media covers next to the gamelists directory
+ */
+function findCover(entry, system, romsDir, gamelistsPath) {
+  const imagePath = resolveGamelistPath(entry.image, romsDir);
+  if (imagePath && fs.existsSync(imagePath)) return imagePath;
+
+  const romName = path.basename(String(entry.path), path.extname(String(entry.path)));
+  const coversDir = path.join(path.dirname(path.resolve(gamelistsPath)), 'downloaded_media', system, 'covers');
+  return IMAGE_EXTENSIONS
+    .map((extension) => path.join(coversDir, `${romName}${extension}`))
+    .find((candidate) => fs.existsSync(candidate)) || null;
+}
+
+/**
+ * Read every system's gamelist.xml as source games for runSourceImport
+ * @param {string} gamelistsPath - Gamelists directory (system folders with a gamelist.xml)
+ * @param {Object} options
+ * @param {string|null} [options.romsPath] - ROMs directory when gamelists are stored apart from the ROMs (ES-DE)
+ * @returns {Array<import('../common/gameImport.js').SourceGame>}
+ */
+export function readEmulationStationGames(gamelistsPath, options = {}) {
+  const games = [];
+  const systems = findSystems(gamelistsPath);
+  for (const { system, gamelistPath } of systems) {
+    let entries;
+    try {
+      entries = readGamelist(gamelistPath);
+    } catch (error) {
+      reportLogger.warn(`  Warning: Failed to read ${gamelistPath}: ${error.message}`);
+      continue;
+    }
+    reportLogger.log(`  ${system}: ${entries.length} game(s)`);
+    const romsDir = options.romsPath ? path.join(options.romsPath, system) : path.dirname(gamelistPath);
+
+    for (const entry of entries) {
+      if (!entry.path) continue;
+      const romName = path.basename(String(entry.path), path.extname(String(entry.path)));
+      const title = String(entry.name || '').trim() || romName;
+      // ES ratings are 0-1
+      const rating = parseFloat(entry.rating);
+
+      const collections = [system];
+      if (String(entry.favorite).toLowerCase() === 'true') {
+        collections.push(FAVORITES_COLLECTION_TITLE);
+      }
+
+      games.push({
+        key: `${system}/${String(entry.path).replace(/^\.\//, '')}`,
+        title,
+        platform: system,
+        releaseDate: parseEsDate(entry.releasedate),
+        stars: Number.isNaN(rating) ? null : Math.round(rating * 10),
+        summary: String(entry.desc || '').trim() || null,
+        genres: splitListField(String(entry.genre || '').replace(/\s+\/\s+/g, ',')),
+        coverPath: findCover(entry, system, romsDir, gamelistsPath),
+        collections,
+        lastPlayed: parseEsDate(entry.lastplayed),
+      });
+    }
+  }
+  reportLogger.log(`Found ${games.length} game(s) in ${systems.length} system(s)`);
+  return games;
+}
+
+/**
+ * Main EmulationStation / ES-DE import function
+ */
+export async function importFromEmulationStation(config) {
+  const { esGamelistsPath, esRomsPath = null } = config;
+
+  if (!esGamelistsPath || !fs.existsSync(esGamelistsPath)) {
+    throw new Error(`EmulationStation gamelists directory not found: ${esGamelistsPath}`);
+  }
+
+  await runSourceImport(config, {
+    name: 'EmulationStation',
+    id: 'emulationstation',
+    mapFilename: IMPORT_MAP_FILENAME,
+    loadGames: () => {
+      reportLogger.log(`Gamelists: ${esGamelistsPath}`);
+      if (esRomsPath) {
+        reportLogger.log(`ROMs: ${esRomsPath}`);
+      }
+      return readEmulationStationGames(esGamelistsPath, { romsPath: esRomsPath });
+    },
+  });
+}
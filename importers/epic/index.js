@@ -0,0 +1,120 @@
+// Epic Games Launcher Importer
+// Reads the launcher's installation manifests (*.item) and imports installed games
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as reportLogger from '../common/reportLogger.js';
+import { readJsonFile } from '../common/files.js';
+import { runSourceImport } from '../common/gameImport.js';
+import { writeLaunchScript, openUrlCommand } from '../common/launchScripts.js';
+
+const IMPORT_MAP_FILENAME = 'epic-releasekey-map.json';
+
+// Same releaseKey prefix as GOG Galaxy uses for Epic games
+const RELEASE_KEY_PREFIX = 'epic_';
+
+/**
+ * Default manifests directory for the current platform
+ * @returns {string}
+ */
+export function getDefaultEpicManifestsPath() {
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library/Application Support/Epic/EpicGamesLauncher/Data/Manifests');
+  }
+  return path.join(process.env.ProgramData || 'C:\\ProgramData', 'Epic', 'EpicGamesLauncher', 'Data', 'Manifests');
+}
+
+/**
+ * Whether a manifest describes an installed base game (not a DLC, an engine or an incomplete install)
+ * @param {Object} manifest - Parsed .item file
+ * @returns {boolean}
+ */
+export function isInstalledGameManifest(manifest) {
+  if (!manifest?.AppName || !manifest.DisplayName) return false;
+  if (manifest.bIsIncompleteInstall) return false;
+  if (manifest.MainGameAppName && manifest.MainGameAppName !== manifest.AppName) return false;
+  if (Array.isArray(manifest.AppCategories) && manifest.AppCategories.length > 0 && !manifest.AppCategories.includes('games')) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Launcher URL starting a game: com.epicgames.launcher://apps/<namespace>:<catalogItemId>:<appName>?action=launch&silent=true
+ * @param {Object} manifest - Parsed .item file
+ * @returns {string}
+ */
+export function buildEpicLaunchUrl(manifest) {
+  const appId = [manifest.CatalogNamespace, manifest.CatalogItemId, manifest.AppName]
+    .filter(Boolean)
+    .map((part) => encodeURIComponent(part))
+    .join('%3A');
+  return `com.epicgames.launcher://apps/${appId}?action=launch&silent=true`;
+}
+
+/**
+ * Read the manifests as source games for runSourceImport, keyed by releaseKey (epic_<AppName>)
+ * @param {string} manifestsPath - Manifests directory
+ * @returns {Array<import('../common/gameImport.js').SourceGame>}
+ */
+export function readEpicGames(manifestsPath) {
+  const files = fs.readdirSync(manifestsPath)
+    .filter((file) => file.toLowerCase().endsWith('.item'))
+    .sort();
+
+  const gamesByReleaseKey = new Map();
+  for (const file of files) {
+    let manifest;
+    try {
+      manifest = readJsonFile(path.join(manifestsPath, file));
+    } catch (error) {
+      reportLogger.warn(`  Warning: Failed to read ${file}: ${error.message}`);
+      continue;
+    }
+    if (!isInstalledGameManifest(manifest)) continue;
+
+    const releaseKey = `${RELEASE_KEY_PREFIX}${manifest.AppName}`;
+    if (gamesByReleaseKey.has(releaseKey)) continue;
+
+    const executables = [];
+    if (manifest.InstallLocation && !fs.existsSync(manifest.InstallLocation)) {
+      reportLogger.warn(`  Warning: ${manifest.DisplayName}: ${manifest.InstallLocation} does not exist, skipping launch script`);
+    } else {
+      const scriptPath = writeLaunchScript('epic', releaseKey, [openUrlCommand(buildEpicLaunchUrl(manifest))]);
+      executables.push({ path: scriptPath, label: 'Epic Games' });
+    }
+
+    gamesByReleaseKey.set(releaseKey, {
+      key: releaseKey,
+      title: String(manifest.DisplayName).trim(),
+      releaseDate: null,
+      executables,
+    });
+  }
+
+  const games = [...gamesByReleaseKey.values()];
+  reportLogger.log(`Found ${games.length} installed Epic game(s) in ${files.length} manifest(s)`);
+  return games;
+}
+
+/**
+ * Main Epic Games Launcher import function
+ */
+export async function importFromEpic(config) {
+  const { epicManifestsPath } = config;
+
+  if (!epicManifestsPath || !fs.existsSync(epicManifestsPath)) {
+    throw new Error(`Epic Games Launcher manifests directory not found: ${epicManifestsPath}`);
+  }
+
+  await runSourceImport(config, {
+    name: 'Epic Games Launcher',
+    id: 'epic',
+    mapFilename: IMPORT_MAP_FILENAME,
+    loadGames: () => {
+      reportLogger.log(`Epic manifests: ${epicManifestsPath}`);
+      return readEpicGames(epicManifestsPath);
+    },
+  });
+}
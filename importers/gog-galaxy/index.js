@@ -3,140 +3,185 @@
 
 import Database from 'better-sqlite3';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
-import { searchGameOnServer, getGameDetailsFromServer, createGameViaAPI, getGameViaAPI, updateGameViaAPI, uploadExecutableViaAPI, uploadCoverViaAPI, uploadBackgroundViaAPI, createCollectionViaAPI, updateCollectionGamesViaAPI, getCollectionsViaAPI, getExistingGameIds } from '../common/igdb.js';
+import { getGameDetailsFromServer, findGameByExternalIdOnServer, createGameViaAPI, getGameViaAPI, updateGameViaAPI, uploadCoverViaAPI, uploadBackgroundViaAPI, uploadIconViaAPI, uploadLogoViaAPI, updateAchievementsViaAPI, createCollectionViaAPI, updateCollectionGamesViaAPI, getCollectionsViaAPI, getExistingGameIds } from '../common/igdb.js';
 import * as reportLogger from '../common/reportLogger.js';
+import { loadImportMap, saveImportMap, buildKeyIdMap } from '../common/importMap.js';
+import { searchGameWithReducingTitle, searchConfidentMatches } from '../common/search.js';
+import { DEFAULT_MATCH_THRESHOLD, rankCandidates, formatMatch, titleSimilarity, normalizeTitle } from '../common/matching.js';
+import { createMatchReviewer } from '../common/matchReview.js';
+import { loadOverrides, findOverride } from '../common/overrides.js';
+import { loadUnmatchedQueue, saveUnmatchedQueue, queueUnmatched, dequeueUnmatched, isUnmatched, getUnmatched, resolveUnmatchedGames } from '../common/unmatched.js';
+import { formatTimestampForLog, formatReleaseDateForMap } from '../common/dates.js';
+import { uploadGameExecutables, uploadPlayStats } from '../common/gameImport.js';
 
-/**
- * Sanitize executable name for filesystem (same logic as server)
- */
-function sanitizeExecutableName(name) {
-  if (!name || typeof name !== 'string') return '';
-  return name.replace(/[^a-zA-Z0-9_-]/g, '_');
-}
-
-const IMPORTER_DIRNAME = 'importer';
 const IMPORT_MAP_FILENAME = 'gog-galaxy-releasekey-map.json';
+// Importer name in the unmatched games queue and `node cli.js resolve`
+const UNMATCHED_SOURCE = 'gog-galaxy';
+const GALAXY_DB_FILENAME = 'galaxy-2.0.db';
+// Galaxy storage inside a Windows drive (or the drive_c of a Wine / Proton prefix)
+const WINDOWS_STORAGE_SUBPATH = ['ProgramData', 'GOG.com', 'Galaxy', 'storage'];
+const FAVORITES_COLLECTION_TITLE = 'Favorites';
+// Tag used for favourites by Galaxy versions without a favourite flag in UserReleaseProperties
+const FAVORITE_TAG = 'favorite';
 
-function loadReleaseKeyMap(metadataPath) {
-  const importDirPath = path.join(metadataPath, IMPORTER_DIRNAME);
-  const importMapPath = path.join(importDirPath, IMPORT_MAP_FILENAME);
-  if (!fs.existsSync(importMapPath)) {
-    return { importMapPath, importMap: new Map(), existed: false };
-  }
+// Collection titles for store collections, by releaseKey platform prefix (other platforms use the prefix itself)
+const PLATFORM_COLLECTION_TITLES = {
+  gog: 'GOG',
+  steam: 'Steam',
+  epic: 'Epic Games',
+  xboxone: 'Xbox',
+  battlenet: 'Battle.net',
+  uplay: 'Ubisoft Connect',
+  origin: 'EA app',
+  amazon: 'Amazon Games',
+  humble: 'Humble',
+  itch: 'itch.io',
+  psn: 'PlayStation',
+  generic: 'Other',
+};
+
+// GamePieces types holding Galaxy's own metadata; user-edited pieces win over the original* ones
+const METADATA_PIECE_TYPES = ['originalTitle', 'summary', 'originalSummary', 'meta', 'originalMeta'];
+// Artwork URLs: originalImages from GOG, images when changed by the user (applied last)
+const IMAGE_PIECE_TYPES = ['originalImages', 'images'];
+// images piece field -> image kind uploaded to the server
+const IMAGE_PIECE_FIELDS = {
+  verticalCover: 'cover',
+  background: 'background',
+  squareIcon: 'icon',
+  logo: 'logo',
+};
+// GamePieces types are resolved by name from GamePieceTypes: their IDs differ between databases and Galaxy versions
+const RELEASE_DATE_PIECE_TYPES = ['meta', 'originalMeta']; // $.releaseDate
+const RATING_PIECE_TYPES = ['myRating']; // $.myRating
+// Piece type IDs of Galaxy 2.0.93, used when the database has no GamePieceTypes table
+const LEGACY_PIECE_TYPE_IDS = { releaseDate: [82], myRating: [102] };
+// Tables and columns the games and collections queries cannot work without
+const REQUIRED_SCHEMA = {
+  GamePieces: ['releaseKey', 'gamePieceTypeId', 'value'],
+  LibraryReleases: ['releaseKey'],
+  PlayTasks: ['id', 'gameReleaseKey'],
+  PlayTaskLaunchParameters: ['playTaskId', 'executablePath', 'label'],
+};
+const REQUIRED_COLLECTIONS_SCHEMA = {
+  UserReleaseTags: ['releaseKey', 'tag'],
+};
+// Add-on titles Galaxy lists as separate releases (soundtracks, artbooks, season passes, ...), only used with GOG_DLC_TITLES
+const DLC_TITLE_PATTERN = /\b(soundtracks?|ost|art ?books?|wallpapers?|avatars?|goodies|bonus content|making of|season pass|expansion pass|dlc)\b/i;
+// attach: DLC list sent with the base game; igdb: DLC imported from IGDB, linked to the base game
+const DLC_MODES = ['attach', 'igdb'];
 
+/**
+ * Subdirectories of dir joined with subPath (e.g. every Wine prefix of a launcher)
+ * @param {string} dir
+ * @param {Array<string>} subPath
+ * @returns {Array<string>}
+ */
+function listSubdirectoryPaths(dir, subPath) {
   try {
-    const raw = JSON.parse(fs.readFileSync(importMapPath, 'utf-8'));
-    const importMap = new Map();
-    if (raw && typeof raw === 'object') {
-      for (const [releaseKey, entry] of Object.entries(raw)) {
-        if (!releaseKey) continue;
-        if (entry && typeof entry === 'object') {
-          importMap.set(releaseKey, entry);
-        } else {
-          importMap.set(releaseKey, { igdbId: entry });
-        }
-      }
-    }
-    return { importMapPath, importMap, existed: true };
-  } catch (error) {
-    reportLogger.warn(`Warning: Failed to read import map at ${importMapPath}: ${error.message}`);
-    return { importMapPath, importMap: new Map(), existed: true };
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => path.join(dir, entry.name, ...subPath))
+      .sort();
+  } catch (e) {
+    return [];
   }
 }
 
-function saveReleaseKeyMap(importMapPath, importMap) {
-  const importDirPath = path.dirname(importMapPath);
-  fs.mkdirSync(importDirPath, { recursive: true });
-  const data = Object.fromEntries(importMap);
-  fs.writeFileSync(importMapPath, JSON.stringify(data, null, 2));
-}
+/**
+ * Candidate GOG Galaxy storage directories (containing galaxy-2.0.db) for the current platform, most likely first.
+ * On Linux these are Wine prefixes ($WINEPREFIX, ~/.wine, Lutris, Heroic, Bottles) and Proton prefixes in Steam compatdata.
+ * @returns {Array<string>}
+ */
+export function getGalaxyStorageCandidates() {
+  const homeDir = os.homedir();
+  if (process.platform === 'win32') {
+    return [path.join(process.env.ProgramData || 'C:\\ProgramData', ...WINDOWS_STORAGE_SUBPATH.slice(1))];
+  }
+  if (process.platform === 'darwin') {
+    return [
+      path.join(homeDir, 'Library/Application Support/GOG Galaxy/Storage'),
+      '/Users/Shared/GOG.com/Galaxy/Storage',
+    ];
+  }
 
-function buildReleaseKeyIdMap(importMap) {
-  const map = new Map();
-  for (const [releaseKey, entry] of importMap) {
-    if (entry && entry.igdbId) {
-      map.set(releaseKey, entry.igdbId);
-    } else if (entry) {
-      map.set(releaseKey, entry);
-    }
+  const prefixSubPath = ['drive_c', ...WINDOWS_STORAGE_SUBPATH];
+  const candidates = [];
+  if (process.env.WINEPREFIX) {
+    candidates.push(path.join(process.env.WINEPREFIX, ...prefixSubPath));
   }
-  return map;
+  candidates.push(
+    path.join(homeDir, '.wine', ...prefixSubPath),
+    path.join(homeDir, 'Games/gog-galaxy', ...prefixSubPath),
+    ...listSubdirectoryPaths(path.join(homeDir, 'Games/Heroic/Prefixes'), prefixSubPath),
+    ...listSubdirectoryPaths(path.join(homeDir, '.local/share/bottles/bottles'), prefixSubPath),
+    ...listSubdirectoryPaths(path.join(homeDir, '.var/app/com.usebottles.bottles/data/bottles/bottles'), prefixSubPath),
+    ...listSubdirectoryPaths(path.join(homeDir, '.steam/steam/steamapps/compatdata'), ['pfx', ...prefixSubPath]),
+    ...listSubdirectoryPaths(path.join(homeDir, '.local/share/Steam/steamapps/compatdata'), ['pfx', ...prefixSubPath])
+  );
+  return [...new Set(candidates)];
 }
 
 /**
- * Search IGDB by title, reducing by one word at a time if no results.
- * When results are found, server already sorts by release date (closest first).
- * @returns {{ igdbGames: Array|null, usedTitle: string|null }}
+ * Probe candidate storage directories and pick the first one containing galaxy-2.0.db
+ * (the first candidate when none does, so errors point at the platform default)
+ * @param {Array<string>} [candidates] - Storage directories to probe
+ * @returns {{ storagePath: string, found: boolean, candidates: Array<string> }}
  */
-async function searchGameWithReducingTitle(title, releaseDateForSearch, serverUrl, apiToken, twitchClientId, twitchClientSecret) {
-  let searchTitle = title.trim();
-  while (searchTitle) {
-    let igdbGames = await searchGameOnServer(searchTitle, serverUrl, apiToken, twitchClientId, twitchClientSecret, releaseDateForSearch);
-    if (igdbGames && igdbGames.length > 0) {
-      if (releaseDateForSearch != null && releaseDateForSearch !== '') {
-        const ts = typeof releaseDateForSearch === 'number' ? releaseDateForSearch : parseInt(String(releaseDateForSearch), 10);
-        const targetTs = !Number.isNaN(ts) && ts > 0 ? (ts < 10000000000 ? ts : Math.floor(ts / 1000)) : null;
-        if (targetTs != null) {
-          igdbGames = [...igdbGames].sort((a, b) => {
-            const aTs = a.releaseDateFull?.timestamp;
-            const bTs = b.releaseDateFull?.timestamp;
-            const aDist = aTs != null ? Math.abs(aTs - targetTs) : Infinity;
-            const bDist = bTs != null ? Math.abs(bTs - targetTs) : Infinity;
-            if (aDist !== bDist) return aDist - bDist;
-            if (aTs != null && bTs != null) return aTs - bTs;
-            return (aTs != null ? 0 : 1) - (bTs != null ? 0 : 1);
-          });
-        }
-      }
-      return { igdbGames, usedTitle: searchTitle };
-    }
-    const words = searchTitle.split(/\s+/);
-    if (words.length <= 1) break;
-    words.pop();
-    const nextTitle = words.join(' ');
-    if (nextTitle) {
-      reportLogger.log(`    No results, trying shorter: "${nextTitle}"`);
-      searchTitle = nextTitle;
-    } else {
-      break;
-    }
-  }
-  return { igdbGames: [], usedTitle: null };
+export function findGalaxyStoragePath(candidates = getGalaxyStorageCandidates()) {
+  const storagePath = candidates.find((candidate) => fs.existsSync(path.join(candidate, GALAXY_DB_FILENAME)));
+  return { storagePath: storagePath || candidates[0], found: !!storagePath, candidates };
 }
 
 /**
- * Format timestamp for log output: "value (YYYY-MM-DD)" or "year (year)" or "null"
+ * Database and images paths inside a GOG Galaxy storage directory
+ * @param {string} storagePath - Directory containing galaxy-2.0.db
+ * @returns {{ galaxyDbPath: string, galaxyImagesPath: string, galaxyWebcachePath: string }}
  */
-function formatTimestampForLog(value) {
-  if (value === null || value === undefined || value === '') return 'null';
-  const raw = typeof value === 'number' ? value : parseInt(String(value), 10);
-  if (Number.isNaN(raw)) return String(value);
-  // Year-only (4 digits) - common from IGDB releaseDate
-  if (raw >= 1000 && raw <= 9999 && String(raw).length <= 4) {
-    return `${raw} (year)`;
-  }
-  return `${raw} (${new Date(raw * 1000).toISOString().split('T')[0]})`;
+export function getGalaxyPaths(storagePath) {
+  return {
+    galaxyDbPath: path.join(storagePath, GALAXY_DB_FILENAME),
+    galaxyImagesPath: path.join(storagePath, 'GalaxyClient', 'Images'),
+    galaxyWebcachePath: path.join(path.dirname(storagePath), 'webcache'),
+  };
 }
 
-function formatReleaseDateForMap(releaseDate) {
-  if (releaseDate === null || releaseDate === undefined) return null;
-
-  const raw = typeof releaseDate === 'string' ? releaseDate.trim() : releaseDate;
-  if (typeof raw === 'string' && raw.includes('-')) {
-    return raw;
-  }
+/**
+ * Source platform of a releaseKey: its prefix before the first "_" (e.g. "gog" for gog_1207658924)
+ * @param {string} releaseKey
+ * @returns {string|null}
+ */
+function getReleasePlatform(releaseKey) {
+  const match = /^([^_]+)_/.exec(String(releaseKey || ''));
+  return match ? match[1].toLowerCase() : null;
+}
 
-  const numericValue = typeof raw === 'number' ? raw : parseInt(raw, 10);
-  if (Number.isNaN(numericValue)) {
-    return String(raw);
-  }
+// releaseKey platforms whose IDs IGDB records as external game IDs (releaseKey platform -> IGDB external source)
+const EXTERNAL_ID_SOURCES = { gog: 'gog', steam: 'steam', epic: 'epic' };
 
-  if (String(numericValue).length <= 4) {
-    return String(numericValue);
-  }
+/**
+ * IGDB external ID of a releaseKey, e.g. { source: 'gog', uid: '1207658691' } for gog_1207658691
+ * @param {string} releaseKey
+ * @returns {{ source: string, uid: string }|null} - null for platforms IGDB has no external IDs for
+ */
+function getExternalGameId(releaseKey) {
+  const source = EXTERNAL_ID_SOURCES[getReleasePlatform(releaseKey)];
+  const uid = String(releaseKey).slice(String(releaseKey).indexOf('_') + 1);
+  return source && uid ? { source, uid } : null;
+}
 
-  return new Date(numericValue * 1000).toISOString().split('T')[0];
+/**
+ * Parse a platform list ("gog,epic" or an array) into a set of lowercase releaseKey prefixes
+ * @param {string|Array<string>|null} value
+ * @returns {Set<string>|null} - null when the list is empty
+ */
+function parsePlatformList(value) {
+  if (value == null || value === '') return null;
+  const items = Array.isArray(value) ? value : String(value).split(/[,;\s]+/);
+  const platforms = new Set(items.map((item) => String(item).trim().toLowerCase().replace(/_$/, '')).filter(Boolean));
+  return platforms.size > 0 ? platforms : null;
 }
 
 /**
@@ -177,16 +222,828 @@ function incomingHasMoreDataThanExisting(currentGame, incomingStars, incomingDat
 }
 
 /**
- * True if the IGDB result title matches the game we're importing (GOG title).
- * Prefer existing library entry when it's the same game instead of creating a "Trilogy" etc.
+ * Look up a game on IGDB by the store IDs in its releaseKeys, in order. When an ID gives several games,
+ * the one closest to the GOG titles and release date is used; it is rejected when its title is below the threshold.
+ * @param {Array<string>} releaseKeys - releaseKeys of the game (linked releases included)
+ * @param {Object} source - Titles and release date to pick among several games (see rankCandidates)
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Minimum title similarity to accept the game
+ * @param {{ available: boolean }} [options.lookup] - Shared by the games of a run; set to unavailable when the server has no external ID endpoint
+ * @returns {Promise<Object|null>} - IGDB search result, null if no releaseKey is known to IGDB
+ */
+async function findGameByReleaseKeys(releaseKeys, source, serverUrl, apiToken, twitchClientId, twitchClientSecret, { threshold = DEFAULT_MATCH_THRESHOLD, lookup = { available: true } } = {}) {
+  for (const releaseKey of releaseKeys) {
+    if (!lookup.available) return null;
+    const externalId = getExternalGameId(releaseKey);
+    if (!externalId) continue;
+    try {
+      const games = await findGameByExternalIdOnServer(externalId.source, externalId.uid, serverUrl, apiToken, twitchClientId, twitchClientSecret);
+      if (games === null) {
+        reportLogger.warn('  Warning: Server has no external ID lookup, searching by title for the remaining games');
+        lookup.available = false;
+        return null;
+      }
+      if (games.length > 0) {
+        const [best] = rankCandidates(games, source);
+        if (best.similarity < threshold) {
+          reportLogger.log(`  External ID match rejected for ${externalId.source} ID ${externalId.uid}: ${formatMatch(best)}, title below threshold ${threshold}`);
+          continue;
+        }
+        reportLogger.log(`  Matched by ${externalId.source} ID ${externalId.uid}: ${best.candidate.name} (ID: ${best.candidate.id})`);
+        return best.candidate;
+      }
+    } catch (error) {
+      reportLogger.warn(`  Warning: External ID lookup failed for ${releaseKey}: ${error.message}`);
+    }
+  }
+  return null;
+}
+
+/**
+ * True if the IGDB result title matches the game we're importing (GOG titles) after normalisation.
+ * Prefer existing library entry when it's the same game; a "Trilogy" bundle is not similar enough.
+ */
+function existingTitleMatchesIncoming(igdbName, titles, threshold) {
+  if (!igdbName) return false;
+  return titles.some((title) => title && titleSimilarity(igdbName, title) >= threshold);
+}
+
+/**
+ * Names of the tables in the GOG Galaxy database (older databases lack some of them)
+ * @param {Database} db - Open GOG Galaxy database
+ * @returns {Set<string>}
+ */
+function getTableNames(db) {
+  const rows = db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table'`).all();
+  return new Set(rows.map((row) => row.name).filter(Boolean));
+}
+
+/**
+ * Convert a GOG Galaxy date ("YYYY-MM-DD HH:MM:SS", stored in UTC, or Unix seconds) to a Unix timestamp in seconds
+ * @param {string|number|null} value
+ * @returns {number|null}
+ */
+function gogDateToTimestamp(value) {
+  if (value == null || value === '') return null;
+  const str = String(value).trim();
+  if (/^\d+$/.test(str)) {
+    const seconds = parseInt(str, 10);
+    return seconds > 0 ? seconds : null;
+  }
+  const utc = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/.test(str) ? `${str.replace(' ', 'T')}Z` : str;
+  const ms = Date.parse(utc);
+  return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+/**
+ * Read play statistics per releaseKey from GameTimes (minutesInGame) and LastPlayedDates (lastPlayedDate).
+ * Both tables have one row per GOG user: minutes are summed, the latest date is kept.
+ * @param {Database} db - Open GOG Galaxy database
+ * @returns {Map<string, { playtimeMinutes: number|null, lastPlayed: number|null }>}
+ */
+function readPlayStats(db) {
+  const tableNames = getTableNames(db);
+  const playStats = new Map();
+  const getEntry = (releaseKey) => {
+    if (!playStats.has(releaseKey)) {
+      playStats.set(releaseKey, { playtimeMinutes: null, lastPlayed: null });
+    }
+    return playStats.get(releaseKey);
+  };
+
+  if (tableNames.has('GameTimes')) {
+    const rows = db.prepare(`
+      SELECT releaseKey, SUM(minutesInGame) as minutesInGame
+      FROM GameTimes
+      WHERE releaseKey IS NOT NULL
+      GROUP BY releaseKey
+    `).all();
+    for (const row of rows) {
+      if (row.releaseKey && row.minutesInGame > 0) {
+        getEntry(row.releaseKey).playtimeMinutes = row.minutesInGame;
+      }
+    }
+  } else {
+    reportLogger.warn('  Warning: GameTimes table not found, playtime will not be imported');
+  }
+
+  if (tableNames.has('LastPlayedDates')) {
+    const rows = db.prepare(`
+      SELECT gameReleaseKey as releaseKey, MAX(lastPlayedDate) as lastPlayedDate
+      FROM LastPlayedDates
+      WHERE gameReleaseKey IS NOT NULL
+      GROUP BY gameReleaseKey
+    `).all();
+    for (const row of rows) {
+      const lastPlayed = gogDateToTimestamp(row.lastPlayedDate);
+      if (row.releaseKey && lastPlayed != null) {
+        getEntry(row.releaseKey).lastPlayed = lastPlayed;
+      }
+    }
+  } else {
+    reportLogger.warn('  Warning: LastPlayedDates table not found, last played dates will not be imported');
+  }
+
+  return playStats;
+}
+
+/**
+ * Column names of a table in the GOG Galaxy database
+ * @param {Database} db - Open GOG Galaxy database
+ * @param {string} table - Table name
+ * @returns {Set<string>}
+ */
+function getColumnNames(db, table) {
+  const rows = db.prepare(`SELECT name FROM pragma_table_info('${table}')`).all();
+  return new Set(rows.map((row) => row.name).filter(Boolean));
+}
+
+/**
+ * Check the tables and columns the importer needs before querying, and resolve piece type IDs by name.
+ * Throws when a required table or column is missing; falls back to the Galaxy 2.0.93 piece type IDs
+ * when GamePieceTypes is missing, and warns when a piece type is not found (its field stays empty).
+ * @param {Database} db - Open GOG Galaxy database
+ * @param {Object} [options]
+ * @param {boolean} [options.collections] - Collections are imported (UserReleaseTags is required)
+ * @returns {{ pieceTypeIds: { releaseDate: Array<number>, myRating: Array<number> } }}
+ */
+function checkGalaxySchema(db, { collections = true } = {}) {
+  const tableNames = getTableNames(db);
+  const requiredSchema = collections ? { ...REQUIRED_SCHEMA, ...REQUIRED_COLLECTIONS_SCHEMA } : REQUIRED_SCHEMA;
+  const missing = [];
+  for (const [table, columns] of Object.entries(requiredSchema)) {
+    if (!tableNames.has(table)) {
+      missing.push(table);
+      continue;
+    }
+    const columnNames = getColumnNames(db, table);
+    missing.push(...columns.filter((column) => !columnNames.has(column)).map((column) => `${table}.${column}`));
+  }
+  if (missing.length > 0) {
+    throw new Error(`Unsupported GOG Galaxy database schema, missing: ${missing.join(', ')}. The importer was tested on GOG Galaxy 2.0.93; please report your Galaxy version.`);
+  }
+
+  if (!tableNames.has('GamePieceTypes')) {
+    reportLogger.warn(`  Warning: GamePieceTypes table not found, using the piece type IDs of Galaxy 2.0.93 (release date ${LEGACY_PIECE_TYPE_IDS.releaseDate}, rating ${LEGACY_PIECE_TYPE_IDS.myRating})`);
+    return { pieceTypeIds: LEGACY_PIECE_TYPE_IDS };
+  }
+  const pieceTypes = db.prepare(`SELECT id, type FROM GamePieceTypes`).all();
+  const idsOf = (types) => pieceTypes
+    .filter((row) => types.includes(row.type))
+    .map((row) => Number(row.id))
+    .filter(Number.isInteger);
+  const pieceTypeIds = { releaseDate: idsOf(RELEASE_DATE_PIECE_TYPES), myRating: idsOf(RATING_PIECE_TYPES) };
+  if (pieceTypeIds.releaseDate.length === 0) {
+    reportLogger.warn(`  Warning: No ${RELEASE_DATE_PIECE_TYPES.join(' / ')} piece type in GamePieceTypes, GOG release dates will not be imported`);
+  }
+  if (pieceTypeIds.myRating.length === 0) {
+    reportLogger.warn(`  Warning: No ${RATING_PIECE_TYPES.join(' / ')} piece type in GamePieceTypes, ratings will not be imported`);
+  }
+  return { pieceTypeIds };
+}
+
+/**
+ * SQL condition selecting GamePieces of the given types (false when there are none, so LEFT JOINs yield NULL)
+ * @param {string} alias - GamePieces alias
+ * @param {Array<number>} typeIds - Piece type IDs from checkGalaxySchema
+ * @returns {string}
+ */
+function pieceTypeCondition(alias, typeIds) {
+  return typeIds.length > 0 ? `${alias}.gamePieceTypeId IN (${typeIds.join(', ')})` : '0';
+}
+
+/**
+ * Read achievements per releaseKey: definitions from Achievements, unlock times from UserAchievements
+ * (one row per GOG user and unlocked achievement; the earliest unlock is kept).
+ * Locked achievements are included so the server can show progress.
+ * @param {Database} db - Open GOG Galaxy database
+ * @returns {Map<string, Array<{ key: string, name: string, description: string, unlocked: boolean, unlockedAt: number|null }>>}
+ */
+function readAchievements(db) {
+  const achievements = new Map();
+  const tableNames = getTableNames(db);
+  if (!tableNames.has('Achievements') || !tableNames.has('UserAchievements')) {
+    reportLogger.warn('  Warning: Achievements / UserAchievements tables not found, achievements will not be imported');
+    return achievements;
+  }
+  const columns = getColumnNames(db, 'Achievements');
+  if (!columns.has('releaseKey')) {
+    reportLogger.warn('  Warning: Achievements table has no releaseKey column, achievements will not be imported');
+    return achievements;
+  }
+
+  const keyColumn = columns.has('achievementKey') ? 'a.achievementKey' : 'a.id';
+  const rows = db.prepare(`
+    SELECT a.releaseKey, ${keyColumn} as achievementKey, a.name, a.description, MIN(ua.unlockTime) as unlockTime
+    FROM Achievements a
+    LEFT JOIN UserAchievements ua ON ua.achievementId = a.id
+    WHERE a.releaseKey IS NOT NULL
+    GROUP BY a.id
+    ORDER BY a.releaseKey, a.id
+  `).all();
+  for (const row of rows) {
+    if (!row.releaseKey) continue;
+    if (!achievements.has(row.releaseKey)) {
+      achievements.set(row.releaseKey, []);
+    }
+    const unlockedAt = gogDateToTimestamp(row.unlockTime);
+    achievements.get(row.releaseKey).push({
+      key: String(row.achievementKey),
+      name: row.name || String(row.achievementKey),
+      description: row.description || '',
+      unlocked: unlockedAt != null,
+      unlockedAt
+    });
+  }
+  return achievements;
+}
+
+/**
+ * Read the release sets used to filter games: hidden (UserReleaseProperties.isHidden), installed
+ * (InstalledProducts for GOG, InstalledExternalProducts + Platforms for other platforms) and favourites.
+ * Only the sets needed by the enabled options are read; the others are null.
+ * Platform filters (releaseKey prefixes) are kept as given.
+ * @param {Database} db - Open GOG Galaxy database
+ * @param {Object} options
+ * @param {boolean} [options.excludeHidden] - Read hidden games
+ * @param {boolean} [options.installedOnly] - Read installed games
+ * @param {boolean} [options.favoritesCollection] - Read favourites
+ * @param {Set<string>|null} [options.includePlatforms] - Only import these platforms
+ * @param {Set<string>|null} [options.excludePlatforms] - Never import these platforms
+ * @returns {{ hidden: Set<string>|null, installed: Set<string>|null, favorites: Set<string>|null, favoriteTag: string|null,
+ *   includePlatforms: Set<string>|null, excludePlatforms: Set<string>|null }}
+ */
+function readReleaseFilters(db, { excludeHidden = false, installedOnly = false, favoritesCollection = false, includePlatforms = null, excludePlatforms = null } = {}) {
+  const releaseFilters = { hidden: null, installed: null, favorites: null, favoriteTag: null, includePlatforms, excludePlatforms };
+  if (!excludeHidden && !installedOnly && !favoritesCollection) return releaseFilters;
+
+  const tableNames = getTableNames(db);
+
+  if (excludeHidden) {
+    if (tableNames.has('UserReleaseProperties')) {
+      const rows = db.prepare(`
+        SELECT releaseKey
+        FROM UserReleaseProperties
+        WHERE releaseKey IS NOT NULL
+        GROUP BY releaseKey
+        HAVING MAX(isHidden) = 1
+      `).all();
+      releaseFilters.hidden = new Set(rows.map((row) => row.releaseKey));
+      reportLogger.log(`Found ${releaseFilters.hidden.size} hidden game(s)`);
+    } else {
+      reportLogger.warn('  Warning: UserReleaseProperties table not found, hidden games cannot be excluded');
+    }
+  }
+
+  if (installedOnly) {
+    const hasInstalledProducts = tableNames.has('InstalledProducts');
+    const hasInstalledExternalProducts = tableNames.has('InstalledExternalProducts') && tableNames.has('Platforms');
+    if (!hasInstalledProducts && !hasInstalledExternalProducts) {
+      throw new Error('GOG_INSTALLED_ONLY requires the InstalledProducts or InstalledExternalProducts tables, which are missing from the GOG Galaxy database');
+    }
+    releaseFilters.installed = new Set();
+    if (hasInstalledProducts) {
+      const rows = db.prepare(`SELECT 'gog_' || productId as releaseKey FROM InstalledProducts WHERE productId IS NOT NULL`).all();
+      rows.forEach((row) => releaseFilters.installed.add(row.releaseKey));
+    }
+    if (hasInstalledExternalProducts) {
+      const rows = db.prepare(`
+        SELECT p.name || '_' || iep.productId as releaseKey
+        FROM InstalledExternalProducts iep
+        JOIN Platforms p ON p.id = iep.platformId
+        WHERE iep.productId IS NOT NULL
+      `).all();
+      rows.forEach((row) => releaseFilters.installed.add(row.releaseKey));
+    }
+    reportLogger.log(`Found ${releaseFilters.installed.size} installed game(s)`);
+  }
+
+  if (favoritesCollection) {
+    const favoriteColumn = tableNames.has('UserReleaseProperties')
+      ? ['isFavorite', 'isFavourite'].find((column) => getColumnNames(db, 'UserReleaseProperties').has(column))
+      : null;
+    let rows = [];
+    if (favoriteColumn) {
+      rows = db.prepare(`
+        SELECT releaseKey
+        FROM UserReleaseProperties
+        WHERE releaseKey IS NOT NULL
+        GROUP BY releaseKey
+        HAVING MAX(${favoriteColumn}) = 1
+      `).all();
+    } else if (tableNames.has('UserReleaseTags')) {
+      rows = db.prepare(`
+        SELECT DISTINCT releaseKey
+        FROM UserReleaseTags
+        WHERE releaseKey IS NOT NULL AND LOWER(tag) = ?
+      `).all(FAVORITE_TAG);
+      releaseFilters.favoriteTag = FAVORITE_TAG;
+    }
+    releaseFilters.favorites = new Set(rows.map((row) => row.releaseKey));
+    reportLogger.log(`Found ${releaseFilters.favorites.size} favourite game(s)`);
+  }
+
+  return releaseFilters;
+}
+
+/**
+ * True if a grouped game has a release date or year from GOG Galaxy
+ * @param {Object} gameData - Entry of gamesByReleaseKey
+ * @returns {boolean}
+ */
+function hasGogReleaseDate(gameData) {
+  return (gameData.releaseDate != null && gameData.releaseDate !== '') || (gameData.releaseYear != null);
+}
+
+/**
+ * Why a release is excluded by the platform / hidden / installed filters (null when it is not)
+ * @param {string} releaseKey
+ * @param {Object} releaseFilters - From readReleaseFilters
+ * @returns {string|null}
+ */
+function getReleaseExclusionReason(releaseKey, releaseFilters) {
+  const platform = getReleasePlatform(releaseKey);
+  if (releaseFilters.includePlatforms && !releaseFilters.includePlatforms.has(platform)) return `platform ${platform} not included`;
+  if (releaseFilters.excludePlatforms?.has(platform)) return `platform ${platform} excluded`;
+  if (releaseFilters.hidden?.has(releaseKey)) return 'hidden in GOG Galaxy';
+  if (releaseFilters.installed && !releaseFilters.installed.has(releaseKey)) return 'not installed';
+  return null;
+}
+
+/**
+ * Names from a Galaxy metadata list (strings or { name } objects)
+ * @param {Array<string|Object>|null} value
+ * @returns {Array<string>|null}
+ */
+function toNameList(value) {
+  if (!Array.isArray(value)) return null;
+  const names = value
+    .map((item) => (typeof item === 'string' ? item : item?.name))
+    .filter((name) => typeof name === 'string' && name.trim() !== '')
+    .map((name) => name.trim());
+  return names.length > 0 ? names : null;
+}
+
+/**
+ * Read Galaxy's own metadata per releaseKey from GamePieces: originalTitle, summary and meta
+ * (genres, themes, developers, publishers, criticsScore), used when IGDB has no data
+ * @param {Database} db - Open GOG Galaxy database
+ * @returns {Map<string, { title: string|null, summary: string|null, genres: Array<string>|null, themes: Array<string>|null,
+ *   developers: Array<string>|null, publishers: Array<string>|null, criticsScore: number|null }>}
+ */
+function readGogMetadata(db) {
+  const metadataByReleaseKey = new Map();
+  if (!getTableNames(db).has('GamePieceTypes')) {
+    reportLogger.warn('  Warning: GamePieceTypes table not found, GOG Galaxy metadata will not be used as fallback');
+    return metadataByReleaseKey;
+  }
+
+  const rows = db.prepare(`
+    SELECT gp.releaseKey, gpt.type, gp.value
+    FROM GamePieces gp
+    JOIN GamePieceTypes gpt ON gp.gamePieceTypeId = gpt.id
+    WHERE gpt.type IN (${METADATA_PIECE_TYPES.map(() => '?').join(', ')})
+      AND gp.releaseKey IS NOT NULL
+      AND gp.value IS NOT NULL
+  `).all(...METADATA_PIECE_TYPES);
+
+  // Original pieces first so that user-edited pieces overwrite them
+  const sortedRows = [...rows].sort((a, b) => Number(b.type.startsWith('original')) - Number(a.type.startsWith('original')));
+  for (const row of sortedRows) {
+    let value;
+    try {
+      value = JSON.parse(row.value);
+    } catch (e) {
+      continue; // Ignore invalid JSON
+    }
+    if (!value || typeof value !== 'object') continue;
+    if (!metadataByReleaseKey.has(row.releaseKey)) {
+      metadataByReleaseKey.set(row.releaseKey, {
+        title: null, summary: null, genres: null, themes: null, developers: null, publishers: null, criticsScore: null
+      });
+    }
+    const metadata = metadataByReleaseKey.get(row.releaseKey);
+    if (row.type === 'originalTitle') {
+      metadata.title = value.title || metadata.title;
+    } else if (row.type === 'summary' || row.type === 'originalSummary') {
+      metadata.summary = value.summary || metadata.summary;
+    } else {
+      metadata.genres = toNameList(value.genres) || metadata.genres;
+      metadata.themes = toNameList(value.themes) || metadata.themes;
+      metadata.developers = toNameList(value.developers) || metadata.developers;
+      metadata.publishers = toNameList(value.publishers) || metadata.publishers;
+      const criticsScore = parseFloat(value.criticsScore);
+      if (!Number.isNaN(criticsScore) && criticsScore > 0) metadata.criticsScore = Math.round(criticsScore);
+    }
+  }
+  return metadataByReleaseKey;
+}
+
+/**
+ * IGDB value when it has data, else the GOG Galaxy value (null when both are empty)
+ */
+function withGogFallback(igdbValue, gogValue) {
+  const isEmpty = (value) => value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+  if (!isEmpty(igdbValue)) return igdbValue;
+  return isEmpty(gogValue) ? null : gogValue;
+}
+
+/**
+ * Read artwork URLs per releaseKey from the originalImages and images pieces
+ * @param {Database} db - Open GOG Galaxy database
+ * @returns {Map<string, { cover?: string, background?: string, icon?: string, logo?: string }>}
+ */
+function readGalaxyImageUrls(db) {
+  const imageUrlsByReleaseKey = new Map();
+  if (!getTableNames(db).has('GamePieceTypes')) {
+    reportLogger.warn('  Warning: GamePieceTypes table not found, webcache images will not be used');
+    return imageUrlsByReleaseKey;
+  }
+
+  const rows = db.prepare(`
+    SELECT gp.releaseKey, gpt.type, gp.value
+    FROM GamePieces gp
+    JOIN GamePieceTypes gpt ON gp.gamePieceTypeId = gpt.id
+    WHERE gpt.type IN (${IMAGE_PIECE_TYPES.map(() => '?').join(', ')})
+      AND gp.releaseKey IS NOT NULL
+      AND gp.value IS NOT NULL
+  `).all(...IMAGE_PIECE_TYPES);
+
+  // originalImages first so that images changed by the user overwrite them
+  const sortedRows = rows
+    .filter((row) => IMAGE_PIECE_TYPES.includes(row.type))
+    .sort((a, b) => IMAGE_PIECE_TYPES.indexOf(a.type) - IMAGE_PIECE_TYPES.indexOf(b.type));
+  for (const row of sortedRows) {
+    let value;
+    try {
+      value = JSON.parse(row.value);
+    } catch (e) {
+      continue; // Ignore invalid JSON
+    }
+    if (!value || typeof value !== 'object') continue;
+    const imageUrls = imageUrlsByReleaseKey.get(row.releaseKey) || {};
+    for (const [field, kind] of Object.entries(IMAGE_PIECE_FIELDS)) {
+      if (typeof value[field] === 'string' && value[field]) imageUrls[kind] = value[field];
+    }
+    imageUrlsByReleaseKey.set(row.releaseKey, imageUrls);
+  }
+  return imageUrlsByReleaseKey;
+}
+
+/**
+ * Index the files of Galaxy's webcache by lowercased file name and by file name without extension
+ * @param {string} webcachePath - Galaxy webcache directory
+ * @returns {Map<string, string>} - Name -> file path
+ */
+function buildWebcacheIndex(webcachePath) {
+  const index = new Map();
+  const pending = [webcachePath];
+  while (pending.length > 0) {
+    const dir = pending.pop();
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+      continue;
+    }
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        pending.push(entryPath);
+      } else if (entry.isFile()) {
+        const name = entry.name.toLowerCase();
+        if (!index.has(name)) index.set(name, entryPath);
+        const stem = path.parse(name).name;
+        if (!index.has(stem)) index.set(stem, entryPath);
+      }
+    }
+  }
+  return index;
+}
+
+/**
+ * Cached file of an image URL: the webcache file named like the URL's last path segment
+ * (with any extension, Galaxy caches some images in another format)
+ * @param {string} url - Image URL from a images piece
+ * @param {Map<string, string>} webcacheIndex - From buildWebcacheIndex
+ * @returns {string|null}
+ */
+function findWebcacheImage(url, webcacheIndex) {
+  let fileName;
+  try {
+    fileName = decodeURIComponent(path.posix.basename(new URL(url).pathname)).toLowerCase();
+  } catch (e) {
+    return null;
+  }
+  if (!fileName) return null;
+  return webcacheIndex.get(fileName) || webcacheIndex.get(path.parse(fileName).name) || null;
+}
+
+/**
+ * Resolve a game's artwork URLs to webcache files
+ * @param {Object|null} imageUrls - From readGalaxyImageUrls
+ * @param {Map<string, string>|null} webcacheIndex - From buildWebcacheIndex
+ * @returns {{ cover?: string, background?: string, icon?: string, logo?: string }|null}
  */
-function existingTitleMatchesIncoming(igdbName, primaryTitle) {
-  if (!igdbName || !primaryTitle) return false;
-  const a = String(igdbName).toLowerCase().trim();
-  const b = String(primaryTitle).toLowerCase().trim();
-  if (a === b) return true;
-  if (a.includes(b) || b.includes(a)) return true;
-  return false;
+function resolveWebcacheImages(imageUrls, webcacheIndex) {
+  if (!imageUrls || !webcacheIndex) return null;
+  const images = {};
+  for (const [kind, url] of Object.entries(imageUrls)) {
+    const imagePath = findWebcacheImage(url, webcacheIndex);
+    if (imagePath) images[kind] = imagePath;
+  }
+  return Object.keys(images).length > 0 ? images : null;
+}
+
+/**
+ * Upload the first existing image of candidates, logging the outcome
+ * @param {string} kind - Image kind for logging (cover, background, ...)
+ * @param {Function} upload - Upload API helper (gameId, filePath, serverUrl, apiToken)
+ * @param {Array<string|null|undefined>} candidates - Image paths in order of preference
+ */
+async function uploadFirstExistingImage(kind, upload, candidates, gameId, serverUrl, apiToken) {
+  const imagePath = candidates.find((candidate) => candidate && fs.existsSync(candidate));
+  if (!imagePath) return;
+  try {
+    await upload(gameId, imagePath, serverUrl, apiToken);
+    reportLogger.log(`  Uploaded ${kind}: ${path.basename(imagePath)}`);
+  } catch (error) {
+    reportLogger.warn(`  Warning: Failed to upload ${kind}: ${error.message}`);
+  }
+}
+
+/**
+ * Read releases Galaxy links as the same game: the "allGameReleases" game piece lists every releaseKey of a game,
+ * and ReleaseProperties.gameId (when the column exists) groups releases of one game.
+ * @param {Database} db - Open GOG Galaxy database
+ * @returns {Map<string, Set<string>>} - releaseKey -> all linked releaseKeys (including itself)
+ */
+function readLinkedReleases(db) {
+  const tableNames = getTableNames(db);
+  const groups = [];
+
+  if (tableNames.has('GamePieceTypes')) {
+    const rows = db.prepare(`
+      SELECT gp.releaseKey, gp.value
+      FROM GamePieces gp
+      JOIN GamePieceTypes gpt ON gp.gamePieceTypeId = gpt.id
+      WHERE gpt.type = 'allGameReleases' AND gp.releaseKey IS NOT NULL
+    `).all();
+    for (const row of rows) {
+      try {
+        const releases = JSON.parse(row.value)?.releases;
+        if (Array.isArray(releases) && releases.length > 0) {
+          groups.push([row.releaseKey, ...releases]);
+        }
+      } catch (e) {
+        // Ignore invalid JSON
+      }
+    }
+  }
+
+  if (tableNames.has('ReleaseProperties') && getColumnNames(db, 'ReleaseProperties').has('gameId')) {
+    const rows = db.prepare(`
+      SELECT gameId, releaseKey
+      FROM ReleaseProperties
+      WHERE gameId IS NOT NULL AND releaseKey IS NOT NULL
+    `).all();
+    const releaseKeysByGameId = new Map();
+    for (const row of rows) {
+      if (!releaseKeysByGameId.has(row.gameId)) {
+        releaseKeysByGameId.set(row.gameId, []);
+      }
+      releaseKeysByGameId.get(row.gameId).push(row.releaseKey);
+    }
+    groups.push(...releaseKeysByGameId.values());
+  }
+
+  // Union groups sharing a releaseKey: every member points to the same Set
+  const linkedReleases = new Map();
+  for (const group of groups) {
+    const merged = new Set(group);
+    for (const releaseKey of group) {
+      linkedReleases.get(releaseKey)?.forEach((linkedKey) => merged.add(linkedKey));
+    }
+    for (const releaseKey of merged) {
+      linkedReleases.set(releaseKey, merged);
+    }
+  }
+  return linkedReleases;
+}
+
+/**
+ * Merge games whose releases are linked (same game owned on several platforms) into one entry, in place.
+ * The entry is kept under the releaseKey already in the import map, else the GOG release, else the first one;
+ * titles and executables are combined and entry.releaseKeys lists every merged releaseKey.
+ * Excluded releases (platform / hidden / installed filters) are never merged.
+ * @param {Map<string, Object>} gamesByReleaseKey - Games grouped by releaseKey
+ * @param {Map<string, Set<string>>} linkedReleases - From readLinkedReleases
+ * @param {Map<string, Object>} importMap - Import map (releaseKey -> entry)
+ * @param {Object} releaseFilters - From readReleaseFilters
+ * @returns {number} - Number of releases merged into another entry
+ */
+function mergeLinkedReleases(gamesByReleaseKey, linkedReleases, importMap, releaseFilters) {
+  let mergedCount = 0;
+  for (const releaseKey of [...gamesByReleaseKey.keys()]) {
+    if (!gamesByReleaseKey.has(releaseKey) || !linkedReleases.has(releaseKey)) continue;
+    const releaseKeys = [...linkedReleases.get(releaseKey)]
+      .filter((linkedKey) => gamesByReleaseKey.has(linkedKey) && !getReleaseExclusionReason(linkedKey, releaseFilters));
+    if (releaseKeys.length < 2) continue;
+
+    const primaryKey = releaseKeys.find((linkedKey) => importMap.has(linkedKey))
+      || releaseKeys.find((linkedKey) => getReleasePlatform(linkedKey) === 'gog')
+      || releaseKeys[0];
+    const target = gamesByReleaseKey.get(primaryKey);
+    const executableKeys = new Set(target.executables.map((exec) => `${exec.path}|${exec.label || ''}`));
+    for (const linkedKey of releaseKeys) {
+      if (linkedKey === primaryKey) continue;
+      const source = gamesByReleaseKey.get(linkedKey);
+      target.titles = [...new Set([...target.titles, ...source.titles])];
+      for (const exec of source.executables) {
+        const executableKey = `${exec.path}|${exec.label || ''}`;
+        if (!executableKeys.has(executableKey)) {
+          executableKeys.add(executableKey);
+          target.executables.push(exec);
+        }
+      }
+      target.myRating = target.myRating || source.myRating || null;
+      target.releaseDate = target.releaseDate || source.releaseDate || null;
+      target.releaseYear = target.releaseYear || source.releaseYear || null;
+      target.gogMetadata = target.gogMetadata || source.gogMetadata || null;
+      target.imageUrls = { ...source.imageUrls, ...target.imageUrls };
+      // Achievement sets differ per store: keep the one with more unlocked achievements
+      const countUnlocked = (list) => (list || []).filter((achievement) => achievement.unlocked).length;
+      if (source.achievements && countUnlocked(source.achievements) > countUnlocked(target.achievements)) {
+        target.achievements = source.achievements;
+      }
+      if (source.playStats) {
+        const playStats = target.playStats || { playtimeMinutes: null, lastPlayed: null };
+        const minutes = (playStats.playtimeMinutes || 0) + (source.playStats.playtimeMinutes || 0);
+        target.playStats = {
+          playtimeMinutes: minutes > 0 ? minutes : null,
+          lastPlayed: Math.max(playStats.lastPlayed || 0, source.playStats.lastPlayed || 0) || null
+        };
+      }
+      gamesByReleaseKey.delete(linkedKey);
+      mergedCount++;
+    }
+    target.releaseKeys = releaseKeys;
+    reportLogger.log(`  Linked releases merged into ${primaryKey}: ${releaseKeys.join(', ')}`);
+  }
+  return mergedCount;
+}
+
+/**
+ * Detect DLC releases and their base game: releaseKeys listed in a game's `dlcs` piece and, with titleHeuristic,
+ * add-on titles (DLC_TITLE_PATTERN) starting with a library game's title (the longest one is the base game).
+ * Run after mergeLinkedReleases: parents are resolved to the releaseKey the merged game is kept under.
+ * @param {Database} db - Open GOG Galaxy database
+ * @param {Map<string, Object>} gamesByReleaseKey - Games grouped by releaseKey
+ * @param {Object} [options]
+ * @param {boolean} [options.titleHeuristic] - Also detect add-ons by title (GOG_DLC_TITLES)
+ * @returns {Map<string, string>} - DLC releaseKey -> base game releaseKey
+ */
+function readDlcReleases(db, gamesByReleaseKey, { titleHeuristic = false } = {}) {
+  const primaryKeys = new Map();
+  for (const [releaseKey, gameData] of gamesByReleaseKey) {
+    for (const linkedKey of gameData.releaseKeys || [releaseKey]) {
+      primaryKeys.set(linkedKey, releaseKey);
+    }
+  }
+
+  const dlcParents = new Map();
+  if (getTableNames(db).has('GamePieceTypes')) {
+    const rows = db.prepare(`
+      SELECT gp.releaseKey, gp.value
+      FROM GamePieces gp
+      JOIN GamePieceTypes gpt ON gp.gamePieceTypeId = gpt.id
+      WHERE gpt.type = 'dlcs' AND gp.releaseKey IS NOT NULL
+    `).all();
+    for (const row of rows) {
+      let dlcs;
+      try {
+        dlcs = JSON.parse(row.value)?.dlcs;
+      } catch (e) {
+        continue;
+      }
+      const parentKey = primaryKeys.get(row.releaseKey);
+      if (!Array.isArray(dlcs) || !parentKey) continue;
+      for (const dlcKey of dlcs) {
+        const primaryDlcKey = primaryKeys.get(dlcKey);
+        if (primaryDlcKey && primaryDlcKey !== parentKey) {
+          dlcParents.set(primaryDlcKey, parentKey);
+        }
+      }
+    }
+  }
+
+  if (!titleHeuristic) return dlcParents;
+
+  const baseGames = [...gamesByReleaseKey]
+    .filter(([releaseKey, gameData]) => !dlcParents.has(releaseKey) && !DLC_TITLE_PATTERN.test(gameData.title))
+    .map(([releaseKey, gameData]) => ({ releaseKey, title: normalizeTitle(gameData.title) }))
+    .filter((base) => base.title)
+    .sort((a, b) => b.title.length - a.title.length);
+  for (const [releaseKey, gameData] of gamesByReleaseKey) {
+    if (dlcParents.has(releaseKey) || !DLC_TITLE_PATTERN.test(gameData.title)) continue;
+    const title = normalizeTitle(gameData.title);
+    // Without a base game prefix the title is not treated as an add-on ("DLC Quest", "The Making of Karateka")
+    const parent = baseGames.find((base) => title.startsWith(`${base.title} `));
+    if (parent) dlcParents.set(releaseKey, parent.releaseKey);
+  }
+  return dlcParents;
+}
+
+/**
+ * Apply the DLC mode in place. attach: DLCs are removed and listed in their base game's `dlcs`;
+ * igdb: DLCs get `parentReleaseKey` and move after all base games so the parent is imported first.
+ * DLCs whose base game is no longer in the import (a DLC of an attached DLC) are imported as games.
+ * @param {Map<string, Object>} gamesByReleaseKey - Games grouped by releaseKey
+ * @param {Map<string, string>} dlcParents - From readDlcReleases
+ * @param {string} dlcMode - One of DLC_MODES
+ */
+function applyDlcMode(gamesByReleaseKey, dlcParents, dlcMode) {
+  for (const [releaseKey, parentKey] of dlcParents) {
+    const dlc = gamesByReleaseKey.get(releaseKey);
+    const parent = gamesByReleaseKey.get(parentKey);
+    if (!dlc) continue;
+    if (!parent) {
+      reportLogger.log(`  DLC without base game in the import, importing as a game: ${dlc.title}`);
+      continue;
+    }
+    gamesByReleaseKey.delete(releaseKey);
+    if (dlcMode === 'attach') {
+      parent.dlcs = parent.dlcs || [];
+      parent.dlcs.push({ releaseKey, title: dlc.title });
+      reportLogger.log(`  DLC attached to ${parent.title}: ${dlc.title}`);
+    } else {
+      dlc.parentReleaseKey = parentKey;
+      gamesByReleaseKey.set(releaseKey, dlc);
+    }
+  }
+}
+
+/**
+ * Read tag rows for collections (UserReleaseTags with release date from the release date pieces),
+ * without excluded releases, plus a "Favorites" collection when favourites were read
+ * and one collection per store when platformCollections is set
+ * @param {Database} db - Open GOG Galaxy database
+ * @param {Object} pieceTypeIds - From checkGalaxySchema
+ * @param {Map<string, Object>} gamesByReleaseKey - Games grouped by releaseKey
+ * @param {Object} releaseFilters - From readReleaseFilters
+ * @param {boolean} [platformCollections] - Add one collection per releaseKey platform
+ * @returns {Array<{ tag: string, releaseKey: string, releaseDate: string|null }>}
+ */
+function readCollectionTags(db, pieceTypeIds, gamesByReleaseKey, releaseFilters, platformCollections = false) {
+  // Priority to rows with releaseDate (non-null values)
+  const gamesByTagQuery = db.prepare(`
+    SELECT 
+      urt.tag, 
+      urt.releaseKey,
+      MAX(json_extract(gpDate.value, '$.releaseDate')) as releaseDate
+    FROM UserReleaseTags urt
+    LEFT JOIN GamePieces gpDate ON urt.releaseKey = gpDate.releaseKey AND ${pieceTypeCondition('gpDate', pieceTypeIds.releaseDate)}
+    WHERE urt.tag IS NOT NULL AND urt.tag != ''
+      AND urt.releaseKey IS NOT NULL
+    GROUP BY urt.tag, urt.releaseKey
+    ORDER BY urt.tag, releaseDate
+  `);
+  const tagsData = gamesByTagQuery.all().filter((row) => {
+    if (getReleaseExclusionReason(row.releaseKey, releaseFilters)) return false;
+    // Favourites stored as a tag become the "Favorites" collection instead
+    if (releaseFilters.favorites && releaseFilters.favoriteTag && String(row.tag).toLowerCase() === releaseFilters.favoriteTag) return false;
+    return true;
+  });
+
+  if (releaseFilters.favorites) {
+    const favoriteRows = [...releaseFilters.favorites]
+      .filter((releaseKey) => !getReleaseExclusionReason(releaseKey, releaseFilters))
+      .map((releaseKey) => ({
+        tag: FAVORITES_COLLECTION_TITLE,
+        releaseKey,
+        releaseDate: gamesByReleaseKey.get(releaseKey)?.releaseDate || null
+      }))
+      .sort((a, b) => (parseInt(a.releaseDate, 10) || 0) - (parseInt(b.releaseDate, 10) || 0));
+    tagsData.push(...favoriteRows);
+  }
+
+  if (platformCollections) {
+    const platformRows = [...gamesByReleaseKey.entries()]
+      .flatMap(([releaseKey, gameData]) => (gameData.releaseKeys || [releaseKey]).map((linkedKey) => [linkedKey, gameData]))
+      .filter(([releaseKey]) => getReleasePlatform(releaseKey) && !getReleaseExclusionReason(releaseKey, releaseFilters))
+      .map(([releaseKey, gameData]) => {
+        const platform = getReleasePlatform(releaseKey);
+        return {
+          tag: PLATFORM_COLLECTION_TITLES[platform] || platform,
+          releaseKey,
+          releaseDate: gameData.releaseDate || null
+        };
+      })
+      .sort((a, b) => a.tag.localeCompare(b.tag) || (parseInt(a.releaseDate, 10) || 0) - (parseInt(b.releaseDate, 10) || 0));
+    tagsData.push(...platformRows);
+  }
+
+  return tagsData;
 }
 
 /**
@@ -203,6 +1060,20 @@ function existingTitleMatchesIncoming(igdbName, primaryTitle) {
  * @param {number|null} myRating - My rating from GOG Galaxy (0-5 scale, will be converted to 0-10)
  * @param {number|null} releaseYear - Release year from GOG Galaxy (for filtering IGDB search)
  * @param {string|null} gogReleaseDate - Release date from GOG Galaxy (Unix timestamp as string, used as fallback if IGDB doesn't have it)
+ * @param {Object} options - igdbId / skipSearch / skipCreate / skipIgdbFetch (UPLOAD=true), existingGameIds,
+ *   playStats ({ playtimeMinutes, lastPlayed } from GameTimes / LastPlayedDates),
+ *   gogMetadata (from readGogMetadata, fills gameData fields IGDB leaves empty),
+ *   achievements (from readAchievements), dlcs ({ releaseKey, title } list attached to a base game),
+ *   parentGameId (IGDB ID of the base game when importing a DLC),
+ *   webcacheImages (cover / background / icon / logo files from resolveWebcacheImages),
+ *   matchThreshold (minimum confidence to accept an IGDB search result, see matching.js),
+ *   matchReviewer (asks the user about ambiguous results, see matchReview.js),
+ *   pinnedIgdbId (IGDB ID from overrides.json or resolve, skips search), searchTitle (title from overrides.json or resolve to search instead),
+ *   releaseKeys (linked releaseKeys of the game, looked up by external ID before searching; defaults to [releaseKey]),
+ *   externalIdLookup ({ available } shared by the games of a run, see findGameByReleaseKeys)
+ * @returns {Promise<Object>} - { gameId, igdbId, title, releaseDate, stars, reviewed },
+ *   { skipped: true } if the user skipped the game in match review,
+ *   { unmatched: true, titles, reason } if no IGDB match was found (titles: titles searched)
  */
 async function importGame(gameTitles, releaseKey, executables, metadataPath, galaxyImagesPath, serverUrl, apiToken, twitchClientId, twitchClientSecret, myRating = null, releaseYear = null, gogReleaseDate = null, options = {}) {
   // Normalize gameTitles to array
@@ -214,9 +1085,22 @@ async function importGame(gameTitles, releaseKey, executables, metadataPath, gal
     skipSearch = false,
     skipCreate = false,
     skipIgdbFetch = false,
-    existingGameIds = new Set()
+    existingGameIds = new Set(),
+    playStats = null,
+    gogMetadata = null,
+    achievements = null,
+    dlcs = null,
+    parentGameId = null,
+    webcacheImages = null,
+    matchThreshold = DEFAULT_MATCH_THRESHOLD,
+    matchReviewer = null,
+    pinnedIgdbId = null,
+    searchTitle = null,
+    releaseKeys = null,
+    externalIdLookup = { available: true }
   } = options;
   let igdbGame = null;
+  let reviewed = false;
   let gameId = null;
   let overwriteExisting = false;
 
@@ -227,50 +1111,54 @@ async function importGame(gameTitles, releaseKey, executables, metadataPath, gal
     }
     reportLogger.log(`  Skipping IGDB name search (UPLOAD=true). Using IGDB ID: ${gameId}`);
     igdbGame = { id: gameId, name: primaryTitle };
+  } else if (pinnedIgdbId) {
+    gameId = pinnedIgdbId;
+    reportLogger.log(`  Skipping IGDB name search. Using pinned IGDB ID: ${gameId}`);
+    igdbGame = { id: gameId, name: primaryTitle };
   } else {
     if (skipSearch) {
       reportLogger.warn('  Warning: skipSearch enabled but no IGDB ID provided; falling back to name search.');
     }
     // Search game on MyHomeGames server, trying each title until one succeeds
     reportLogger.log(`  Searching on MyHomeGames server...`);
-    let igdbGames = null;
-    let usedTitle = null;
-
     let releaseDateForSearch = gogReleaseDate != null && gogReleaseDate !== ''
       ? (typeof gogReleaseDate === 'number' ? gogReleaseDate : parseInt(String(gogReleaseDate), 10))
       : (releaseYear != null ? Math.floor(new Date(releaseYear, 0, 1).getTime() / 1000) : null);
     if (releaseDateForSearch != null && Number.isNaN(releaseDateForSearch)) releaseDateForSearch = null;
 
-    for (const title of titlesToTry) {
-      if (titlesToTry.length > 1) {
-        reportLogger.log(`    Trying title: "${title}"`);
+    const searchTitles = searchTitle ? [searchTitle] : titlesToTry;
+    // Store IDs in the releaseKeys match exactly; a given search title means the user wants a title search
+    const externalMatch = searchTitle
+      ? null
+      : await findGameByReleaseKeys(releaseKeys || [releaseKey], { titles: titlesToTry, releaseDate: releaseDateForSearch }, serverUrl, apiToken, twitchClientId, twitchClientSecret, { threshold: matchThreshold, lookup: externalIdLookup });
+    let igdbGames = externalMatch ? [externalMatch] : [];
+    if (!externalMatch) {
+      if (searchTitle) {
+        reportLogger.log(`  Searching with given title: "${searchTitle}"`);
       }
-      const { igdbGames: found, usedTitle: foundTitle } = await searchGameWithReducingTitle(title, releaseDateForSearch, serverUrl, apiToken, twitchClientId, twitchClientSecret);
-      igdbGames = found;
-      usedTitle = foundTitle;
-
-      if (igdbGames && igdbGames.length > 0) {
-        if (titlesToTry.length > 1) {
-          reportLogger.log(`    Found results with title: "${foundTitle}"`);
-        }
-        break;
+      const search = await searchConfidentMatches(searchTitles, releaseDateForSearch, serverUrl, apiToken, twitchClientId, twitchClientSecret, { threshold: matchThreshold, reviewer: matchReviewer });
+      const { best } = search;
+      igdbGames = search.matches;
+      reviewed = search.reviewed;
+      if (search.skipped) {
+        return { skipped: true };
+      }
+      if (igdbGames.length === 0) {
+        const reason = best
+          ? `No confident match (best: ${formatMatch(best)}, threshold ${matchThreshold})`
+          : 'Game not found with any title';
+        reportLogger.warn(`  Warning: ${reason}, skipping: "${searchTitles.join('", "')}"`);
+        return { unmatched: true, titles: searchTitles, reason };
       }
-    }
-
-    if (!igdbGames || igdbGames.length === 0) {
-      const allTitles = titlesToTry.join('", "');
-      reportLogger.warn(`  Warning: Game not found with any title, skipping: "${allTitles}"`);
-      return null;
     }
 
     const incomingStars = myRating != null && myRating !== '' ? myRating * 2 : null;
     const incomingDate = gogReleaseToYearMonthDay(gogReleaseDate || null, releaseYear);
     const incomingExecutablesCount = (executables || []).filter((e) => e.path && fs.existsSync(e.path)).length;
 
-    // Results are sorted by release date (closest to GOG date first). Prefer best date match:
+    // Results are sorted by match confidence (title similarity and release date). Prefer the best match:
     // if the first in order is not in library, use it (create). Else consider existing games for overwrite.
     let chosen = null;
-    let overwriteExisting = false;
     for (const igdb of igdbGames) {
       if (!existingGameIds.has(Number(igdb.id))) {
         chosen = igdb;
@@ -279,7 +1167,7 @@ async function importGame(gameTitles, releaseKey, executables, metadataPath, gal
       try {
         const currentGame = await getGameViaAPI(igdb.id, serverUrl, apiToken);
         const hasMore = incomingHasMoreDataThanExisting(currentGame, incomingStars, incomingDate, incomingExecutablesCount);
-        const titleMatch = existingTitleMatchesIncoming(igdb.name, primaryTitle);
+        const titleMatch = existingTitleMatchesIncoming(igdb.name, searchTitles, matchThreshold);
         if (hasMore) {
           chosen = igdb;
           overwriteExisting = true;
@@ -294,7 +1182,7 @@ async function importGame(gameTitles, releaseKey, executables, metadataPath, gal
         }
       } catch (e) {
         reportLogger.warn(`  Could not fetch existing game ${igdb.id} (${igdb.name}): ${e.message}`);
-        const titleMatch = existingTitleMatchesIncoming(igdb.name, primaryTitle);
+        const titleMatch = existingTitleMatchesIncoming(igdb.name, searchTitles, matchThreshold);
         if (titleMatch) {
           chosen = igdb;
           overwriteExisting = true;
@@ -359,25 +1247,27 @@ async function importGame(gameTitles, releaseKey, executables, metadataPath, gal
     reportLogger.log(`  Stars: null (myRating was ${myRating})`);
   }
   
+  // GOG Galaxy metadata fills what IGDB leaves empty (or everything when the details fetch failed)
+  const gogFallback = gogMetadata || {};
   const gameData = {
     igdbId: gameId,
-    name: fullGameData?.name || igdbGame.name,
-    summary: fullGameData?.summary || '',
+    name: fullGameData?.name || igdbGame.name || gogFallback.title,
+    summary: withGogFallback(fullGameData?.summary, gogFallback.summary) || '',
     cover: fullGameData?.cover || null,
     background: fullGameData?.background || null,
     releaseDate: releaseDate,
-    genres: fullGameData?.genres || null,
-    criticRating: fullGameData?.criticRating !== null && fullGameData?.criticRating !== undefined ? fullGameData.criticRating : null,
+    genres: withGogFallback(fullGameData?.genres, gogFallback.genres),
+    criticRating: fullGameData?.criticRating !== null && fullGameData?.criticRating !== undefined ? fullGameData.criticRating : (gogFallback.criticsScore ?? null),
     userRating: fullGameData?.userRating !== null && fullGameData?.userRating !== undefined ? fullGameData.userRating : null,
     stars: stars,
-    themes: fullGameData?.themes || null,
+    themes: withGogFallback(fullGameData?.themes, gogFallback.themes),
     platforms: fullGameData?.platforms || null,
     gameModes: fullGameData?.gameModes || null,
     playerPerspectives: fullGameData?.playerPerspectives || null,
     websites: fullGameData?.websites || null,
     ageRatings: fullGameData?.ageRatings || null,
-    developers: fullGameData?.developers || null,
-    publishers: fullGameData?.publishers || null,
+    developers: withGogFallback(fullGameData?.developers, gogFallback.developers),
+    publishers: withGogFallback(fullGameData?.publishers, gogFallback.publishers),
     franchise: fullGameData?.franchise || null,
     collection: fullGameData?.collection || null,
     screenshots: fullGameData?.screenshots || null,
@@ -387,6 +1277,18 @@ async function importGame(gameTitles, releaseKey, executables, metadataPath, gal
     alternativeNames: fullGameData?.alternativeNames || null,
     similarGames: fullGameData?.similarGames || null,
   };
+  if (parentGameId != null) {
+    gameData.parentGameId = parentGameId;
+    reportLogger.log(`  DLC of game ID: ${parentGameId}`);
+  }
+  const usedGogFields = ['summary', 'genres', 'themes', 'developers', 'publishers']
+    .filter((field) => gogFallback[field] != null && gameData[field] === gogFallback[field]);
+  if (gogFallback.criticsScore != null && (fullGameData?.criticRating === null || fullGameData?.criticRating === undefined)) {
+    usedGogFields.push('criticRating');
+  }
+  if (usedGogFields.length > 0) {
+    reportLogger.log(`  Using GOG Galaxy metadata for: ${usedGogFields.join(', ')}`);
+  }
   
   if (overwriteExisting) {
     const updates = {};
@@ -394,6 +1296,7 @@ async function importGame(gameTitles, releaseKey, executables, metadataPath, gal
     if (overwriteStars != null) updates.stars = overwriteStars;
     const ymd = gogReleaseToYearMonthDay(gogReleaseDate || null, releaseYear);
     if (ymd) Object.assign(updates, ymd);
+    if (parentGameId != null) updates.parentGameId = parentGameId;
     if (Object.keys(updates).length > 0) {
       await updateGameViaAPI(gameId, updates, serverUrl, apiToken);
       reportLogger.log(`  Updated existing game via API (${Object.keys(updates).join(', ')})`);
@@ -408,6 +1311,11 @@ async function importGame(gameTitles, releaseKey, executables, metadataPath, gal
       // If game already exists (409), that's fine, continue
       if (error.message.includes('409') || error.message.includes('already exists')) {
         reportLogger.log(`  Game already exists, skipping creation`);
+        // A DLC already on the server still needs the link to its base game
+        if (parentGameId != null) {
+          await updateGameViaAPI(gameId, { parentGameId }, serverUrl, apiToken);
+          reportLogger.log(`  Updated existing game via API (parentGameId)`);
+        }
       } else {
         throw error;
       }
@@ -417,70 +1325,50 @@ async function importGame(gameTitles, releaseKey, executables, metadataPath, gal
   }
   
   // Upload executables via API
-  let executableCount = 0;
-  for (const exec of executables) {
-    if (!exec.path || !fs.existsSync(exec.path)) continue;
-    
-    // Clean label: remove .sh or .bat extension if present
-    let label = exec.label || 'script';
-    if (label.endsWith('.bat')) {
-      label = label.slice(0, -4); // Remove last 4 characters (.bat)
-    } else if (label.endsWith('.sh')) {
-      label = label.slice(0, -3); // Remove last 3 characters (.sh)
+  await uploadGameExecutables(gameId, executables, serverUrl, apiToken);
+
+  // Upload achievements from GOG Galaxy via API
+  if (achievements && achievements.length > 0) {
+    try {
+      await updateAchievementsViaAPI(gameId, achievements, serverUrl, apiToken);
+      const unlockedCount = achievements.filter((achievement) => achievement.unlocked).length;
+      reportLogger.log(`  Uploaded achievements: ${unlockedCount}/${achievements.length} unlocked`);
+    } catch (error) {
+      reportLogger.warn(`  Warning: Failed to upload achievements: ${error.message}`);
     }
-    
+  }
+
+  // Attach the base game's DLC list (GOG_DLC_MODE=attach)
+  if (dlcs && dlcs.length > 0) {
     try {
-      await uploadExecutableViaAPI(gameId, exec.path, label, serverUrl, apiToken);
-      reportLogger.log(`  Uploaded executable: ${path.basename(exec.path)} (label: ${label})`);
-      executableCount++;
+      await updateGameViaAPI(gameId, { dlcs }, serverUrl, apiToken);
+      reportLogger.log(`  Attached ${dlcs.length} DLC(s)`);
     } catch (error) {
-      reportLogger.warn(`  Warning: Failed to upload executable ${exec.path}: ${error.message}`);
+      reportLogger.warn(`  Warning: Failed to attach DLCs: ${error.message}`);
     }
   }
   
-  reportLogger.log(`  Uploaded ${executableCount} executable(s)`);
-  
-  // Upload images from GOG Galaxy via API
-  if (releaseKey) {
-    // Look for cover image
-    const coverPatterns = [
-      path.join(galaxyImagesPath, `${releaseKey}_cover.jpg`),
-      path.join(galaxyImagesPath, `${releaseKey}_cover.png`),
-      path.join(galaxyImagesPath, `${releaseKey}.jpg`),
-      path.join(galaxyImagesPath, `${releaseKey}.png`),
-    ];
-    
-    for (const coverPath of coverPatterns) {
-      if (fs.existsSync(coverPath)) {
-        try {
-          await uploadCoverViaAPI(gameId, coverPath, serverUrl, apiToken);
-          reportLogger.log(`  Uploaded cover: ${path.basename(coverPath)}`);
-        } catch (error) {
-          reportLogger.warn(`  Warning: Failed to upload cover: ${error.message}`);
-        }
-        break;
-      }
-    }
-    
-    // Look for background image
-    const backgroundPatterns = [
-      path.join(galaxyImagesPath, `${releaseKey}_background.jpg`),
-      path.join(galaxyImagesPath, `${releaseKey}_background.png`),
-      path.join(galaxyImagesPath, `${releaseKey}_hero.jpg`),
-      path.join(galaxyImagesPath, `${releaseKey}_hero.png`),
-    ];
-    
-    for (const bgPath of backgroundPatterns) {
-      if (fs.existsSync(bgPath)) {
-        try {
-          await uploadBackgroundViaAPI(gameId, bgPath, serverUrl, apiToken);
-          reportLogger.log(`  Uploaded background: ${path.basename(bgPath)}`);
-        } catch (error) {
-          reportLogger.warn(`  Warning: Failed to upload background: ${error.message}`);
-        }
-        break;
-      }
-    }
+  // Upload images from GOG Galaxy via API: Images folder first, then the webcache files of the images pieces
+  const coverPatterns = releaseKey ? [
+    path.join(galaxyImagesPath, `${releaseKey}_cover.jpg`),
+    path.join(galaxyImagesPath, `${releaseKey}_cover.png`),
+    path.join(galaxyImagesPath, `${releaseKey}.jpg`),
+    path.join(galaxyImagesPath, `${releaseKey}.png`),
+  ] : [];
+  const backgroundPatterns = releaseKey ? [
+    path.join(galaxyImagesPath, `${releaseKey}_background.jpg`),
+    path.join(galaxyImagesPath, `${releaseKey}_background.png`),
+    path.join(galaxyImagesPath, `${releaseKey}_hero.jpg`),
+    path.join(galaxyImagesPath, `${releaseKey}_hero.png`),
+  ] : [];
+  await uploadFirstExistingImage('cover', uploadCoverViaAPI, [...coverPatterns, webcacheImages?.cover], gameId, serverUrl, apiToken);
+  await uploadFirstExistingImage('background', uploadBackgroundViaAPI, [...backgroundPatterns, webcacheImages?.background], gameId, serverUrl, apiToken);
+  await uploadFirstExistingImage('icon', uploadIconViaAPI, [webcacheImages?.icon], gameId, serverUrl, apiToken);
+  await uploadFirstExistingImage('logo', uploadLogoViaAPI, [webcacheImages?.logo], gameId, serverUrl, apiToken);
+
+  // Upload playtime and last played date from GOG Galaxy
+  if (playStats) {
+    await uploadPlayStats(gameId, playStats, serverUrl, apiToken);
   }
   
   // Return both gameId (folder name) and igdbId for collection mapping
@@ -489,7 +1377,8 @@ async function importGame(gameTitles, releaseKey, executables, metadataPath, gal
     igdbId: gameId, // gameId is the IGDB ID used as folder name
     title: fullGameData?.name || igdbGame.name,
     releaseDate: formatReleaseDateForMap(releaseDate),
-    stars: stars
+    stars: stars,
+    reviewed
   };
 }
 
@@ -497,9 +1386,9 @@ async function importGame(gameTitles, releaseKey, executables, metadataPath, gal
  * Import collections (tags) via API
  * Note: This function uses gameReleaseKeyMap to map releaseKey to game IDs (folder names),
  * and gameReleaseKeyToIgdbIdMap to map releaseKey to IGDB IDs for filesystem lookup.
- * For games not in the map, it searches the server for IGDB ID, then searches filesystem.
+ * For games not in the map, it searches the server for IGDB ID (best result above matchThreshold), then searches filesystem.
  */
-async function importCollections(metadataPath, gameReleaseKeyMap, gameReleaseKeyToIgdbIdMap, tagsData, gamesByReleaseKey, serverUrl, apiToken, twitchClientId, twitchClientSecret) {
+async function importCollections(metadataPath, gameReleaseKeyMap, gameReleaseKeyToIgdbIdMap, tagsData, gamesByReleaseKey, serverUrl, apiToken, twitchClientId, twitchClientSecret, matchThreshold = DEFAULT_MATCH_THRESHOLD) {
   reportLogger.log('\n=== Importing Collections ===');
   
   // Get existing collections via API
@@ -588,8 +1477,9 @@ async function importCollections(metadataPath, gameReleaseKeyMap, gameReleaseKey
                   }
 
                   const { igdbGames, usedTitle: foundTitle } = await searchGameWithReducingTitle(title, releaseDateForSearch, serverUrl, apiToken, twitchClientId, twitchClientSecret);
-                  if (igdbGames && igdbGames.length > 0) {
-                    foundIgdbId = igdbGames[0].id;
+                  const [bestMatch] = rankCandidates(igdbGames, { titles: titlesToTry, releaseDate: releaseDateForSearch });
+                  if (bestMatch && bestMatch.confidence >= matchThreshold) {
+                    foundIgdbId = bestMatch.candidate.id;
                     titleToIgdbIdCache.set(title, foundIgdbId);
                     usedTitle = foundTitle;
                   }
@@ -808,6 +1698,7 @@ export async function importFromGOGGalaxy(config) {
   const {
     galaxyDbPath,
     galaxyImagesPath,
+    galaxyWebcachePath = null,
     metadataPath,
     serverUrl,
     apiToken,
@@ -819,17 +1710,61 @@ export async function importFromGOGGalaxy(config) {
     collectionsOnly = false,
     upload = false,
     excludeGogNoReleaseDate = false,
+    excludeGogHidden = false,
+    gogInstalledOnly = false,
+    gogFavoritesCollection = false,
+    gogIncludePlatforms = null,
+    gogExcludePlatforms = null,
+    gogPlatformCollections = false,
+    gogDlcMode = 'attach',
+    gogDlcTitles = false,
+    matchThreshold = DEFAULT_MATCH_THRESHOLD,
+    interactive = false,
+    resolve = false,
   } = config;
+  const includePlatforms = parsePlatformList(gogIncludePlatforms);
+  const excludePlatforms = parsePlatformList(gogExcludePlatforms);
+  if (!DLC_MODES.includes(gogDlcMode)) {
+    throw new Error(`Invalid GOG_DLC_MODE: ${gogDlcMode} (expected ${DLC_MODES.join(' or ')})`);
+  }
 
   reportLogger.log('=== GOG Galaxy Importer ===\n');
   reportLogger.log(`GOG Galaxy DB: ${galaxyDbPath}`);
   reportLogger.log(`GOG Galaxy Images: ${galaxyImagesPath}`);
+  if (galaxyWebcachePath) {
+    reportLogger.log(`GOG Galaxy webcache: ${galaxyWebcachePath}`);
+  }
   reportLogger.log(`MyHomeGames Metadata: ${metadataPath}`);
+  reportLogger.log(`Match threshold: ${matchThreshold}`);
+  if (interactive) {
+    reportLogger.log('Reviewing ambiguous matches interactively (INTERACTIVE=true)');
+  }
   if (excludeGogNoReleaseDate) {
-    reportLogger.log('Excluding GOG games without release date (GOG_EXCLUDE_NO_RELEASE_DATE=true)\n');
-  } else {
-    reportLogger.log('');
+    reportLogger.log('Excluding GOG games without release date (GOG_EXCLUDE_NO_RELEASE_DATE=true)');
+  }
+  if (excludeGogHidden) {
+    reportLogger.log('Excluding games hidden in GOG Galaxy (GOG_EXCLUDE_HIDDEN=true)');
+  }
+  if (gogInstalledOnly) {
+    reportLogger.log('Importing only installed games (GOG_INSTALLED_ONLY=true)');
+  }
+  if (gogFavoritesCollection) {
+    reportLogger.log('Importing GOG Galaxy favourites as "Favorites" collection (GOG_FAVORITES_COLLECTION=true)');
   }
+  if (includePlatforms) {
+    reportLogger.log(`Importing only platforms: ${[...includePlatforms].join(', ')} (GOG_INCLUDE_PLATFORMS)`);
+  }
+  if (excludePlatforms) {
+    reportLogger.log(`Excluding platforms: ${[...excludePlatforms].join(', ')} (GOG_EXCLUDE_PLATFORMS)`);
+  }
+  if (gogPlatformCollections) {
+    reportLogger.log('Creating one collection per store (GOG_PLATFORM_COLLECTIONS=true)');
+  }
+  reportLogger.log(`DLC mode: ${gogDlcMode} (GOG_DLC_MODE)`);
+  if (gogDlcTitles) {
+    reportLogger.log('Detecting DLCs by add-on titles (GOG_DLC_TITLES=true)');
+  }
+  reportLogger.log('');
   
   // Validate paths
   if (!fs.existsSync(galaxyDbPath)) {
@@ -854,20 +1789,44 @@ export async function importFromGOGGalaxy(config) {
     throw new Error('TWITCH_CLIENT_ID and TWITCH_CLIENT_SECRET are required for IGDB search');
   }
 
-  const { importMapPath, importMap, existed: importMapExists } = loadReleaseKeyMap(metadataPath);
+  const { importMapPath, importMap, existed: importMapExists } = loadImportMap(metadataPath, IMPORT_MAP_FILENAME);
   if (importMapExists) {
     reportLogger.log(`Loaded ${importMap.size} imported games from: ${importMapPath}`);
   } else {
     reportLogger.log(`No existing import map found. Will create: ${importMapPath}`);
   }
+  const { overridesPath, overrides, existed: overridesExist } = loadOverrides(metadataPath);
+  if (overridesExist) {
+    reportLogger.log(`Loaded ${overrides.releaseKeys.size + overrides.titles.size} override(s) from: ${overridesPath}`);
+  }
+  const { queuePath, queue: unmatchedQueue } = loadUnmatchedQueue(metadataPath);
+  const queuedCount = getUnmatched(unmatchedQueue, UNMATCHED_SOURCE).length;
+  if (queuedCount > 0 && !resolve) {
+    reportLogger.log(`${queuedCount} unmatched game(s) in ${queuePath}, skipped until matched with: node cli.js resolve ${UNMATCHED_SOURCE}`);
+  }
+  let unmatchedQueueDirty = false;
   
   // Open GOG Galaxy database
   reportLogger.log('Opening GOG Galaxy database...');
   const db = new Database(galaxyDbPath, { readonly: true });
   
+  // INTERACTIVE=true asks on the terminal about ambiguous matches; callers may pass their own matchReviewer
+  const matchReviewer = config.matchReviewer || (interactive ? createMatchReviewer() : null);
+  // Turned off for the rest of the run when the server has no external ID endpoint
+  const externalIdLookup = { available: true };
+
   try {
+    const { pieceTypeIds } = checkGalaxySchema(db, { collections: !gamesOnly });
+    const releaseFilters = readReleaseFilters(db, {
+      excludeHidden: excludeGogHidden,
+      installedOnly: gogInstalledOnly,
+      favoritesCollection: gogFavoritesCollection && !gamesOnly,
+      includePlatforms,
+      excludePlatforms,
+    });
+
     // Import games (unless collections-only mode)
-    if (!collectionsOnly) {
+    if (!collectionsOnly || resolve) {
       // Get all games from GamePieces
       // GamePieces.value is a JSON object containing the title
       // PlayTasks links releaseKey to playTaskId
@@ -882,14 +1841,14 @@ export async function importFromGOGGalaxy(config) {
         json_extract(gp.value, '$.title') as title,
         ptlp.executablePath,
         ptlp.label,
-        MAX(json_extract(gp102.value, '$.myRating')) as myRating,
-        MAX(json_extract(gp82.value, '$.releaseDate')) as releaseDate
+        MAX(json_extract(gpRating.value, '$.myRating')) as myRating,
+        MAX(json_extract(gpDate.value, '$.releaseDate')) as releaseDate
       FROM GamePieces gp
       LEFT JOIN LibraryReleases lr ON gp.releaseKey = lr.releaseKey
       LEFT JOIN PlayTasks pt ON gp.releaseKey = pt.gameReleaseKey
       LEFT JOIN PlayTaskLaunchParameters ptlp ON pt.id = ptlp.playTaskId
-      LEFT JOIN GamePieces gp102 ON gp.releaseKey = gp102.releaseKey AND gp102.gamePieceTypeId = 102
-      LEFT JOIN GamePieces gp82 ON gp.releaseKey = gp82.releaseKey AND gp82.gamePieceTypeId = 82
+      LEFT JOIN GamePieces gpRating ON gp.releaseKey = gpRating.releaseKey AND ${pieceTypeCondition('gpRating', pieceTypeIds.myRating)}
+      LEFT JOIN GamePieces gpDate ON gp.releaseKey = gpDate.releaseKey AND ${pieceTypeCondition('gpDate', pieceTypeIds.releaseDate)}
       WHERE gp.value IS NOT NULL 
         AND gp.value != ''
         AND gp.releaseKey IS NOT NULL
@@ -899,11 +1858,12 @@ export async function importFromGOGGalaxy(config) {
         ${search ? `AND json_extract(gp.value, '$.title') LIKE '%' || ? || '%'` : ''}
       GROUP BY gp.releaseKey, json_extract(gp.value, '$.title'), ptlp.executablePath, ptlp.label
       ORDER BY releaseDate
-      ${limit ? `LIMIT ${limit}` : ''}
     `);
     
     const games = search ? gamesQuery.all(search) : gamesQuery.all();
     reportLogger.log(`Found ${games.length} game entries to import\n`);
+    // Linked releases and DLCs leave gamesByReleaseKey below, but are still in the library
+    const libraryReleaseKeys = new Set(games.map((game) => game.releaseKey).filter(Boolean));
     
     // Group games by releaseKey to handle multiple executables per game
     // Note: It's normal to have the same releaseKey multiple times in query results
@@ -989,6 +1949,66 @@ export async function importFromGOGGalaxy(config) {
     }
     
     reportLogger.log(`Found ${gamesByReleaseKey.size} unique games (some may have multiple executables)\n`);
+
+    // Attach playtime and last played date (GameTimes / LastPlayedDates)
+    const playStatsByReleaseKey = readPlayStats(db);
+    for (const [releaseKey, gameData] of gamesByReleaseKey) {
+      gameData.playStats = playStatsByReleaseKey.get(releaseKey) || null;
+    }
+    reportLogger.log(`Found play statistics for ${playStatsByReleaseKey.size} releaseKey(s)\n`);
+
+    // Galaxy's own metadata (summary, genres, developers, ...) as fallback for IGDB
+    const gogMetadataByReleaseKey = readGogMetadata(db);
+    for (const [releaseKey, gameData] of gamesByReleaseKey) {
+      gameData.gogMetadata = gogMetadataByReleaseKey.get(releaseKey) || null;
+    }
+
+    // Artwork URLs of the images pieces, resolved to webcache files when importing each game
+    const imageUrlsByReleaseKey = readGalaxyImageUrls(db);
+    for (const [releaseKey, gameData] of gamesByReleaseKey) {
+      gameData.imageUrls = imageUrlsByReleaseKey.get(releaseKey) || null;
+    }
+    let webcacheIndex = null;
+    if (galaxyWebcachePath && fs.existsSync(galaxyWebcachePath)) {
+      webcacheIndex = buildWebcacheIndex(galaxyWebcachePath);
+      reportLogger.log(`Indexed ${webcacheIndex.size} webcache name(s), image URLs for ${imageUrlsByReleaseKey.size} releaseKey(s)\n`);
+    } else if (galaxyWebcachePath) {
+      reportLogger.warn(`  Warning: GOG Galaxy webcache not found: ${galaxyWebcachePath}`);
+    }
+
+    // Unlocked achievements (Achievements / UserAchievements)
+    const achievementsByReleaseKey = readAchievements(db);
+    for (const [releaseKey, gameData] of gamesByReleaseKey) {
+      gameData.achievements = achievementsByReleaseKey.get(releaseKey) || null;
+    }
+    reportLogger.log(`Found achievements for ${achievementsByReleaseKey.size} releaseKey(s)\n`);
+
+    // Same game owned on several platforms (e.g. gog_ and steam_): import once under one IGDB ID
+    const mergedReleaseCount = mergeLinkedReleases(gamesByReleaseKey, readLinkedReleases(db), importMap, releaseFilters);
+    if (mergedReleaseCount > 0) {
+      reportLogger.log(`Merged ${mergedReleaseCount} linked release(s), ${gamesByReleaseKey.size} games left\n`);
+    }
+
+    // Soundtracks, artbooks, expansions, ...: attached to or linked to their base game instead of standalone games
+    const dlcParents = readDlcReleases(db, gamesByReleaseKey, { titleHeuristic: gogDlcTitles });
+    if (dlcParents.size > 0) {
+      applyDlcMode(gamesByReleaseKey, dlcParents, gogDlcMode);
+      reportLogger.log(`Found ${dlcParents.size} DLC release(s), ${gamesByReleaseKey.size} games left\n`);
+    }
+
+    // LIMIT counts games the filters keep: applied here rather than in SQL, which runs before them
+    if (limit) {
+      let keptCount = 0;
+      for (const [releaseKey, gameData] of gamesByReleaseKey) {
+        if (getReleaseExclusionReason(releaseKey, releaseFilters) || (excludeGogNoReleaseDate && !hasGogReleaseDate(gameData))) continue;
+        if (keptCount < limit) {
+          keptCount++;
+        } else {
+          gamesByReleaseKey.delete(releaseKey);
+        }
+      }
+      reportLogger.log(`Limited to ${keptCount} game(s) (LIMIT=${limit})\n`);
+    }
     
     // Map to track releaseKey -> gameId mapping (gameId is the IGDB ID used as folder name)
     const gameReleaseKeyMap = new Map();
@@ -997,14 +2017,28 @@ export async function importFromGOGGalaxy(config) {
     let importMapDirty = false;
     
     // Preload persisted mappings so collections can resolve older imports
-    const persistedReleaseKeyIdMap = buildReleaseKeyIdMap(importMap);
+    const persistedReleaseKeyIdMap = buildKeyIdMap(importMap);
     for (const [releaseKey, igdbId] of persistedReleaseKeyIdMap) {
       gameReleaseKeyMap.set(releaseKey, igdbId);
       gameReleaseKeyToIgdbIdMap.set(releaseKey, igdbId);
     }
     
+    // Resolve mode imports only the queued games the user gave an IGDB ID or title for
+    let gamesToImport = gamesByReleaseKey;
+    let resolutions = null;
+    if (resolve) {
+      const resolved = await resolveUnmatchedGames(unmatchedQueue, UNMATCHED_SOURCE, libraryReleaseKeys, {
+        prompt: config.promptResolutions,
+        // SEARCH leaves games out of the query: keep their queue entries
+        prune: !search,
+      });
+      resolutions = resolved.resolutions;
+      if (resolved.removed > 0) unmatchedQueueDirty = true;
+      gamesToImport = new Map([...gamesByReleaseKey].filter(([releaseKey]) => resolutions.has(releaseKey)));
+    }
+
     // Process all games (gamesByReleaseKey already groups by releaseKey, so each releaseKey appears only once)
-    const totalGames = gamesByReleaseKey.size;
+    const totalGames = gamesToImport.size;
 
     // Fetch existing game IDs so IGDB search results never include games already on server
     let existingGameIds = new Set();
@@ -1024,24 +2058,66 @@ export async function importFromGOGGalaxy(config) {
     let skipCount = 0;
     let currentIndex = 0;
     
-    for (const [releaseKey, gameData] of gamesByReleaseKey) {
+    for (const [releaseKey, gameData] of gamesToImport) {
       currentIndex++;
 
-      const hasReleaseDate = (gameData.releaseDate != null && gameData.releaseDate !== '') || (gameData.releaseYear != null);
-      if (excludeGogNoReleaseDate && !hasReleaseDate) {
+      if (excludeGogNoReleaseDate && !hasGogReleaseDate(gameData)) {
         reportLogger.log(`[${currentIndex}/${totalGames}] Skipping (no release date): ${gameData.title}`);
         skipCount++;
         continue;
       }
 
+      const exclusionReason = getReleaseExclusionReason(releaseKey, releaseFilters);
+      if (exclusionReason) {
+        reportLogger.log(`[${currentIndex}/${totalGames}] Skipping (${exclusionReason}): ${gameData.title}`);
+        skipCount++;
+        continue;
+      }
+
+      const override = findOverride(overrides, gameData.releaseKeys || [releaseKey], gameData.titles || [gameData.title]);
+      if (override?.ignore) {
+        reportLogger.log(`[${currentIndex}/${totalGames}] Skipping (ignored in overrides, ${override.source}): ${gameData.title}`);
+        skipCount++;
+        continue;
+      }
+
+      // Overrides added since the game was queued are tried on the next run
+      if (!resolve && isUnmatched(unmatchedQueue, UNMATCHED_SOURCE, releaseKey) && !override?.igdbId && !override?.searchTitle) {
+        reportLogger.log(`[${currentIndex}/${totalGames}] Skipping (unmatched, match it with: node cli.js resolve ${UNMATCHED_SOURCE}): ${gameData.title}`);
+        skipCount++;
+        continue;
+      }
+
       reportLogger.log(`[${currentIndex}/${totalGames}] Processing game: ${gameData.title}`);
       reportLogger.log(`  Release date (GOG from DB): ${formatTimestampForLog(gameData.releaseDate)}`);
 
+      // An answer in resolve mode takes precedence over overrides.json
+      const resolution = resolutions?.get(releaseKey) || null;
+      const pinSource = resolution ? 'resolve' : override?.source;
+      const pinnedIgdbId = resolution ? (resolution.igdbId ?? null) : (override?.igdbId ?? null);
       const existingEntry = importMap.get(releaseKey);
-      const existingIgdbId = existingEntry?.igdbId || existingEntry;
-      const shouldForceUpload = upload && !!existingIgdbId;
-      if (existingIgdbId && !shouldForceUpload) {
+      if (existingEntry?.skipped && pinnedIgdbId == null) {
+        reportLogger.log(`  Skipping releaseKey skipped in match review: ${releaseKey}`);
+        skipCount++;
+        continue;
+      }
+      const existingIgdbId = existingEntry?.skipped ? null : (existingEntry?.igdbId || existingEntry);
+      // A pin to another IGDB ID than the imported one fixes a wrong match: import again
+      const repinned = pinnedIgdbId != null && !!existingIgdbId && Number(existingIgdbId) !== pinnedIgdbId;
+      const shouldForceUpload = upload && !!existingIgdbId && !repinned;
+      if (repinned) {
+        reportLogger.log(`  Pinned IGDB ID ${pinnedIgdbId} (${pinSource}), was ${existingIgdbId}: importing again`);
+      } else if (existingIgdbId && !shouldForceUpload) {
         reportLogger.log(`  Skipping already imported releaseKey: ${releaseKey} (IGDB ID: ${existingIgdbId})`);
+        // Record linked releases merged into this game against the same IGDB ID
+        const existingObject = typeof existingEntry === 'object' ? existingEntry : { igdbId: existingEntry };
+        for (const linkedKey of gameData.releaseKeys || []) {
+          if (importMap.has(linkedKey)) continue;
+          importMap.set(linkedKey, { ...existingObject, platform: getReleasePlatform(linkedKey) });
+          gameReleaseKeyMap.set(linkedKey, existingIgdbId);
+          gameReleaseKeyToIgdbIdMap.set(linkedKey, existingIgdbId);
+          importMapDirty = true;
+        }
         skipCount++;
         continue;
       }
@@ -1049,6 +2125,31 @@ export async function importFromGOGGalaxy(config) {
       if (shouldForceUpload) {
         reportLogger.log(`  UPLOAD=true -> reimporting releaseKey: ${releaseKey} (IGDB ID: ${existingIgdbId})`);
       }
+
+      let parentGameId = null;
+      if (gameData.parentReleaseKey) {
+        parentGameId = gameReleaseKeyToIgdbIdMap.get(gameData.parentReleaseKey) ?? null;
+        if (parentGameId == null) {
+          reportLogger.log(`  Skipping DLC, base game was not imported: ${gameData.parentReleaseKey}`);
+          skipCount++;
+          continue;
+        }
+      }
+
+      const sourceOptions = {
+        playStats: gameData.playStats,
+        gogMetadata: gameData.gogMetadata,
+        achievements: gameData.achievements,
+        dlcs: gameData.dlcs || null,
+        parentGameId,
+        webcacheImages: resolveWebcacheImages(gameData.imageUrls, webcacheIndex),
+        matchThreshold,
+        matchReviewer,
+        pinnedIgdbId,
+        searchTitle: resolution ? (resolution.searchTitle ?? null) : (override?.searchTitle || null),
+        releaseKeys: gameData.releaseKeys || [releaseKey],
+        externalIdLookup
+      };
       
       try {
         const result = await importGame(
@@ -1069,34 +2170,64 @@ export async function importFromGOGGalaxy(config) {
                 igdbId: existingIgdbId,
                 skipSearch: true,
                 skipCreate: true,
-                skipIgdbFetch: true
+                skipIgdbFetch: true,
+                ...sourceOptions
               }
-            : { existingGameIds }
+            : { existingGameIds, ...sourceOptions }
         );
         
-        if (result && result.gameId) {
+        if (result.unmatched) {
+          queueUnmatched(unmatchedQueue, {
+            source: UNMATCHED_SOURCE,
+            key: releaseKey,
+            titles: result.titles,
+            releaseDate: gameData.releaseDate || null,
+            reason: result.reason
+          });
+          unmatchedQueueDirty = true;
+        } else if (dequeueUnmatched(unmatchedQueue, UNMATCHED_SOURCE, releaseKey)) {
+          reportLogger.log('  Removed from the unmatched queue');
+          unmatchedQueueDirty = true;
+        }
+
+        if (result.gameId) {
           successCount++;
           const idToAdd = Number(result.igdbId ?? result.gameId);
           if (!Number.isNaN(idToAdd)) existingGameIds.add(idToAdd);
-          gameReleaseKeyMap.set(releaseKey, result.gameId);
+          // Every linked release of the game maps to the same game
+          const linkedReleaseKeys = gameData.releaseKeys || [releaseKey];
+          for (const linkedKey of linkedReleaseKeys) {
+            gameReleaseKeyMap.set(linkedKey, result.gameId);
+          }
           // Also store the IGDB ID mapping
           if (result.igdbId) {
-            gameReleaseKeyToIgdbIdMap.set(releaseKey, result.igdbId);
             const previousEntry = importMap.get(releaseKey);
             const previousObject = previousEntry && typeof previousEntry === 'object'
               ? previousEntry
               : { igdbId: previousEntry };
             const hasReleaseDate = previousObject.releaseDate !== null && previousObject.releaseDate !== undefined;
             const hasStars = previousObject.stars !== null && previousObject.stars !== undefined;
-            importMap.set(releaseKey, {
-              igdbId: result.igdbId,
-              title: previousObject.title || result.title || null,
-              releaseDate: hasReleaseDate ? previousObject.releaseDate : (result.releaseDate || null),
-              stars: hasStars ? previousObject.stars : (result.stars !== undefined ? result.stars : null)
-            });
+            for (const linkedKey of linkedReleaseKeys) {
+              gameReleaseKeyToIgdbIdMap.set(linkedKey, result.igdbId);
+              importMap.set(linkedKey, {
+                igdbId: result.igdbId,
+                title: previousObject.title || result.title || null,
+                releaseDate: hasReleaseDate ? previousObject.releaseDate : (result.releaseDate || null),
+                stars: hasStars ? previousObject.stars : (result.stars !== undefined ? result.stars : null),
+                platform: getReleasePlatform(linkedKey),
+                ...(result.reviewed ? { reviewed: true } : {})
+              });
+            }
             importMapDirty = true;
           }
         } else {
+          if (result.skipped) {
+            // Remember the decision so the game is not asked about again
+            for (const linkedKey of gameData.releaseKeys || [releaseKey]) {
+              importMap.set(linkedKey, { igdbId: null, title: gameData.title, skipped: true, platform: getReleasePlatform(linkedKey) });
+            }
+            importMapDirty = true;
+          }
           skipCount++;
         }
       } catch (error) {
@@ -1107,38 +2238,35 @@ export async function importFromGOGGalaxy(config) {
 
     if (importMapDirty) {
       try {
-        saveReleaseKeyMap(importMapPath, importMap);
+        saveImportMap(importMapPath, importMap);
         reportLogger.log(`Saved import map: ${importMapPath}`);
       } catch (error) {
         reportLogger.warn(`Warning: Failed to save import map: ${error.message}`);
       }
     }
+    if (unmatchedQueueDirty) {
+      try {
+        saveUnmatchedQueue(queuePath, unmatchedQueue);
+        reportLogger.log(`Saved unmatched games queue: ${queuePath}`);
+      } catch (error) {
+        reportLogger.warn(`Warning: Failed to save unmatched games queue: ${error.message}`);
+      }
+    }
     
       reportLogger.log(`\n=== Import Summary ===`);
       reportLogger.log(`Successfully imported: ${successCount}`);
       reportLogger.log(`Skipped: ${skipCount}`);
       
-      // Import collections (unless games-only mode)
-      if (!gamesOnly) {
-        // Get games for each tag with release date from GamePieces type 82
-        // Priority to rows with releaseDate (non-null values)
-        const gamesByTagQuery = db.prepare(`
-          SELECT 
-            urt.tag, 
-            urt.releaseKey,
-            MAX(json_extract(gp82.value, '$.releaseDate')) as releaseDate
-          FROM UserReleaseTags urt
-          LEFT JOIN GamePieces gp82 ON urt.releaseKey = gp82.releaseKey AND gp82.gamePieceTypeId = 82
-          WHERE urt.tag IS NOT NULL AND urt.tag != ''
-            AND urt.releaseKey IS NOT NULL
-          GROUP BY urt.tag, urt.releaseKey
-          ORDER BY urt.tag, releaseDate
-        `);
-        const tagsData = gamesByTagQuery.all();
+      // Import collections (unless games-only or resolve mode)
+      if (resolve) {
+        reportLogger.log('\n=== Skipping Collections (resolve mode) ===');
+      } else if (!gamesOnly) {
+        // Get games for each tag (and favourites) with release date from GamePieces
+        const tagsData = readCollectionTags(db, pieceTypeIds, gamesByReleaseKey, releaseFilters, gogPlatformCollections);
         
       // Import collections
       if ((gameReleaseKeyMap.size > 0 || gamesByReleaseKey.size > 0) && tagsData.length > 0) {
-        await importCollections(metadataPath, gameReleaseKeyMap, gameReleaseKeyToIgdbIdMap, tagsData, gamesByReleaseKey, serverUrl, apiToken, twitchClientId, twitchClientSecret);
+        await importCollections(metadataPath, gameReleaseKeyMap, gameReleaseKeyToIgdbIdMap, tagsData, gamesByReleaseKey, serverUrl, apiToken, twitchClientId, twitchClientSecret, matchThreshold);
       }
       } else {
         reportLogger.log('\n=== Skipping Collections (--games-only mode) ===');
@@ -1154,12 +2282,12 @@ export async function importFromGOGGalaxy(config) {
           json_extract(gp.value, '$.title') as title,
           ptlp.executablePath,
           ptlp.label,
-          MAX(json_extract(gp82.value, '$.releaseDate')) as releaseDate
+          MAX(json_extract(gpDate.value, '$.releaseDate')) as releaseDate
         FROM GamePieces gp
         LEFT JOIN LibraryReleases lr ON gp.releaseKey = lr.releaseKey
         LEFT JOIN PlayTasks pt ON gp.releaseKey = pt.gameReleaseKey
         LEFT JOIN PlayTaskLaunchParameters ptlp ON pt.id = ptlp.playTaskId
-        LEFT JOIN GamePieces gp82 ON gp.releaseKey = gp82.releaseKey AND gp82.gamePieceTypeId = 82
+        LEFT JOIN GamePieces gpDate ON gp.releaseKey = gpDate.releaseKey AND ${pieceTypeCondition('gpDate', pieceTypeIds.releaseDate)}
         WHERE gp.value IS NOT NULL 
           AND gp.value != ''
           AND gp.releaseKey IS NOT NULL
@@ -1243,25 +2371,12 @@ export async function importFromGOGGalaxy(config) {
         gameData.titles = Array.from(gameData.titles);
       }
       
-      // Get games for each tag with release date from GamePieces type 82
-      // Priority to rows with releaseDate (non-null values)
-      const gamesByTagQuery = db.prepare(`
-        SELECT 
-          urt.tag, 
-          urt.releaseKey,
-          MAX(json_extract(gp82.value, '$.releaseDate')) as releaseDate
-        FROM UserReleaseTags urt
-        LEFT JOIN GamePieces gp82 ON urt.releaseKey = gp82.releaseKey AND gp82.gamePieceTypeId = 82
-        WHERE urt.tag IS NOT NULL AND urt.tag != ''
-          AND urt.releaseKey IS NOT NULL
-        GROUP BY urt.tag, urt.releaseKey
-        ORDER BY urt.tag, releaseDate
-      `);
-      const tagsData = gamesByTagQuery.all();
+      // Get games for each tag (and favourites) with release date from GamePieces
+      const tagsData = readCollectionTags(db, pieceTypeIds, gamesByReleaseKey, releaseFilters, gogPlatformCollections);
       
       // Import collections
       if (gamesByReleaseKey.size > 0 && tagsData.length > 0) {
-        const persistedReleaseKeyIdMap = buildReleaseKeyIdMap(importMap);
+        const persistedReleaseKeyIdMap = buildKeyIdMap(importMap);
         await importCollections(
           metadataPath,
           new Map(persistedReleaseKeyIdMap),
@@ -1271,12 +2386,14 @@ export async function importFromGOGGalaxy(config) {
           serverUrl,
           apiToken,
           twitchClientId,
-          twitchClientSecret
+          twitchClientSecret,
+          matchThreshold
         );
       }
     }
     
   } finally {
+    if (matchReviewer && !config.matchReviewer) matchReviewer.close();
     db.close();
     reportLogger.close();
   }
@@ -1284,4 +2401,4 @@ export async function importFromGOGGalaxy(config) {
   reportLogger.log('\n=== Import Complete ===');
 }
 
-export { importGame };
+export { importGame, getReleasePlatform, parsePlatformList };
@@ -0,0 +1,215 @@
+// Heroic Games Launcher Importer
+// Reads Heroic's JSON stores (Epic via Legendary, GOG, Amazon via Nile) and imports games
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as reportLogger from '../common/reportLogger.js';
+import { readJsonFile } from '../common/files.js';
+import { runSourceImport } from '../common/gameImport.js';
+import { writeLaunchScript, openUrlCommand } from '../common/launchScripts.js';
+
+const IMPORT_MAP_FILENAME = 'heroic-appname-map.json';
+
+const RUNNER_NAMES = {
+  legendary: 'Epic',
+  gog: 'GOG',
+  nile: 'Amazon',
+};
+
+/**
+ * Default Heroic configuration directory for the current platform.
+ * On Linux the Flatpak location is used when the native one does not exist.
+ * @returns {string}
+ */
+export function getDefaultHeroicConfigPath() {
+  const homeDir = os.homedir();
+  if (process.platform === 'win32') {
+    return path.join(process.env.APPDATA || path.join(homeDir, 'AppData', 'Roaming'), 'heroic');
+  }
+  if (process.platform === 'darwin') {
+    return path.join(homeDir, 'Library/Application Support/heroic');
+  }
+  const nativePath = path.join(homeDir, '.config/heroic');
+  const flatpakPath = path.join(homeDir, '.var/app/com.heroicgameslauncher.hgl/config/heroic');
+  if (!fs.existsSync(nativePath) && fs.existsSync(flatpakPath)) {
+    return flatpakPath;
+  }
+  return nativePath;
+}
+
+/**
+ * Read a Heroic JSON store, logging and returning fallback on parse errors
+ */
+function readStore(filePath, fallback) {
+  try {
+    return readJsonFile(filePath, fallback);
+  } catch (error) {
+    reportLogger.warn(`  Warning: Failed to read ${filePath}: ${error.message}`);
+    return fallback;
+  }
+}
+
+/**
+ * Read the library of every runner.
+ * @param {string} heroicPath - Heroic configuration directory
+ * @returns {Array<{runner: string, appName: string, title: string, isInstalled: boolean, art: Array<string>}>}
+ */
+export function readHeroicLibraries(heroicPath) {
+  const stores = [
+    { runner: 'legendary', file: path.join(heroicPath, 'store_cache', 'legendary_library.json'), listKey: 'library' },
+    { runner: 'gog', file: path.join(heroicPath, 'gog_store', 'library.json'), listKey: 'games' },
+    { runner: 'nile', file: path.join(heroicPath, 'store_cache', 'nile_library.json'), listKey: 'library' },
+  ];
+
+  const entries = [];
+  for (const { runner, file, listKey } of stores) {
+    const store = readStore(file, null);
+    if (!store) continue;
+    const list = Array.isArray(store) ? store : (store[listKey] || []);
+    let count = 0;
+    for (const item of list) {
+      const appName = item.app_name || item.appName;
+      const title = item.title;
+      if (!appName || !title) continue;
+      // DLCs and non-game entries are listed in the same stores
+      if (item.install?.is_dlc || item.is_dlc) continue;
+      entries.push({
+        runner,
+        appName: String(appName),
+        title: String(title).trim(),
+        isInstalled: !!item.is_installed,
+        art: [item.art_cover, item.art_square].filter(Boolean),
+      });
+      count++;
+    }
+    reportLogger.log(`  ${RUNNER_NAMES[runner]}: ${count} game(s) in ${path.relative(heroicPath, file)}`);
+  }
+  return entries;
+}
+
+/**
+ * Collect installed app names per runner from the installed.json stores
+ * @param {string} heroicPath - Heroic configuration directory
+ * @returns {{ legendary: Set<string>, gog: Set<string>, nile: Set<string> }}
+ */
+export function readInstalledAppNames(heroicPath) {
+  const installed = { legendary: new Set(), gog: new Set(), nile: new Set() };
+
+  const legendaryInstalled = readStore(path.join(heroicPath, 'legendaryConfig', 'legendary', 'installed.json'), {});
+  for (const appName of Object.keys(legendaryInstalled || {})) {
+    installed.legendary.add(appName);
+  }
+
+  const gogInstalled = readStore(path.join(heroicPath, 'gog_store', 'installed.json'), {});
+  for (const item of gogInstalled?.installed || []) {
+    if (item.appName) installed.gog.add(String(item.appName));
+  }
+
+  const nileInstalled = readStore(path.join(heroicPath, 'nile_config', 'nile', 'installed.json'), []);
+  for (const item of Array.isArray(nileInstalled) ? nileInstalled : []) {
+    if (item.id) installed.nile.add(String(item.id));
+  }
+
+  return installed;
+}
+
+/**
+ * Read per-game settings from GamesConfig/<appName>.json
+ * @param {string} heroicPath - Heroic configuration directory
+ * @param {string} appName - Heroic app name
+ * @returns {Object|null}
+ */
+export function readGameConfig(heroicPath, appName) {
+  const config = readStore(path.join(heroicPath, 'GamesConfig', `${appName}.json`), null);
+  if (!config) return null;
+  return config[appName] || config;
+}
+
+/**
+ * Heroic protocol URL that launches a game through Heroic (keeps Wine/Proton settings from GamesConfig)
+ * @param {string} runner - legendary, gog or nile
+ * @param {string} appName - Heroic app name
+ * @param {Object|null} gameConfig - Per-game settings (launcherArgs are forwarded)
+ * @returns {string}
+ */
+export function buildLaunchUrl(runner, appName, gameConfig = null) {
+  const url = new URL('heroic://launch');
+  url.searchParams.set('appName', appName);
+  url.searchParams.set('runner', runner);
+  const launcherArgs = typeof gameConfig?.launcherArgs === 'string' ? gameConfig.launcherArgs.trim() : '';
+  for (const arg of launcherArgs ? launcherArgs.split(/\s+/) : []) {
+    url.searchParams.append('arg', arg);
+  }
+  return url.toString();
+}
+
+/**
+ * Heroic caches artwork in images-cache/ named by the SHA-256 of the image URL
+ */
+function findCachedImage(heroicPath, urls) {
+  for (const url of urls) {
+    const hash = crypto.createHash('sha256').update(url).digest('hex');
+    const cachedPath = path.join(heroicPath, 'images-cache', hash);
+    if (fs.existsSync(cachedPath)) return cachedPath;
+  }
+  return null;
+}
+
+/**
+ * Read Heroic libraries as source games for runSourceImport
+ * @param {string} heroicPath - Heroic configuration directory
+ * @returns {Array<import('../common/gameImport.js').SourceGame>}
+ */
+export function readHeroicGames(heroicPath) {
+  const entries = readHeroicLibraries(heroicPath);
+  const installed = readInstalledAppNames(heroicPath);
+
+  const games = [];
+  const seenKeys = new Set();
+  for (const entry of entries) {
+    const key = `${entry.runner}_${entry.appName}`;
+    if (seenKeys.has(key)) continue;
+    seenKeys.add(key);
+
+    const isInstalled = entry.isInstalled || installed[entry.runner].has(entry.appName);
+    const executables = [];
+    if (isInstalled) {
+      const gameConfig = readGameConfig(heroicPath, entry.appName);
+      const scriptPath = writeLaunchScript('heroic', key, [
+        openUrlCommand(buildLaunchUrl(entry.runner, entry.appName, gameConfig)),
+      ]);
+      executables.push({ path: scriptPath, label: 'Heroic' });
+    }
+
+    games.push({
+      key,
+      title: entry.title,
+      executables,
+      coverPath: findCachedImage(heroicPath, entry.art),
+    });
+  }
+  return games;
+}
+
+/**
+ * Main Heroic Games Launcher import function
+ */
+export async function importFromHeroic(config) {
+  const { heroicPath } = config;
+
+  if (!heroicPath || !fs.existsSync(heroicPath)) {
+    throw new Error(`Heroic configuration directory not found: ${heroicPath}`);
+  }
+
+  await runSourceImport(config, {
+    name: 'Heroic Games Launcher',
+    id: 'heroic',
+    mapFilename: IMPORT_MAP_FILENAME,
+    loadGames: () => {
+      reportLogger.log(`Heroic configuration: ${heroicPath}`);
+      return readHeroicGames(heroicPath);
+    },
+  });
+}
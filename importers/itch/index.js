@@ -0,0 +1,259 @@
+// itch.io Importer
+// Reads data from the itch.io desktop app SQLite database (butler.db)
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as reportLogger from '../common/reportLogger.js';
+import { runSourceImport } from '../common/gameImport.js';
+import { writeLaunchScript, quoteShellArg } from '../common/launchScripts.js';
+
+const IMPORT_MAP_FILENAME = 'itch-game-map.json';
+
+// games.classification values imported (assets, soundtracks, comics, ... are skipped)
+const GAME_CLASSIFICATIONS = ['game', 'tool'];
+
+// Launch candidate flavors usable on each platform, in order of preference
+const PLATFORM_FLAVORS = {
+  win32: ['windows', 'windows-script', 'jar'],
+  darwin: ['app-macos', 'macos', 'script', 'jar'],
+  linux: ['linux', 'script', 'jar'],
+};
+
+/**
+ * Default butler.db path for the current platform
+ * @returns {string}
+ */
+export function getDefaultButlerDbPath() {
+  const homeDir = os.homedir();
+  if (process.platform === 'win32') {
+    return path.join(process.env.APPDATA || path.join(homeDir, 'AppData', 'Roaming'), 'itch', 'db', 'butler.db');
+  }
+  if (process.platform === 'darwin') {
+    return path.join(homeDir, 'Library/Application Support/itch/db/butler.db');
+  }
+  return path.join(homeDir, '.config/itch/db/butler.db');
+}
+
+function tableExists(db, name) {
+  return !!db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`).get(name);
+}
+
+function parseJson(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read owned and installed games, their caves and the user's collections from butler.db.
+ * Games come from caves (installed), download_keys (purchases and bundles) and collection_games.
+ * @param {string} butlerDbPath - Path to butler.db
+ * @returns {{ games: Array<Object>, caves: Array<Object>, collections: Array<{ title: string, gameIds: Array<number> }> }}
+ */
+export function readButlerDatabase(butlerDbPath) {
+  const db = new Database(butlerDbPath, { readonly: true });
+  try {
+    if (!tableExists(db, 'games')) {
+      throw new Error(`No games table in ${butlerDbPath}`);
+    }
+
+    const sources = [];
+    const caves = [];
+    if (tableExists(db, 'caves')) {
+      const locationsJoin = tableExists(db, 'install_locations')
+        ? 'LEFT JOIN install_locations il ON il.id = c.install_location_id'
+        : '';
+      caves.push(...db.prepare(`
+        SELECT c.*${locationsJoin ? ', il.path AS install_location_path' : ''}
+        FROM caves c
+        ${locationsJoin}
+        ORDER BY c.installed_at
+      `).all());
+      sources.push('SELECT game_id FROM caves');
+    }
+    if (tableExists(db, 'download_keys')) {
+      sources.push('SELECT game_id FROM download_keys');
+    }
+    const hasCollections = tableExists(db, 'collections') && tableExists(db, 'collection_games');
+    if (hasCollections) {
+      sources.push('SELECT game_id FROM collection_games');
+    }
+
+    const games = sources.length === 0 ? [] : db.prepare(`
+      SELECT *
+      FROM games
+      WHERE id IN (${sources.join(' UNION ')})
+        AND title IS NOT NULL AND title != ''
+      ORDER BY title
+    `).all();
+
+    const collections = [];
+    if (hasCollections) {
+      const rows = db.prepare(`
+        SELECT c.id, c.title, cg.game_id
+        FROM collections c
+        JOIN collection_games cg ON cg.collection_id = c.id
+        WHERE c.title IS NOT NULL AND c.title != ''
+        ORDER BY c.title, cg.position
+      `).all();
+      const byId = new Map();
+      for (const row of rows) {
+        if (!byId.has(row.id)) {
+          byId.set(row.id, { title: row.title, gameIds: [] });
+          collections.push(byId.get(row.id));
+        }
+        byId.get(row.id).gameIds.push(row.game_id);
+      }
+    }
+
+    return { games, caves, collections };
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Install folder of a cave: verdict.basePath, or install location + folder name
+ * @param {Object} cave - Row from caves (with install_location_path)
+ * @returns {string|null}
+ */
+export function getCaveInstallPath(cave) {
+  const verdict = parseJson(cave.verdict);
+  if (verdict?.basePath) return verdict.basePath;
+  if (cave.custom_install_folder) return cave.custom_install_folder;
+  if (cave.install_location_path && cave.install_folder_name) {
+    return path.join(cave.install_location_path, cave.install_folder_name);
+  }
+  return null;
+}
+
+/**
+ * Pick the launch target of a cave for the platform from the verdict candidates
+ * @param {Object} cave - Row from caves
+ * @param {string} platform - Target platform (process.platform values)
+ * @returns {{ installPath: string, target: string, flavor: string }|null}
+ */
+export function getCaveLaunchTarget(cave, platform = process.platform) {
+  const installPath = getCaveInstallPath(cave);
+  const candidates = parseJson(cave.verdict)?.candidates || [];
+  if (!installPath || candidates.length === 0) return null;
+  const flavors = PLATFORM_FLAVORS[platform] || PLATFORM_FLAVORS.linux;
+  for (const flavor of flavors) {
+    const candidate = candidates.find((c) => c.flavor === flavor && c.path);
+    if (candidate) {
+      return { installPath, target: path.join(installPath, candidate.path), flavor };
+    }
+  }
+  return null;
+}
+
+/**
+ * Commands launching a cave target
+ */
+function buildLaunchCommands({ installPath, target, flavor }, platform) {
+  if (flavor === 'jar') {
+    return platform === 'win32'
+      ? [`cd /d ${quoteShellArg(installPath, platform)}`, `start "" javaw -jar ${quoteShellArg(target, platform)}`]
+      : [`cd ${quoteShellArg(installPath, platform)} && exec java -jar ${quoteShellArg(target, platform)}`];
+  }
+  if (platform === 'win32') {
+    return [`cd /d ${quoteShellArg(installPath, platform)}`, `start "" ${quoteShellArg(target, platform)}`];
+  }
+  if (flavor === 'app-macos') {
+    return [`open ${quoteShellArg(target, platform)}`];
+  }
+  return [`cd ${quoteShellArg(installPath, platform)} && exec ${quoteShellArg(target, platform)}`];
+}
+
+/**
+ * Read itch.io games as source games for runSourceImport
+ * @param {string} butlerDbPath - Path to butler.db
+ * @param {string} platform - Target platform for launch scripts (process.platform values)
+ * @returns {Array<import('../common/gameImport.js').SourceGame>}
+ */
+export function readItchGames(butlerDbPath, platform = process.platform) {
+  const { games: rows, caves, collections } = readButlerDatabase(butlerDbPath);
+
+  const cavesByGameId = new Map();
+  for (const cave of caves) {
+    if (!cavesByGameId.has(cave.game_id)) {
+      cavesByGameId.set(cave.game_id, []);
+    }
+    cavesByGameId.get(cave.game_id).push(cave);
+  }
+
+  const collectionsByGameId = new Map();
+  for (const collection of collections) {
+    for (const gameId of collection.gameIds) {
+      if (!collectionsByGameId.has(gameId)) {
+        collectionsByGameId.set(gameId, []);
+      }
+      collectionsByGameId.get(gameId).push(collection.title);
+    }
+  }
+
+  const games = [];
+  for (const row of rows) {
+    if (row.classification && !GAME_CLASSIFICATIONS.includes(row.classification)) continue;
+    const title = String(row.title).trim();
+
+    const executables = [];
+    let secondsRun = 0;
+    let lastTouched = null;
+    for (const cave of cavesByGameId.get(row.id) || []) {
+      secondsRun += Number(cave.seconds_run) || 0;
+      if (cave.last_touched_at && (!lastTouched || cave.last_touched_at > lastTouched)) {
+        lastTouched = cave.last_touched_at;
+      }
+      const launchTarget = getCaveLaunchTarget(cave, platform);
+      if (!launchTarget) {
+        reportLogger.warn(`  Warning: ${title}: no launch target for ${platform} in cave ${cave.id}, skipping launch script`);
+        continue;
+      }
+      if (!fs.existsSync(launchTarget.target)) {
+        reportLogger.warn(`  Warning: ${title}: ${launchTarget.target} does not exist, skipping launch script`);
+        continue;
+      }
+      const scriptPath = writeLaunchScript('itch', `itch_${row.id}_${cave.id}`, buildLaunchCommands(launchTarget, platform), platform);
+      executables.push({ path: scriptPath, label: 'itch.io' });
+    }
+
+    games.push({
+      key: String(row.id),
+      title,
+      releaseDate: row.published_at || null,
+      executables,
+      collections: collectionsByGameId.get(row.id) || [],
+      playtimeMinutes: secondsRun > 0 ? secondsRun / 60 : null,
+      lastPlayed: lastTouched,
+    });
+  }
+  reportLogger.log(`Found ${games.length} itch.io game(s), ${caves.length} installed cave(s), ${collections.length} collection(s)`);
+  return games;
+}
+
+/**
+ * Main itch.io import function
+ */
+export async function importFromItch(config) {
+  const { butlerDbPath } = config;
+
+  if (!butlerDbPath || !fs.existsSync(butlerDbPath)) {
+    throw new Error(`itch.io database not found: ${butlerDbPath}`);
+  }
+
+  await runSourceImport(config, {
+    name: 'itch.io',
+    id: 'itch',
+    mapFilename: IMPORT_MAP_FILENAME,
+    loadGames: () => {
+      reportLogger.log(`itch.io DB: ${butlerDbPath}`);
+      return readItchGames(butlerDbPath);
+    },
+  });
+}
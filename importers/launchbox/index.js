@@ -0,0 +1,203 @@
+// LaunchBox Importer
+// Reads LaunchBox platform files (Data/Platforms/*.xml) and playlists (Data/Playlists/*.xml)
+
+import fs from 'fs';
+import path from 'path';
+import { XMLParser } from 'fast-xml-parser';
+import * as reportLogger from '../common/reportLogger.js';
+import { splitListField } from '../common/csv.js';
+import { runSourceImport } from '../common/gameImport.js';
+import { writeLaunchScript, openUrlCommand, quoteShellArg } from '../common/launchScripts.js';
+
+const IMPORT_MAP_FILENAME = 'launchbox-game-map.json';
+const FAVORITES_COLLECTION_TITLE = 'Favorites';
+const URL_PATTERN = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+/**
+ * Parse a LaunchBox data file
+ * @param {string} filePath - XML file with a <LaunchBox> root
+ * @returns {Object} - Content of <LaunchBox>
+ */
+export function readLaunchBoxXml(filePath) {
+  const parser = new XMLParser({
+    ignoreAttributes: true,
+    parseTagValue: false,
+    isArray: (name) => ['Game', 'Playlist', 'PlaylistGame'].includes(name),
+  });
+  return parser.parse(fs.readFileSync(filePath, 'utf-8'))?.LaunchBox || {};
+}
+
+function listXmlFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((file) => file.toLowerCase().endsWith('.xml'))
+    .sort()
+    .map((file) => path.join(dir, file));
+}
+
+function isTrue(value) {
+  return String(value ?? '').trim().toLowerCase() === 'true';
+}
+
+/**
+ * Resolve an ApplicationPath: relative paths (with Windows separators) are relative to the LaunchBox folder
+ * @param {string} applicationPath
+ * @param {string} launchboxPath - LaunchBox folder
+ * @returns {string}
+ */
+export function resolveApplicationPath(applicationPath, launchboxPath) {
+  const value = String(applicationPath).trim();
+  if (process.platform === 'win32') {
+    return path.resolve(launchboxPath, value);
+  }
+  if (/^[a-zA-Z]:[\\/]/.test(value)) return value;
+  return path.resolve(launchboxPath, value.replace(/\\/g, '/'));
+}
+
+/**
+ * Launch script for a game's ApplicationPath: URLs (e.g. steam://) are opened, executables started from their folder.
+ * Emulated games (with an <Emulator>) need LaunchBox to pick the emulator and get no script.
+ * @returns {{ path: string, label: string }|null}
+ */
+function buildExecutable(game, launchboxPath) {
+  const applicationPath = String(game.ApplicationPath || '').trim();
+  if (!applicationPath) return null;
+  const name = `${game.Platform || 'launchbox'}_${game.ID}`;
+  if (URL_PATTERN.test(applicationPath)) {
+    return { path: writeLaunchScript('launchbox', name, [openUrlCommand(applicationPath)]), label: 'LaunchBox' };
+  }
+  if (String(game.Emulator || '').trim()) {
+    reportLogger.log(`  ${game.Title}: emulated game, skipping launch script`);
+    return null;
+  }
+
+  const execPath = resolveApplicationPath(applicationPath, launchboxPath);
+  if (!fs.existsSync(execPath)) {
+    reportLogger.warn(`  Warning: ${game.Title}: ${execPath} does not exist, skipping launch script`);
+    return null;
+  }
+  const args = String(game.CommandLine || '').trim();
+  const workingDir = path.dirname(execPath);
+  const commands = process.platform === 'win32'
+    ? [`cd /d ${quoteShellArg(workingDir)}`, `start "" ${quoteShellArg(execPath)}${args ? ` ${args}` : ''}`]
+    : [`cd ${quoteShellArg(workingDir)} && exec ${quoteShellArg(execPath)}${args ? ` ${args}` : ''}`];
+  return { path: writeLaunchScript('launchbox', name, commands), label: 'LaunchBox' };
+}
+
+/**
+ * Map a <Game> element to a source game
+ * @param {Object} game - Parsed <Game>
+ * @param {string} launchboxPath - LaunchBox folder
+ * @returns {import('../common/gameImport.js').SourceGame|null}
+ */
+export function launchBoxGameToSourceGame(game, launchboxPath) {
+  if (!game.ID || !String(game.Title || '').trim()) return null;
+
+  // StarRating is 0-5, PlayTime is in seconds
+  const starRating = parseFloat(game.StarRating);
+  const playTime = parseFloat(game.PlayTime);
+  const executable = buildExecutable(game, launchboxPath);
+
+  return {
+    key: String(game.ID),
+    title: String(game.Title).trim(),
+    platform: String(game.Platform || '').trim() || null,
+    releaseDate: game.ReleaseDate || null,
+    stars: starRating > 0 ? Math.round(starRating * 2) : null,
+    summary: String(game.Notes || '').trim() || null,
+    genres: splitListField(game.Genre),
+    executables: executable ? [executable] : [],
+    collections: isTrue(game.Favorite) ? [FAVORITES_COLLECTION_TITLE] : [],
+    playtimeMinutes: playTime > 0 ? playTime / 60 : null,
+    lastPlayed: game.LastPlayedDate || null,
+  };
+}
+
+/**
+ * Read every platform file as source games for runSourceImport
+ * @param {string} launchboxPath - LaunchBox folder
+ * @returns {Array<import('../common/gameImport.js').SourceGame>}
+ */
+export function readLaunchBoxGames(launchboxPath) {
+  const platformFiles = listXmlFiles(path.join(launchboxPath, 'Data', 'Platforms'));
+  const games = [];
+  const seenKeys = new Set();
+  for (const platformFile of platformFiles) {
+    let data;
+    try {
+      data = readLaunchBoxXml(platformFile);
+    } catch (error) {
+      reportLogger.warn(`  Warning: Failed to read ${platformFile}: ${error.message}`);
+      continue;
+    }
+    const entries = data.Game || [];
+    reportLogger.log(`  ${path.basename(platformFile, '.xml')}: ${entries.length} game(s)`);
+    for (const entry of entries) {
+      const game = launchBoxGameToSourceGame(entry, launchboxPath);
+      if (!game || seenKeys.has(game.key)) continue;
+      seenKeys.add(game.key);
+      games.push(game);
+    }
+  }
+  reportLogger.log(`Found ${games.length} game(s) in ${platformFiles.length} platform file(s)`);
+  return games;
+}
+
+/**
+ * Read playlists as collection title -> game IDs, in playlist order (ManualOrder).
+ * Auto-populated playlists (filters only) have no PlaylistGame entries and are skipped.
+ * @param {string} launchboxPath - LaunchBox folder
+ * @returns {Map<string, Array<string>>}
+ */
+export function readLaunchBoxPlaylists(launchboxPath) {
+  const playlists = new Map();
+  for (const playlistFile of listXmlFiles(path.join(launchboxPath, 'Data', 'Playlists'))) {
+    let data;
+    try {
+      data = readLaunchBoxXml(playlistFile);
+    } catch (error) {
+      reportLogger.warn(`  Warning: Failed to read ${playlistFile}: ${error.message}`);
+      continue;
+    }
+    const title = String(data.Playlist?.[0]?.Name || '').trim() || path.basename(playlistFile, '.xml');
+    const entries = (data.PlaylistGame || [])
+      .filter((entry) => entry.GameId)
+      .map((entry, index) => ({ gameId: String(entry.GameId), order: parseInt(entry.ManualOrder, 10), index }))
+      .sort((a, b) => (Number.isNaN(a.order) ? a.index : a.order) - (Number.isNaN(b.order) ? b.index : b.order));
+    if (entries.length === 0) {
+      reportLogger.log(`  Skipping playlist without games (auto-populated playlists are not supported): ${title}`);
+      continue;
+    }
+    playlists.set(title, entries.map((entry) => entry.gameId));
+  }
+  return playlists;
+}
+
+/**
+ * Main LaunchBox import function
+ */
+export async function importFromLaunchBox(config) {
+  const { launchboxPath } = config;
+
+  if (!launchboxPath || !fs.existsSync(path.join(launchboxPath, 'Data', 'Platforms'))) {
+    throw new Error(`LaunchBox Data/Platforms directory not found in: ${launchboxPath}`);
+  }
+
+  await runSourceImport(config, {
+    name: 'LaunchBox',
+    id: 'launchbox',
+    mapFilename: IMPORT_MAP_FILENAME,
+    loadGames: () => {
+      reportLogger.log(`LaunchBox: ${launchboxPath}`);
+      return readLaunchBoxGames(launchboxPath);
+    },
+    loadCollections: (games) => {
+      const collections = readLaunchBoxPlaylists(launchboxPath);
+      const favorites = games.filter((game) => game.collections.includes(FAVORITES_COLLECTION_TITLE)).map((game) => game.key);
+      if (favorites.length > 0 && !collections.has(FAVORITES_COLLECTION_TITLE)) {
+        collections.set(FAVORITES_COLLECTION_TITLE, favorites);
+      }
+      return collections;
+    },
+  });
+}
@@ -0,0 +1,207 @@
+// Lutris Importer
+// Reads data from the Lutris SQLite database (pga.db) and per-game YAML configs
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import YAML from 'yaml';
+import * as reportLogger from '../common/reportLogger.js';
+import { runSourceImport } from '../common/gameImport.js';
+import { writeLaunchScript, quoteShellArg } from '../common/launchScripts.js';
+
+const IMPORT_MAP_FILENAME = 'lutris-game-map.json';
+const FLATPAK_DATA_PATH = '.var/app/net.lutris.Lutris/data/lutris';
+
+// Lutris stores favourites as the "favorite" category; categories starting with "." (e.g. ".hidden") are internal
+const FAVORITE_CATEGORY = 'favorite';
+const FAVORITES_COLLECTION_TITLE = 'Favorites';
+
+/**
+ * Default Lutris database path. The Flatpak location is used when the native one does not exist.
+ * @returns {string}
+ */
+export function getDefaultLutrisDbPath() {
+  const homeDir = os.homedir();
+  const nativePath = path.join(homeDir, '.local/share/lutris/pga.db');
+  const flatpakPath = path.join(homeDir, FLATPAK_DATA_PATH, 'pga.db');
+  if (!fs.existsSync(nativePath) && fs.existsSync(flatpakPath)) {
+    return flatpakPath;
+  }
+  return nativePath;
+}
+
+/**
+ * Directories that may hold per-game YAML configs (<configpath>.yml), in lookup order
+ * @param {string} lutrisDbPath - Path to pga.db
+ * @returns {Array<string>}
+ */
+export function getGameConfigDirs(lutrisDbPath) {
+  const dataDir = path.dirname(lutrisDbPath);
+  const dirs = [path.join(dataDir, 'games')];
+  if (dataDir.includes(FLATPAK_DATA_PATH)) {
+    dirs.push(path.join(dataDir.replace(/data\/lutris$/, 'config/lutris'), 'games'));
+  } else {
+    dirs.push(path.join(os.homedir(), '.config/lutris/games'));
+  }
+  return dirs;
+}
+
+/**
+ * Read a game's YAML config and extract runner, exe and prefix
+ * @param {Array<string>} configDirs - Directories from getGameConfigDirs
+ * @param {string|null} configPath - games.configpath value
+ * @returns {{ runner: string|null, exe: string|null, prefix: string|null }|null}
+ */
+export function readGameConfig(configDirs, configPath) {
+  if (!configPath) return null;
+  for (const dir of configDirs) {
+    const filePath = path.join(dir, `${configPath}.yml`);
+    if (!fs.existsSync(filePath)) continue;
+    try {
+      const config = YAML.parse(fs.readFileSync(filePath, 'utf-8')) || {};
+      const game = config.game || {};
+      const runner = Object.keys(config).find((key) => !['game', 'system'].includes(key)) || null;
+      return {
+        runner,
+        exe: game.exe || game.main_file || game.iso || null,
+        prefix: game.prefix || null,
+      };
+    } catch (error) {
+      reportLogger.warn(`  Warning: Failed to parse ${filePath}: ${error.message}`);
+      return null;
+    }
+  }
+  return null;
+}
+
+function tableExists(db, name) {
+  return !!db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`).get(name);
+}
+
+/**
+ * Read games and their categories from pga.db
+ * @param {string} lutrisDbPath - Path to pga.db
+ * @returns {Array<Object>} - Rows from the games table with a categories array
+ */
+export function readLutrisDatabase(lutrisDbPath) {
+  const db = new Database(lutrisDbPath, { readonly: true });
+  try {
+    const games = db.prepare(`
+      SELECT *
+      FROM games
+      WHERE name IS NOT NULL AND name != ''
+      ORDER BY name
+    `).all();
+
+    const categoriesByGameId = new Map();
+    if (tableExists(db, 'categories') && tableExists(db, 'games_categories')) {
+      const rows = db.prepare(`
+        SELECT gc.game_id, c.name
+        FROM games_categories gc
+        JOIN categories c ON c.id = gc.category_id
+        WHERE c.name IS NOT NULL AND c.name != ''
+        ORDER BY c.name
+      `).all();
+      for (const row of rows) {
+        if (!categoriesByGameId.has(row.game_id)) {
+          categoriesByGameId.set(row.game_id, []);
+        }
+        categoriesByGameId.get(row.game_id).push(row.name);
+      }
+    }
+
+    return games.map((game) => ({ ...game, categories: categoriesByGameId.get(game.id) || [] }));
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Map Lutris categories to MyHomeGames collection titles
+ * @param {Array<string>} categories
+ * @returns {Array<string>}
+ */
+export function categoriesToCollections(categories) {
+  const collections = [];
+  for (const category of categories) {
+    if (category === FAVORITE_CATEGORY) {
+      collections.push(FAVORITES_COLLECTION_TITLE);
+    } else if (!category.startsWith('.')) {
+      collections.push(category);
+    }
+  }
+  return collections;
+}
+
+/**
+ * Read Lutris games as source games for runSourceImport
+ * @param {string} lutrisDbPath - Path to pga.db
+ * @returns {Array<import('../common/gameImport.js').SourceGame>}
+ */
+export function readLutrisGames(lutrisDbPath) {
+  const rows = readLutrisDatabase(lutrisDbPath);
+  const configDirs = getGameConfigDirs(lutrisDbPath);
+  const dataDir = path.dirname(lutrisDbPath);
+  const lutrisCommand = dataDir.includes(FLATPAK_DATA_PATH) ? 'flatpak run net.lutris.Lutris' : 'lutris';
+
+  const games = [];
+  for (const row of rows) {
+    const config = readGameConfig(configDirs, row.configpath);
+    const executables = [];
+    if (row.installed) {
+      const missingPath = [config?.exe, config?.prefix]
+        .filter((p) => p && path.isAbsolute(p))
+        .find((p) => !fs.existsSync(p));
+      if (missingPath) {
+        reportLogger.warn(`  Warning: ${row.name}: ${missingPath} does not exist, skipping launch script`);
+      } else {
+        // One slug can have several rows (runners, installs); the row ID is what rungameid launches
+        const scriptPath = writeLaunchScript('lutris', `lutris_${row.id}`, [
+          `${lutrisCommand} ${quoteShellArg(`lutris:rungameid/${row.id}`, 'linux')}`,
+        ], 'linux');
+        const runner = config?.runner || row.runner;
+        executables.push({ path: scriptPath, label: runner ? `Lutris (${runner})` : 'Lutris' });
+      }
+    }
+
+    const coverCandidates = row.slug
+      ? [path.join(dataDir, 'coverart', `${row.slug}.jpg`), path.join(dataDir, 'coverart', `${row.slug}.png`)]
+      : [];
+
+    games.push({
+      key: String(row.id),
+      title: String(row.name).trim(),
+      releaseDate: row.year ? Math.floor(new Date(Number(row.year), 0, 1).getTime() / 1000) : null,
+      executables,
+      coverPath: coverCandidates.find((p) => fs.existsSync(p)) || null,
+      collections: categoriesToCollections(row.categories),
+      // Lutris stores playtime in hours
+      playtimeMinutes: row.playtime ? Number(row.playtime) * 60 : null,
+      lastPlayed: row.lastplayed || null,
+    });
+  }
+  reportLogger.log(`Found ${games.length} Lutris game(s)`);
+  return games;
+}
+
+/**
+ * Main Lutris import function
+ */
+export async function importFromLutris(config) {
+  const { lutrisDbPath } = config;
+
+  if (!lutrisDbPath || !fs.existsSync(lutrisDbPath)) {
+    throw new Error(`Lutris database not found: ${lutrisDbPath}`);
+  }
+
+  await runSourceImport(config, {
+    name: 'Lutris',
+    id: 'lutris',
+    mapFilename: IMPORT_MAP_FILENAME,
+    loadGames: () => {
+      reportLogger.log(`Lutris DB: ${lutrisDbPath}`);
+      return readLutrisGames(lutrisDbPath);
+    },
+  });
+}
@@ -0,0 +1,171 @@
+// Playnite Importer
+// Reads a Playnite library export (JSON or CSV) and imports games and collections
+
+import fs from 'fs';
+import path from 'path';
+import * as reportLogger from '../common/reportLogger.js';
+import { parseCsv, splitListField } from '../common/csv.js';
+import { parseReleaseDateInput } from '../common/dates.js';
+import { runSourceImport } from '../common/gameImport.js';
+import { writeLaunchScript, openUrlCommand } from '../common/launchScripts.js';
+
+const IMPORT_MAP_FILENAME = 'playnite-game-map.json';
+const FAVORITES_COLLECTION_TITLE = 'Favorites';
+
+/**
+ * Read a field by Playnite property name, accepting camelCase / lowercase variants used by exporters
+ */
+function getField(record, name) {
+  if (name in record) return record[name];
+  const lower = name.toLowerCase();
+  const match = Object.keys(record).find((key) => key.toLowerCase() === lower);
+  return match !== undefined ? record[match] : undefined;
+}
+
+/**
+ * Names from a Playnite list field: array of strings, array of { Name } objects, or a delimited string
+ */
+function namesFromField(value) {
+  if (Array.isArray(value)) {
+    return value
+      .map((item) => (item && typeof item === 'object' ? getField(item, 'Name') : item))
+      .filter((name) => name !== null && name !== undefined && String(name).trim() !== '')
+      .map((name) => String(name).trim());
+  }
+  return splitListField(value);
+}
+
+/**
+ * Playnite ReleaseDate: "2015-05-19", ISO string, { ReleaseDate: "..." } or { Year, Month, Day }
+ * @returns {number|null} - Unix timestamp in seconds
+ */
+export function parsePlayniteReleaseDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'object') {
+    const inner = getField(value, 'ReleaseDate') ?? getField(value, 'Date');
+    if (inner) return parsePlayniteReleaseDate(inner);
+    const year = Number(getField(value, 'Year'));
+    if (!year) return null;
+    const month = Number(getField(value, 'Month')) || 1;
+    const day = Number(getField(value, 'Day')) || 1;
+    return Math.floor(Date.UTC(year, month - 1, day) / 1000);
+  }
+  return parseReleaseDateInput(value);
+}
+
+function isTruthy(value) {
+  if (typeof value === 'boolean') return value;
+  return ['true', '1', 'yes'].includes(String(value ?? '').trim().toLowerCase());
+}
+
+/**
+ * Read the export file into raw records
+ * @param {string} exportPath - JSON (array, or object with a Games array) or CSV export
+ * @returns {Array<Object>}
+ */
+export function readPlayniteExport(exportPath) {
+  const content = fs.readFileSync(exportPath, 'utf-8');
+  if (path.extname(exportPath).toLowerCase() === '.csv') {
+    return parseCsv(content);
+  }
+  const parsed = JSON.parse(content.replace(/^\uFEFF/, ''));
+  if (Array.isArray(parsed)) return parsed;
+  const games = parsed && (getField(parsed, 'Games') || getField(parsed, 'Library'));
+  if (!Array.isArray(games)) {
+    throw new Error(`No games array found in ${exportPath}`);
+  }
+  return games;
+}
+
+/**
+ * Map a Playnite record to a source game
+ * @param {Object} record - Playnite game (JSON object or CSV row)
+ * @returns {import('../common/gameImport.js').SourceGame|null}
+ */
+export function playniteRecordToGame(record) {
+  const name = getField(record, 'Name');
+  if (!name || String(name).trim() === '') return null;
+  const title = String(name).trim();
+
+  const id = getField(record, 'Id');
+  const gameId = getField(record, 'GameId');
+  const source = getField(record, 'Source');
+  const sourceName = source && typeof source === 'object' ? getField(source, 'Name') : source;
+  const key = id ? String(id) : (gameId ? `${sourceName || 'playnite'}_${gameId}` : title);
+
+  // Playnite UserScore is 0-100
+  const rawScore = getField(record, 'UserScore');
+  const userScore = rawScore === undefined || rawScore === null || rawScore === '' ? NaN : Number(rawScore);
+  const stars = Number.isNaN(userScore) ? null : Math.round(userScore / 10);
+
+  // Playnite Playtime is in seconds
+  const playtimeSeconds = Number(getField(record, 'Playtime'));
+
+  const collections = [
+    ...namesFromField(getField(record, 'Categories')),
+    ...namesFromField(getField(record, 'Tags')),
+  ];
+  if (isTruthy(getField(record, 'Favorite'))) {
+    collections.push(FAVORITES_COLLECTION_TITLE);
+  }
+
+  const executables = [];
+  const installDirectory = getField(record, 'InstallDirectory');
+  if (id && installDirectory && String(installDirectory).trim() !== '') {
+    const scriptPath = writeLaunchScript('playnite', `playnite_${id}`, [
+      openUrlCommand(`playnite://playnite/start/${id}`),
+    ]);
+    executables.push({ path: scriptPath, label: 'Playnite' });
+  }
+
+  return {
+    key,
+    title,
+    releaseDate: parsePlayniteReleaseDate(getField(record, 'ReleaseDate')),
+    stars,
+    executables,
+    collections: [...new Set(collections)],
+    playtimeMinutes: playtimeSeconds > 0 ? playtimeSeconds / 60 : null,
+    lastPlayed: getField(record, 'LastActivity') || null,
+  };
+}
+
+/**
+ * Read a Playnite export as source games for runSourceImport
+ * @param {string} exportPath - Path to the export file
+ * @returns {Array<import('../common/gameImport.js').SourceGame>}
+ */
+export function readPlayniteGames(exportPath) {
+  const records = readPlayniteExport(exportPath);
+  const games = [];
+  const seenKeys = new Set();
+  for (const record of records) {
+    const game = playniteRecordToGame(record);
+    if (!game || seenKeys.has(game.key)) continue;
+    seenKeys.add(game.key);
+    games.push(game);
+  }
+  reportLogger.log(`Found ${games.length} game(s) in Playnite export`);
+  return games;
+}
+
+/**
+ * Main Playnite import function
+ */
+export async function importFromPlaynite(config) {
+  const { playniteExportPath } = config;
+
+  if (!playniteExportPath || !fs.existsSync(playniteExportPath)) {
+    throw new Error(`Playnite export not found: ${playniteExportPath}`);
+  }
+
+  await runSourceImport(config, {
+    name: 'Playnite',
+    id: 'playnite',
+    mapFilename: IMPORT_MAP_FILENAME,
+    loadGames: () => {
+      reportLogger.log(`Playnite export: ${playniteExportPath}`);
+      return readPlayniteGames(playniteExportPath);
+    },
+  });
+}
@@ -0,0 +1,190 @@
+// RetroArch Importer
+// Reads RetroArch playlists (.lpl, JSON format) and imports ROM entries as games, one collection per playlist
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as reportLogger from '../common/reportLogger.js';
+import { runSourceImport } from '../common/gameImport.js';
+import { writeLaunchScript, quoteShellArg } from '../common/launchScripts.js';
+
+const IMPORT_MAP_FILENAME = 'retroarch-rom-map.json';
+const FLATPAK_CONFIG_PATH = '.var/app/org.libretro.RetroArch/config/retroarch';
+const FLATPAK_COMMAND = 'flatpak run org.libretro.RetroArch';
+
+// RetroArch history playlists are not libraries; content_favorites.lpl becomes "Favorites"
+const IGNORED_PLAYLISTS = ['content_history', 'content_image_history', 'content_music_history', 'content_video_history'];
+const FAVORITES_PLAYLIST = 'content_favorites';
+const FAVORITES_COLLECTION_TITLE = 'Favorites';
+
+// core_path / core_name value meaning "pick a core when launching"
+const DETECT_CORE = 'DETECT';
+
+/**
+ * Default RetroArch playlists directory for the current platform.
+ * On Linux the Flatpak location is used when the native one does not exist.
+ * @returns {string}
+ */
+export function getDefaultRetroArchPlaylistsPath() {
+  const homeDir = os.homedir();
+  if (process.platform === 'win32') {
+    return 'C:\\RetroArch-Win64\\playlists';
+  }
+  if (process.platform === 'darwin') {
+    return path.join(homeDir, 'Library/Application Support/RetroArch/playlists');
+  }
+  const nativePath = path.join(homeDir, '.config/retroarch/playlists');
+  const flatpakPath = path.join(homeDir, FLATPAK_CONFIG_PATH, 'playlists');
+  if (!fs.existsSync(nativePath) && fs.existsSync(flatpakPath)) {
+    return flatpakPath;
+  }
+  return nativePath;
+}
+
+/**
+ * Title from a playlist label or ROM filename, without No-Intro / TOSEC tags ("(USA)", "[!]")
+ * @param {string} label - Entry label or ROM filename without extension
+ * @returns {string}
+ */
+export function cleanRomTitle(label) {
+  return String(label)
+    .replace(/\s*[([][^)\]]*[)\]]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Platform hint from a db_name ("Nintendo - Super Nintendo Entertainment System.lpl")
+ * @param {string|null} dbName
+ * @returns {string|null}
+ */
+export function platformFromDbName(dbName) {
+  if (!dbName) return null;
+  const platform = String(dbName).replace(/\.lpl$/i, '').trim();
+  return platform || null;
+}
+
+/**
+ * Read a JSON playlist. Legacy (pre-1.7.6) line-based playlists are not supported.
+ * @param {string} playlistPath - Path to the .lpl file
+ * @returns {{ defaultCorePath: string|null, defaultCoreName: string|null, items: Array<Object> }|null}
+ */
+export function readPlaylist(playlistPath) {
+  try {
+    const playlist = JSON.parse(fs.readFileSync(playlistPath, 'utf-8'));
+    return {
+      defaultCorePath: playlist.default_core_path || null,
+      defaultCoreName: playlist.default_core_name || null,
+      items: Array.isArray(playlist.items) ? playlist.items : [],
+    };
+  } catch (error) {
+    reportLogger.warn(`  Warning: Failed to read playlist ${playlistPath} (only JSON playlists are supported): ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Resolve the core for an entry, falling back to the playlist default
+ * @returns {{ corePath: string|null, coreName: string|null }}
+ */
+function resolveCore(item, playlist) {
+  const isSet = (value) => value && value !== DETECT_CORE;
+  if (isSet(item.core_path)) {
+    return { corePath: item.core_path, coreName: isSet(item.core_name) ? item.core_name : null };
+  }
+  if (isSet(playlist.defaultCorePath)) {
+    return { corePath: playlist.defaultCorePath, coreName: isSet(playlist.defaultCoreName) ? playlist.defaultCoreName : null };
+  }
+  return { corePath: null, coreName: null };
+}
+
+/**
+ * Read every playlist in the directory as source games for runSourceImport.
+ * Entries are keyed by ROM path, so a ROM listed in several playlists is imported once and joins each collection.
+ * @param {string} playlistsPath - RetroArch playlists directory
+ * @param {Object} options
+ * @param {string} [options.retroarchCommand] - Command used in launch scripts (default: "retroarch", or the Flatpak command)
+ * @returns {Array<import('../common/gameImport.js').SourceGame>}
+ */
+export function readRetroArchGames(playlistsPath, options = {}) {
+  const retroarchCommand = options.retroarchCommand
+    || (playlistsPath.includes(FLATPAK_CONFIG_PATH) ? FLATPAK_COMMAND : 'retroarch');
+  const playlistFiles = fs.readdirSync(playlistsPath)
+    .filter((file) => file.toLowerCase().endsWith('.lpl'))
+    .sort();
+
+  const gamesByKey = new Map();
+  for (const file of playlistFiles) {
+    const playlistName = path.basename(file, path.extname(file));
+    if (IGNORED_PLAYLISTS.includes(playlistName)) continue;
+    const playlist = readPlaylist(path.join(playlistsPath, file));
+    if (!playlist) continue;
+    const collectionTitle = playlistName === FAVORITES_PLAYLIST ? FAVORITES_COLLECTION_TITLE : playlistName;
+    reportLogger.log(`  Playlist ${file}: ${playlist.items.length} entries`);
+
+    for (const item of playlist.items) {
+      if (!item.path) continue;
+      // Entries inside archives use "archive.zip#rom.sfc"; the archive is what RetroArch loads
+      const romPath = String(item.path).split('#')[0];
+      // db_name names the system playlist; system playlists without it use their own name as hint
+      const platform = platformFromDbName(item.db_name) || (playlistName !== FAVORITES_PLAYLIST ? playlistName : null);
+      const existing = gamesByKey.get(romPath);
+      if (existing) {
+        if (!existing.collections.includes(collectionTitle)) {
+          existing.collections.push(collectionTitle);
+        }
+        existing.platform = existing.platform || platform;
+        continue;
+      }
+
+      const romName = path.basename(romPath, path.extname(romPath));
+      const title = cleanRomTitle(item.label || romName) || romName;
+      const { corePath, coreName } = resolveCore(item, playlist);
+      const executables = [];
+      if (!corePath) {
+        reportLogger.warn(`  Warning: ${title}: no core associated in ${file}, skipping launch script`);
+      } else {
+        // ROMs with the same name in other folders (or names sanitized to the same string) need their own script
+        const romHash = crypto.createHash('sha256').update(romPath).digest('hex').slice(0, 8);
+        const scriptPath = writeLaunchScript('retroarch', `${playlistName}_${romName}_${romHash}`, [
+          `${retroarchCommand} -L ${quoteShellArg(corePath)} ${quoteShellArg(romPath)}`,
+        ]);
+        executables.push({ path: scriptPath, label: coreName ? `RetroArch (${coreName})` : 'RetroArch' });
+      }
+
+      gamesByKey.set(romPath, {
+        key: romPath,
+        title,
+        platform,
+        executables,
+        collections: [collectionTitle],
+      });
+    }
+  }
+
+  const games = [...gamesByKey.values()];
+  reportLogger.log(`Found ${games.length} ROM(s) in ${playlistFiles.length} playlist(s)`);
+  return games;
+}
+
+/**
+ * Main RetroArch import function
+ */
+export async function importFromRetroArch(config) {
+  const { retroarchPlaylistsPath, retroarchCommand = null } = config;
+
+  if (!retroarchPlaylistsPath || !fs.existsSync(retroarchPlaylistsPath)) {
+    throw new Error(`RetroArch playlists directory not found: ${retroarchPlaylistsPath}`);
+  }
+
+  await runSourceImport(config, {
+    name: 'RetroArch',
+    id: 'retroarch',
+    mapFilename: IMPORT_MAP_FILENAME,
+    loadGames: () => {
+      reportLogger.log(`RetroArch playlists: ${retroarchPlaylistsPath}`);
+      return readRetroArchGames(retroarchPlaylistsPath, { retroarchCommand });
+    },
+  });
+}
@@ -0,0 +1,183 @@
+// Steam Importer
+// Reads libraryfolders.vdf and appmanifest_*.acf files to enumerate installed Steam games
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as reportLogger from '../common/reportLogger.js';
+import { runSourceImport } from '../common/gameImport.js';
+import { writeLaunchScript, openUrlCommand } from '../common/launchScripts.js';
+import { parseVdf, getVdfValue } from './vdf.js';
+
+const IMPORT_MAP_FILENAME = 'steam-appid-map.json';
+
+// Steam tools and runtimes that are installed like games but are not games
+const NON_GAME_APP_IDS = new Set([
+  '228980', // Steamworks Common Redistributables
+  '250820', // SteamVR
+  '1070560', // Steam Linux Runtime
+  '1391110', // Steam Linux Runtime - Soldier
+  '1628350', // Steam Linux Runtime - Sniper
+  '1493710', // Proton Experimental
+]);
+const NON_GAME_NAME_PATTERN = /^(Proton\b|Steam Linux Runtime|Steamworks Common)/i;
+
+/**
+ * Default Steam installation directory for the current platform
+ * @returns {string}
+ */
+export function getDefaultSteamPath() {
+  const homeDir = os.homedir();
+  if (process.platform === 'win32') {
+    return path.join(process.env['ProgramFiles(x86)'] || 'C:\\Program Files (x86)', 'Steam');
+  }
+  if (process.platform === 'darwin') {
+    return path.join(homeDir, 'Library/Application Support/Steam');
+  }
+  return path.join(homeDir, '.local/share/Steam');
+}
+
+/**
+ * Read library folder paths from steamapps/libraryfolders.vdf.
+ * Supports the current format ("0" { "path" "..." }) and the legacy one ("1" "D:\\SteamLibrary").
+ * The Steam directory itself is always included.
+ * @param {string} steamPath - Steam installation directory
+ * @returns {Array<string>}
+ */
+export function getLibraryFolders(steamPath) {
+  const folders = [steamPath];
+  const candidates = [
+    path.join(steamPath, 'steamapps', 'libraryfolders.vdf'),
+    path.join(steamPath, 'config', 'libraryfolders.vdf'),
+  ];
+  const vdfPath = candidates.find((p) => fs.existsSync(p));
+  if (!vdfPath) {
+    reportLogger.warn(`  Warning: libraryfolders.vdf not found in ${steamPath}, using Steam directory only`);
+    return folders;
+  }
+
+  try {
+    const parsed = parseVdf(fs.readFileSync(vdfPath, 'utf-8'));
+    const root = getVdfValue(parsed, 'libraryfolders') || {};
+    for (const [key, value] of Object.entries(root)) {
+      if (!/^\d+$/.test(key)) continue;
+      const folderPath = typeof value === 'string' ? value : getVdfValue(value, 'path');
+      if (folderPath && !folders.some((f) => path.resolve(f) === path.resolve(folderPath))) {
+        folders.push(folderPath);
+      }
+    }
+  } catch (error) {
+    reportLogger.warn(`  Warning: Failed to parse ${vdfPath}: ${error.message}`);
+  }
+  return folders;
+}
+
+/**
+ * Read every appmanifest_*.acf in a library folder
+ * @param {string} libraryPath - Library folder (contains steamapps/)
+ * @returns {Array<{appid: string, name: string, installdir: string|null, libraryPath: string}>}
+ */
+export function readAppManifests(libraryPath) {
+  const steamappsPath = path.join(libraryPath, 'steamapps');
+  if (!fs.existsSync(steamappsPath)) {
+    reportLogger.warn(`  Warning: Library folder has no steamapps directory: ${libraryPath}`);
+    return [];
+  }
+
+  const apps = [];
+  const manifestFiles = fs.readdirSync(steamappsPath).filter((name) => /^appmanifest_\d+\.acf$/i.test(name));
+  for (const manifestFile of manifestFiles) {
+    const manifestPath = path.join(steamappsPath, manifestFile);
+    try {
+      const parsed = parseVdf(fs.readFileSync(manifestPath, 'utf-8'));
+      const appState = getVdfValue(parsed, 'AppState');
+      const appid = getVdfValue(appState, 'appid');
+      const name = getVdfValue(appState, 'name');
+      if (!appid || !name) continue;
+      apps.push({
+        appid: String(appid),
+        name: String(name).trim(),
+        installdir: getVdfValue(appState, 'installdir') || null,
+        libraryPath,
+      });
+    } catch (error) {
+      reportLogger.warn(`  Warning: Failed to parse ${manifestPath}: ${error.message}`);
+    }
+  }
+  return apps;
+}
+
+/**
+ * Find a cached library image for an app (flat layout and the newer per-app folder layout)
+ * @param {string} steamPath - Steam installation directory
+ * @param {string} appid - Steam app ID
+ * @param {string} variant - Image variant (e.g. "library_600x900", "library_hero")
+ * @returns {string|null}
+ */
+function findLibraryImage(steamPath, appid, variant) {
+  const cacheDir = path.join(steamPath, 'appcache', 'librarycache');
+  const candidates = [
+    path.join(cacheDir, `${appid}_${variant}.jpg`),
+    path.join(cacheDir, `${appid}_${variant}.png`),
+    path.join(cacheDir, appid, `${variant}.jpg`),
+    path.join(cacheDir, appid, `${variant}.png`),
+  ];
+  return candidates.find((p) => fs.existsSync(p)) || null;
+}
+
+/**
+ * Enumerate installed Steam games as source games for runSourceImport
+ * @param {string} steamPath - Steam installation directory
+ * @returns {Array<import('../common/gameImport.js').SourceGame>}
+ */
+export function readSteamGames(steamPath) {
+  const libraryFolders = getLibraryFolders(steamPath);
+  reportLogger.log(`Found ${libraryFolders.length} Steam library folder(s)`);
+
+  const appsById = new Map();
+  for (const libraryPath of libraryFolders) {
+    for (const app of readAppManifests(libraryPath)) {
+      if (NON_GAME_APP_IDS.has(app.appid) || NON_GAME_NAME_PATTERN.test(app.name)) continue;
+      if (!appsById.has(app.appid)) {
+        appsById.set(app.appid, app);
+      }
+    }
+  }
+
+  const games = [];
+  for (const app of appsById.values()) {
+    const scriptPath = writeLaunchScript('steam', `steam_${app.appid}`, [
+      openUrlCommand(`steam://rungameid/${app.appid}`),
+    ]);
+    games.push({
+      key: app.appid,
+      title: app.name,
+      executables: [{ path: scriptPath, label: 'Steam' }],
+      coverPath: findLibraryImage(steamPath, app.appid, 'library_600x900'),
+      backgroundPath: findLibraryImage(steamPath, app.appid, 'library_hero'),
+    });
+  }
+  games.sort((a, b) => a.title.localeCompare(b.title));
+  return games;
+}
+
+/**
+ * Main Steam import function
+ */
+export async function importFromSteam(config) {
+  const { steamPath } = config;
+
+  if (!steamPath || !fs.existsSync(steamPath)) {
+    throw new Error(`Steam directory not found: ${steamPath}`);
+  }
+
+  await runSourceImport(config, {
+    name: 'Steam',
+    id: 'steam',
+    mapFilename: IMPORT_MAP_FILENAME,
+    loadGames: () => {
+      reportLogger.log(`Steam directory: ${steamPath}`);
+      return readSteamGames(steamPath);
+    },
+  });
+}
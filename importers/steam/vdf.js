@@ -0,0 +1,98 @@
+// Minimal parser for Valve KeyValues text files (libraryfolders.vdf, appmanifest_*.acf)
+
+/**
+ * Split VDF text into tokens: quoted/unquoted strings and braces. Comments (//) are skipped.
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+    } else if (ch === '{' || ch === '}') {
+      tokens.push({ type: ch });
+      i++;
+    } else if (ch === '"') {
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && i + 1 < text.length) {
+          const next = text[i + 1];
+          value += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+          i += 2;
+        } else {
+          value += text[i];
+          i++;
+        }
+      }
+      i++; // closing quote
+      tokens.push({ type: 'string', value });
+    } else {
+      let value = '';
+      while (i < text.length && !/[\s{}"]/.test(text[i])) {
+        value += text[i];
+        i++;
+      }
+      tokens.push({ type: 'string', value });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse VDF text into nested plain objects
+ * @param {string} text - File content
+ * @returns {Object}
+ */
+export function parseVdf(text) {
+  const tokens = tokenize(String(text || ''));
+  let pos = 0;
+
+  function parseObject() {
+    const obj = {};
+    while (pos < tokens.length) {
+      const token = tokens[pos];
+      if (token.type === '}') {
+        pos++;
+        return obj;
+      }
+      if (token.type !== 'string') {
+        throw new Error(`Unexpected "${token.type}" in VDF`);
+      }
+      pos++;
+      const next = tokens[pos];
+      if (!next) {
+        throw new Error(`Missing value for key "${token.value}" in VDF`);
+      }
+      if (next.type === '{') {
+        pos++;
+        obj[token.value] = parseObject();
+      } else if (next.type === 'string') {
+        pos++;
+        obj[token.value] = next.value;
+      } else {
+        throw new Error(`Unexpected "${next.type}" after key "${token.value}" in VDF`);
+      }
+    }
+    return obj;
+  }
+
+  return parseObject();
+}
+
+/**
+ * Case-insensitive key lookup (Valve files mix "AppState"/"appstate", "LibraryFolders"/"libraryfolders")
+ * @param {Object} obj
+ * @param {string} key
+ * @returns {*}
+ */
+export function getVdfValue(obj, key) {
+  if (!obj || typeof obj !== 'object') return undefined;
+  if (key in obj) return obj[key];
+  const lower = key.toLowerCase();
+  const match = Object.keys(obj).find((k) => k.toLowerCase() === lower);
+  return match !== undefined ? obj[match] : undefined;
+}